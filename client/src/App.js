@@ -1,5 +1,5 @@
 // src/App.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import axios from 'axios';
 
@@ -18,17 +18,49 @@ import Dashboard from './components/dashboard/Dashboard';
 
 // Products Components
 import ProductsPage from './components/products/ProductsPage';
+import LocationsPage from './components/inventory/LocationsPage';
+import StockCountsPage from './components/inventory/StockCountsPage';
+import StockCountDetails from './components/inventory/StockCountDetails';
+import StockIntegrityPage from './components/inventory/StockIntegrityPage';
 import ProductDetails from './components/products/ProductDetails';
 import ProductForm from './components/products/ProductForm';
 
 // POS Components
 import POSSystem from './components/pos/POSSystem';
+import ReturnsScreen from './components/pos/ReturnsScreen';
+import SaleConflictsPage from './components/pos/SaleConflictsPage';
 
 // Inventory Components
 import InventoryDashboard from './components/inventory/InventoryDashboard';
 
+// Production Components
+import ProductionPage from './components/production/ProductionPage';
+import ProductionJobForm from './components/production/ProductionJobForm';
+import ProductionJobDetails from './components/production/ProductionJobDetails';
+
+// Supplier Components
+import SuppliersPage from './components/suppliers/SuppliersPage';
+import PurchaseOrderForm from './components/suppliers/PurchaseOrderForm';
+import PurchaseOrderDetails from './components/suppliers/PurchaseOrderDetails';
+
+// Customer Components
+import CustomersPage from './components/customers/CustomersPage';
+import CustomerForm from './components/customers/CustomerForm';
+import CustomerDetails from './components/customers/CustomerDetails';
+import TradeAccountsPage from './components/customers/TradeAccountsPage';
+
+// Promotion Components
+import PromotionsPage from './components/promotions/PromotionsPage';
+import PromotionForm from './components/promotions/PromotionForm';
+
 // Reports Components
 import ReportsDashboard from './components/reports/ReportsDashboard';
+import ShrinkageReport from './components/reports/ShrinkageReport';
+import ReconciliationReport from './components/reports/ReconciliationReport';
+import VoidsReport from './components/reports/VoidsReport';
+
+// Settings Components
+import LoyaltySettings from './components/settings/LoyaltySettings';
 
 // Context
 import AuthContext from './context/auth/authContext';
@@ -44,6 +76,18 @@ if (localStorage.token) {
   setAuthToken(localStorage.token);
 }
 
+// The server sends a fresh token once the current one is half used
+axios.interceptors.response.use(response => {
+  const refreshedToken = response.headers['x-auth-token'];
+
+  if (refreshedToken) {
+    localStorage.setItem('token', refreshedToken);
+    setAuthToken(refreshedToken);
+  }
+
+  return response;
+});
+
 const App = () => {
   const [authState, setAuthState] = useState({
     token: localStorage.getItem('token'),
@@ -128,16 +172,17 @@ const App = () => {
   };
 
   // Logout user
-  const logout = () => {
+  const logout = useCallback(() => {
     localStorage.removeItem('token');
-    setAuthState({
-      ...authState,
+    setAuthToken(null);
+    setAuthState(state => ({
+      ...state,
       token: null,
       isAuthenticated: false,
       user: null,
       loading: false
-    });
-  };
+    }));
+  }, []);
 
   // Clear errors
   const clearErrors = () => {
@@ -148,14 +193,36 @@ const App = () => {
   };
 
   // Set alert
-  const setAlert = (msg, type, timeout = 5000) => {
+  const setAlert = useCallback((msg, type, timeout = 5000) => {
     const id = Math.random().toString(36).substring(7);
-    setAlertState([...alertState, { id, msg, type }]);
+    setAlertState(alerts => [...alerts, { id, msg, type }]);
 
     setTimeout(() => {
-      setAlertState(alertState.filter(alert => alert.id !== id));
+      setAlertState(alerts => alerts.filter(alert => alert.id !== id));
     }, timeout);
-  };
+  }, []);
+
+  // Send the user back to login when their session has expired
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && localStorage.token) {
+          logout();
+          setAlert(error.response.data?.message || 'Session expired, please log in again', 'warning');
+        }
+
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [logout, setAlert]);
+
+  // Check the logged in user's role grants a permission
+  const hasPermission = useCallback((permission) => {
+    return Boolean(authState.user?.permissions?.includes(permission));
+  }, [authState.user]);
 
   // Auth context value
   const authContextValue = {
@@ -166,7 +233,8 @@ const App = () => {
     error: authState.error,
     login,
     logout,
-    clearErrors
+    clearErrors,
+    hasPermission
   };
 
   // Alert context value
@@ -175,13 +243,21 @@ const App = () => {
     setAlert
   };
 
-  // Private route component
-  const PrivateRoute = ({ children }) => {
+  // Private route component, optionally limited to roles with a permission
+  const PrivateRoute = ({ children, permission }) => {
     if (authState.loading) {
       return <div className="loading-spinner">Loading...</div>;
     }
 
-    return authState.isAuthenticated ? children : <Navigate to="/login" />;
+    if (!authState.isAuthenticated) {
+      return <Navigate to="/login" />;
+    }
+
+    if (permission && !hasPermission(permission)) {
+      return <Navigate to="/" />;
+    }
+
+    return children;
   };
 
   return (
@@ -211,7 +287,7 @@ const App = () => {
                 <Route 
                   path="/pos" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="sales:create">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -221,10 +297,36 @@ const App = () => {
                     </PrivateRoute>
                   } 
                 />
+                <Route 
+                  path="/pos/returns" 
+                  element={
+                    <PrivateRoute permission="returns:process">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <ReturnsScreen />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/pos/conflicts" 
+                  element={
+                    <PrivateRoute permission="sales:resolve">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <SaleConflictsPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
                 <Route 
                   path="/inventory" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="inventory:view">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -234,10 +336,62 @@ const App = () => {
                     </PrivateRoute>
                   } 
                 />
+                <Route 
+                  path="/stock-counts" 
+                  element={
+                    <PrivateRoute permission="stockcounts:count">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <StockCountsPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/stock-counts/:id" 
+                  element={
+                    <PrivateRoute permission="stockcounts:count">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <StockCountDetails />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/inventory/integrity" 
+                  element={
+                    <PrivateRoute permission="stock:adjust">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <StockIntegrityPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/locations" 
+                  element={
+                    <PrivateRoute permission="inventory:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <LocationsPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
                 <Route 
                   path="/products" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="inventory:view">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -250,7 +404,7 @@ const App = () => {
                 <Route 
                   path="/products/:id" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="inventory:view">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -263,7 +417,7 @@ const App = () => {
                 <Route 
                   path="/products/add" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="products:edit">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -276,7 +430,7 @@ const App = () => {
                 <Route 
                   path="/products/edit/:id" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="products:edit">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -286,10 +440,205 @@ const App = () => {
                     </PrivateRoute>
                   } 
                 />
+                <Route 
+                  path="/suppliers" 
+                  element={
+                    <PrivateRoute permission="purchasing:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <SuppliersPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/suppliers/purchase-orders/new" 
+                  element={
+                    <PrivateRoute permission="purchasing:edit">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <PurchaseOrderForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/suppliers/purchase-orders/:id" 
+                  element={
+                    <PrivateRoute permission="purchasing:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <PurchaseOrderDetails />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/suppliers/purchase-orders/:id/edit" 
+                  element={
+                    <PrivateRoute permission="purchasing:edit">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <PurchaseOrderForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/customers" 
+                  element={
+                    <PrivateRoute permission="customers:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <CustomersPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/customers/new" 
+                  element={
+                    <PrivateRoute permission="customers:edit">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <CustomerForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/customers/:id" 
+                  element={
+                    <PrivateRoute permission="customers:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <CustomerDetails />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/customers/:id/edit" 
+                  element={
+                    <PrivateRoute permission="customers:edit">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <CustomerForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/accounts" 
+                  element={
+                    <PrivateRoute permission="accounts:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <TradeAccountsPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/production" 
+                  element={
+                    <PrivateRoute permission="production:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <ProductionPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/production/new" 
+                  element={
+                    <PrivateRoute permission="production:manage">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <ProductionJobForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/production/:id" 
+                  element={
+                    <PrivateRoute permission="production:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <ProductionJobDetails />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/promotions" 
+                  element={
+                    <PrivateRoute permission="promotions:manage">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <PromotionsPage />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/promotions/new" 
+                  element={
+                    <PrivateRoute permission="promotions:manage">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <PromotionForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/promotions/:id/edit" 
+                  element={
+                    <PrivateRoute permission="promotions:manage">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <PromotionForm />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
                 <Route 
                   path="/reports" 
                   element={
-                    <PrivateRoute>
+                    <PrivateRoute permission="reports:view">
                       <div className="main-content">
                         {authState.isAuthenticated && <Sidebar />}
                         <div className="content-area">
@@ -299,6 +648,58 @@ const App = () => {
                     </PrivateRoute>
                   } 
                 />
+                <Route 
+                  path="/reports/shrinkage" 
+                  element={
+                    <PrivateRoute permission="reports:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <ShrinkageReport />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/reports/voids" 
+                  element={
+                    <PrivateRoute permission="reports:view">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <VoidsReport />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/reports/reconciliation" 
+                  element={
+                    <PrivateRoute permission="payments:reconcile">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <ReconciliationReport />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
+                <Route 
+                  path="/settings" 
+                  element={
+                    <PrivateRoute permission="loyalty:manage">
+                      <div className="main-content">
+                        {authState.isAuthenticated && <Sidebar />}
+                        <div className="content-area">
+                          <LoyaltySettings />
+                        </div>
+                      </div>
+                    </PrivateRoute>
+                  } 
+                />
               </Routes>
             </div>
             {authState.isAuthenticated && <Footer />}
@@ -0,0 +1,112 @@
+// src/components/auth/PinModal.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Modal, Button, Form, Alert } from 'react-bootstrap';
+
+// Set the PIN a manager enters at the POS to approve overrides
+const PinModal = ({ show, onHide }) => {
+  const [password, setPassword] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setPassword('');
+      setPin('');
+      setConfirmPin('');
+      setError('');
+      setSuccess('');
+    }
+  }, [show]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (pin !== confirmPin) {
+      setError('PINs do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.put('/api/auth/pin', { password, pin });
+      setSuccess(res.data.message);
+      setPassword('');
+      setPin('');
+      setConfirmPin('');
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to set PIN'
+      );
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Override PIN</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="text-muted">
+            Your PIN approves discounts and other actions at the POS that need a manager. Use 4 to 6 digits.
+          </p>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {success && <Alert variant="success">{success}</Alert>}
+          <Form.Group className="mb-3">
+            <Form.Label>Current Password</Form.Label>
+            <Form.Control
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label>New PIN</Form.Label>
+            <Form.Control
+              type="password"
+              inputMode="numeric"
+              pattern="\d{4,6}"
+              autoComplete="off"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              required
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Confirm PIN</Form.Label>
+            <Form.Control
+              type="password"
+              inputMode="numeric"
+              pattern="\d{4,6}"
+              autoComplete="off"
+              value={confirmPin}
+              onChange={(e) => setConfirmPin(e.target.value)}
+              required
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Close
+          </Button>
+          <Button type="submit" variant="primary" disabled={isSubmitting}>
+            Save PIN
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default PinModal;
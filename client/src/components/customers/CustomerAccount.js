@@ -0,0 +1,300 @@
+// client/src/components/customers/CustomerAccount.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import axios from 'axios';
+import { Card, Row, Col, Table, Form, Button, Badge, InputGroup, Spinner } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+import ReceiptPrinter from '../../utils/ReceiptPrinter';
+
+const INVOICE_VARIANTS = {
+  'Open': 'warning',
+  'Partially Paid': 'info',
+  'Paid': 'success'
+};
+
+const EMPTY_PAYMENT = { amount: '', method: 'Bank Transfer', reference: '', invoice: null };
+
+// Trade account balance, unpaid invoices, payments and monthly statements
+export const CustomerAccount = ({ customerId, onError }) => {
+  const { hasPermission } = useContext(AuthContext);
+
+  const [account, setAccount] = useState(null);
+  const [payments, setPayments] = useState([]);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [saving, setSaving] = useState(false);
+  const [statementMonth, setStatementMonth] = useState(() => {
+    const now = new Date();
+    return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+  });
+
+  const fetchAccount = useCallback(async () => {
+    try {
+      const [accountRes, paymentsRes] = await Promise.all([
+        axios.get(`/api/accounts/${customerId}`),
+        axios.get(`/api/accounts/${customerId}/payments`)
+      ]);
+      setAccount(accountRes.data);
+      setPayments(paymentsRes.data);
+    } catch (err) {
+      onError('Failed to load trade account');
+    }
+  }, [customerId, onError]);
+
+  useEffect(() => {
+    fetchAccount();
+  }, [fetchAccount]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
+  // Pay a single invoice in full, or leave the invoice empty to pay oldest first
+  const payInvoice = (invoice) => {
+    setPayment({ ...payment, amount: invoice.balance.toFixed(2), invoice });
+  };
+
+  const recordPayment = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+
+    try {
+      const amount = parseFloat(payment.amount);
+
+      await axios.post(`/api/accounts/${customerId}/payments`, {
+        amount,
+        method: payment.method,
+        reference: payment.reference,
+        allocations: payment.invoice ? [{ invoice: payment.invoice._id, amount }] : undefined
+      });
+      setPayment(EMPTY_PAYMENT);
+      await fetchAccount();
+    } catch (err) {
+      onError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to record payment'
+      );
+    }
+
+    setSaving(false);
+  };
+
+  const printStatement = async () => {
+    const [year, month] = statementMonth.split('-');
+
+    try {
+      const res = await axios.get(`/api/accounts/${customerId}/statement`, { params: { year, month } });
+      ReceiptPrinter.printStatement(res.data);
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to build statement');
+    }
+  };
+
+  if (!account) {
+    return (
+      <Card className="mb-3">
+        <Card.Body className="text-center">
+          <Spinner animation="border" />
+        </Card.Body>
+      </Card>
+    );
+  }
+
+  const details = account.customer.commercialDetails || {};
+  const { aged } = account;
+
+  return (
+    <Card className="mb-3">
+      <Card.Header>
+        <Row className="align-items-center">
+          <Col>Trade Account</Col>
+          <Col xs="auto">
+            <InputGroup size="sm">
+              <Form.Control
+                type="month"
+                value={statementMonth}
+                onChange={(e) => setStatementMonth(e.target.value)}
+              />
+              <Button variant="outline-secondary" onClick={printStatement} disabled={!statementMonth}>
+                <i className="fas fa-print me-1"></i> Statement
+              </Button>
+            </InputGroup>
+          </Col>
+        </Row>
+      </Card.Header>
+      <Card.Body>
+        <Row className="mb-3 text-center">
+          <Col>
+            <small className="text-muted d-block">Balance</small>
+            <strong>{formatCurrency(details.accountBalance || 0)}</strong>
+          </Col>
+          <Col>
+            <small className="text-muted d-block">Credit Limit</small>
+            <strong>{formatCurrency(details.creditLimit || 0)}</strong>
+          </Col>
+          <Col>
+            <small className="text-muted d-block">Current</small>
+            {formatCurrency(aged.current)}
+          </Col>
+          <Col>
+            <small className="text-muted d-block">30 Days</small>
+            {formatCurrency(aged.days30)}
+          </Col>
+          <Col>
+            <small className="text-muted d-block">60 Days</small>
+            {formatCurrency(aged.days60)}
+          </Col>
+          <Col className={aged.days90 > 0 ? 'text-danger' : ''}>
+            <small className="text-muted d-block">90+ Days</small>
+            {formatCurrency(aged.days90)}
+          </Col>
+        </Row>
+
+        <h6>Unpaid Invoices</h6>
+        {account.openInvoices.length === 0 ? (
+          <p className="text-muted">No unpaid invoices</p>
+        ) : (
+          <Table responsive size="sm">
+            <thead>
+              <tr>
+                <th>Invoice #</th>
+                <th>Sale #</th>
+                <th>Date</th>
+                <th>Due</th>
+                <th>Status</th>
+                <th className="text-end">Amount</th>
+                <th className="text-end">Balance</th>
+                {hasPermission('accounts:manage') && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {account.openInvoices.map(invoice => (
+                <tr key={invoice._id}>
+                  <td>{invoice.invoiceNumber}</td>
+                  <td>{invoice.saleNumber || '-'}</td>
+                  <td>{formatDate(invoice.issueDate)}</td>
+                  <td className={new Date(invoice.dueDate) < new Date() ? 'text-danger' : ''}>
+                    {formatDate(invoice.dueDate)}
+                  </td>
+                  <td>
+                    <Badge bg={INVOICE_VARIANTS[invoice.status]}>{invoice.status}</Badge>
+                  </td>
+                  <td className="text-end">{formatCurrency(invoice.amount)}</td>
+                  <td className="text-end">{formatCurrency(invoice.balance)}</td>
+                  {hasPermission('accounts:manage') && (
+                    <td className="text-end">
+                      <Button variant="link" size="sm" className="p-0" onClick={() => payInvoice(invoice)}>
+                        Pay
+                      </Button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+
+        {hasPermission('accounts:manage') && account.openInvoices.length > 0 && (
+          <Form onSubmit={recordPayment} className="mb-3">
+            <h6>
+              Record Payment
+              {payment.invoice && (
+                <small className="text-muted ms-2">
+                  against {payment.invoice.invoiceNumber}
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 ms-1"
+                    onClick={() => setPayment({ ...payment, invoice: null })}
+                  >
+                    (oldest first instead)
+                  </Button>
+                </small>
+              )}
+            </h6>
+            <Row className="g-2">
+              <Col md={3}>
+                <InputGroup>
+                  <InputGroup.Text>$</InputGroup.Text>
+                  <Form.Control
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    placeholder="Amount"
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    required
+                  />
+                </InputGroup>
+              </Col>
+              <Col md={3}>
+                <Form.Select
+                  value={payment.method}
+                  onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                >
+                  <option value="Bank Transfer">Bank Transfer</option>
+                  <option value="Cheque">Cheque</option>
+                  <option value="EFTPOS">EFTPOS</option>
+                  <option value="Cash">Cash</option>
+                </Form.Select>
+              </Col>
+              <Col md={4}>
+                <Form.Control
+                  type="text"
+                  placeholder="Reference"
+                  value={payment.reference}
+                  onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                />
+              </Col>
+              <Col md={2}>
+                <Button type="submit" variant="primary" className="w-100" disabled={saving}>
+                  Record
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        )}
+
+        {payments.length > 0 && (
+          <>
+            <h6>Payments Received</h6>
+            <Table responsive size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Payment #</th>
+                  <th>Date</th>
+                  <th>Method</th>
+                  <th>Reference</th>
+                  <th>Invoices</th>
+                  <th>By</th>
+                  <th className="text-end">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.map(p => (
+                  <tr key={p._id}>
+                    <td>{p.paymentNumber}</td>
+                    <td>{formatDate(p.date)}</td>
+                    <td>{p.method}</td>
+                    <td>{p.reference || '-'}</td>
+                    <td>{p.allocations.map(a => a.invoiceNumber).join(', ')}</td>
+                    <td>{p.receivedBy?.name || '-'}</td>
+                    <td className="text-end">{formatCurrency(p.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default CustomerAccount;
@@ -0,0 +1,359 @@
+// client/src/components/customers/CustomerDetails.js
+import React, { useState, useEffect, useContext } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Badge, Alert, Spinner, Form, Button } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+import { MEMBERSHIP_VARIANTS } from './CustomersPage';
+import { CustomerAccount } from './CustomerAccount';
+
+const STATUS_VARIANTS = {
+  'Completed': 'success',
+  'Pending Payment': 'warning',
+  'Refunded': 'info',
+  'Partially Refunded': 'info',
+  'Voided': 'danger'
+};
+
+const CustomerDetails = () => {
+  const { id } = useParams();
+  const { hasPermission } = useContext(AuthContext);
+
+  const [customer, setCustomer] = useState(null);
+  const [sales, setSales] = useState([]);
+  const [storeCredit, setStoreCredit] = useState(null);
+  const [loyalty, setLoyalty] = useState(null);
+  const [adjustment, setAdjustment] = useState({ points: '', notes: '' });
+  const [adjusting, setAdjusting] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadCustomer = async () => {
+      setLoading(true);
+      try {
+        const [customerRes, salesRes, creditRes, loyaltyRes] = await Promise.all([
+          axios.get(`/api/customers/${id}`),
+          axios.get(`/api/customers/${id}/sales`),
+          axios.get(`/api/customers/${id}/store-credit`),
+          axios.get(`/api/customers/${id}/loyalty`)
+        ]);
+        setCustomer(customerRes.data);
+        setSales(salesRes.data);
+        setStoreCredit(creditRes.data);
+        setLoyalty(loyaltyRes.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load customer');
+      }
+      setLoading(false);
+    };
+
+    loadCustomer();
+  }, [id]);
+
+  const fetchLoyalty = async () => {
+    const res = await axios.get(`/api/customers/${id}/loyalty`);
+    setLoyalty(res.data);
+  };
+
+  // Manually add or remove points, with a reason for the ledger
+  const adjustPoints = async (e) => {
+    e.preventDefault();
+
+    setAdjusting(true);
+    setError('');
+
+    try {
+      await axios.post(`/api/customers/${id}/loyalty/adjust`, {
+        points: parseInt(adjustment.points),
+        notes: adjustment.notes
+      });
+      setAdjustment({ points: '', notes: '' });
+      await fetchLoyalty();
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to adjust points'
+      );
+    }
+
+    setAdjusting(false);
+  };
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleString();
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  if (!customer) {
+    return (
+      <Container fluid>
+        <Alert variant="danger">{error || 'Customer not found'}</Alert>
+        <Link to="/customers" className="btn btn-outline-secondary">Back to Customers</Link>
+      </Container>
+    );
+  }
+
+  const address = customer.address || {};
+  const addressLines = [address.street, [address.city, address.state, address.postalCode].filter(Boolean).join(' '), address.country]
+    .filter(Boolean);
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>
+            {customer.name}
+            {!customer.isActive && <Badge bg="secondary" className="ms-2">Inactive</Badge>}
+          </h2>
+        </Col>
+        <Col xs="auto">
+          {hasPermission('customers:edit') && (
+            <Link to={`/customers/${customer._id}/edit`} className="btn btn-primary me-2">
+              <i className="fas fa-edit me-1"></i> Edit
+            </Link>
+          )}
+          <Link to="/customers" className="btn btn-outline-secondary">
+            <i className="fas fa-arrow-left me-1"></i> Back
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Row className="mb-3">
+        <Col md={4}>
+          <Card className="h-100">
+            <Card.Header>Contact</Card.Header>
+            <Card.Body>
+              <p className="mb-1"><i className="fas fa-phone me-2"></i>{customer.phone || '-'}</p>
+              <p className="mb-1"><i className="fas fa-envelope me-2"></i>{customer.email || '-'}</p>
+              {addressLines.length > 0 && (
+                <p className="mb-1">
+                  <i className="fas fa-map-marker-alt me-2"></i>
+                  {addressLines.join(', ')}
+                </p>
+              )}
+              {customer.notes && <p className="text-muted mt-2 mb-0">{customer.notes}</p>}
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="h-100">
+            <Card.Header>Membership</Card.Header>
+            <Card.Body>
+              <Badge bg={MEMBERSHIP_VARIANTS[customer.membershipLevel]} text={customer.membershipLevel === 'Silver' ? 'dark' : undefined} className="mb-2">
+                {customer.membershipLevel}
+              </Badge>
+              <div className="d-flex justify-content-between">
+                <span>Loyalty Points</span>
+                <strong>{loyalty ? loyalty.points : customer.loyaltyPoints}</strong>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Total Spent</span>
+                <strong>{formatCurrency(customer.totalSpent)}</strong>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Store Credit</span>
+                <strong>{formatCurrency(storeCredit ? storeCredit.balance : customer.storeCredit)}</strong>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Customer Since</span>
+                <span>{new Date(customer.createdAt).toLocaleDateString()}</span>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="h-100">
+            <Card.Header>Commercial Account</Card.Header>
+            <Card.Body>
+              {customer.isCommercial ? (
+                <>
+                  <p className="mb-1"><strong>{customer.commercialDetails?.companyName || '-'}</strong></p>
+                  <p className="mb-1">Tax ID: {customer.commercialDetails?.taxId || '-'}</p>
+                  <p className="mb-1">Account #: {customer.commercialDetails?.accountNumber || '-'}</p>
+                  <p className="mb-1">Discount: {customer.commercialDetails?.discount || 0}%</p>
+                  <p className="mb-1">Credit Limit: {formatCurrency(customer.commercialDetails?.creditLimit || 0)}</p>
+                  <p className="mb-0">Terms: {customer.commercialDetails?.paymentTermsDays || 0} days</p>
+                </>
+              ) : (
+                <p className="text-muted mb-0">Retail customer</p>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {customer.isCommercial && hasPermission('accounts:view') && (
+        <CustomerAccount customerId={customer._id} onError={setError} />
+      )}
+
+      <Card className="mb-3">
+        <Card.Header>Purchase History</Card.Header>
+        <Card.Body>
+          {sales.length === 0 ? (
+            <p className="text-center mb-0">No purchases yet</p>
+          ) : (
+            <Table hover responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Sale #</th>
+                  <th>Date</th>
+                  <th className="text-end">Items</th>
+                  <th>Payment</th>
+                  <th>Status</th>
+                  <th className="text-end">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sales.map(sale => (
+                  <tr key={sale._id}>
+                    <td>{sale.saleNumber}</td>
+                    <td>{formatDate(sale.createdAt)}</td>
+                    <td className="text-end">{sale.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                    <td>{[...new Set(sale.payments.map(p => p.method))].join(', ')}</td>
+                    <td>
+                      <Badge bg={STATUS_VARIANTS[sale.status] || 'secondary'}>{sale.status}</Badge>
+                    </td>
+                    <td className="text-end">{formatCurrency(sale.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-3">
+        <Card.Header>Loyalty Points</Card.Header>
+        <Card.Body>
+          {hasPermission('loyalty:manage') && (
+            <Form onSubmit={adjustPoints} className="mb-3">
+              <Row className="g-2">
+                <Col md={2}>
+                  <Form.Control
+                    type="number"
+                    step="1"
+                    placeholder="+/- points"
+                    value={adjustment.points}
+                    onChange={(e) => setAdjustment({ ...adjustment, points: e.target.value })}
+                    required
+                  />
+                </Col>
+                <Col md={8}>
+                  <Form.Control
+                    type="text"
+                    placeholder="Reason for adjustment"
+                    value={adjustment.notes}
+                    onChange={(e) => setAdjustment({ ...adjustment, notes: e.target.value })}
+                    required
+                  />
+                </Col>
+                <Col md={2}>
+                  <Button type="submit" variant="outline-primary" className="w-100" disabled={adjusting}>
+                    Adjust
+                  </Button>
+                </Col>
+              </Row>
+            </Form>
+          )}
+
+          {!loyalty || loyalty.transactions.length === 0 ? (
+            <p className="text-center mb-0">No points activity yet</p>
+          ) : (
+            <Table responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Sale #</th>
+                  <th>Notes</th>
+                  <th>By</th>
+                  <th className="text-end">Points</th>
+                  <th className="text-end">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loyalty.transactions.map(txn => (
+                  <tr key={txn._id}>
+                    <td>{formatDate(txn.timestamp)}</td>
+                    <td>{txn.transactionType}</td>
+                    <td>{txn.reference || '-'}</td>
+                    <td>
+                      {txn.notes || '-'}
+                      {txn.expiresAt && txn.remainingPoints > 0 && (
+                        <small className="text-muted d-block">
+                          {txn.remainingPoints} expire {new Date(txn.expiresAt).toLocaleDateString()}
+                        </small>
+                      )}
+                    </td>
+                    <td>{txn.performedBy?.name || '-'}</td>
+                    <td className={`text-end ${txn.points < 0 ? 'text-danger' : 'text-success'}`}>
+                      {txn.points > 0 ? `+${txn.points}` : txn.points}
+                    </td>
+                    <td className="text-end">{txn.newBalance}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      {storeCredit && storeCredit.transactions.length > 0 && (
+        <Card>
+          <Card.Header>Store Credit History</Card.Header>
+          <Card.Body>
+            <Table responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Reference</th>
+                  <th>By</th>
+                  <th className="text-end">Amount</th>
+                  <th className="text-end">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {storeCredit.transactions.map(txn => (
+                  <tr key={txn._id}>
+                    <td>{formatDate(txn.timestamp)}</td>
+                    <td>{txn.transactionType}</td>
+                    <td>{txn.reference || '-'}</td>
+                    <td>{txn.performedBy?.name || '-'}</td>
+                    <td className={`text-end ${txn.amount < 0 ? 'text-danger' : 'text-success'}`}>
+                      {formatCurrency(txn.amount)}
+                    </td>
+                    <td className="text-end">{formatCurrency(txn.newBalance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default CustomerDetails;
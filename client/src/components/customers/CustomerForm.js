@@ -0,0 +1,346 @@
+// client/src/components/customers/CustomerForm.js
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import { MEMBERSHIP_VARIANTS } from './CustomersPage';
+
+const EMPTY_CUSTOMER = {
+  name: '',
+  email: '',
+  phone: '',
+  address: {
+    street: '',
+    city: '',
+    state: '',
+    postalCode: '',
+    country: 'New Zealand'
+  },
+  notes: '',
+  membershipLevel: 'Regular',
+  isCommercial: false,
+  commercialDetails: {
+    companyName: '',
+    taxId: '',
+    accountNumber: '',
+    discount: 0,
+    creditLimit: 0,
+    paymentTermsDays: 30
+  },
+  isActive: true
+};
+
+const CustomerForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEdit = Boolean(id);
+
+  const [customer, setCustomer] = useState(EMPTY_CUSTOMER);
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isEdit) return;
+
+    const loadCustomer = async () => {
+      try {
+        const res = await axios.get(`/api/customers/${id}`);
+        setCustomer({
+          ...EMPTY_CUSTOMER,
+          ...res.data,
+          address: { ...EMPTY_CUSTOMER.address, ...res.data.address },
+          commercialDetails: { ...EMPTY_CUSTOMER.commercialDetails, ...res.data.commercialDetails }
+        });
+      } catch (err) {
+        setError('Failed to load customer');
+      }
+      setLoading(false);
+    };
+
+    loadCustomer();
+  }, [id, isEdit]);
+
+  const updateField = (field, value) => {
+    setCustomer(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateNested = (group, field, value) => {
+    setCustomer(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!customer.name.trim()) {
+      setError('Name is required');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    // The account balance is only changed by invoices and payments
+    const { accountBalance, ...commercialDetails } = customer.commercialDetails;
+
+    const data = {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      address: customer.address,
+      notes: customer.notes,
+      membershipLevel: customer.membershipLevel,
+      isCommercial: customer.isCommercial,
+      commercialDetails: customer.isCommercial ? commercialDetails : undefined,
+      isActive: customer.isActive
+    };
+
+    try {
+      const res = isEdit
+        ? await axios.put(`/api/customers/${id}`, data)
+        : await axios.post('/api/customers', data);
+
+      navigate(`/customers/${res.data.customer._id}`);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to save customer'
+      );
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>{isEdit ? 'Edit Customer' : 'New Customer'}</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to={isEdit ? `/customers/${id}` : '/customers'} className="btn btn-outline-secondary">
+            <i className="fas fa-arrow-left me-1"></i> Back
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Card className="mb-3">
+          <Card.Header>Contact Details</Card.Header>
+          <Card.Body>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={customer.name}
+                    onChange={(e) => updateField('name', e.target.value)}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Phone</Form.Label>
+                  <Form.Control
+                    type="tel"
+                    value={customer.phone}
+                    onChange={(e) => updateField('phone', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Email</Form.Label>
+                  <Form.Control
+                    type="email"
+                    value={customer.email}
+                    onChange={(e) => updateField('email', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Street</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={customer.address.street}
+                    onChange={(e) => updateNested('address', 'street', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>City</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={customer.address.city}
+                    onChange={(e) => updateNested('address', 'city', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Postal Code</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={customer.address.postalCode}
+                    onChange={(e) => updateNested('address', 'postalCode', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Membership Level</Form.Label>
+                  <Form.Select
+                    value={customer.membershipLevel}
+                    onChange={(e) => updateField('membershipLevel', e.target.value)}
+                  >
+                    {Object.keys(MEMBERSHIP_VARIANTS).map(level => (
+                      <option key={level} value={level}>{level}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Notes</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={customer.notes}
+                    onChange={(e) => updateField('notes', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Check
+              type="switch"
+              id="customer-active"
+              label="Active"
+              checked={customer.isActive}
+              onChange={(e) => updateField('isActive', e.target.checked)}
+            />
+          </Card.Body>
+        </Card>
+
+        <Card className="mb-3">
+          <Card.Header>
+            <Form.Check
+              type="switch"
+              id="customer-commercial"
+              label="Commercial account"
+              checked={customer.isCommercial}
+              onChange={(e) => updateField('isCommercial', e.target.checked)}
+            />
+          </Card.Header>
+          {customer.isCommercial && (
+            <Card.Body>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Company Name</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={customer.commercialDetails.companyName}
+                      onChange={(e) => updateNested('commercialDetails', 'companyName', e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Tax ID</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={customer.commercialDetails.taxId}
+                      onChange={(e) => updateNested('commercialDetails', 'taxId', e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Account Number</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={customer.commercialDetails.accountNumber}
+                      onChange={(e) => updateNested('commercialDetails', 'accountNumber', e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={2}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Discount %</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.5"
+                      value={customer.commercialDetails.discount}
+                      onChange={(e) => updateNested('commercialDetails', 'discount', parseFloat(e.target.value) || 0)}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Credit Limit</Form.Label>
+                    <InputGroup>
+                      <InputGroup.Text>$</InputGroup.Text>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="100"
+                        value={customer.commercialDetails.creditLimit}
+                        onChange={(e) => updateNested('commercialDetails', 'creditLimit', parseFloat(e.target.value) || 0)}
+                      />
+                    </InputGroup>
+                    <Form.Text className="text-muted">0 means no purchases on account</Form.Text>
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Payment Terms (days)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={customer.commercialDetails.paymentTermsDays}
+                      onChange={(e) => updateNested('commercialDetails', 'paymentTermsDays', parseInt(e.target.value) || 0)}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+            </Card.Body>
+          )}
+        </Card>
+
+        <div className="text-end">
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? <Spinner as="span" animation="border" size="sm" /> : 'Save Customer'}
+          </Button>
+        </div>
+      </Form>
+    </Container>
+  );
+};
+
+export default CustomerForm;
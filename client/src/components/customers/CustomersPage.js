@@ -0,0 +1,185 @@
+// client/src/components/customers/CustomersPage.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Badge, Alert, Spinner, Pagination } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+
+// Badge colours for membership levels
+export const MEMBERSHIP_VARIANTS = {
+  'Regular': 'secondary',
+  'Bronze': 'warning',
+  'Silver': 'light',
+  'Gold': 'warning',
+  'Platinum': 'dark'
+};
+
+const CustomersPage = () => {
+  const { hasPermission } = useContext(AuthContext);
+
+  const [customers, setCustomers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [membershipFilter, setMembershipFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [activeFilter, setActiveFilter] = useState('true');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchCustomers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 25 };
+      if (searchTerm) params.search = searchTerm;
+      if (membershipFilter) params.membershipLevel = membershipFilter;
+      if (typeFilter) params.commercial = typeFilter === 'commercial';
+      if (activeFilter) params.active = activeFilter;
+
+      const res = await axios.get('/api/customers', { params });
+      setCustomers(res.data.customers);
+      setPagination(res.data.pagination);
+    } catch (err) {
+      setError('Failed to load customers');
+    }
+    setLoading(false);
+  }, [searchTerm, membershipFilter, typeFilter, activeFilter, page]);
+
+  // Wait for typing to settle before searching
+  useEffect(() => {
+    const timer = setTimeout(() => fetchCustomers(), 300);
+    return () => clearTimeout(timer);
+  }, [fetchCustomers]);
+
+  // Reset to the first page whenever a filter changes
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Customers</h2>
+        </Col>
+        {hasPermission('customers:edit') && (
+          <Col xs="auto">
+            <Link to="/customers/new" className="btn btn-primary">
+              <i className="fas fa-plus me-1"></i> New Customer
+            </Link>
+          </Col>
+        )}
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Header>
+          <Row className="g-2">
+            <Col md={5}>
+              <Form.Control
+                type="text"
+                placeholder="Search name, email, phone or company..."
+                value={searchTerm}
+                onChange={updateFilter(setSearchTerm)}
+              />
+            </Col>
+            <Col md={3}>
+              <Form.Select value={membershipFilter} onChange={updateFilter(setMembershipFilter)}>
+                <option value="">All Membership Levels</option>
+                {Object.keys(MEMBERSHIP_VARIANTS).map(level => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select value={typeFilter} onChange={updateFilter(setTypeFilter)}>
+                <option value="">All Types</option>
+                <option value="retail">Retail</option>
+                <option value="commercial">Commercial</option>
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select value={activeFilter} onChange={updateFilter(setActiveFilter)}>
+                <option value="true">Active</option>
+                <option value="false">Inactive</option>
+                <option value="">All</option>
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center">
+              <Spinner animation="border" />
+            </div>
+          ) : customers.length === 0 ? (
+            <p className="text-center mb-0">No customers found</p>
+          ) : (
+            <Table hover responsive>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Phone</th>
+                  <th>Email</th>
+                  <th>Membership</th>
+                  <th className="text-end">Points</th>
+                  <th className="text-end">Total Spent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {customers.map(customer => (
+                  <tr key={customer._id}>
+                    <td>
+                      <Link to={`/customers/${customer._id}`}>{customer.name}</Link>
+                      {customer.isCommercial && (
+                        <div>
+                          <small className="text-muted">
+                            <i className="fas fa-building me-1"></i>
+                            {customer.commercialDetails?.companyName || 'Commercial'}
+                          </small>
+                        </div>
+                      )}
+                    </td>
+                    <td>{customer.phone || '-'}</td>
+                    <td>{customer.email || '-'}</td>
+                    <td>
+                      <Badge bg={MEMBERSHIP_VARIANTS[customer.membershipLevel]} text={customer.membershipLevel === 'Silver' ? 'dark' : undefined}>
+                        {customer.membershipLevel}
+                      </Badge>
+                    </td>
+                    <td className="text-end">{customer.loyaltyPoints}</td>
+                    <td className="text-end">{formatCurrency(customer.totalSpent)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <Pagination className="justify-content-center mb-0">
+              <Pagination.Prev disabled={page <= 1} onClick={() => setPage(page - 1)} />
+              <Pagination.Item active>{page} of {pagination.totalPages}</Pagination.Item>
+              <Pagination.Next disabled={page >= pagination.totalPages} onClick={() => setPage(page + 1)} />
+            </Pagination>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default CustomersPage;
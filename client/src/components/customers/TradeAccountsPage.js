@@ -0,0 +1,126 @@
+// client/src/components/customers/TradeAccountsPage.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Alert, Spinner } from 'react-bootstrap';
+
+const TradeAccountsPage = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [outstandingOnly, setOutstandingOnly] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchAccounts = async () => {
+      setLoading(true);
+      try {
+        const res = await axios.get('/api/accounts', { params: { outstanding: outstandingOnly } });
+        setAccounts(res.data);
+      } catch (err) {
+        setError('Failed to load trade accounts');
+      }
+      setLoading(false);
+    };
+
+    fetchAccounts();
+  }, [outstandingOnly]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const totals = accounts.reduce((sum, { aged }) => ({
+    current: sum.current + aged.current,
+    days30: sum.days30 + aged.days30,
+    days60: sum.days60 + aged.days60,
+    days90: sum.days90 + aged.days90,
+    total: sum.total + aged.total
+  }), { current: 0, days30: 0, days60: 0, days90: 0, total: 0 });
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Trade Accounts</h2>
+        </Col>
+        <Col xs="auto" className="d-flex align-items-center">
+          <Form.Check
+            type="switch"
+            id="outstanding-only"
+            label="Balances owing only"
+            checked={outstandingOnly}
+            onChange={(e) => setOutstandingOnly(e.target.checked)}
+          />
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center">
+              <Spinner animation="border" />
+            </div>
+          ) : accounts.length === 0 ? (
+            <p className="text-center mb-0">No trade accounts found</p>
+          ) : (
+            <Table hover responsive>
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th className="text-end">Credit Limit</th>
+                  <th className="text-end">Current</th>
+                  <th className="text-end">30 Days</th>
+                  <th className="text-end">60 Days</th>
+                  <th className="text-end">90+ Days</th>
+                  <th className="text-end">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map(({ customer, aged }) => (
+                  <tr key={customer._id}>
+                    <td>
+                      <Link to={`/customers/${customer._id}`}>
+                        {customer.commercialDetails?.companyName || customer.name}
+                      </Link>
+                      {customer.commercialDetails?.accountNumber && (
+                        <small className="text-muted ms-2">{customer.commercialDetails.accountNumber}</small>
+                      )}
+                    </td>
+                    <td className="text-end">{formatCurrency(customer.commercialDetails?.creditLimit || 0)}</td>
+                    <td className="text-end">{formatCurrency(aged.current)}</td>
+                    <td className="text-end">{formatCurrency(aged.days30)}</td>
+                    <td className="text-end">{formatCurrency(aged.days60)}</td>
+                    <td className={`text-end ${aged.days90 > 0 ? 'text-danger' : ''}`}>{formatCurrency(aged.days90)}</td>
+                    <td className="text-end"><strong>{formatCurrency(aged.total)}</strong></td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th colSpan={2}>Total</th>
+                  <th className="text-end">{formatCurrency(totals.current)}</th>
+                  <th className="text-end">{formatCurrency(totals.days30)}</th>
+                  <th className="text-end">{formatCurrency(totals.days60)}</th>
+                  <th className="text-end">{formatCurrency(totals.days90)}</th>
+                  <th className="text-end">{formatCurrency(totals.total)}</th>
+                </tr>
+              </tfoot>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default TradeAccountsPage;
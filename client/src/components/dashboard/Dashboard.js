@@ -4,6 +4,7 @@ import { Link } from 'react-router-dom';
 import axios from 'axios';
 import AuthContext from '../../context/auth/authContext';
 import AlertContext from '../../context/alert/alertContext';
+import { useLiveEvents } from '../../utils/liveEvents';
 
 // Dashboard card component
 const DashboardCard = ({ title, value, icon, color, link }) => {
@@ -32,7 +33,7 @@ const Dashboard = () => {
   const authContext = useContext(AuthContext);
   const alertContext = useContext(AlertContext);
   
-  const { user } = authContext;
+  const { user, hasPermission } = authContext;
   const { setAlert } = alertContext;
   
   const [stats, setStats] = useState({
@@ -54,37 +55,77 @@ const Dashboard = () => {
         
         // Today's sales
         const today = new Date().toISOString().split('T')[0];
-        const salesRes = await axios.get(`/api/sales/daily?date=${today}`);
+        const salesRes = hasPermission('reports:view')
+          ? await axios.get(`/api/reports/sales/daily?date=${today}`)
+          : null;
         
         // Recent sales
         const recentSalesRes = await axios.get('/api/sales?limit=5&sortBy=createdAt&sortOrder=desc');
         
         // Recent inventory movements
-        const recentMovementsRes = await axios.get('/api/inventory/movements?limit=5&sortBy=timestamp&sortOrder=desc');
+        const recentMovementsRes = hasPermission('inventory:view')
+          ? await axios.get('/api/inventory/movements?limit=5')
+          : null;
         
         setStats({
           productCount: productsRes.data.activeProducts || 0,
           lowStockCount: productsRes.data.lowStockProducts || 0,
-          todaySales: salesRes.data.summary?.totalSales || 0,
-          todayRevenue: salesRes.data.summary?.totalRevenue || 0,
+          todaySales: salesRes?.data.summary?.totalSales || 0,
+          todayRevenue: salesRes?.data.summary?.totalRevenue || 0,
           loading: false
         });
         
         setRecentSales(recentSalesRes.data.sales || []);
-        setRecentMovements(recentMovementsRes.data.movements || []);
+        setRecentMovements(recentMovementsRes?.data.movements || []);
         
       } catch (err) {
         console.error('Error fetching dashboard data:', err);
         setAlert('Failed to load dashboard data', 'danger');
-        setStats({
-          ...stats,
+        setStats(prev => ({
+          ...prev,
           loading: false
-        });
+        }));
       }
     };
     
     fetchDashboardData();
-  }, [setAlert]);
+  }, [hasPermission, setAlert]);
+  
+  // Keep the figures current as sales are made and stock moves
+  useLiveEvents({
+    'sale:created': (sale) => {
+      setRecentSales(prev => [sale, ...prev.filter(s => s._id !== sale._id)].slice(0, 5));
+      
+      if (sale.status === 'Completed') {
+        setStats(prev => ({
+          ...prev,
+          todaySales: prev.todaySales + 1,
+          todayRevenue: prev.todayRevenue + sale.total
+        }));
+      }
+    },
+    'stock:changed': ({ product, movement, wasLow, isLow }) => {
+      setRecentMovements(prev => [{ ...movement, product }, ...prev].slice(0, 5));
+      
+      if (wasLow !== isLow) {
+        setStats(prev => ({
+          ...prev,
+          lowStockCount: Math.max(0, prev.lowStockCount + (isLow ? 1 : -1))
+        }));
+      }
+    },
+    'stock:low': ({ product }) => {
+      setAlert(`${product.name} is low on stock (${product.currentStock} left)`, 'warning');
+    },
+    'stockcount:completed': (count) => {
+      setAlert(`Stock count ${count.countNumber} has been approved`, 'info');
+    },
+    'sale:conflict': (conflict) => {
+      if (hasPermission('sales:resolve')) {
+        setAlert(`Offline sale ${conflict.provisionalNumber}: ${conflict.details}`, 'danger');
+      }
+    }
+  });
   
   // Format currency
   const formatCurrency = (amount) => {
@@ -226,10 +267,10 @@ const Dashboard = () => {
                       </thead>
                       <tbody>
                         {recentMovements.map(movement => (
-                          <tr key={movement.id}>
+                          <tr key={movement._id}>
                             <td>
                               {movement.product ? (
-                                <Link to={`/products/${movement.product.id}`}>
+                                <Link to={`/products/${movement.product._id}`}>
                                   {movement.product.name}
                                 </Link>
                               ) : (
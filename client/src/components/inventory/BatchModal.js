@@ -0,0 +1,218 @@
+// client/src/components/inventory/BatchModal.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Modal, Button, Form, Row, Col, Alert } from 'react-bootstrap';
+import { LocationSelect } from './LocationSelect';
+
+const emptyForm = () => ({
+  product: '',
+  quantity: 1,
+  pottingDate: new Date().toISOString().slice(0, 10),
+  source: 'Propagation',
+  potSize: '',
+  location: '',
+  unitCost: '',
+  reference: '',
+  notes: '',
+  fromExistingStock: false
+});
+
+// Show a batch's age in the largest sensible unit
+export const formatBatchAge = (days) => {
+  if (days === undefined || days === null) return '-';
+  if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+  if (days < 90) return `${Math.floor(days / 7)} wks`;
+  if (days < 730) return `${Math.floor(days / 30)} mths`;
+  return `${(days / 365).toFixed(1)} yrs`;
+};
+
+/**
+ * Add a batch of stock with its potting date, pot size and location, or
+ * give stock already on hand a batch so its age can be tracked.
+ */
+export const BatchModal = ({ show, onHide, products, product, onSaved }) => {
+  const [formData, setFormData] = useState(emptyForm());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setFormData({ ...emptyForm(), product: product?._id || '' });
+      setError('');
+    }
+  }, [show, product]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+
+    setFormData(prevState => ({
+      ...prevState,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.post('/api/batches', {
+        ...formData,
+        // Potting date is a calendar day at the nursery, not UTC midnight
+        pottingDate: new Date(`${formData.pottingDate}T00:00:00`).toISOString()
+      });
+      onSaved(res.data.batch);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to add batch'
+      );
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Add Batch</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          <Form.Group className="mb-3">
+            <Form.Label>Product</Form.Label>
+            {product ? (
+              <Form.Control type="text" value={product.name} disabled />
+            ) : (
+              <Form.Select name="product" value={formData.product} onChange={handleChange} required>
+                <option value="">Select a product...</option>
+                {products.map(p => (
+                  <option key={p._id} value={p._id}>
+                    {p.name} ({p.currentStock} in stock)
+                  </option>
+                ))}
+              </Form.Select>
+            )}
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Check
+              type="checkbox"
+              name="fromExistingStock"
+              label="Stock is already on hand (give it a batch without changing stock levels)"
+              checked={formData.fromExistingStock}
+              onChange={handleChange}
+            />
+          </Form.Group>
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Quantity</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="quantity"
+                  min="1"
+                  value={formData.quantity}
+                  onChange={handleChange}
+                  required
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Potting Date</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="pottingDate"
+                  value={formData.pottingDate}
+                  onChange={handleChange}
+                  required
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Source</Form.Label>
+                <Form.Select name="source" value={formData.source} onChange={handleChange}>
+                  <option value="Propagation">Propagation</option>
+                  <option value="Other">Other</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Pot Size</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="potSize"
+                  placeholder="e.g. 140mm, 2L"
+                  value={formData.potSize}
+                  onChange={handleChange}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Location</Form.Label>
+                <LocationSelect
+                  value={formData.location}
+                  onChange={(value) => setFormData(prev => ({ ...prev, location: value }))}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Unit Cost</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="unitCost"
+                  min="0"
+                  step="0.01"
+                  placeholder="Product cost price"
+                  value={formData.unitCost}
+                  onChange={handleChange}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Form.Group className="mb-3">
+            <Form.Label>Reference</Form.Label>
+            <Form.Control
+              type="text"
+              name="reference"
+              value={formData.reference}
+              onChange={handleChange}
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Notes</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={isSubmitting}>
+            Add Batch
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default BatchModal;
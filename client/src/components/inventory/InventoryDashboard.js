@@ -1,14 +1,25 @@
 // client/src/components/inventory/InventoryDashboard.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useContext, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { Container, Row, Col, Card, Table, Button, Form, Tabs, Tab, Badge, Alert, Spinner } from 'react-bootstrap';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import axios from 'axios';
 import { BarcodeScanner } from '../pos/BarcodeScanner';
 import { ProductModal } from './ProductModal';
 import { InventoryMovementModal } from './InventoryMovementModal';
-import { StockCountModal } from './StockCountModal';
+import { BatchModal, formatBatchAge } from './BatchModal';
+import { LocationSelect } from './LocationSelect';
+import { TransferModal } from './TransferModal';
+import AuthContext from '../../context/auth/authContext';
+import { useLiveEvents } from '../../utils/liveEvents';
+
+// Stock changes often arrive in bursts (a sale of several lines, an approved
+// count), so the totals that need a round trip are refreshed once they settle
+const REFRESH_DELAY = 1000;
 
 const InventoryDashboard = () => {
+  const { hasPermission } = useContext(AuthContext);
+  
   // State management
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
@@ -16,6 +27,10 @@ const InventoryDashboard = () => {
   const [lowStockProducts, setLowStockProducts] = useState([]);
   const [inventoryMovements, setInventoryMovements] = useState([]);
   const [topSellingProducts, setTopSellingProducts] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [batchSummary, setBatchSummary] = useState({});
+  const [locationStock, setLocationStock] = useState({ locations: [], unlocatedUnits: 0 });
+  const [selectedLocation, setSelectedLocation] = useState('');
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
@@ -25,17 +40,48 @@ const InventoryDashboard = () => {
   // Modal state
   const [showProductModal, setShowProductModal] = useState(false);
   const [showMovementModal, setShowMovementModal] = useState(false);
-  const [showStockCountModal, setShowStockCountModal] = useState(false);
+  const [showBatchModal, setShowBatchModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
   const [modalMode, setModalMode] = useState('add'); // 'add', 'edit', 'view'
   
-  // Load data on component mount
-  useEffect(() => {
-    fetchProducts();
-    fetchCategories();
-    fetchLowStockProducts();
-    fetchRecentMovements();
-    fetchTopSellingProducts();
-  }, []);
+  // Live stock changes from other screens and registers
+  const refreshTimer = useRef(null);
+  
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+  
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => {
+      fetchLowStockProducts();
+      fetchLocationStock();
+      fetchBatches();
+    }, REFRESH_DELAY);
+  };
+  
+  useLiveEvents({
+    'stock:changed': ({ product, movement }) => {
+      setProducts(prev => prev.map(p => (
+        p._id === product._id ? { ...p, currentStock: product.currentStock } : p
+      )));
+      
+      const atLocation = !selectedLocation ||
+        [movement.fromLocation, movement.toLocation].includes(selectedLocation);
+      
+      if (atLocation) {
+        setInventoryMovements(prev => [{
+          ...movement,
+          id: movement._id,
+          product: { id: product._id, name: product.name, barcode: product.barcode, category: product.category },
+          performedBy: movement.performedBy?.name || 'Unknown'
+        }, ...prev.filter(m => m.id !== movement._id)].slice(0, 100));
+      }
+      
+      scheduleRefresh();
+    },
+    'stockcount:completed': () => {
+      fetchRecentMovements();
+    }
+  });
   
   // Filter products when search or category changes
   useEffect(() => {
@@ -43,37 +89,39 @@ const InventoryDashboard = () => {
   }, [products, searchTerm, selectedCategory]);
   
   // API calls
-  const fetchProducts = async () => {
+  const fetchProducts = useCallback(async () => {
     setLoading(true);
     try {
       const res = await axios.get('/api/products');
-      setProducts(res.data);
+      setProducts(res.data.products);
       setLoading(false);
     } catch (err) {
       setError('Failed to load products');
       setLoading(false);
     }
-  };
+  }, []);
   
-  const fetchCategories = async () => {
+  const fetchCategories = useCallback(async () => {
     try {
       const res = await axios.get('/api/products/categories');
       setCategories(res.data);
     } catch (err) {
       setError('Failed to load categories');
     }
-  };
+  }, []);
   
-  const fetchLowStockProducts = async () => {
+  const fetchLowStockProducts = useCallback(async () => {
     try {
-      const res = await axios.get('/api/reports/inventory/low-stock');
+      const res = await axios.get('/api/reports/inventory/low-stock', {
+        params: { location: selectedLocation || undefined }
+      });
       setLowStockProducts(res.data.products);
     } catch (err) {
       setError('Failed to load low stock products');
     }
-  };
+  }, [selectedLocation]);
   
-  const fetchRecentMovements = async () => {
+  const fetchRecentMovements = useCallback(async () => {
     try {
       // Get movements for the last 7 days
       const endDate = new Date().toISOString();
@@ -83,7 +131,8 @@ const InventoryDashboard = () => {
       const res = await axios.get('/api/reports/inventory/movements', {
         params: {
           startDate: startDate.toISOString(),
-          endDate
+          endDate,
+          location: selectedLocation || undefined
         }
       });
       
@@ -91,9 +140,40 @@ const InventoryDashboard = () => {
     } catch (err) {
       setError('Failed to load inventory movements');
     }
-  };
+  }, [selectedLocation]);
+  
+  const fetchBatches = useCallback(async () => {
+    try {
+      const [batchRes, summaryRes] = await Promise.all([
+        axios.get('/api/batches'),
+        axios.get('/api/batches/summary')
+      ]);
+
+      setBatches(batchRes.data.batches);
+
+      // Keyed by product ID for the products table
+      const summary = {};
+      summaryRes.data.forEach(item => {
+        summary[item.product] = item;
+      });
+      setBatchSummary(summary);
+    } catch (err) {
+      setError('Failed to load batches');
+    }
+  }, []);
   
-  const fetchTopSellingProducts = async () => {
+  const fetchLocationStock = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/reports/inventory/locations', {
+        params: { location: selectedLocation || undefined }
+      });
+      setLocationStock(res.data);
+    } catch (err) {
+      setError('Failed to load stock by location');
+    }
+  }, [selectedLocation]);
+  
+  const fetchTopSellingProducts = useCallback(async () => {
     try {
       const res = await axios.get('/api/reports/sales/month');
       
@@ -104,7 +184,25 @@ const InventoryDashboard = () => {
     } catch (err) {
       setError('Failed to load top selling products');
     }
-  };
+  }, []);
+  
+  // Load data on component mount
+  useEffect(() => {
+    fetchProducts();
+    fetchCategories();
+    fetchBatches();
+    // Sales figures are limited to roles that can view reports
+    if (hasPermission('reports:view')) {
+      fetchTopSellingProducts();
+    }
+  }, [fetchProducts, fetchCategories, fetchBatches, fetchTopSellingProducts, hasPermission]);
+  
+  // Stock alerts, movements and location totals follow the location filter
+  useEffect(() => {
+    fetchLowStockProducts();
+    fetchRecentMovements();
+    fetchLocationStock();
+  }, [fetchLowStockProducts, fetchRecentMovements, fetchLocationStock]);
   
   // Filter products based on search and category
   const filterProducts = () => {
@@ -202,11 +300,6 @@ const InventoryDashboard = () => {
     setShowMovementModal(true);
   };
   
-  // Handle stock count
-  const handleStockCount = () => {
-    setShowStockCountModal(true);
-  };
-  
   // Handle movement save
   const handleSaveMovement = async (movementData) => {
     try {
@@ -215,6 +308,7 @@ const InventoryDashboard = () => {
       // Refresh data
       fetchProducts();
       fetchRecentMovements();
+      fetchBatches();
       
       // Close modal
       setShowMovementModal(false);
@@ -228,6 +322,23 @@ const InventoryDashboard = () => {
     }
   };
   
+  // Handle batch added
+  const handleBatchSaved = () => {
+    setShowBatchModal(false);
+    fetchProducts();
+    fetchRecentMovements();
+    fetchBatches();
+  };
+  
+  // Handle stock transferred between locations
+  const handleTransferSaved = () => {
+    setShowTransferModal(false);
+    fetchLowStockProducts();
+    fetchRecentMovements();
+    fetchLocationStock();
+    fetchBatches();
+  };
+  
   // Render stock status badge
   const renderStockBadge = (currentStock, minimumStock) => {
     if (currentStock <= 0) {
@@ -260,12 +371,32 @@ const InventoryDashboard = () => {
           >
             Record Movement
           </Button>
-          <Button 
-            variant="info" 
-            onClick={handleStockCount}
-          >
+          {hasPermission('stock:adjust') && (
+            <Button 
+              variant="outline-success" 
+              onClick={() => setShowBatchModal(true)}
+              className="me-2"
+            >
+              Add Batch
+            </Button>
+          )}
+          {hasPermission('stock:adjust') && (
+            <Button 
+              variant="outline-primary" 
+              onClick={() => setShowTransferModal(true)}
+              className="me-2"
+            >
+              Transfer Stock
+            </Button>
+          )}
+          <Link to="/stock-counts" className="btn btn-info">
             Stock Count
-          </Button>
+          </Link>
+          {hasPermission('stock:adjust') && (
+            <Link to="/inventory/integrity" className="btn btn-outline-secondary ms-2">
+              Stock Integrity
+            </Link>
+          )}
         </Col>
       </Row>
       
@@ -305,7 +436,19 @@ const InventoryDashboard = () => {
         <Col md={6}>
           <Card className="mb-3">
             <Card.Header>
-              <h4>Low Stock Alert</h4>
+              <Row className="align-items-center">
+                <Col>
+                  <h4>Low Stock Alert</h4>
+                </Col>
+                <Col xs="auto">
+                  <LocationSelect
+                    value={selectedLocation}
+                    onChange={setSelectedLocation}
+                    blankLabel="All Locations"
+                    size="sm"
+                  />
+                </Col>
+              </Row>
             </Card.Header>
             <Card.Body>
               {lowStockProducts.length === 0 ? (
@@ -316,7 +459,8 @@ const InventoryDashboard = () => {
                     <tr>
                       <th>Product</th>
                       <th>Current Stock</th>
-                      <th>Minimum</th>
+                      <th>Reorder Point</th>
+                      <th>Suggested</th>
                       <th>Action</th>
                     </tr>
                   </thead>
@@ -325,10 +469,20 @@ const InventoryDashboard = () => {
                       <tr key={product.id}>
                         <td>{product.name}</td>
                         <td>
-                          {renderStockBadge(product.currentStock, product.minimumStock)}{' '}
-                          {product.currentStock}
+                          {selectedLocation ? (
+                            <>
+                              {renderStockBadge(product.locationStock, product.minimumStock)}{' '}
+                              {product.locationStock} <small className="text-muted">of {product.currentStock}</small>
+                            </>
+                          ) : (
+                            <>
+                              {renderStockBadge(product.currentStock, product.reorderPoint)}{' '}
+                              {product.currentStock}
+                            </>
+                          )}
                         </td>
-                        <td>{product.minimumStock}</td>
+                        <td>{selectedLocation ? product.minimumStock : product.reorderPoint}</td>
+                        <td>{product.suggestedQuantity}</td>
                         <td>
                           <Button 
                             variant="outline-primary" 
@@ -407,6 +561,7 @@ const InventoryDashboard = () => {
                           <th>Category</th>
                           <th>Current Stock</th>
                           <th>Min. Stock</th>
+                          <th>Oldest Batch</th>
                           <th>Price</th>
                           <th>Actions</th>
                         </tr>
@@ -426,6 +581,13 @@ const InventoryDashboard = () => {
                               {product.currentStock}
                             </td>
                             <td>{product.minimumStock}</td>
+                            <td>
+                              {batchSummary[product._id] ? (
+                                <span title={`${batchSummary[product._id].batchCount} batch(es), ${batchSummary[product._id].quantity} units`}>
+                                  {formatBatchAge(batchSummary[product._id].oldestAgeDays)}
+                                </span>
+                              ) : '-'}
+                            </td>
                             <td>${product.sellingPrice.toFixed(2)}</td>
                             <td>
                               <Button 
@@ -450,6 +612,84 @@ const InventoryDashboard = () => {
                     </Table>
                   )}
                 </Tab>
+                <Tab eventKey="batches" title="Batches">
+                  {batches.length === 0 ? (
+                    <p>No batches with stock on hand</p>
+                  ) : (
+                    <Table hover responsive>
+                      <thead>
+                        <tr>
+                          <th>Batch #</th>
+                          <th>Product</th>
+                          <th>Potting Date</th>
+                          <th>Age</th>
+                          <th>Pot Size</th>
+                          <th>Location</th>
+                          <th>Source</th>
+                          <th>Quantity</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {batches
+                          .filter(batch => !selectedCategory || batch.product?.category === selectedCategory)
+                          .filter(batch => !searchTerm || batch.product?.name.toLowerCase().includes(searchTerm.toLowerCase()))
+                          .map(batch => (
+                            <tr key={batch._id}>
+                              <td>{batch.batchNumber}</td>
+                              <td>{batch.product?.name || 'Unknown'}</td>
+                              <td>{new Date(batch.pottingDate).toLocaleDateString()}</td>
+                              <td>{formatBatchAge(batch.ageDays)}</td>
+                              <td>{batch.potSize || '-'}</td>
+                              <td>{batch.location || '-'}</td>
+                              <td>
+                                {batch.source}
+                                {batch.reference && <small className="text-muted"> ({batch.reference})</small>}
+                              </td>
+                              <td>{batch.quantity} / {batch.initialQuantity}</td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </Table>
+                  )}
+                </Tab>
+                <Tab eventKey="locations" title="Locations">
+                  {locationStock.locations.length === 0 ? (
+                    <p>No stock locations set up yet</p>
+                  ) : (
+                    <Table hover responsive>
+                      <thead>
+                        <tr>
+                          <th>Location</th>
+                          <th>Type</th>
+                          <th>Products</th>
+                          <th>Units</th>
+                          <th>Cost Value</th>
+                          <th>Retail Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {locationStock.locations.map(location => (
+                          <tr key={location.id}>
+                            <td>
+                              {location.name}{' '}
+                              {location.isSalesLocation && <Badge bg="success">Sales</Badge>}
+                            </td>
+                            <td>{location.type}</td>
+                            <td>{location.productCount}</td>
+                            <td>{location.units}</td>
+                            <td>${location.costValue.toFixed(2)}</td>
+                            <td>${location.retailValue.toFixed(2)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  )}
+                  {locationStock.unlocatedUnits > 0 && (
+                    <p className="text-muted">
+                      {locationStock.unlocatedUnits} units have no location yet
+                    </p>
+                  )}
+                </Tab>
                 <Tab eventKey="movements" title="Recent Movements">
                   <Table hover responsive>
                     <thead>
@@ -481,11 +721,18 @@ const InventoryDashboard = () => {
                             >
                               {movement.movementType}
                             </Badge>
+                            {movement.lossReason && <small className="text-muted d-block">{movement.lossReason}</small>}
+                          </td>
+                          <td>
+                            {movement.quantity}
+                            {movement.location && <small className="text-muted d-block">{movement.location}</small>}
                           </td>
-                          <td>{movement.quantity}</td>
                           <td>{movement.previousStock}</td>
                           <td>{movement.newStock}</td>
-                          <td>{movement.reference || '-'}</td>
+                          <td>
+                            {movement.reference || '-'}
+                            {movement.batchNumber && <small className="text-muted d-block">Batch {movement.batchNumber}</small>}
+                          </td>
                           <td>{movement.performedBy}</td>
                         </tr>
                       ))}
@@ -562,17 +809,23 @@ const InventoryDashboard = () => {
         onSave={handleSaveMovement}
       />
       
-      {/* Stock Count Modal */}
-      <StockCountModal
-        show={showStockCountModal}
-        onHide={() => setShowStockCountModal(false)}
+      {/* Batch Modal */}
+      <BatchModal
+        show={showBatchModal}
+        onHide={() => setShowBatchModal(false)}
         products={products}
-        categories={categories}
-        onComplete={(updatedCounts) => {
-          setShowStockCountModal(false);
-          fetchProducts();
-        }}
+        onSaved={handleBatchSaved}
+      />
+      
+      {/* Transfer Modal */}
+      <TransferModal
+        show={showTransferModal}
+        onHide={() => setShowTransferModal(false)}
+        products={products}
+        fromLocation={selectedLocation}
+        onSaved={handleTransferSaved}
       />
+
     </Container>
   );
 };
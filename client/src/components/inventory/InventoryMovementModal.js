@@ -1,6 +1,33 @@
 // src/components/inventory/InventoryMovementModal.js
 import React, { useState, useEffect } from 'react';
-import { Modal, Button, Form, Alert, Spinner } from 'react-bootstrap';
+import axios from 'axios';
+import { Modal, Button, Form, Alert, Spinner, Row, Col } from 'react-bootstrap';
+import { LocationSelect } from './LocationSelect';
+
+// Longest side of a loss photo; phone photos are scaled down before upload
+const PHOTO_MAX_SIZE = 1024;
+
+// Read an image file and scale it down to a JPEG data URL
+export const resizePhoto = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  
+  reader.onload = () => {
+    const image = new Image();
+    
+    image.onload = () => {
+      const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    image.onerror = () => reject(new Error('The photo could not be read'));
+    image.src = reader.result;
+  };
+  reader.onerror = () => reject(new Error('The photo could not be read'));
+  reader.readAsDataURL(file);
+});
 
 export const InventoryMovementModal = ({ 
   show, 
@@ -11,11 +38,17 @@ export const InventoryMovementModal = ({
   const [formData, setFormData] = useState({
     barcode: '',
     quantity: 1,
+    direction: 'add',
     movementType: 'Received',
     notes: '',
-    reference: ''
+    reference: '',
+    fromLocation: '',
+    toLocation: '',
+    lossReason: '',
+    photo: ''
   });
   
+  const [lossReasons, setLossReasons] = useState([]);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [isManualEntry, setIsManualEntry] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -35,14 +68,35 @@ export const InventoryMovementModal = ({
       setFormData({
         barcode: '',
         quantity: 1,
+        direction: 'add',
         movementType: 'Received',
         notes: '',
-        reference: ''
+        reference: '',
+        fromLocation: '',
+        toLocation: '',
+        lossReason: '',
+        photo: ''
       });
       setIsManualEntry(true);
     }
   }, [product]);
   
+  // Reasons for writing off stock
+  useEffect(() => {
+    if (!show || lossReasons.length > 0) return;
+    
+    const fetchLossReasons = async () => {
+      try {
+        const res = await axios.get('/api/losses/reasons');
+        setLossReasons(res.data);
+      } catch (err) {
+        setLossReasons([]);
+      }
+    };
+    
+    fetchLossReasons();
+  }, [show, lossReasons.length]);
+  
   // Handle form input changes
   const handleChange = e => {
     const { name, value, type, checked } = e.target;
@@ -53,6 +107,29 @@ export const InventoryMovementModal = ({
     }));
   };
   
+  const setLocation = (name, value) => {
+    setFormData(prevState => ({
+      ...prevState,
+      [name]: value
+    }));
+  };
+  
+  // Attach a photo of the loss
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    
+    if (!file) {
+      setLocation('photo', '');
+      return;
+    }
+    
+    try {
+      setLocation('photo', await resizePhoto(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -68,20 +145,38 @@ export const InventoryMovementModal = ({
       return;
     }
     
+    const isRemoval = ['Sold', 'Damaged'].includes(formData.movementType) ||
+      (formData.movementType === 'Adjustment' && formData.direction === 'remove');
+    
     // Validate for outgoing movements
-    if (['Sold', 'Damaged'].includes(formData.movementType) && 
+    if (isRemoval && 
         selectedProduct && 
         selectedProduct.currentStock < formData.quantity) {
       setError(`Insufficient stock. Current stock: ${selectedProduct.currentStock}`);
       return;
     }
     
+    if (formData.movementType === 'Damaged' && !formData.lossReason) {
+      setError('Choose why the stock is being written off');
+      return;
+    }
+    
+    if (formData.movementType === 'Transferred' &&
+        formData.fromLocation === formData.toLocation) {
+      setError('Choose two different locations to transfer between');
+      return;
+    }
+    
     setIsLoading(true);
     setError('');
     
     try {
-      // Call onSave function
-      const result = await onSave(formData);
+      // Adjustments send a signed quantity, negative takes stock away
+      const quantity = parseInt(formData.quantity);
+      const result = await onSave({
+        ...formData,
+        quantity: formData.movementType === 'Adjustment' && formData.direction === 'remove' ? -quantity : quantity
+      });
       
       if (result.success) {
         onHide();
@@ -151,6 +246,90 @@ export const InventoryMovementModal = ({
             </Form.Select>
           </Form.Group>
           
+          {formData.movementType === 'Transferred' && (
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3" controlId="fromLocation">
+                  <Form.Label>From Location</Form.Label>
+                  <LocationSelect
+                    value={formData.fromLocation}
+                    onChange={(value) => setLocation('fromLocation', value)}
+                    blankLabel="Select..."
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3" controlId="toLocation">
+                  <Form.Label>To Location</Form.Label>
+                  <LocationSelect
+                    value={formData.toLocation}
+                    onChange={(value) => setLocation('toLocation', value)}
+                    blankLabel="Select..."
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          )}
+          
+          {formData.movementType === 'Damaged' && (
+            <>
+              <Form.Group className="mb-3" controlId="lossReason">
+                <Form.Label>Loss Reason</Form.Label>
+                <Form.Select
+                  name="lossReason"
+                  value={formData.lossReason}
+                  onChange={handleChange}
+                  required
+                >
+                  <option value="">Select a reason...</option>
+                  {lossReasons.map(reason => (
+                    <option key={reason} value={reason}>{reason}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              
+              <Form.Group className="mb-3" controlId="photo">
+                <Form.Label>Photo (Optional)</Form.Label>
+                <Form.Control
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  onChange={handlePhoto}
+                />
+                {formData.photo && (
+                  <img src={formData.photo} alt="Loss" className="img-thumbnail mt-2" style={{ maxHeight: 120 }} />
+                )}
+              </Form.Group>
+            </>
+          )}
+          
+          {formData.movementType === 'Adjustment' && (
+            <Form.Group className="mb-3">
+              <Form.Check
+                inline
+                type="radio"
+                id="direction-add"
+                name="direction"
+                value="add"
+                label="Add stock"
+                checked={formData.direction === 'add'}
+                onChange={handleChange}
+              />
+              <Form.Check
+                inline
+                type="radio"
+                id="direction-remove"
+                name="direction"
+                value="remove"
+                label="Remove stock"
+                checked={formData.direction === 'remove'}
+                onChange={handleChange}
+              />
+            </Form.Group>
+          )}
+          
           <Form.Group className="mb-3" controlId="quantity">
             <Form.Label>Quantity</Form.Label>
             <Form.Control
@@ -0,0 +1,44 @@
+// client/src/components/inventory/LocationSelect.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Form } from 'react-bootstrap';
+
+/**
+ * Pick one of the active stock locations. The value is the location ID;
+ * the blank option means the default (the sales location) or "all",
+ * depending on the blankLabel given.
+ */
+export const LocationSelect = ({ value, onChange, blankLabel = 'Sales location', required = false, ...props }) => {
+  const [locations, setLocations] = useState([]);
+
+  useEffect(() => {
+    const fetchLocations = async () => {
+      try {
+        const res = await axios.get('/api/locations', { params: { active: true } });
+        setLocations(res.data.locations);
+      } catch (err) {
+        setLocations([]);
+      }
+    };
+
+    fetchLocations();
+  }, []);
+
+  return (
+    <Form.Select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      required={required}
+      {...props}
+    >
+      <option value="">{blankLabel}</option>
+      {locations.map(location => (
+        <option key={location._id} value={location._id}>
+          {location.name}{location.isSalesLocation ? ' (sales)' : ''}
+        </option>
+      ))}
+    </Form.Select>
+  );
+};
+
+export default LocationSelect;
@@ -0,0 +1,381 @@
+// client/src/components/inventory/LocationsPage.js
+import React, { useState, useEffect, useContext } from 'react';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, Spinner, Modal } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+import { TransferModal } from './TransferModal';
+
+const LOCATION_TYPES = ['Propagation', 'Growing', 'Shade House', 'Retail', 'Storage', 'Other'];
+
+const EMPTY_LOCATION = {
+  name: '',
+  code: '',
+  type: 'Growing',
+  description: '',
+  isSalesLocation: false,
+  isActive: true
+};
+
+const LocationsPage = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const canManage = hasPermission('locations:manage');
+  const canTransfer = hasPermission('stock:adjust');
+
+  const [locations, setLocations] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [unlocatedUnits, setUnlocatedUnits] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [stock, setStock] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [transferProduct, setTransferProduct] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchLocations = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/locations');
+      setLocations(res.data.locations);
+      setUnlocatedUnits(res.data.unlocatedUnits);
+    } catch (err) {
+      setError('Failed to load locations');
+    }
+    setLoading(false);
+  };
+
+  const selectLocation = async (location) => {
+    setSelected(location);
+    try {
+      const res = await axios.get(`/api/locations/${location._id}/stock`);
+      setStock(res.data.items);
+    } catch (err) {
+      setError('Failed to load stock for this location');
+    }
+  };
+
+  const saveLocation = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const res = editing._id
+        ? await axios.put(`/api/locations/${editing._id}`, editing)
+        : await axios.post('/api/locations', editing);
+      setMessage(res.data.message);
+      setEditing(null);
+      fetchLocations();
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to save location'
+      );
+    }
+  };
+
+  const deleteLocation = async (location) => {
+    if (!window.confirm(`Delete the location "${location.name}"?`)) return;
+
+    try {
+      await axios.delete(`/api/locations/${location._id}`);
+      if (selected?._id === location._id) setSelected(null);
+      fetchLocations();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete location');
+    }
+  };
+
+  const assignUnlocated = async (location) => {
+    if (!window.confirm(`Put all ${unlocatedUnits} units that have no location at ${location.name}?`)) return;
+
+    try {
+      const res = await axios.post(`/api/locations/${location._id}/assign-unlocated`);
+      setMessage(res.data.message);
+      fetchLocations();
+      if (selected?._id === location._id) selectLocation(location);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to assign stock');
+    }
+  };
+
+  const openTransfer = async (product = null) => {
+    setTransferProduct(product);
+    setShowTransfer(true);
+
+    if (!product && products.length === 0) {
+      try {
+        const res = await axios.get('/api/products');
+        setProducts(res.data.products);
+      } catch (err) {
+        setError('Failed to load products');
+      }
+    }
+  };
+
+  const handleTransferred = () => {
+    setShowTransfer(false);
+    setMessage('Stock transferred');
+    fetchLocations();
+    if (selected) selectLocation(selected);
+  };
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Stock Locations</h2>
+        </Col>
+        <Col xs="auto">
+          {canTransfer && (
+            <Button variant="outline-primary" className="me-2" onClick={() => openTransfer()}>
+              Transfer Stock
+            </Button>
+          )}
+          {canManage && (
+            <Button variant="primary" onClick={() => setEditing({ ...EMPTY_LOCATION })}>
+              <i className="fas fa-plus me-1"></i> New Location
+            </Button>
+          )}
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert variant="success" onClose={() => setMessage('')} dismissible>
+          {message}
+        </Alert>
+      )}
+      {unlocatedUnits > 0 && (
+        <Alert variant="warning">
+          {unlocatedUnits} units of stock have no location yet. They can be sold from the sales
+          location until they are assigned{canManage ? ' with "Assign stock here" below' : ''}.
+        </Alert>
+      )}
+
+      <Row>
+        <Col lg={6}>
+          <Card className="mb-3">
+            <Card.Body>
+              {loading ? (
+                <div className="text-center">
+                  <Spinner animation="border" />
+                </div>
+              ) : locations.length === 0 ? (
+                <p className="text-center mb-0">No locations set up yet</p>
+              ) : (
+                <Table hover responsive>
+                  <thead>
+                    <tr>
+                      <th>Location</th>
+                      <th>Type</th>
+                      <th>Products</th>
+                      <th>Units</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {locations.map(location => (
+                      <tr
+                        key={location._id}
+                        className={selected?._id === location._id ? 'table-active' : ''}
+                        style={{ cursor: 'pointer' }}
+                        onClick={() => selectLocation(location)}
+                      >
+                        <td>
+                          {location.name}
+                          {location.code && <small className="text-muted"> ({location.code})</small>}{' '}
+                          {location.isSalesLocation && <Badge bg="success">Sales</Badge>}{' '}
+                          {!location.isActive && <Badge bg="secondary">Inactive</Badge>}
+                        </td>
+                        <td>{location.type}</td>
+                        <td>{location.productCount}</td>
+                        <td>{location.units}</td>
+                        <td className="text-end text-nowrap" onClick={(e) => e.stopPropagation()}>
+                          {canManage && unlocatedUnits > 0 && location.isActive && (
+                            <Button
+                              variant="outline-warning"
+                              size="sm"
+                              className="me-1"
+                              onClick={() => assignUnlocated(location)}
+                            >
+                              Assign stock here
+                            </Button>
+                          )}
+                          {canManage && (
+                            <>
+                              <Button
+                                variant="outline-secondary"
+                                size="sm"
+                                className="me-1"
+                                onClick={() => setEditing({ ...location })}
+                                aria-label="Edit location"
+                              >
+                                <i className="fas fa-edit"></i>
+                              </Button>
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => deleteLocation(location)}
+                                aria-label="Delete location"
+                              >
+                                <i className="fas fa-trash"></i>
+                              </Button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={6}>
+          {selected && (
+            <Card className="mb-3">
+              <Card.Header>Stock at {selected.name}</Card.Header>
+              <Card.Body>
+                {stock.length === 0 ? (
+                  <p className="mb-0">No stock held here</p>
+                ) : (
+                  <Table size="sm" hover>
+                    <thead>
+                      <tr>
+                        <th>Product</th>
+                        <th>Category</th>
+                        <th className="text-end">Quantity</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stock.map(item => (
+                        <tr key={item.product._id}>
+                          <td>{item.product.name}</td>
+                          <td>{item.product.category}</td>
+                          <td className="text-end">{item.quantity}</td>
+                          <td className="text-end">
+                            {canTransfer && (
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="p-0"
+                                onClick={() => openTransfer(item.product)}
+                              >
+                                Transfer
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+              </Card.Body>
+            </Card>
+          )}
+        </Col>
+      </Row>
+
+      <Modal show={Boolean(editing)} onHide={() => setEditing(null)} centered>
+        {editing && (
+          <Form onSubmit={saveLocation}>
+            <Modal.Header closeButton>
+              <Modal.Title>{editing._id ? 'Edit Location' : 'New Location'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Row>
+                <Col md={8}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Name</Form.Label>
+                    <Form.Control
+                      type="text"
+                      placeholder="e.g. Shade House 2"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Code</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={editing.code || ''}
+                      onChange={(e) => setEditing({ ...editing, code: e.target.value })}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group className="mb-3">
+                <Form.Label>Type</Form.Label>
+                <Form.Select
+                  value={editing.type}
+                  onChange={(e) => setEditing({ ...editing, type: e.target.value })}
+                >
+                  {LOCATION_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Description</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={editing.description || ''}
+                  onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                />
+              </Form.Group>
+              <Form.Check
+                type="switch"
+                id="sales-location"
+                label="The POS sells from here"
+                className="mb-2"
+                checked={editing.isSalesLocation}
+                onChange={(e) => setEditing({ ...editing, isSalesLocation: e.target.checked })}
+              />
+              <Form.Check
+                type="switch"
+                id="location-active"
+                label="Active"
+                checked={editing.isActive}
+                onChange={(e) => setEditing({ ...editing, isActive: e.target.checked })}
+              />
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setEditing(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary">
+                Save
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+
+      <TransferModal
+        show={showTransfer}
+        onHide={() => setShowTransfer(false)}
+        product={transferProduct}
+        products={products}
+        fromLocation={selected?._id}
+        onSaved={handleTransferred}
+      />
+    </Container>
+  );
+};
+
+export default LocationsPage;
@@ -0,0 +1,390 @@
+// client/src/components/inventory/StockCountDetails.js
+import React, { useState, useEffect, useCallback, useContext, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+import { COUNT_STATUS_VARIANTS } from './StockCountsPage';
+
+// Other people's counts are picked up this often while counting is open
+const REFRESH_INTERVAL = 15000;
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(value);
+};
+
+const isCounted = (line) => line.counted !== undefined && line.counted !== null;
+
+const StockCountDetails = () => {
+  const { id } = useParams();
+  const { hasPermission } = useContext(AuthContext);
+  const canApprove = hasPermission('stockcounts:approve');
+  const canCancel = hasPermission('stock:adjust');
+
+  const [count, setCount] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [barcode, setBarcode] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const scanInput = useRef(null);
+
+  const fetchCount = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/stock-counts/${id}`);
+      setCount(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load stock count');
+    }
+    setLoading(false);
+  }, [id]);
+
+  useEffect(() => {
+    fetchCount();
+  }, [fetchCount]);
+
+  // Keep the lines current while several people are counting
+  useEffect(() => {
+    if (count?.status !== 'In Progress') return undefined;
+
+    const timer = setInterval(fetchCount, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [count?.status, fetchCount]);
+
+  // Put an updated line from the server into the count
+  const mergeLine = (line) => {
+    setCount(prev => {
+      const exists = prev.lines.some(l => l.product === line.product);
+      return {
+        ...prev,
+        lines: exists
+          ? prev.lines.map(l => (l.product === line.product ? { ...l, ...line } : l))
+          : [...prev.lines, line]
+      };
+    });
+  };
+
+  const recordCount = async (body) => {
+    setError('');
+
+    try {
+      const res = await axios.post(`/api/stock-counts/${id}/count`, body);
+      mergeLine(res.data.line);
+      return res.data.line;
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to record count'
+      );
+      return null;
+    }
+  };
+
+  // Each scan adds one to the product's tally
+  const handleScan = async (e) => {
+    e.preventDefault();
+    if (!barcode.trim()) return;
+
+    const line = await recordCount({ barcode: barcode.trim(), quantity: 1, mode: 'add' });
+    if (line) {
+      setMessage(`${line.name}: ${line.counted}`);
+    }
+
+    setBarcode('');
+    scanInput.current?.focus();
+  };
+
+  // Typed counts replace the tally
+  const saveEdit = async (line) => {
+    const value = edits[line.product];
+    if (value === undefined || value === '' || parseInt(value) === line.counted) return;
+
+    const saved = await recordCount({ product: line.product, quantity: parseInt(value), mode: 'set' });
+    if (saved) {
+      setEdits(prev => {
+        const next = { ...prev };
+        delete next[line.product];
+        return next;
+      });
+    }
+  };
+
+  const changeStatus = async (action, body = {}) => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.put(`/api/stock-counts/${id}/${action}`, body);
+      setMessage(res.data.message);
+      await fetchCount();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${action} stock count`);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const handleCancel = () => {
+    if (window.confirm('Cancel this stock count? Nothing counted will be kept.')) {
+      changeStatus('cancel');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center p-5">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  if (!count) {
+    return (
+      <Container fluid>
+        <Alert variant="danger">{error || 'Stock count not found'}</Alert>
+        <Link to="/stock-counts">Back to stock counts</Link>
+      </Container>
+    );
+  }
+
+  const isOpen = count.status === 'In Progress';
+  const counted = count.lines.filter(isCounted);
+  const varianceLines = counted.filter(line => line.variance !== 0);
+  const netUnits = counted.reduce((sum, line) => sum + line.variance, 0);
+  const netCost = counted.reduce((sum, line) => sum + line.variance * line.unitCost, 0);
+
+  const term = searchTerm.toLowerCase();
+  const lines = count.lines
+    .filter(line => !uncountedOnly || !isCounted(line))
+    .filter(line => !term || line.name.toLowerCase().includes(term) || line.barcode.includes(term));
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <Link to="/stock-counts" className="text-muted small">
+            <i className="fas fa-arrow-left me-1"></i> Stock Counts
+          </Link>
+          <h2>
+            Stock Count {count.countNumber}{' '}
+            <Badge bg={COUNT_STATUS_VARIANTS[count.status]}>{count.status}</Badge>
+          </h2>
+          <p className="text-muted mb-0">
+            {count.category || 'All categories'}
+            {count.location && <> · {count.location.name}</>}
+            {' '}· started {new Date(count.createdAt).toLocaleString()} by {count.startedBy?.name}
+          </p>
+        </Col>
+        <Col xs="auto" className="d-flex align-items-start">
+          {isOpen && (
+            <Button
+              variant="primary"
+              className="me-2"
+              onClick={() => changeStatus('submit')}
+              disabled={isSubmitting || counted.length === 0}
+            >
+              Submit for Approval
+            </Button>
+          )}
+          {['In Progress', 'Submitted'].includes(count.status) && canCancel && (
+            <Button variant="outline-danger" onClick={handleCancel} disabled={isSubmitting}>
+              Cancel Count
+            </Button>
+          )}
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert variant="success" onClose={() => setMessage('')} dismissible>
+          {message}
+        </Alert>
+      )}
+      {isOpen && count.rejectionReason && (
+        <Alert variant="warning">
+          Sent back for recount: {count.rejectionReason}
+        </Alert>
+      )}
+
+      <Row className="mb-3">
+        <Col md={3}>
+          <Card className="text-center">
+            <Card.Body>
+              <h3>{counted.length} / {count.lines.length}</h3>
+              <Card.Title>Products Counted</Card.Title>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={3}>
+          <Card className="text-center">
+            <Card.Body>
+              <h3>{varianceLines.length}</h3>
+              <Card.Title>With Variance</Card.Title>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={3}>
+          <Card className="text-center">
+            <Card.Body>
+              <h3 className={netUnits < 0 ? 'text-danger' : ''}>{netUnits > 0 ? '+' : ''}{netUnits}</h3>
+              <Card.Title>Net Units</Card.Title>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={3}>
+          <Card className="text-center">
+            <Card.Body>
+              <h3 className={netCost < 0 ? 'text-danger' : ''}>{formatCurrency(netCost)}</h3>
+              <Card.Title>Net Value at Cost</Card.Title>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {count.status === 'Submitted' && canApprove && (
+        <Card className="mb-3 border-warning">
+          <Card.Body>
+            <Row className="align-items-end">
+              <Col>
+                <p className="mb-2">
+                  Approving posts {varianceLines.length} variance(s) as stock count adjustments.
+                  Products not counted are left unchanged.
+                </p>
+                <Form.Control
+                  type="text"
+                  placeholder="Reason for sending back (recount)"
+                  value={rejectReason}
+                  onChange={(e) => setRejectReason(e.target.value)}
+                />
+              </Col>
+              <Col xs="auto">
+                <Button
+                  variant="outline-secondary"
+                  className="me-2"
+                  onClick={() => changeStatus('reject', { reason: rejectReason })}
+                  disabled={isSubmitting}
+                >
+                  Send Back
+                </Button>
+                <Button variant="success" onClick={() => changeStatus('approve')} disabled={isSubmitting}>
+                  Approve Variances
+                </Button>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Card>
+        <Card.Header>
+          <Row className="align-items-center">
+            {isOpen && (
+              <Col md={4}>
+                <Form onSubmit={handleScan}>
+                  <InputGroup>
+                    <Form.Control
+                      ref={scanInput}
+                      type="text"
+                      placeholder="Scan barcode to add 1"
+                      value={barcode}
+                      onChange={(e) => setBarcode(e.target.value)}
+                      autoFocus
+                    />
+                    <Button type="submit" variant="primary">Scan</Button>
+                  </InputGroup>
+                </Form>
+              </Col>
+            )}
+            <Col md={4}>
+              <Form.Control
+                type="text"
+                placeholder="Search products"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </Col>
+            <Col md={4}>
+              <Form.Check
+                type="switch"
+                id="uncounted-only"
+                label="Only products not yet counted"
+                checked={uncountedOnly}
+                onChange={(e) => setUncountedOnly(e.target.checked)}
+              />
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body>
+          <Table hover responsive size="sm">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Barcode</th>
+                <th className="text-end">Expected</th>
+                <th style={{ width: 120 }}>Counted</th>
+                <th className="text-end">Variance</th>
+                <th>Counted By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center">No products to show</td>
+                </tr>
+              ) : lines.map(line => (
+                <tr key={line.product} className={isCounted(line) ? '' : 'text-muted'}>
+                  <td>
+                    {line.name}
+                    {line.addedDuringCount && <Badge bg="info" className="ms-1">Found</Badge>}
+                    {Boolean(line.movedSinceSnapshot) && (
+                      <small className="text-warning d-block">
+                        Stock has changed by {line.movedSinceSnapshot > 0 ? '+' : ''}{line.movedSinceSnapshot} since the count started
+                      </small>
+                    )}
+                  </td>
+                  <td>{line.barcode}</td>
+                  <td className="text-end">{line.expected}</td>
+                  <td>
+                    {isOpen ? (
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        size="sm"
+                        value={edits[line.product] ?? (isCounted(line) ? line.counted : '')}
+                        onChange={(e) => setEdits({ ...edits, [line.product]: e.target.value })}
+                        onBlur={() => saveEdit(line)}
+                        onKeyDown={(e) => e.key === 'Enter' && saveEdit(line)}
+                      />
+                    ) : (isCounted(line) ? line.counted : '-')}
+                  </td>
+                  <td className={
+                    `text-end ${line.variance > 0 ? 'text-success' : line.variance < 0 ? 'text-danger' : ''}`
+                  }>
+                    {line.variance === null ? '-' : `${line.variance > 0 ? '+' : ''}${line.variance}`}
+                  </td>
+                  <td>
+                    <small>{(line.countedBy || []).map(user => user.name).join(', ')}</small>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default StockCountDetails;
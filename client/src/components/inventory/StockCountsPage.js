@@ -0,0 +1,252 @@
+// client/src/components/inventory/StockCountsPage.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, Spinner } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+import { LocationSelect } from './LocationSelect';
+
+export const COUNT_STATUS_VARIANTS = {
+  'In Progress': 'primary',
+  Submitted: 'warning',
+  Approved: 'success',
+  Cancelled: 'secondary'
+};
+
+const StockCountsPage = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const canStart = hasPermission('stock:adjust');
+
+  const [counts, setCounts] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [status, setStatus] = useState('');
+  const [scope, setScope] = useState({ category: '', location: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSchedule();
+    fetchCategories();
+  }, []);
+
+  const fetchCounts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/stock-counts', {
+        params: { status: status || undefined }
+      });
+      setCounts(res.data.counts);
+    } catch (err) {
+      setError('Failed to load stock counts');
+    }
+    setLoading(false);
+  }, [status]);
+
+  useEffect(() => {
+    fetchCounts();
+  }, [fetchCounts]);
+
+  const fetchSchedule = async () => {
+    try {
+      const res = await axios.get('/api/stock-counts/schedule');
+      setSchedule(res.data);
+    } catch (err) {
+      setError('Failed to load the cycle-count schedule');
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const res = await axios.get('/api/products/categories');
+      setCategories(res.data);
+    } catch (err) {
+      setCategories([]);
+    }
+  };
+
+  const startCount = async (countScope, scheduled = false) => {
+    setError('');
+
+    try {
+      const res = await axios.post('/api/stock-counts', {
+        category: countScope.category || undefined,
+        location: countScope.location || undefined,
+        scheduled
+      });
+      navigate(`/stock-counts/${res.data.count._id}`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start stock count');
+    }
+  };
+
+  const nextDue = schedule?.categories.find(item => !item.openCount);
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Stock Counts</h2>
+        </Col>
+        <Col xs="auto">
+          <Form.Select value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All Statuses</option>
+            {Object.keys(COUNT_STATUS_VARIANTS).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Row>
+        <Col lg={8}>
+          <Card className="mb-3">
+            <Card.Body>
+              {loading ? (
+                <div className="text-center">
+                  <Spinner animation="border" />
+                </div>
+              ) : counts.length === 0 ? (
+                <p className="text-center mb-0">No stock counts yet</p>
+              ) : (
+                <Table hover responsive>
+                  <thead>
+                    <tr>
+                      <th>Count #</th>
+                      <th>Scope</th>
+                      <th>Status</th>
+                      <th>Counted</th>
+                      <th>Variance</th>
+                      <th>Started</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {counts.map(count => (
+                      <tr key={count._id}>
+                        <td>
+                          <Link to={`/stock-counts/${count._id}`}>{count.countNumber}</Link>
+                          {count.scheduled && <small className="text-muted d-block">Scheduled</small>}
+                        </td>
+                        <td>
+                          {count.category || 'All categories'}
+                          {count.location && <small className="text-muted d-block">{count.location.name}</small>}
+                        </td>
+                        <td>
+                          <Badge bg={COUNT_STATUS_VARIANTS[count.status]}>{count.status}</Badge>
+                        </td>
+                        <td>{count.countedLines} / {count.lineCount}</td>
+                        <td>
+                          {count.varianceUnits !== undefined && count.varianceUnits !== null
+                            ? `${count.varianceUnits > 0 ? '+' : ''}${count.varianceUnits} ($${count.varianceCost.toFixed(2)})`
+                            : '-'}
+                        </td>
+                        <td>
+                          {new Date(count.createdAt).toLocaleDateString()}
+                          <small className="text-muted d-block">{count.startedBy?.name}</small>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={4}>
+          {canStart && (
+            <Card className="mb-3">
+              <Card.Header>Start a Count</Card.Header>
+              <Card.Body>
+                <Form.Group className="mb-2">
+                  <Form.Label>Category</Form.Label>
+                  <Form.Select
+                    value={scope.category}
+                    onChange={(e) => setScope({ ...scope, category: e.target.value })}
+                  >
+                    <option value="">All Categories</option>
+                    {categories.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Location</Form.Label>
+                  <LocationSelect
+                    value={scope.location}
+                    onChange={(value) => setScope({ ...scope, location: value })}
+                    blankLabel="All Locations"
+                  />
+                </Form.Group>
+                <Button variant="primary" className="w-100" onClick={() => startCount(scope)}>
+                  Start Count
+                </Button>
+                <Form.Text className="text-muted">
+                  Expected stock is frozen when the count starts.
+                </Form.Text>
+              </Card.Body>
+            </Card>
+          )}
+
+          {schedule && (
+            <Card className="mb-3">
+              <Card.Header>
+                Cycle Count Schedule
+                <small className="text-muted d-block">
+                  One category every {schedule.cycleDays} days, each counted every {schedule.roundDays} days
+                </small>
+              </Card.Header>
+              <Card.Body>
+                {canStart && nextDue && (
+                  <Button
+                    variant="outline-primary"
+                    className="w-100 mb-3"
+                    onClick={() => startCount({ category: nextDue.category }, true)}
+                  >
+                    Start next count: {nextDue.category}
+                  </Button>
+                )}
+                <Table size="sm">
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Last Counted</th>
+                      <th>Due</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {schedule.categories.map(item => (
+                      <tr key={item.category}>
+                        <td>
+                          {item.category}{' '}
+                          {item.overdue && <Badge bg="danger">Overdue</Badge>}
+                        </td>
+                        <td>
+                          {item.lastCountedAt ? new Date(item.lastCountedAt).toLocaleDateString() : 'Never'}
+                        </td>
+                        <td>
+                          {item.openCount ? (
+                            <Link to={`/stock-counts/${item.openCount._id}`}>{item.openCount.status}</Link>
+                          ) : new Date(item.dueDate).toLocaleDateString()}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          )}
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default StockCountsPage;
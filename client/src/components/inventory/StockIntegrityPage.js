@@ -0,0 +1,222 @@
+// client/src/components/inventory/StockIntegrityPage.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+
+const StockIntegrityPage = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const canRebuild = hasPermission('inventory:rebuild');
+
+  const [report, setReport] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [category, setCategory] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const res = await axios.get('/api/products/categories');
+      setCategories(res.data);
+    } catch (err) {
+      setCategories([]);
+    }
+  };
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/inventory/integrity', {
+        params: { category: category || undefined }
+      });
+      setReport(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to check stock');
+    }
+    setLoading(false);
+  }, [category]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const rebuild = async (products) => {
+    const confirmText = products
+      ? 'Set this product\'s stock to what its movements add up to?'
+      : 'Set stock for every drifted product to what its movements add up to?';
+
+    if (!window.confirm(confirmText)) return;
+
+    setIsRebuilding(true);
+    setError('');
+
+    try {
+      const res = await axios.post('/api/inventory/integrity/rebuild', { products });
+      const skipped = res.data.skipped.length;
+      setMessage(`${res.data.message}${skipped ? `, ${skipped} skipped` : ''}`);
+      await fetchReport();
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to rebuild stock'
+      );
+    }
+
+    setIsRebuilding(false);
+  };
+
+  const drifted = report ? report.items.filter(item => item.drift !== 0) : [];
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <Link to="/inventory" className="text-muted small">
+            <i className="fas fa-arrow-left me-1"></i> Inventory
+          </Link>
+          <h2>Stock Integrity</h2>
+          <p className="text-muted mb-0">
+            Each product's stock is rebuilt from its movement history and compared with the stock on record.
+          </p>
+        </Col>
+        <Col xs="auto" className="d-flex align-items-start">
+          <Form.Select value={category} onChange={(e) => setCategory(e.target.value)} className="me-2">
+            <option value="">All Categories</option>
+            {categories.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Form.Select>
+          <Button variant="outline-primary" onClick={fetchReport} disabled={loading}>
+            Recheck
+          </Button>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert variant="success" onClose={() => setMessage('')} dismissible>
+          {message}
+        </Alert>
+      )}
+
+      {loading || !report ? (
+        <div className="text-center p-5">
+          <Spinner animation="border" />
+        </div>
+      ) : (
+        <>
+          <Row className="mb-3">
+            <Col md={4}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{report.summary.products}</h3>
+                  <Card.Title>Products Checked</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={4}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3 className={report.summary.withDrift > 0 ? 'text-danger' : 'text-success'}>
+                    {report.summary.withDrift}
+                  </h3>
+                  <Card.Title>Drifted from History</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={4}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{report.summary.netDrift > 0 ? '+' : ''}{report.summary.netDrift}</h3>
+                  <Card.Title>Net Units Drifted</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <span>
+                Products with Issues
+                <small className="text-muted ms-2">checked {new Date(report.checkedAt).toLocaleString()}</small>
+              </span>
+              {canRebuild && drifted.length > 0 && (
+                <Button variant="danger" size="sm" onClick={() => rebuild()} disabled={isRebuilding}>
+                  Rebuild All Drifted
+                </Button>
+              )}
+            </Card.Header>
+            <Card.Body>
+              {report.items.length === 0 ? (
+                <p className="text-center text-success mb-0">Stock matches movement history for every product</p>
+              ) : (
+                <Table hover responsive size="sm">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th className="text-end">Stock</th>
+                      <th className="text-end">From History</th>
+                      <th className="text-end">Drift</th>
+                      <th className="text-end">Movements</th>
+                      <th>Issues</th>
+                      {canRebuild && <th></th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.items.map(item => (
+                      <tr key={item.product._id}>
+                        <td>
+                          <Link to={`/products/${item.product._id}`}>{item.product.name}</Link>
+                          <small className="text-muted d-block">{item.product.barcode}</small>
+                        </td>
+                        <td className="text-end">{item.currentStock}</td>
+                        <td className="text-end">{item.ledgerStock ?? '-'}</td>
+                        <td className={`text-end ${item.drift !== 0 ? 'text-danger' : ''}`}>
+                          {item.drift > 0 ? '+' : ''}{item.drift}
+                        </td>
+                        <td className="text-end">{item.movementCount}</td>
+                        <td>
+                          {item.issues.map(issue => (
+                            <small key={issue} className="d-block">{issue}</small>
+                          ))}
+                        </td>
+                        {canRebuild && (
+                          <td>
+                            {item.drift !== 0 && item.ledgerStock >= 0 && (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => rebuild([item.product._id])}
+                                disabled={isRebuilding}
+                              >
+                                Rebuild
+                              </Button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default StockIntegrityPage;
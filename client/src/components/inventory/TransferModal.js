@@ -0,0 +1,172 @@
+// client/src/components/inventory/TransferModal.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Modal, Button, Form, Row, Col, Alert, Table } from 'react-bootstrap';
+import { LocationSelect } from './LocationSelect';
+
+/**
+ * Move stock of a product from one location to another, showing how much
+ * of it is held where.
+ */
+export const TransferModal = ({ show, onHide, products, product, fromLocation, onSaved }) => {
+  const [formData, setFormData] = useState({});
+  const [stock, setStock] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setFormData({
+        product: product?._id || '',
+        quantity: 1,
+        fromLocation: fromLocation || '',
+        toLocation: '',
+        notes: ''
+      });
+      setError('');
+    }
+  }, [show, product, fromLocation]);
+
+  // Stock at each location for the chosen product
+  useEffect(() => {
+    if (!show || !formData.product) {
+      setStock(null);
+      return;
+    }
+
+    const fetchStock = async () => {
+      try {
+        const res = await axios.get(`/api/locations/product/${formData.product}`);
+        setStock(res.data);
+      } catch (err) {
+        setStock(null);
+      }
+    };
+
+    fetchStock();
+  }, [show, formData.product]);
+
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.post('/api/locations/transfer', formData);
+      onSaved(res.data.movement);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to transfer stock'
+      );
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Transfer Stock</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          <Form.Group className="mb-3">
+            <Form.Label>Product</Form.Label>
+            {product ? (
+              <Form.Control type="text" value={product.name} disabled />
+            ) : (
+              <Form.Select
+                value={formData.product || ''}
+                onChange={(e) => updateField('product', e.target.value)}
+                required
+              >
+                <option value="">Select a product...</option>
+                {(products || []).map(p => (
+                  <option key={p._id} value={p._id}>{p.name}</option>
+                ))}
+              </Form.Select>
+            )}
+          </Form.Group>
+          {stock && (
+            <Table size="sm" className="mb-3">
+              <tbody>
+                {stock.levels.map(level => (
+                  <tr key={level.location._id}>
+                    <td>{level.location.name}</td>
+                    <td className="text-end">{level.quantity}</td>
+                  </tr>
+                ))}
+                {stock.unlocated > 0 && (
+                  <tr>
+                    <td className="text-muted">No location yet</td>
+                    <td className="text-end text-muted">{stock.unlocated}</td>
+                  </tr>
+                )}
+              </tbody>
+            </Table>
+          )}
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>From</Form.Label>
+                <LocationSelect
+                  value={formData.fromLocation}
+                  onChange={(value) => updateField('fromLocation', value)}
+                  blankLabel="Select..."
+                  required
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>To</Form.Label>
+                <LocationSelect
+                  value={formData.toLocation}
+                  onChange={(value) => updateField('toLocation', value)}
+                  blankLabel="Select..."
+                  required
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Form.Group className="mb-3">
+            <Form.Label>Quantity</Form.Label>
+            <Form.Control
+              type="number"
+              min="1"
+              value={formData.quantity || ''}
+              onChange={(e) => updateField('quantity', e.target.value)}
+              required
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Notes</Form.Label>
+            <Form.Control
+              type="text"
+              value={formData.notes || ''}
+              onChange={(e) => updateField('notes', e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={isSubmitting}>
+            Transfer
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default TransferModal;
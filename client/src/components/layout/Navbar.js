@@ -1,11 +1,13 @@
 // src/components/layout/Navbar.js
-import React, { useContext } from 'react';
+import React, { useContext, useState } from 'react';
 import { Link } from 'react-router-dom';
 import AuthContext from '../../context/auth/authContext';
+import PinModal from '../auth/PinModal';
 
 const Navbar = () => {
   const authContext = useContext(AuthContext);
-  const { isAuthenticated, user, logout } = authContext;
+  const { isAuthenticated, user, logout, hasPermission } = authContext;
+  const [showPinModal, setShowPinModal] = useState(false);
 
   const onLogout = () => {
     logout();
@@ -18,6 +20,13 @@ const Navbar = () => {
           Hello, {user && user.name}
         </span>
       </li>
+      {hasPermission('discounts:override') && (
+        <li className="nav-item">
+          <a onClick={() => setShowPinModal(true)} href="#!" className="nav-link">
+            <i className="fas fa-key"></i> Override PIN
+          </a>
+        </li>
+      )}
       <li className="nav-item">
         <a onClick={onLogout} href="#!" className="nav-link">
           <i className="fas fa-sign-out-alt"></i> Logout
@@ -49,6 +58,7 @@ const Navbar = () => {
           </ul>
         </div>
       </div>
+      <PinModal show={showPinModal} onHide={() => setShowPinModal(false)} />
     </nav>
   );
 };
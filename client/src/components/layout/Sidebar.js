@@ -4,12 +4,7 @@ import AuthContext from '../../context/auth/authContext';
 
 const Sidebar = () => {
   const authContext = useContext(AuthContext);
-  const { user } = authContext;
-
-  // Determine which menu items to show based on user role
-  const isAdmin = user && user.role === 'admin';
-  const isManager = user && (user.role === 'admin' || user.role === 'manager');
-  const isInventory = user && (user.role === 'admin' || user.role === 'manager' || user.role === 'inventory');
+  const { hasPermission } = authContext;
 
   return (
     <div className="sidebar">
@@ -22,13 +17,23 @@ const Sidebar = () => {
             <i className="fas fa-tachometer-alt"></i> Dashboard
           </NavLink>
         </li>
-        <li>
-          <NavLink to="/pos">
-            <i className="fas fa-cash-register"></i> Point of Sale
-          </NavLink>
-        </li>
+        {hasPermission('sales:create') && (
+          <li>
+            <NavLink to="/pos">
+              <i className="fas fa-cash-register"></i> Point of Sale
+            </NavLink>
+          </li>
+        )}
         
-        {isInventory && (
+        {hasPermission('sales:resolve') && (
+          <li>
+            <NavLink to="/pos/conflicts">
+              <i className="fas fa-exclamation-triangle"></i> Sale Conflicts
+            </NavLink>
+          </li>
+        )}
+        
+        {hasPermission('inventory:view') && (
           <li>
             <NavLink to="/inventory">
               <i className="fas fa-boxes"></i> Inventory
@@ -36,7 +41,23 @@ const Sidebar = () => {
           </li>
         )}
         
-        {isInventory && (
+        {hasPermission('stockcounts:count') && (
+          <li>
+            <NavLink to="/stock-counts">
+              <i className="fas fa-clipboard-check"></i> Stock Counts
+            </NavLink>
+          </li>
+        )}
+        
+        {hasPermission('inventory:view') && (
+          <li>
+            <NavLink to="/locations">
+              <i className="fas fa-map-marker-alt"></i> Locations
+            </NavLink>
+          </li>
+        )}
+        
+        {hasPermission('inventory:view') && (
           <li>
             <NavLink to="/products">
               <i className="fas fa-seedling"></i> Products
@@ -44,7 +65,15 @@ const Sidebar = () => {
           </li>
         )}
         
-        {isManager && (
+        {hasPermission('production:view') && (
+          <li>
+            <NavLink to="/production">
+              <i className="fas fa-leaf"></i> Production
+            </NavLink>
+          </li>
+        )}
+        
+        {hasPermission('purchasing:view') && (
           <li>
             <NavLink to="/suppliers">
               <i className="fas fa-truck"></i> Suppliers
@@ -52,13 +81,31 @@ const Sidebar = () => {
           </li>
         )}
         
-        <li>
-          <NavLink to="/customers">
-            <i className="fas fa-users"></i> Customers
-          </NavLink>
-        </li>
+        {hasPermission('customers:view') && (
+          <li>
+            <NavLink to="/customers">
+              <i className="fas fa-users"></i> Customers
+            </NavLink>
+          </li>
+        )}
+        
+        {hasPermission('accounts:view') && (
+          <li>
+            <NavLink to="/accounts">
+              <i className="fas fa-file-invoice-dollar"></i> Trade Accounts
+            </NavLink>
+          </li>
+        )}
+        
+        {hasPermission('promotions:manage') && (
+          <li>
+            <NavLink to="/promotions">
+              <i className="fas fa-tags"></i> Promotions
+            </NavLink>
+          </li>
+        )}
         
-        {isManager && (
+        {hasPermission('reports:view') && (
           <li>
             <NavLink to="/reports">
               <i className="fas fa-chart-bar"></i> Reports
@@ -66,7 +113,7 @@ const Sidebar = () => {
           </li>
         )}
         
-        {isAdmin && (
+        {hasPermission('users:view') && (
           <li>
             <NavLink to="/users">
               <i className="fas fa-user-cog"></i> Users
@@ -74,7 +121,7 @@ const Sidebar = () => {
           </li>
         )}
         
-        {isAdmin && (
+        {hasPermission('loyalty:manage') && (
           <li>
             <NavLink to="/settings">
               <i className="fas fa-cogs"></i> Settings
@@ -1,9 +1,14 @@
 // src/components/pos/CartItem.js
 import React, { useState } from 'react';
 
-export const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
+// pricing is the server's quote for the line, with any promotion or discount applied
+export const CartItem = ({ item, pricing, onRemove, onUpdateQuantity, onApplyDiscount }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [quantity, setQuantity] = useState(item.quantity);
+  const [isDiscounting, setIsDiscounting] = useState(false);
+  const [discountPercent, setDiscountPercent] = useState(item.manualDiscount?.percent || '');
+  
+  const lineDiscount = pricing ? Math.round(pricing.discountAmount * pricing.quantity * 100) / 100 : 0;
 
   // Format currency
   const formatCurrency = (amount) => {
@@ -39,6 +44,16 @@ export const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
     }
   };
 
+  // Apply a manual discount, or clear it with an empty value
+  const handleApplyDiscount = () => {
+    const percent = parseFloat(discountPercent) || 0;
+    
+    if (percent < 0 || percent > 100) return;
+    
+    onApplyDiscount(item._id, percent);
+    setIsDiscounting(false);
+  };
+  
   return (
     <li className="list-group-item">
       <div className="d-flex justify-content-between align-items-center mb-2">
@@ -55,11 +70,17 @@ export const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
       <div className="d-flex justify-content-between align-items-center">
         <div>
           <small className="text-muted d-block">{formatCurrency(item.price)} each</small>
-          <small className="text-muted d-block">Tax: {item.taxRate}%</small>
+          {item.isGiftCard ? (
+            <small className="text-muted d-block">
+              {item.cardNumber ? `Card: ${item.cardNumber}` : 'New card number printed on receipt'}
+            </small>
+          ) : (
+            <small className="text-muted d-block">Tax: {item.taxRate}%</small>
+          )}
         </div>
         
         <div className="d-flex align-items-center">
-          {isEditing ? (
+          {item.isGiftCard ? null : isEditing ? (
             <div className="input-group input-group-sm">
               <input
                 type="number"
@@ -96,9 +117,59 @@ export const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
         </div>
       </div>
       
-      <div className="mt-2 text-end">
-        <strong>{formatCurrency(item.subtotal)}</strong>
+      {!item.isGiftCard && isDiscounting && (
+        <div className="input-group input-group-sm mt-2">
+          <span className="input-group-text">Discount</span>
+          <input
+            type="number"
+            className="form-control"
+            value={discountPercent}
+            onChange={(e) => setDiscountPercent(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleApplyDiscount()}
+            autoFocus
+            min="0"
+            max="100"
+            step="0.5"
+          />
+          <span className="input-group-text">%</span>
+          <button className="btn btn-sm btn-primary" onClick={handleApplyDiscount}>
+            Apply
+          </button>
+        </div>
+      )}
+      
+      <div className="d-flex justify-content-between align-items-center mt-2">
+        <div>
+          {!item.isGiftCard && !isDiscounting && (
+            <button
+              className="btn btn-sm btn-link p-0"
+              onClick={() => setIsDiscounting(true)}
+            >
+              <i className="fas fa-percent me-1"></i>
+              {item.manualDiscount?.percent ? `Manual ${item.manualDiscount.percent}%` : 'Discount'}
+            </button>
+          )}
+        </div>
+        <div className="text-end">
+          {lineDiscount > 0 ? (
+            <>
+              <small className="text-muted text-decoration-line-through me-2">{formatCurrency(item.subtotal)}</small>
+              <strong>{formatCurrency(item.subtotal - lineDiscount)}</strong>
+            </>
+          ) : (
+            <strong>{formatCurrency(item.subtotal)}</strong>
+          )}
+        </div>
       </div>
+      
+      {lineDiscount > 0 && (
+        <div className="text-end text-success">
+          <small>
+            <i className="fas fa-tag me-1"></i>
+            {pricing.discountReason || 'Discount'}: -{formatCurrency(lineDiscount)}
+          </small>
+        </div>
+      )}
     </li>
   );
 };
@@ -0,0 +1,67 @@
+// src/components/pos/CashCountForm.js
+import React from 'react';
+import { Table, Form } from 'react-bootstrap';
+import { DENOMINATIONS } from '../../utils/register';
+
+// Format currency
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount);
+};
+
+// Total of a { denomination: count } map
+export const countTotal = (counts) => {
+  const total = DENOMINATIONS.reduce((sum, d) => sum + d * (counts[d] || 0), 0);
+  return Math.round(total * 100) / 100;
+};
+
+// Convert a { denomination: count } map to the API's denomination list
+export const toDenominations = (counts) => {
+  return DENOMINATIONS.map(d => ({ denomination: d, count: counts[d] || 0 }));
+};
+
+export const CashCountForm = ({ counts, onChange }) => {
+  const updateCount = (denomination, value) => {
+    const count = parseInt(value);
+    onChange({ ...counts, [denomination]: isNaN(count) || count < 0 ? 0 : count });
+  };
+
+  return (
+    <Table size="sm" className="mb-0">
+      <thead>
+        <tr>
+          <th>Denomination</th>
+          <th style={{ width: '120px' }}>Count</th>
+          <th className="text-end">Value</th>
+        </tr>
+      </thead>
+      <tbody>
+        {DENOMINATIONS.map(denomination => (
+          <tr key={denomination}>
+            <td>{formatCurrency(denomination)}</td>
+            <td>
+              <Form.Control
+                type="number"
+                size="sm"
+                min="0"
+                value={counts[denomination] || ''}
+                onChange={(e) => updateCount(denomination, e.target.value)}
+              />
+            </td>
+            <td className="text-end">{formatCurrency(denomination * (counts[denomination] || 0))}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr>
+          <th colSpan="2">Total</th>
+          <th className="text-end">{formatCurrency(countTotal(counts))}</th>
+        </tr>
+      </tfoot>
+    </Table>
+  );
+};
+
+export default CashCountForm;
@@ -0,0 +1,110 @@
+// src/components/pos/CustomerLookup.js
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Form, Button, InputGroup, ListGroup, Badge } from 'react-bootstrap';
+
+// Find a customer by phone or email and attach them to the sale
+export const CustomerLookup = ({ customer, onSelect, onClear, disabled }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const search = async () => {
+    if (!query.trim()) return;
+
+    setIsSearching(true);
+    setError('');
+
+    try {
+      const res = await axios.get('/api/customers/lookup', { params: { q: query.trim() } });
+
+      // A single match is attached straight away
+      if (res.data.length === 1) {
+        selectCustomer(res.data[0]);
+      } else {
+        setResults(res.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Customer lookup failed');
+    }
+
+    setIsSearching(false);
+  };
+
+  const selectCustomer = (selected) => {
+    onSelect(selected);
+    setQuery('');
+    setResults(null);
+  };
+
+  if (customer) {
+    return (
+      <div className="d-flex justify-content-between align-items-center">
+        <div>
+          <i className="fas fa-user me-2"></i>
+          <strong>{customer.name}</strong>
+          <Badge bg="secondary" className="ms-2">{customer.membershipLevel}</Badge>
+          <div>
+            <small className="text-muted">
+              {customer.loyaltyPoints} pts
+              {customer.isCommercial && ` · ${customer.commercialDetails?.companyName || 'Commercial'}`}
+            </small>
+          </div>
+        </div>
+        <Button
+          variant="link"
+          size="sm"
+          className="text-danger p-0"
+          onClick={onClear}
+          disabled={disabled}
+        >
+          <i className="fas fa-times"></i>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <InputGroup size="sm">
+        <Form.Control
+          type="text"
+          placeholder="Customer phone or email"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setResults(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              search();
+            }
+          }}
+          disabled={disabled}
+        />
+        <Button variant="outline-secondary" onClick={search} disabled={disabled || isSearching}>
+          <i className="fas fa-search"></i>
+        </Button>
+      </InputGroup>
+      {error && <Form.Text className="text-danger">{error}</Form.Text>}
+      {results && (
+        results.length === 0 ? (
+          <Form.Text className="text-muted">No matching customers</Form.Text>
+        ) : (
+          <ListGroup className="mt-2">
+            {results.map(result => (
+              <ListGroup.Item key={result._id} action onClick={() => selectCustomer(result)}>
+                <strong>{result.name}</strong>
+                <small className="text-muted ms-2">{result.phone || result.email}</small>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )
+      )}
+    </>
+  );
+};
+
+export default CustomerLookup;
@@ -0,0 +1,134 @@
+// src/components/pos/GiftCardModal.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Modal, Button, Form, Alert, InputGroup, Spinner } from 'react-bootstrap';
+
+// Sell or top up a gift card as a cart line, or check a card's balance
+export const GiftCardModal = ({ show, onHide, onAddToCart }) => {
+  const [cardNumber, setCardNumber] = useState('');
+  const [amount, setAmount] = useState('');
+  const [card, setCard] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setCardNumber('');
+      setAmount('');
+      setCard(null);
+      setError('');
+    }
+  }, [show]);
+
+  // Format currency
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(value);
+  };
+
+  const checkBalance = async () => {
+    if (!cardNumber.trim()) return;
+
+    setIsChecking(true);
+    setError('');
+
+    try {
+      const res = await axios.get(`/api/gift-cards/${encodeURIComponent(cardNumber.trim())}`);
+      setCard(res.data.card);
+    } catch (err) {
+      setCard(null);
+      setError(err.response?.data?.message || 'Failed to check balance');
+    }
+
+    setIsChecking(false);
+  };
+
+  const handleAdd = () => {
+    const value = parseFloat(amount);
+
+    if (isNaN(value) || value <= 0) {
+      setError('Enter an amount greater than zero');
+      return;
+    }
+
+    if (card && card.status !== 'Active') {
+      setError('This card has been cancelled');
+      return;
+    }
+
+    onAddToCart(cardNumber.trim(), Math.round(value * 100) / 100);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>Gift Card</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <Form.Group className="mb-3">
+          <Form.Label>Card Number</Form.Label>
+          <InputGroup>
+            <Form.Control
+              type="text"
+              value={cardNumber}
+              placeholder="Scan card, or leave blank to issue a new number"
+              onChange={(e) => {
+                setCardNumber(e.target.value);
+                setCard(null);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  checkBalance();
+                }
+              }}
+              autoFocus
+            />
+            <Button
+              variant="outline-secondary"
+              onClick={checkBalance}
+              disabled={!cardNumber.trim() || isChecking}
+            >
+              {isChecking ? <Spinner as="span" animation="border" size="sm" /> : 'Check Balance'}
+            </Button>
+          </InputGroup>
+        </Form.Group>
+
+        {card && (
+          <Alert variant={card.status === 'Active' ? 'info' : 'warning'}>
+            Balance: <strong>{formatCurrency(card.balance)}</strong>
+            {card.status !== 'Active' && ` (${card.status})`}
+          </Alert>
+        )}
+
+        <Form.Group>
+          <Form.Label>{card ? 'Top Up Amount' : 'Amount'}</Form.Label>
+          <InputGroup>
+            <InputGroup.Text>$</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+          </InputGroup>
+        </Form.Group>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+        <Button variant="success" onClick={handleAdd} disabled={!amount}>
+          Add to Cart
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default GiftCardModal;
@@ -0,0 +1,102 @@
+// src/components/pos/ManagerOverrideModal.js
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Modal, Button, Form, Alert } from 'react-bootstrap';
+
+/**
+ * Ask a manager to approve an action by choosing their name and entering
+ * their PIN. On success the short-lived override token is handed back to
+ * send with the request.
+ */
+export const ManagerOverrideModal = ({ show, permission, message, onHide, onApproved }) => {
+  const [approvers, setApprovers] = useState([]);
+  const [approver, setApprover] = useState('');
+  const [pin, setPin] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchApprovers = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/auth/approvers', { params: { permission } });
+      setApprovers(res.data);
+      setApprover(res.data.length === 1 ? res.data[0].id : '');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load managers');
+    }
+  }, [permission]);
+
+  // Never leave a PIN in the field between approvals
+  useEffect(() => {
+    if (show) {
+      setPin('');
+      setError('');
+      fetchApprovers();
+    }
+  }, [show, fetchApprovers]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.post('/api/auth/override', { approver, pin, permission });
+      onApproved(res.data.token, res.data.approver);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Approval failed');
+      setPin('');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="sm">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Manager Approval</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {message && <p>{message}</p>}
+          {error && <Alert variant="danger">{error}</Alert>}
+          <Form.Group className="mb-3">
+            <Form.Label>Manager</Form.Label>
+            <Form.Select
+              value={approver}
+              onChange={(e) => setApprover(e.target.value)}
+              required
+            >
+              <option value="">Choose manager...</option>
+              {approvers.map(a => (
+                <option key={a.id} value={a.id}>{a.name}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Manager PIN</Form.Label>
+            <Form.Control
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              autoFocus
+              required
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={isSubmitting || !approver || !pin}>
+            Approve
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ManagerOverrideModal;
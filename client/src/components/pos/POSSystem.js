@@ -1,13 +1,39 @@
 // client/src/components/pos/POSSystem.js
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { Container, Row, Col, Card, ListGroup, Form, Button, Alert, Modal, Spinner } from 'react-bootstrap';
 import { BarcodeScanner } from './BarcodeScanner';
 import { CategorySelector } from './CategorySelector';
 import { ProductGrid } from './ProductGrid';
 import { CartItem } from './CartItem';
-import { PaymentModal } from './PaymentModal';
+import { PaymentModal, CARD_METHODS } from './PaymentModal';
+import { RegisterSessionModal } from './RegisterSessionModal';
+import { GiftCardModal } from './GiftCardModal';
+import { CustomerLookup } from './CustomerLookup';
+import { ManagerOverrideModal } from './ManagerOverrideModal';
+import { ParkSaleModal } from './ParkSaleModal';
+import { ParkedSalesModal } from './ParkedSalesModal';
 import ReceiptPrinter from '../../utils/ReceiptPrinter';
+import { getRegisterNumber } from '../../utils/register';
+import { useLiveEvents } from '../../utils/liveEvents';
+import {
+  cacheData,
+  getCachedData,
+  getQueuedSales,
+  isNetworkError,
+  nextProvisionalNumber,
+  queueSale,
+  syncQueuedSales
+} from '../../utils/offlineStore';
+
+// How often queued offline sales are retried while the register is online
+const SYNC_INTERVAL = 30000;
+
+// How often a card payment is checked while the customer uses the terminal
+const TERMINAL_POLL_INTERVAL = 1000;
+
+const CARD_APPROVED = ['Approved', 'Partially Approved'];
 
 const POSSystem = () => {
   // State management
@@ -22,15 +48,63 @@ const POSSystem = () => {
   const [showPaymentModal, setShowPaymentModal] = useState(false);
   const [paymentStatus, setPaymentStatus] = useState(null);
   const [currentSale, setCurrentSale] = useState(null);
+  const [tenders, setTenders] = useState([]);
+  const [paymentError, setPaymentError] = useState('');
+  const [registerSession, setRegisterSession] = useState(null);
+  const [registerChecked, setRegisterChecked] = useState(false);
+  const [registerModal, setRegisterModal] = useState(null);
+  const [showGiftCardModal, setShowGiftCardModal] = useState(false);
+  const [customer, setCustomer] = useState(null);
+  const [loyaltySettings, setLoyaltySettings] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [discountOverride, setDiscountOverride] = useState(null);
+  const [showOverrideModal, setShowOverrideModal] = useState(false);
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const [queuedSales, setQueuedSales] = useState([]);
+  const [syncMessage, setSyncMessage] = useState('');
+  const [terminalTransaction, setTerminalTransaction] = useState(null);
+  const [showParkModal, setShowParkModal] = useState(false);
+  const [showParkedSales, setShowParkedSales] = useState(false);
+  const [parkMessage, setParkMessage] = useState('');
   
+  const registerNumber = getRegisterNumber();
+  
+  // Sale that has taken some tenders but still has a balance owing
+  const pendingSale = currentSale && currentSale.status === 'Pending Payment' ? currentSale : null;
   const barcodeScannerRef = useRef(null);
   const searchInputRef = useRef(null);
   
-  // Load products and categories on component mount
+  // The catalogue and register are kept so a reload while offline can still sell
   useEffect(() => {
-    fetchProducts();
-    fetchCategories();
-  }, []);
+    if (products.length > 0) {
+      cacheData('products', products).catch(() => {});
+    }
+  }, [products]);
+  
+  useEffect(() => {
+    if (registerChecked) {
+      cacheData(`registerSession:${registerNumber}`, registerSession).catch(() => {});
+    }
+  }, [registerSession, registerChecked, registerNumber]);
+  
+  // Stock sold at other registers shows straight away, and the cashier is
+  // warned if it leaves less than is in this cart. Changes made while this
+  // register is taking payment are its own sale.
+  useLiveEvents({
+    'stock:changed': ({ product }) => {
+      setProducts(prev => prev.map(p => (
+        p._id === product._id
+          ? { ...p, currentStock: product.currentStock, sellableStock: product.sellableStock }
+          : p
+      )));
+      
+      const inCart = cart.find(item => item._id === product._id);
+      
+      if (inCart && !pendingSale && !isLoading && inCart.quantity > product.sellableStock) {
+        setError(`Only ${product.sellableStock} of ${product.name} left, the cart has ${inCart.quantity}`);
+      }
+    }
+  });
   
   // Filter products when search or category changes
   useEffect(() => {
@@ -45,27 +119,125 @@ const POSSystem = () => {
   }, [cart]);
   
   // API calls
-  const fetchProducts = async () => {
+  const fetchRegisterSession = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/registers/current', { params: { registerNumber } });
+      setRegisterSession(res.data.session);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        setIsOffline(true);
+        setRegisterSession(await getCachedData(`registerSession:${registerNumber}`).catch(() => null) || null);
+      } else {
+        setError('Failed to load register status');
+      }
+    }
+    setRegisterChecked(true);
+  }, [registerNumber]);
+  
+  // Point values are needed for loyalty point tenders
+  const fetchLoyaltySettings = async () => {
+    try {
+      const res = await axios.get('/api/loyalty/settings');
+      setLoyaltySettings(res.data);
+    } catch (err) {
+      console.error('Failed to load loyalty settings:', err);
+    }
+  };
+  
+  const fetchProducts = useCallback(async () => {
     setIsLoading(true);
     try {
-      const res = await axios.get('/api/products');
-      setProducts(res.data);
+      // Sellable stock is what is held at the sales location
+      const res = await axios.get('/api/products', { params: { active: true, sellable: true } });
+      setProducts(res.data.products);
       setIsLoading(false);
     } catch (err) {
-      setError('Failed to load products');
+      const cached = isNetworkError(err) ? await getCachedData('products').catch(() => null) : null;
+      
+      if (cached) {
+        setIsOffline(true);
+        setProducts(cached);
+      } else {
+        setError('Failed to load products');
+      }
       setIsLoading(false);
     }
-  };
+  }, []);
   
   const fetchCategories = async () => {
     try {
       const res = await axios.get('/api/products/categories');
       setCategories(res.data);
+      cacheData('categories', res.data).catch(() => {});
     } catch (err) {
-      setError('Failed to load categories');
+      const cached = isNetworkError(err) ? await getCachedData('categories').catch(() => null) : null;
+      
+      if (cached) {
+        setCategories(cached);
+      } else {
+        setError('Failed to load categories');
+      }
     }
   };
   
+  // Send any sales made offline. The server saves each one and raises a
+  // conflict for a manager if stock or prices no longer line up.
+  const syncSales = useCallback(async () => {
+    try {
+      const result = await syncQueuedSales();
+      
+      if (result.synced > 0) {
+        setSyncMessage(
+          `${result.synced} offline sale(s) synced` +
+          (result.conflicts > 0 ? `, ${result.conflicts} conflict(s) sent to a manager` : '')
+        );
+        fetchProducts();
+      }
+      
+      setQueuedSales(await getQueuedSales());
+    } catch (err) {
+      console.error('Failed to sync offline sales:', err);
+    }
+  }, [fetchProducts]);
+  
+  // Load products and categories on component mount
+  useEffect(() => {
+    fetchProducts();
+    fetchCategories();
+    fetchRegisterSession();
+    fetchLoyaltySettings();
+    syncSales();
+  }, [fetchProducts, fetchRegisterSession, syncSales]);
+  
+  // Follow the connection, and send queued sales as soon as it comes back
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOffline(false);
+      syncSales();
+      fetchProducts();
+      fetchRegisterSession();
+    };
+    const goOffline = () => setIsOffline(true);
+    
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [fetchProducts, fetchRegisterSession, syncSales]);
+  
+  // Keep retrying while sales are waiting, in case the browser missed the
+  // connection coming back or the server was down rather than the network
+  useEffect(() => {
+    if (queuedSales.length === 0) return;
+    
+    const timer = setInterval(syncSales, SYNC_INTERVAL);
+    
+    return () => clearInterval(timer);
+  }, [queuedSales.length, syncSales]);
+  
   // Filter products based on search and category
   const filterProducts = () => {
     let result = [...products];
@@ -93,6 +265,23 @@ const POSSystem = () => {
   const handleBarcodeSubmit = async (barcode) => {
     if (!barcode) return;
     
+    // Scan against the cached catalogue while offline
+    if (isOffline) {
+      const product = products.find(p => p.barcode === barcode);
+      
+      if (product) {
+        addToCart(product);
+      } else {
+        setError(`Product with barcode ${barcode} not found`);
+        setTimeout(() => setError(''), 3000);
+      }
+      
+      if (barcodeScannerRef.current) {
+        barcodeScannerRef.current.value = '';
+      }
+      return;
+    }
+    
     try {
       const res = await axios.get(`/api/barcode/${barcode}`);
       const product = res.data;
@@ -112,10 +301,23 @@ const POSSystem = () => {
     }
   };
   
+  // The cart can't change once a sale has been created for it
+  const isCartLocked = () => {
+    if (pendingSale) {
+      setError(`Finish payment for sale #${pendingSale.saleNumber} first`);
+      return true;
+    }
+    return false;
+  };
+  
   // Add product to cart
   const addToCart = (product, quantity = 1) => {
-    if (product.currentStock < quantity) {
-      setError(`Only ${product.currentStock} units available`);
+    if (isCartLocked()) return;
+    
+    const available = product.sellableStock ?? product.currentStock;
+    
+    if (available < quantity) {
+      setError(`Only ${available} units available`);
       return;
     }
     
@@ -129,8 +331,8 @@ const POSSystem = () => {
         const newQuantity = updatedCart[existingItemIndex].quantity + quantity;
         
         // Check stock for updated quantity
-        if (product.currentStock < newQuantity) {
-          setError(`Only ${product.currentStock} units available`);
+        if (available < newQuantity) {
+          setError(`Only ${available} units available`);
           return prevCart;
         }
         
@@ -151,7 +353,7 @@ const POSSystem = () => {
           taxRate: product.taxRate || 15, // Default GST rate
           quantity: quantity,
           subtotal: parseFloat((product.sellingPrice * quantity).toFixed(2)),
-          stock: product.currentStock
+          stock: available
         }];
       }
     });
@@ -160,13 +362,46 @@ const POSSystem = () => {
     setError('');
   };
   
+  // Add a gift card sale or top-up as its own cart line
+  const addGiftCardToCart = (cardNumber, amount) => {
+    if (isCartLocked()) return;
+    
+    if (isOffline) {
+      setError('Gift cards cannot be sold while the register is offline');
+      return;
+    }
+    
+    if (cardNumber && cart.some(item => item.isGiftCard && item.cardNumber === cardNumber)) {
+      setError(`Gift card ${cardNumber} is already in the cart`);
+      return;
+    }
+    
+    setCart(prevCart => [...prevCart, {
+      _id: `giftcard-${cardNumber || Date.now()}`,
+      isGiftCard: true,
+      cardNumber,
+      name: cardNumber ? 'Gift Card Top Up' : 'Gift Card',
+      price: amount,
+      taxRate: 0,
+      quantity: 1,
+      subtotal: amount
+    }]);
+    
+    setShowGiftCardModal(false);
+    setError('');
+  };
+  
   // Remove item from cart
   const removeFromCart = (productId) => {
+    if (isCartLocked()) return;
+    
     setCart(prevCart => prevCart.filter(item => item._id !== productId));
   };
   
   // Update item quantity in cart
   const updateCartItemQuantity = (productId, newQuantity) => {
+    if (isCartLocked()) return;
+    
     setCart(prevCart => {
       return prevCart.map(item => {
         if (item._id === productId) {
@@ -192,118 +427,418 @@ const POSSystem = () => {
     });
   };
   
-  // Calculate cart totals
+  // Set or clear a manual discount on a line. Any earlier manager approval
+  // no longer covers the changed discounts.
+  const applyLineDiscount = (productId, percent) => {
+    if (isCartLocked()) return;
+    
+    // Discounts are priced and approved on the server
+    if (isOffline && percent > 0) {
+      setError('Discounts cannot be given while the register is offline');
+      return;
+    }
+    
+    setCart(prevCart => prevCart.map(item => item._id === productId
+      ? { ...item, manualDiscount: percent > 0 ? { percent } : undefined }
+      : item
+    ));
+    setDiscountOverride(null);
+  };
+  
+  // Cart totals from the server's quote, or list prices until it arrives
   const calculateCartTotals = () => {
-    const subtotal = cart.reduce((sum, item) => sum + item.subtotal, 0);
-    const taxAmount = cart.reduce((sum, item) => {
-      const itemTax = (item.subtotal * (item.taxRate / 100));
-      return sum + itemTax;
-    }, 0);
+    if (quote) {
+      return {
+        subtotal: quote.subtotal,
+        discount: quote.discountTotal,
+        tax: quote.taxTotal,
+        total: quote.total
+      };
+    }
     
-    const total = subtotal + taxAmount;
+    const subtotal = cart.reduce((sum, item) => sum + item.subtotal, 0);
+    const taxAmount = cart.reduce((sum, item) => sum + item.subtotal * (item.taxRate / 100), 0);
     
     return {
       subtotal: parseFloat(subtotal.toFixed(2)),
+      discount: 0,
       tax: parseFloat(taxAmount.toFixed(2)),
-      total: parseFloat(total.toFixed(2))
+      total: parseFloat((subtotal + taxAmount).toFixed(2))
     };
   };
   
+  // Cart lines as the sales API expects them
+  const getSaleItems = useCallback(() => cart.map(item => item.isGiftCard ? {
+    giftCard: { cardNumber: item.cardNumber || undefined, amount: item.price },
+    quantity: 1
+  } : {
+    product: item._id,
+    quantity: item.quantity,
+    manualDiscount: item.manualDiscount
+  }), [cart]);
+  
+  // Have the server price the cart whenever it or the customer changes, so
+  // promotions and discounts show against each line before checkout
+  useEffect(() => {
+    if (cart.length === 0 || isOffline) {
+      setQuote(null);
+      return;
+    }
+    
+    let cancelled = false;
+    
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.post('/api/sales/quote', {
+          customer: customer ? customer._id : undefined,
+          items: getSaleItems()
+        });
+        
+        if (!cancelled) {
+          setQuote(res.data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setQuote(null);
+          
+          if (isNetworkError(err)) {
+            setIsOffline(true);
+          } else {
+            setError(err.response?.data?.message || 'Failed to price cart');
+          }
+        }
+      }
+    }, 250);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cart, customer, isOffline, getSaleItems]);
+  
+  
   // Clear the cart
   const clearCart = () => {
+    if (isCartLocked()) return;
+    
+    setCart([]);
+    setTenders([]);
+    setCurrentSale(null);
+    setCustomer(null);
+    setDiscountOverride(null);
+  };
+  
+  // Park the cart on the server so the customer can keep shopping, and
+  // start a fresh cart. Errors are shown in the park dialog.
+  const parkSale = async (label) => {
+    const res = await axios.post('/api/parked-sales', {
+      label,
+      customer: customer ? customer._id : undefined,
+      items: getSaleItems(),
+      registerNumber
+    });
+    
     setCart([]);
+    setTenders([]);
     setCurrentSale(null);
+    setCustomer(null);
+    setDiscountOverride(null);
+    setShowParkModal(false);
+    setParkMessage(res.data.message);
+  };
+  
+  // Load a recalled cart, taking stock levels from this register's catalogue.
+  // Manual discounts need approving again at checkout.
+  const loadParkedSale = (parked) => {
+    const missing = [];
+    
+    const recalledCart = parked.items.map(item => {
+      if (item.giftCard && item.giftCard.amount) {
+        return {
+          _id: `giftcard-${item.giftCard.cardNumber || Date.now()}`,
+          isGiftCard: true,
+          cardNumber: item.giftCard.cardNumber,
+          name: item.name,
+          price: item.giftCard.amount,
+          taxRate: 0,
+          quantity: 1,
+          subtotal: item.giftCard.amount
+        };
+      }
+      
+      const product = products.find(p => p._id === item.product?._id) || item.product;
+      
+      if (!product || product.isActive === false) {
+        missing.push(item.name);
+        return null;
+      }
+      
+      return {
+        _id: product._id,
+        barcode: product.barcode,
+        name: product.name,
+        price: product.sellingPrice,
+        taxRate: product.taxRate || 15, // Default GST rate
+        quantity: item.quantity,
+        subtotal: parseFloat((product.sellingPrice * item.quantity).toFixed(2)),
+        stock: product.sellableStock ?? product.currentStock ?? item.quantity,
+        manualDiscount: item.manualDiscount?.percent ? item.manualDiscount : undefined
+      };
+    }).filter(Boolean);
+    
+    setCart(recalledCart);
+    setTenders([]);
+    setCurrentSale(null);
+    setCustomer(parked.customer || null);
+    setDiscountOverride(null);
+    setShowParkedSales(false);
+    setParkMessage(`Recalled ${parked.label}`);
+    setError(missing.length > 0 ? `No longer for sale and left out: ${missing.join(', ')}` : '');
+  };
+  
+  // Create the sale with the tenders taken so far; the server prices the
+  // items and marks it Pending Payment if the tenders fall short
+  const createSale = async (payments) => {
+    const res = await axios.post('/api/sales', {
+      registerNumber,
+      customer: customer ? customer._id : undefined,
+      items: getSaleItems(),
+      payments,
+      discountOverride: discountOverride ? discountOverride.token : undefined
+    });
+    
+    return res.data.sale;
+  };
+  
+  const completeSale = (sale) => {
+    setCurrentSale(sale);
+    setTenders([]);
+    setCart([]);
+    setCustomer(null);
+    setDiscountOverride(null);
+    setTerminalTransaction(null);
+    setPaymentStatus('success');
+    
+    // Optional: Print receipt
+    if (sale && sale.saleNumber) {
+      ReceiptPrinter.printReceipt(customer ? { ...sale, customer } : sale);
+    }
   };
   
-  // Process payment and create sale
-  const processSale = async (paymentMethod, amountTendered) => {
+  // Queue a cash sale rung up offline and print its receipt with a
+  // provisional number. The server gives it a sale number when it syncs.
+  const recordOfflineSale = async (payments) => {
+    const totals = calculateCartTotals();
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const provisionalNumber = nextProvisionalNumber(registerNumber);
+    const recordedAt = new Date().toISOString();
+    
+    await queueSale({
+      provisionalNumber,
+      registerNumber,
+      recordedAt,
+      customer: customer ? customer._id : undefined,
+      items: getSaleItems(),
+      payments: payments.map(({ method, amount }) => ({ method, amount })),
+      total: totals.total
+    });
+    
+    // Take the units off the cached stock so the next sale sees them gone
+    setProducts(prev => prev.map(product => {
+      const inCart = cart.find(item => item._id === product._id);
+      
+      return inCart ? {
+        ...product,
+        currentStock: product.currentStock - inCart.quantity,
+        sellableStock: (product.sellableStock ?? product.currentStock) - inCart.quantity
+      } : product;
+    }));
+    setQueuedSales(await getQueuedSales());
+    
+    return {
+      saleNumber: provisionalNumber,
+      status: 'Completed',
+      createdAt: recordedAt,
+      items: cart.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        subtotal: item.subtotal
+      })),
+      subtotal: totals.subtotal,
+      taxTotal: totals.tax,
+      discountTotal: totals.discount,
+      total: totals.total,
+      payments,
+      changeDue: Math.round((paid - totals.total) * 100) / 100
+    };
+  };
+  
+  // Follow a card payment on the terminal until the customer is done, so its
+  // prompts show in the payment modal
+  const waitForTerminal = async (started) => {
+    let result = started;
+    
+    setTerminalTransaction(result.transaction);
+    
+    while (result.transaction.status === 'Pending') {
+      await new Promise(resolve => setTimeout(resolve, TERMINAL_POLL_INTERVAL));
+      
+      const res = await axios.get(`/api/payments/eftpos/${result.transaction._id}`);
+      result = res.data;
+      setTerminalTransaction(result.transaction);
+    }
+    
+    return result;
+  };
+  
+  const confirmSignature = async (accepted) => {
+    try {
+      await axios.post(`/api/payments/eftpos/${terminalTransaction._id}/signature`, { accepted });
+    } catch (err) {
+      setPaymentError(err.response?.data?.message || 'Failed to send signature check to the terminal');
+    }
+  };
+  
+  const cancelCardPayment = async () => {
+    try {
+      await axios.post(`/api/payments/eftpos/${terminalTransaction._id}/cancel`);
+    } catch (err) {
+      setPaymentError(err.response?.data?.message || 'Failed to cancel the card payment');
+    }
+  };
+  
+  // Add a tender towards the sale. Non-card tenders are collected until the
+  // total is covered or a card leg is needed; the sale is then created and
+  // each card leg is charged against it on the EFTPOS terminal in turn.
+  const addTender = async (paymentMethod, amount, reference) => {
     if (cart.length === 0) {
       setError('Cannot process empty cart');
       return;
     }
     
+    if (!registerSession) {
+      setError(`Register ${registerNumber} is not open`);
+      return;
+    }
+    
+    const isCardPayment = CARD_METHODS.includes(paymentMethod);
+    
+    if (isOffline && paymentMethod !== 'Cash') {
+      setPaymentError('Only cash can be taken while the register is offline');
+      return;
+    }
+    
+    setPaymentError('');
     setIsLoading(true);
     
     try {
-      const totals = calculateCartTotals();
+      let sale = pendingSale;
       
-      // Prepare sale data
-      const saleData = {
-        items: cart.map(item => ({
-          product: item._id,
-          barcode: item.barcode,
-          name: item.name,
-          quantity: item.quantity,
-          pricePerUnit: item.price,
-          taxRate: item.taxRate,
-          taxAmount: parseFloat(((item.price * item.quantity) * (item.taxRate / 100)).toFixed(2)),
-          subtotal: item.subtotal,
-          total: parseFloat((item.subtotal + ((item.subtotal * item.taxRate) / 100)).toFixed(2))
-        })),
-        subtotal: totals.subtotal,
-        taxTotal: totals.tax,
-        total: totals.total,
-        amountTendered: parseFloat(amountTendered) || totals.total,
-        changeDue: parseFloat(amountTendered) > totals.total ? 
-          parseFloat((parseFloat(amountTendered) - totals.total).toFixed(2)) : 0,
-        payments: [
-          {
+      if (isOffline) {
+        const updatedTenders = [...tenders, { method: paymentMethod, amount }];
+        const tendered = updatedTenders.reduce((sum, tender) => sum + tender.amount, 0);
+        
+        if (tendered < calculateCartTotals().total) {
+          setTenders(updatedTenders);
+          setIsLoading(false);
+          return;
+        }
+        
+        sale = await recordOfflineSale(updatedTenders);
+        setTenders([]);
+      } else if (!isCardPayment) {
+        if (sale) {
+          const res = await axios.post(`/api/sales/${sale._id}/payments`, {
             method: paymentMethod,
-            amount: totals.total
+            amount,
+            reference
+          });
+          sale = res.data.sale;
+        } else {
+          const updatedTenders = [...tenders, { method: paymentMethod, amount, reference }];
+          const tendered = updatedTenders.reduce((sum, tender) => sum + tender.amount, 0);
+          
+          // Keep collecting until the tenders cover the total
+          if (tendered < calculateCartTotals().total) {
+            setTenders(updatedTenders);
+            setIsLoading(false);
+            return;
           }
-        ]
-      };
-      
-      // Send sale to server
-      const res = await axios.post('/api/sales', saleData);
-      
-      // Handle EFTPOS payments if necessary
-      if (paymentMethod === 'EFTPOS' || paymentMethod === 'Credit Card') {
-        // Process EFTPOS payment
-        setPaymentStatus('processing');
+          
+          sale = await createSale(updatedTenders);
+          setTenders([]);
+        }
+      } else {
+        if (!sale) {
+          sale = await createSale(tenders);
+          setTenders([]);
+          setCurrentSale(sale);
+        }
         
-        const paymentRes = await axios.post('/api/payments/eftpos', {
-          amount: totals.total,
-          saleReference: res.data.saleNumber
-        });
+        // Send the card leg to the terminal and follow it until it finishes
+        setPaymentStatus('processing');
+        setTerminalTransaction(null);
         
-        if (paymentRes.data.success) {
-          setPaymentStatus('success');
-        } else {
+        try {
+          const startRes = await axios.post('/api/payments/eftpos', {
+            amount,
+            method: paymentMethod,
+            saleReference: sale.saleNumber
+          });
+          const result = await waitForTerminal(startRes.data);
+          const { transaction } = result;
+          
+          sale = result.sale;
+          
+          if (!CARD_APPROVED.includes(transaction.status)) {
+            setCurrentSale(sale);
+            setPaymentError(transaction.responseText || `Card payment ${transaction.status.toLowerCase()}`);
+            setPaymentStatus('failed');
+            setIsLoading(false);
+            return;
+          }
+        } catch (err) {
+          // The terminal could not be reached; earlier tenders stay on the sale
+          setPaymentError(err.response?.data?.message || 'Card payment failed');
           setPaymentStatus('failed');
-          throw new Error(paymentRes.data.message || 'Payment processing failed');
+          setIsLoading(false);
+          return;
         }
-      } else {
-        setPaymentStatus('success');
       }
       
-      // Set current sale for receipt
-      setCurrentSale(res.data);
-      
-      // Update inventory for sold items
-      for (const item of cart) {
-        await axios.post('/api/barcode/movement', {
-          barcode: item.barcode,
-          quantity: item.quantity,
-          movementType: 'Sold',
-          reference: res.data.saleNumber
-        });
+      if (sale.status === 'Completed') {
+        completeSale(sale);
+      } else {
+        setCurrentSale(sale);
+        setPaymentStatus(null);
+      }
+    } catch (err) {
+      // An expired or missing approval has to be given again
+      if (err.response?.status === 403) {
+        setDiscountOverride(null);
       }
       
-      // Clear the cart after successful sale
-      setCart([]);
-      setIsLoading(false);
-      
-      // Optional: Print receipt
-      if (res.data && res.data.saleNumber) {
-        ReceiptPrinter.printReceipt(res.data);
+      // The connection dropped before the sale was saved; take cash offline instead
+      if (isNetworkError(err) && !pendingSale) {
+        setIsOffline(true);
+        setTenders([]);
+        setPaymentError('The register has gone offline. Take the payment again in cash.');
+        setPaymentStatus('failed');
+        setIsLoading(false);
+        return;
       }
       
-    } catch (err) {
-      setError(err.response?.data?.message || 'Failed to process sale');
+      setPaymentError(err.response?.data?.message || 'Failed to process sale');
       setPaymentStatus('failed');
-      setIsLoading(false);
     }
+    
+    setIsLoading(false);
+  };
+  
+  // Tenders collected before the sale is created can still be taken back
+  const removeTender = (index) => {
+    setTenders(prevTenders => prevTenders.filter((tender, i) => i !== index));
   };
   
   // Handle payment modal
@@ -313,17 +848,41 @@ const POSSystem = () => {
       return;
     }
     
+    if (!registerSession) {
+      setError(`Open register ${registerNumber} before making sales`);
+      return;
+    }
+    
+    if (isOffline && pendingSale) {
+      setError(`Sale #${pendingSale.saleNumber} can only be finished once the register is back online`);
+      return;
+    }
+    
+    if (isOffline && cart.some(item => item.isGiftCard || item.manualDiscount)) {
+      setError('Remove gift cards and discounts from the cart to sell offline');
+      return;
+    }
+    
+    // Manual discounts over the cashier's limit need a manager's PIN first
+    if (!isOffline && !pendingSale && quote && quote.approvalRequired && !discountOverride) {
+      setShowOverrideModal(true);
+      return;
+    }
+    
+    // Start fresh unless a sale is still awaiting payment
+    if (!pendingSale) {
+      setCurrentSale(null);
+    }
+    
     setPaymentStatus(null);
+    setPaymentError('');
+    setTerminalTransaction(null);
     setShowPaymentModal(true);
   };
   
   const closePaymentModal = () => {
     setShowPaymentModal(false);
-    
-    // If payment was successful and we have a current sale
-    if (paymentStatus === 'success' && currentSale) {
-      // Optionally show receipt or confirmation
-    }
+    setPaymentError('');
   };
   
   // Cart totals
@@ -334,9 +893,126 @@ const POSSystem = () => {
       <Row className="mb-3">
         <Col>
           <h2>Plant Nursery POS</h2>
+          <small className="text-muted">
+            Register {registerNumber}
+            {registerSession && ` - open since ${new Date(registerSession.openedAt).toLocaleTimeString()}`}
+          </small>
+        </Col>
+        {registerSession && (
+          <Col xs="auto">
+            <Button
+              variant="outline-secondary"
+              className="me-2"
+              onClick={() => setRegisterModal('cash')}
+              disabled={isOffline}
+            >
+              <i className="fas fa-exchange-alt me-1"></i> Paid In/Out
+            </Button>
+            <Button
+              variant="outline-danger"
+              onClick={() => setRegisterModal('close')}
+              disabled={cart.length > 0 || pendingSale !== null || isOffline || queuedSales.length > 0}
+            >
+              <i className="fas fa-lock me-1"></i> Close Register
+            </Button>
+          </Col>
+        )}
+        <Col xs="auto">
+          <Button
+            variant="outline-secondary"
+            className="me-2"
+            onClick={() => setShowParkedSales(true)}
+            disabled={isOffline || cart.length > 0 || pendingSale !== null}
+          >
+            <i className="fas fa-parking me-1"></i> Parked Sales
+          </Button>
+          <Button
+            variant="outline-secondary"
+            className="me-2"
+            onClick={() => setShowGiftCardModal(true)}
+            disabled={isOffline}
+          >
+            <i className="fas fa-gift me-1"></i> Gift Card
+          </Button>
+          <Link to="/pos/returns" className="btn btn-outline-secondary">
+            <i className="fas fa-undo me-1"></i> Returns
+          </Link>
         </Col>
       </Row>
       
+      {(isOffline || queuedSales.length > 0) && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant={isOffline ? 'warning' : 'info'} className="d-flex justify-content-between align-items-center">
+              <span>
+                {isOffline
+                  ? 'Offline - selling from the saved catalogue. Cash sales only; they will sync when the connection returns.'
+                  : 'Back online - sending sales made offline.'}
+                {queuedSales.length > 0 && ` ${queuedSales.length} sale(s) waiting to sync.`}
+                {queuedSales.filter(sale => sale.lastError).map(sale => (
+                  <small key={sale.provisionalNumber} className="d-block">
+                    {sale.provisionalNumber}: {sale.lastError}
+                  </small>
+                ))}
+              </span>
+              {!isOffline && queuedSales.length > 0 && (
+                <Button variant="outline-primary" onClick={syncSales}>
+                  Sync Now
+                </Button>
+              )}
+            </Alert>
+          </Col>
+        </Row>
+      )}
+      
+      {parkMessage && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="success" onClose={() => setParkMessage('')} dismissible>
+              {parkMessage}
+            </Alert>
+          </Col>
+        </Row>
+      )}
+      
+      {syncMessage && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="success" onClose={() => setSyncMessage('')} dismissible>
+              {syncMessage}
+            </Alert>
+          </Col>
+        </Row>
+      )}
+      
+      {registerChecked && !registerSession && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="warning" className="d-flex justify-content-between align-items-center">
+              <span>Register {registerNumber} is closed. Open it with a counted float to start selling.</span>
+              <Button variant="success" onClick={() => setRegisterModal('open')} disabled={isOffline}>
+                Open Register
+              </Button>
+            </Alert>
+          </Col>
+        </Row>
+      )}
+      
+      {pendingSale && !showPaymentModal && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="info" className="d-flex justify-content-between align-items-center">
+              <span>
+                Sale #{pendingSale.saleNumber} is awaiting payment of ${(pendingSale.total - pendingSale.payments.reduce((sum, p) => sum + p.amount, 0)).toFixed(2)}.
+              </span>
+              <Button variant="primary" onClick={openPaymentModal}>
+                Resume Payment
+              </Button>
+            </Alert>
+          </Col>
+        </Row>
+      )}
+      
       {error && (
         <Row className="mb-2">
           <Col>
@@ -425,6 +1101,12 @@ const POSSystem = () => {
           <Card className="cart-card">
             <Card.Header>
               <h3>Shopping Cart</h3>
+              <CustomerLookup
+                customer={customer}
+                onSelect={setCustomer}
+                onClear={() => setCustomer(null)}
+                disabled={pendingSale !== null}
+              />
             </Card.Header>
             <Card.Body className="p-0">
               {cart.length === 0 ? (
@@ -434,12 +1116,14 @@ const POSSystem = () => {
                 </div>
               ) : (
                 <ListGroup variant="flush">
-                  {cart.map(item => (
+                  {cart.map((item, index) => (
                     <CartItem
                       key={item._id}
                       item={item}
+                      pricing={quote && quote.items.length === cart.length ? quote.items[index] : null}
                       onRemove={removeFromCart}
                       onUpdateQuantity={updateCartItemQuantity}
+                      onApplyDiscount={applyLineDiscount}
                     />
                   ))}
                 </ListGroup>
@@ -450,6 +1134,23 @@ const POSSystem = () => {
                 <Col><strong>Subtotal:</strong></Col>
                 <Col className="text-end">${totals.subtotal.toFixed(2)}</Col>
               </Row>
+              {totals.discount > 0 && (
+                <Row className="mb-2 text-success">
+                  <Col><strong>Discounts:</strong></Col>
+                  <Col className="text-end">-${totals.discount.toFixed(2)}</Col>
+                </Row>
+              )}
+              {quote && quote.approvalRequired && (
+                <Row className="mb-2">
+                  <Col>
+                    <small className={discountOverride ? 'text-success' : 'text-warning'}>
+                      {discountOverride
+                        ? `Discounts approved by ${discountOverride.approver.name}`
+                        : 'Manual discounts need manager approval at checkout'}
+                    </small>
+                  </Col>
+                </Row>
+              )}
               <Row className="mb-2">
                 <Col><strong>Tax:</strong></Col>
                 <Col className="text-end">${totals.tax.toFixed(2)}</Col>
@@ -458,13 +1159,25 @@ const POSSystem = () => {
                 <Col><strong>Total:</strong></Col>
                 <Col className="text-end"><strong>${totals.total.toFixed(2)}</strong></Col>
               </Row>
+              <Row>
+                <Col>
+                  <Button 
+                    variant="outline-primary" 
+                    className="w-100 mb-2"
+                    onClick={() => setShowParkModal(true)}
+                    disabled={cart.length === 0 || pendingSale !== null || isOffline}
+                  >
+                    <i className="fas fa-parking me-1"></i> Park Sale
+                  </Button>
+                </Col>
+              </Row>
               <Row>
                 <Col>
                   <Button 
                     variant="danger" 
                     className="w-100 mb-2"
                     onClick={clearCart}
-                    disabled={cart.length === 0}
+                    disabled={cart.length === 0 || pendingSale !== null}
                   >
                     Clear Cart
                   </Button>
@@ -474,9 +1187,9 @@ const POSSystem = () => {
                     variant="success" 
                     className="w-100 mb-2"
                     onClick={openPaymentModal}
-                    disabled={cart.length === 0}
+                    disabled={cart.length === 0 || !registerSession}
                   >
-                    Checkout
+                    {pendingSale ? 'Resume Payment' : 'Checkout'}
                   </Button>
                 </Col>
               </Row>
@@ -489,10 +1202,78 @@ const POSSystem = () => {
       <PaymentModal
         show={showPaymentModal}
         onHide={closePaymentModal}
-        onProcessPayment={processSale}
-        total={totals.total}
+        onAddTender={addTender}
+        onRemoveTender={removeTender}
+        total={pendingSale ? pendingSale.total : totals.total}
+        tenders={pendingSale ? pendingSale.payments : tenders}
         paymentStatus={paymentStatus}
+        error={paymentError}
         sale={currentSale}
+        customer={customer}
+        loyaltySettings={loyaltySettings}
+        offline={isOffline}
+        terminalTransaction={terminalTransaction}
+        onConfirmSignature={confirmSignature}
+        onCancelCard={cancelCardPayment}
+      />
+      
+      {/* Manager approval for manual discounts */}
+      <ManagerOverrideModal
+        show={showOverrideModal}
+        permission="discounts:override"
+        message="A discount in this sale is over the cashier limit."
+        onHide={() => setShowOverrideModal(false)}
+        onApproved={(token, approver) => {
+          setDiscountOverride({ token, approver });
+          setShowOverrideModal(false);
+          setCurrentSale(null);
+          setPaymentStatus(null);
+          setPaymentError('');
+          setShowPaymentModal(true);
+        }}
+      />
+      
+      {/* Park the cart, and recall a parked one */}
+      <ParkSaleModal
+        show={showParkModal}
+        customer={customer}
+        onHide={() => setShowParkModal(false)}
+        onPark={parkSale}
+      />
+      
+      <ParkedSalesModal
+        show={showParkedSales}
+        registerNumber={registerNumber}
+        onHide={() => setShowParkedSales(false)}
+        onRecalled={loadParkedSale}
+      />
+      
+      {/* Gift Card Modal */}
+      <GiftCardModal
+        show={showGiftCardModal}
+        onHide={() => setShowGiftCardModal(false)}
+        onAddToCart={addGiftCardToCart}
+      />
+      
+      {/* Register Session Modal */}
+      <RegisterSessionModal
+        show={registerModal !== null}
+        mode={registerModal || 'open'}
+        registerNumber={registerNumber}
+        registerSession={registerSession}
+        onHide={() => setRegisterModal(null)}
+        onOpened={(session) => {
+          setRegisterSession(session);
+          setRegisterModal(null);
+        }}
+        onUpdated={(session) => {
+          setRegisterSession(session);
+          setRegisterModal(null);
+        }}
+        onClosed={() => {
+          setRegisterSession(null);
+          setRegisterModal(null);
+        }}
       />
     </Container>
   );
@@ -0,0 +1,75 @@
+// src/components/pos/ParkSaleModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Alert } from 'react-bootstrap';
+
+// Name the cart being parked so it can be found again. Defaults to the
+// customer's name when one is on the sale.
+export const ParkSaleModal = ({ show, customer, onHide, onPark }) => {
+  const [label, setLabel] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setLabel(customer ? customer.name : '');
+      setError('');
+    }
+  }, [show, customer]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await onPark(label.trim());
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to park sale'
+      );
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Park Sale</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          <Form.Group>
+            <Form.Label>Label</Form.Label>
+            <Form.Control
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder="e.g. Customer name, lady in the red hat"
+              maxLength={60}
+              autoFocus
+              required
+            />
+            <Form.Text className="text-muted">
+              Parked sales can be recalled from any register until the end of the day
+            </Form.Text>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={isSubmitting || !label.trim()}>
+            Park
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ParkSaleModal;
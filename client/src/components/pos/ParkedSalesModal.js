@@ -0,0 +1,129 @@
+// src/components/pos/ParkedSalesModal.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Modal, Button, Table, Alert, Spinner } from 'react-bootstrap';
+
+// List the carts parked today at any register and recall one. The recalled
+// cart is handed back to load into this register.
+export const ParkedSalesModal = ({ show, registerNumber, onHide, onRecalled }) => {
+  const [parkedSales, setParkedSales] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [recallingId, setRecallingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setError('');
+      fetchParkedSales();
+    }
+  }, [show]);
+
+  // Format currency
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(value);
+  };
+
+  const fetchParkedSales = async () => {
+    setIsLoading(true);
+
+    try {
+      const res = await axios.get('/api/parked-sales');
+      setParkedSales(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load parked sales');
+    }
+
+    setIsLoading(false);
+  };
+
+  const recall = async (parked) => {
+    setRecallingId(parked._id);
+    setError('');
+
+    try {
+      const res = await axios.post(`/api/parked-sales/${parked._id}/recall`, { registerNumber });
+      onRecalled(res.data.parkedSale);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to recall sale');
+      fetchParkedSales();
+    }
+
+    setRecallingId(null);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Parked Sales</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+        {isLoading ? (
+          <div className="text-center p-4">
+            <Spinner animation="border" role="status">
+              <span className="visually-hidden">Loading...</span>
+            </Spinner>
+          </div>
+        ) : parkedSales.length === 0 ? (
+          <p className="text-center text-muted mb-0">No sales are parked</p>
+        ) : (
+          <Table hover responsive size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Items</th>
+                <th className="text-end">Total</th>
+                <th>Parked</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {parkedSales.map(parked => (
+                <tr key={parked._id}>
+                  <td>
+                    {parked.label}
+                    {parked.customer && parked.customer.name !== parked.label && (
+                      <small className="text-muted d-block">{parked.customer.name}</small>
+                    )}
+                  </td>
+                  <td>
+                    {parked.items.map((item, index) => (
+                      <div key={index}>{item.quantity} × {item.name}</div>
+                    ))}
+                  </td>
+                  <td className="text-end">{formatCurrency(parked.total)}</td>
+                  <td>
+                    {new Date(parked.parkedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    <small className="text-muted d-block">
+                      {parked.registerNumber} · {parked.parkedBy?.name || 'Staff'}
+                    </small>
+                  </td>
+                  <td className="text-end">
+                    <Button
+                      variant="primary"
+                      size="sm"
+                      onClick={() => recall(parked)}
+                      disabled={recallingId !== null}
+                    >
+                      {recallingId === parked._id ? 'Recalling...' : 'Recall'}
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default ParkedSalesModal;
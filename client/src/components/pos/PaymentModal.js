@@ -1,45 +1,89 @@
 // src/components/pos/PaymentModal.js
 import React, { useState, useEffect } from 'react';
-import { Modal, Button, Form, Spinner, Alert } from 'react-bootstrap';
+import axios from 'axios';
+import { Modal, Button, Form, Spinner, Alert, ListGroup, InputGroup } from 'react-bootstrap';
 
-export const PaymentModal = ({ 
-  show, 
-  onHide, 
-  onProcessPayment, 
-  total, 
+// Methods charged on the EFTPOS terminal, one leg at a time
+export const CARD_METHODS = ['EFTPOS', 'Credit Card'];
+
+// What the cashier is told while the terminal waits on the customer
+const TERMINAL_PROMPTS = {
+  'Present Card': 'Insert, tap or swipe card',
+  'Enter PIN': 'Customer is entering their PIN',
+  'Signature Required': 'Check the customer\'s signature',
+  'Remove Card': 'Remove card',
+  Processing: 'Processing Payment...'
+};
+
+export const PaymentModal = ({
+  show,
+  onHide,
+  onAddTender,
+  onRemoveTender,
+  total,
+  tenders,
   paymentStatus,
-  sale 
+  error,
+  sale,
+  customer,
+  loyaltySettings,
+  offline,
+  terminalTransaction,
+  onConfirmSignature,
+  onCancelCard
 }) => {
   const [paymentMethod, setPaymentMethod] = useState('Cash');
   const [amountTendered, setAmountTendered] = useState('');
-  const [changeDue, setChangeDue] = useState(0);
+  const [giftCardNumber, setGiftCardNumber] = useState('');
+  const [giftCard, setGiftCard] = useState(null);
+  const [giftCardError, setGiftCardError] = useState('');
+
+  const amountPaid = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+  const balanceDue = Math.max(0, Math.round((total - amountPaid) * 100) / 100);
+  const isCardPayment = CARD_METHODS.includes(paymentMethod);
+
+  // Trade customers can charge purchases to their account up to the credit limit
+  const availableCredit = customer && customer.isCommercial
+    ? Math.max(0, Math.round(((customer.commercialDetails?.creditLimit || 0) - (customer.commercialDetails?.accountBalance || 0)) * 100) / 100)
+    : 0;
 
-  // Update amount tendered when total changes
+  // Points can be spent once the customer has at least the minimum redemption
+  const canRedeemPoints = customer && loyaltySettings &&
+    customer.loyaltyPoints >= Math.max(1, loyaltySettings.minimumRedemption);
+  const pointsValue = canRedeemPoints
+    ? Math.round(customer.loyaltyPoints * loyaltySettings.pointValue * 100) / 100
+    : 0;
+
+  // As much of the balance due as whole points can pay
+  const pointsTender = canRedeemPoints
+    ? Math.min(customer.loyaltyPoints, Math.floor(balanceDue / loyaltySettings.pointValue)) * loyaltySettings.pointValue
+    : 0;
+
+  // Default the next tender to whatever is still owing, or as much of it
+  // as the customer's points cover
   useEffect(() => {
-    if (paymentMethod === 'Cash') {
-      // Set initial amount to exact value
-      setAmountTendered(total.toFixed(2));
-      setChangeDue(0);
+    if (paymentMethod === 'Loyalty Points' && canRedeemPoints) {
+      setAmountTendered(pointsTender.toFixed(2));
     } else {
-      // For other payment methods, amount is always exact
-      setAmountTendered(total.toFixed(2));
-      setChangeDue(0);
+      setAmountTendered(balanceDue.toFixed(2));
     }
-  }, [total, paymentMethod]);
+    setGiftCardNumber('');
+    setGiftCard(null);
+    setGiftCardError('');
+  }, [balanceDue, paymentMethod, show, canRedeemPoints, pointsTender]);
 
-  // Calculate change due
+  // Card terminals and stored balances need the server, so offline sales are cash only
   useEffect(() => {
-    if (paymentMethod === 'Cash' && amountTendered) {
-      const tendered = parseFloat(amountTendered);
-      if (!isNaN(tendered) && tendered >= total) {
-        setChangeDue(tendered - total);
-      } else {
-        setChangeDue(0);
-      }
-    } else {
-      setChangeDue(0);
+    if (offline) {
+      setPaymentMethod('Cash');
     }
-  }, [amountTendered, total, paymentMethod]);
+  }, [offline]);
+
+  // Only cash can be over-tendered
+  const amount = parseFloat(amountTendered);
+  const changeDue = paymentMethod === 'Cash' && !isNaN(amount) && amount > balanceDue
+    ? amount - balanceDue
+    : 0;
 
   // Format currency
   const formatCurrency = (amount) => {
@@ -55,24 +99,142 @@ export const PaymentModal = ({
     setAmountTendered(value);
   };
 
+  // Look up a scanned gift card and offer as much of the balance due as it covers
+  const checkGiftCard = async () => {
+    if (!giftCardNumber.trim()) return;
+    
+    setGiftCardError('');
+    
+    try {
+      const res = await axios.get(`/api/gift-cards/${encodeURIComponent(giftCardNumber.trim())}`);
+      const card = res.data.card;
+      
+      setGiftCard(card);
+      
+      if (card.status !== 'Active') {
+        setGiftCardError(`Gift card is ${card.status.toLowerCase()}`);
+      } else if (card.balance <= 0) {
+        setGiftCardError('Gift card has no balance left');
+      } else {
+        setAmountTendered(Math.min(card.balance, balanceDue).toFixed(2));
+      }
+    } catch (err) {
+      setGiftCard(null);
+      setGiftCardError(err.response?.data?.message || 'Gift card not found');
+    }
+  };
+
   // Handle payment processing
   const handlePayment = () => {
-    const amount = parseFloat(amountTendered);
-    if (paymentMethod === 'Cash' && (isNaN(amount) || amount < total)) {
-      alert('Amount tendered must be at least the total amount');
+    if (isNaN(amount) || amount <= 0) {
+      alert('Enter an amount greater than zero');
+      return;
+    }
+    if (paymentMethod !== 'Cash' && amount > balanceDue) {
+      alert('Only cash can be more than the balance due');
+      return;
+    }
+    if (paymentMethod === 'Store Credit' && amount > customer.storeCredit) {
+      alert('Amount is more than the customer\'s store credit');
+      return;
+    }
+    if (paymentMethod === 'On Account' && amount > availableCredit) {
+      alert(`Amount is more than the ${formatCurrency(availableCredit)} credit available`);
       return;
     }
-    onProcessPayment(paymentMethod, amount);
+    if (paymentMethod === 'Loyalty Points') {
+      const points = Math.round(amount / loyaltySettings.pointValue);
+      if (Math.abs(points * loyaltySettings.pointValue - amount) >= 0.01) {
+        alert(`Points are redeemed in steps of ${formatCurrency(loyaltySettings.pointValue)}`);
+        return;
+      }
+      if (points > customer.loyaltyPoints) {
+        alert('Amount is more than the customer\'s points are worth');
+        return;
+      }
+      if (points < loyaltySettings.minimumRedemption) {
+        alert(`At least ${loyaltySettings.minimumRedemption} points must be redeemed`);
+        return;
+      }
+    }
+    if (paymentMethod === 'Gift Card') {
+      if (!giftCard) {
+        alert('Scan the gift card and check its balance first');
+        return;
+      }
+      if (amount > giftCard.balance) {
+        alert('Amount is more than the gift card balance');
+        return;
+      }
+      onAddTender(paymentMethod, Math.round(amount * 100) / 100, giftCard.cardNumber);
+      return;
+    }
+    onAddTender(paymentMethod, Math.round(amount * 100) / 100);
+  };
+
+  // Tenders taken so far; only those not yet sent to the server can be removed
+  const renderTenders = () => {
+    if (tenders.length === 0) {
+      return null;
+    }
+
+    return (
+      <ListGroup className="mb-3">
+        {tenders.map((tender, index) => (
+          <ListGroup.Item key={tender._id || index} className="d-flex justify-content-between align-items-center">
+            <span>
+              {tender.method}
+              {tender.lastFourDigits && <small className="text-muted ms-2">**** {tender.lastFourDigits}</small>}
+              {tender.method === 'Gift Card' && tender.reference && (
+                <small className="text-muted ms-2">**** {tender.reference.slice(-4)}</small>
+              )}
+            </span>
+            <span>
+              {formatCurrency(tender.amount)}
+              {!sale && (
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="text-danger ms-2 p-0"
+                  onClick={() => onRemoveTender(index)}
+                >
+                  <i className="fas fa-times"></i>
+                </Button>
+              )}
+            </span>
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    );
   };
 
   // Render content based on payment status
   const renderModalContent = () => {
     if (paymentStatus === 'processing') {
+      const prompt = terminalTransaction?.prompt;
+
       return (
         <div className="text-center p-5">
           <Spinner animation="border" role="status" variant="primary" />
-          <h4 className="mt-3">Processing Payment...</h4>
-          <p className="text-muted">Please wait while we process your payment</p>
+          <h4 className="mt-3">{TERMINAL_PROMPTS[prompt] || 'Processing Payment...'}</h4>
+          <p className="text-muted">
+            {terminalTransaction?.displayText || 'Please wait while we process your payment'}
+          </p>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {prompt === 'Signature Required' ? (
+            <div className="mt-3">
+              <Button variant="success" className="me-2" onClick={() => onConfirmSignature(true)}>
+                Signature Matches
+              </Button>
+              <Button variant="outline-danger" onClick={() => onConfirmSignature(false)}>
+                Decline
+              </Button>
+            </div>
+          ) : terminalTransaction?.status === 'Pending' && (
+            <Button variant="outline-danger" className="mt-3" onClick={onCancelCard}>
+              Cancel Card Payment
+            </Button>
+          )}
         </div>
       );
     } else if (paymentStatus === 'success') {
@@ -83,6 +245,9 @@ export const PaymentModal = ({
           </div>
           <h4>Payment Successful!</h4>
           <p>Sale #{sale?.saleNumber} completed</p>
+          {sale?.changeDue > 0 && (
+            <h5 className="text-success">Change Due: {formatCurrency(sale.changeDue)}</h5>
+          )}
           <div className="mt-4">
             <Button variant="outline-primary" className="me-2">
               <i className="fas fa-print me-2"></i> Print Receipt
@@ -96,24 +261,6 @@ export const PaymentModal = ({
           </div>
         </div>
       );
-    } else if (paymentStatus === 'failed') {
-      return (
-        <div className="text-center p-4">
-          <div className="bg-danger text-white rounded-circle mx-auto mb-3 d-flex align-items-center justify-content-center" style={{ width: '80px', height: '80px' }}>
-            <i className="fas fa-times fa-3x"></i>
-          </div>
-          <h4>Payment Failed</h4>
-          <p>The payment could not be processed. Please try again.</p>
-          <div className="mt-4">
-            <Button variant="secondary" onClick={onHide} className="me-2">
-              Cancel
-            </Button>
-            <Button variant="primary" onClick={handlePayment}>
-              Retry Payment
-            </Button>
-          </div>
-        </div>
-      );
     } else {
       return (
         <>
@@ -121,46 +268,135 @@ export const PaymentModal = ({
             <Modal.Title>Checkout - {formatCurrency(total)}</Modal.Title>
           </Modal.Header>
           <Modal.Body>
+            {terminalTransaction?.status === 'Partially Approved' && (
+              <Alert variant="warning">
+                The card was only approved for {formatCurrency(terminalTransaction.approvedAmount)} of {formatCurrency(terminalTransaction.amount)}.
+                Take the rest another way.
+              </Alert>
+            )}
+            {paymentStatus === 'failed' && error && (
+              <Alert variant="danger">
+                <i className="fas fa-times-circle me-2"></i>
+                {error}
+                {tenders.length > 0 && ' Payments already taken have been kept.'}
+              </Alert>
+            )}
+
+            {renderTenders()}
+
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <span>Balance Due:</span>
+              <strong>{formatCurrency(balanceDue)}</strong>
+            </div>
+
             <Form>
               <Form.Group className="mb-3">
                 <Form.Label>Payment Method</Form.Label>
-                <Form.Select 
-                  value={paymentMethod} 
+                <Form.Select
+                  value={paymentMethod}
                   onChange={(e) => setPaymentMethod(e.target.value)}
                 >
                   <option value="Cash">Cash</option>
-                  <option value="EFTPOS">EFTPOS/Debit Card</option>
-                  <option value="Credit Card">Credit Card</option>
-                  <option value="Gift Card">Gift Card</option>
+                  {!offline && (
+                    <>
+                      <option value="EFTPOS">EFTPOS/Debit Card</option>
+                      <option value="Credit Card">Credit Card</option>
+                      <option value="Gift Card">Gift Card</option>
+                      {customer?.storeCredit > 0 && (
+                        <option value="Store Credit">Store Credit</option>
+                      )}
+                      {availableCredit > 0 && (
+                        <option value="On Account">On Account</option>
+                      )}
+                      {canRedeemPoints && (
+                        <option value="Loyalty Points">Loyalty Points</option>
+                      )}
+                    </>
+                  )}
                 </Form.Select>
+                {offline && (
+                  <Form.Text className="text-muted">
+                    Only cash can be taken while the register is offline
+                  </Form.Text>
+                )}
               </Form.Group>
-              
-              {paymentMethod === 'Cash' && (
+
+              {paymentMethod === 'Gift Card' && (
                 <Form.Group className="mb-3">
-                  <Form.Label>Amount Tendered</Form.Label>
-                  <Form.Control 
-                    type="number" 
-                    step="0.01" 
-                    min={total}
-                    value={amountTendered} 
-                    onChange={handleAmountChange}
-                  />
+                  <Form.Label>Gift Card Number</Form.Label>
+                  <InputGroup>
+                    <Form.Control
+                      type="text"
+                      value={giftCardNumber}
+                      placeholder="Scan gift card"
+                      onChange={(e) => {
+                        setGiftCardNumber(e.target.value);
+                        setGiftCard(null);
+                      }}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          checkGiftCard();
+                        }
+                      }}
+                      autoFocus
+                    />
+                    <Button variant="outline-secondary" onClick={checkGiftCard}>
+                      Check Balance
+                    </Button>
+                  </InputGroup>
+                  {giftCard && (
+                    <Form.Text>Balance: {formatCurrency(giftCard.balance)}</Form.Text>
+                  )}
+                  {giftCardError && (
+                    <Form.Text className="text-danger d-block">{giftCardError}</Form.Text>
+                  )}
                 </Form.Group>
               )}
-              
-              <div className="d-flex justify-content-between align-items-center mb-3">
-                <span>Total Due:</span>
-                <strong>{formatCurrency(total)}</strong>
-              </div>
-              
-              {paymentMethod === 'Cash' && amountTendered && parseFloat(amountTendered) >= total && (
+
+              {paymentMethod === 'Store Credit' && (
+                <Form.Text className="d-block mb-2">
+                  Available credit: {formatCurrency(customer.storeCredit)}
+                </Form.Text>
+              )}
+
+              {paymentMethod === 'On Account' && (
+                <Form.Text className="d-block mb-2">
+                  Invoice to {customer.commercialDetails?.companyName || customer.name} -
+                  available credit: {formatCurrency(availableCredit)}
+                </Form.Text>
+              )}
+
+              {paymentMethod === 'Loyalty Points' && (
+                <Form.Text className="d-block mb-2">
+                  {customer.loyaltyPoints} points available, worth {formatCurrency(pointsValue)}
+                  {!isNaN(amount) && amount > 0 && ` - uses ${Math.round(amount / loyaltySettings.pointValue)} points`}
+                </Form.Text>
+              )}
+
+              <Form.Group className="mb-3">
+                <Form.Label>{paymentMethod === 'Cash' ? 'Amount Tendered' : 'Amount'}</Form.Label>
+                <InputGroup>
+                  <InputGroup.Text>$</InputGroup.Text>
+                  <Form.Control
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    max={paymentMethod === 'Cash' ? undefined : balanceDue}
+                    value={amountTendered}
+                    onChange={handleAmountChange}
+                  />
+                </InputGroup>
+              </Form.Group>
+
+              {changeDue > 0 && (
                 <div className="d-flex justify-content-between align-items-center mb-3 text-success">
                   <span>Change Due:</span>
                   <strong>{formatCurrency(changeDue)}</strong>
                 </div>
               )}
-              
-              {paymentMethod === 'EFTPOS' || paymentMethod === 'Credit Card' ? (
+
+              {isCardPayment ? (
                 <Alert variant="info">
                   <i className="fas fa-info-circle me-2"></i>
                   Please follow the instructions on the EFTPOS terminal to complete the payment.
@@ -170,10 +406,12 @@ export const PaymentModal = ({
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={onHide}>
-              Cancel
+              {sale ? 'Close' : 'Cancel'}
             </Button>
             <Button variant="primary" onClick={handlePayment}>
-              Process Payment
+              {isCardPayment
+                ? `Charge ${formatCurrency(isNaN(amount) ? 0 : amount)}`
+                : amount >= balanceDue ? 'Complete Payment' : 'Add Payment'}
             </Button>
           </Modal.Footer>
         </>
@@ -182,9 +420,9 @@ export const PaymentModal = ({
   };
 
   return (
-    <Modal 
-      show={show} 
-      onHide={paymentStatus === 'success' || paymentStatus === 'failed' ? onHide : null}
+    <Modal
+      show={show}
+      onHide={paymentStatus === 'processing' ? null : onHide}
       backdrop={paymentStatus === 'processing' ? 'static' : true}
       keyboard={paymentStatus !== 'processing'}
       centered
@@ -195,4 +433,4 @@ export const PaymentModal = ({
   );
 };
 
-export default PaymentModal;
\ No newline at end of file
+export default PaymentModal;
@@ -39,11 +39,11 @@ export const ProductGrid = ({ products, onProductClick }) => {
                   <span>
                     Stock: {' '}
                     <span className={`badge ${
-                      product.currentStock <= 0 ? 'bg-danger' : 
-                      product.currentStock <= product.minimumStock ? 'bg-warning' : 
+                      (product.sellableStock ?? product.currentStock) <= 0 ? 'bg-danger' : 
+                      (product.sellableStock ?? product.currentStock) <= product.minimumStock ? 'bg-warning' : 
                       'bg-success'
                     }`}>
-                      {product.currentStock}
+                      {product.sellableStock ?? product.currentStock}
                     </span>
                   </span>
                 </div>
@@ -0,0 +1,239 @@
+// src/components/pos/RegisterSessionModal.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Modal, Button, Form, Alert, Spinner, Table } from 'react-bootstrap';
+import { CashCountForm, countTotal, toDenominations } from './CashCountForm';
+import ReceiptPrinter from '../../utils/ReceiptPrinter';
+
+const TITLES = {
+  open: 'Open Register',
+  cash: 'Paid In / Paid Out',
+  close: 'Close Register'
+};
+
+/**
+ * Open a register with a float, record paid in/out, or close with a blind count.
+ * mode: 'open' | 'cash' | 'close'
+ */
+export const RegisterSessionModal = ({
+  show,
+  mode,
+  registerNumber,
+  registerSession,
+  onHide,
+  onOpened,
+  onUpdated,
+  onClosed
+}) => {
+  const [counts, setCounts] = useState({});
+  const [cashType, setCashType] = useState('Paid Out');
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [notes, setNotes] = useState('');
+  const [result, setResult] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Start each visit with a clean form
+  useEffect(() => {
+    if (show) {
+      setCounts({});
+      setCashType('Paid Out');
+      setAmount('');
+      setReason('');
+      setNotes('');
+      setResult(null);
+      setError('');
+    }
+  }, [show, mode]);
+
+  // Format currency
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(value);
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      if (mode === 'open') {
+        const res = await axios.post('/api/registers/open', {
+          registerNumber,
+          denominations: toDenominations(counts),
+          notes
+        });
+        onOpened(res.data.session);
+      } else if (mode === 'cash') {
+        const res = await axios.post(`/api/registers/${registerSession._id}/cash`, {
+          type: cashType,
+          amount,
+          reason
+        });
+        onUpdated(res.data.session);
+      } else {
+        const res = await axios.post(`/api/registers/${registerSession._id}/close`, {
+          denominations: toDenominations(counts),
+          notes
+        });
+        setResult(res.data);
+      }
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Register update failed'
+      );
+    }
+
+    setIsSubmitting(false);
+  };
+
+  // Closing results stay on screen until the cashier is done with them
+  const handleHide = () => {
+    if (result) {
+      onClosed(result.session);
+    } else {
+      onHide();
+    }
+  };
+
+  const renderCloseResult = () => {
+    const { session, report } = result;
+
+    return (
+      <>
+        <Table size="sm">
+          <tbody>
+            <tr>
+              <td>Sales ({report.sales.count})</td>
+              <td className="text-end">{formatCurrency(report.sales.total)}</td>
+            </tr>
+            <tr>
+              <td>Counted Cash</td>
+              <td className="text-end">{formatCurrency(session.closingCount.total)}</td>
+            </tr>
+            <tr>
+              <td>Expected Cash</td>
+              <td className="text-end">{formatCurrency(session.expectedCash)}</td>
+            </tr>
+            <tr className={session.overShort === 0 ? 'table-success' : 'table-warning'}>
+              <th>{session.overShort < 0 ? 'Short' : 'Over'}</th>
+              <th className="text-end">{formatCurrency(Math.abs(session.overShort))}</th>
+            </tr>
+          </tbody>
+        </Table>
+        <Button
+          variant="outline-primary"
+          className="w-100"
+          onClick={() => ReceiptPrinter.printZReport(session, report)}
+        >
+          <i className="fas fa-print me-2"></i> Print Z Report
+        </Button>
+      </>
+    );
+  };
+
+  return (
+    <Modal show={show} onHide={handleHide} backdrop="static" centered>
+      <Modal.Header closeButton>
+        <Modal.Title>{TITLES[mode]} - {registerNumber}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {result ? renderCloseResult() : (
+          <>
+            {mode === 'open' && (
+              <p className="text-muted">Count the float going into the drawer.</p>
+            )}
+            {mode === 'close' && (
+              <p className="text-muted">
+                Count everything in the drawer. The expected amount is shown after the count is submitted.
+              </p>
+            )}
+
+            {(mode === 'open' || mode === 'close') && (
+              <>
+                <CashCountForm counts={counts} onChange={setCounts} />
+                <Form.Group className="mt-3">
+                  <Form.Label>Notes</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                  />
+                </Form.Group>
+              </>
+            )}
+
+            {mode === 'cash' && (
+              <>
+                <Form.Group className="mb-3">
+                  <Form.Label>Type</Form.Label>
+                  <Form.Select value={cashType} onChange={(e) => setCashType(e.target.value)}>
+                    <option value="Paid Out">Paid Out (cash taken from drawer)</option>
+                    <option value="Paid In">Paid In (cash added to drawer)</option>
+                  </Form.Select>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Amount</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                  />
+                </Form.Group>
+                <Form.Group>
+                  <Form.Label>Reason</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="e.g. Milk for staff room, change from bank"
+                  />
+                </Form.Group>
+              </>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        {result ? (
+          <Button variant="primary" onClick={handleHide}>Done</Button>
+        ) : (
+          <>
+            <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+              Cancel
+            </Button>
+            <Button
+              variant={mode === 'close' ? 'danger' : 'success'}
+              onClick={handleSubmit}
+              disabled={
+                isSubmitting ||
+                (mode === 'cash' && (!(parseFloat(amount) > 0) || !reason.trim()))
+              }
+            >
+              {isSubmitting ? (
+                <Spinner as="span" animation="border" size="sm" />
+              ) : mode === 'open' ? (
+                `Open with ${formatCurrency(countTotal(counts))}`
+              ) : mode === 'close' ? (
+                'Submit Count & Close'
+              ) : (
+                `Record ${cashType}`
+              )}
+            </Button>
+          </>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default RegisterSessionModal;
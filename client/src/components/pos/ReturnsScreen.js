@@ -0,0 +1,428 @@
+// client/src/components/pos/ReturnsScreen.js
+import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Alert, Badge, Spinner, Modal } from 'react-bootstrap';
+import { getRegisterNumber } from '../../utils/register';
+import { ManagerOverrideModal } from './ManagerOverrideModal';
+
+// Sales can only be voided on the day they were made; after that they are returned
+const isToday = (date) => new Date(date).toDateString() === new Date().toDateString();
+
+const ReturnsScreen = () => {
+  const [saleNumber, setSaleNumber] = useState('');
+  const [sale, setSale] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [cardPayments, setCardPayments] = useState([]);
+  const [refundMethod, setRefundMethod] = useState('Cash');
+  const [reason, setReason] = useState('');
+  const [completedReturn, setCompletedReturn] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
+  const [showVoidModal, setShowVoidModal] = useState(false);
+  const [showVoidOverride, setShowVoidOverride] = useState(false);
+  const [voidedSale, setVoidedSale] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const receiptInputRef = useRef(null);
+
+  // Focus on the receipt input so a scanned receipt goes straight in
+  useEffect(() => {
+    if (receiptInputRef.current) {
+      receiptInputRef.current.focus();
+    }
+  }, [sale]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  // Look up the original sale by receipt number
+  const lookupSale = async (number) => {
+    if (!number || !number.trim()) return;
+
+    setIsLoading(true);
+    setError('');
+    setCompletedReturn(null);
+    setVoidedSale(null);
+
+    try {
+      const res = await axios.get(`/api/returns/lookup/${encodeURIComponent(number.trim())}`);
+
+      setSale(res.data.sale);
+      setCardPayments(res.data.cardPayments);
+      setLines(res.data.lines.map(line => ({
+        ...line,
+        returnQuantity: 0,
+        resaleable: true
+      })));
+      setRefundMethod('Cash');
+      setReason('');
+      setSaleNumber('');
+    } catch (err) {
+      setSale(null);
+      setLines([]);
+      setError(err.response?.data?.message || `Sale ${number} not found`);
+    }
+
+    setIsLoading(false);
+  };
+
+  // Update a line being returned
+  const updateLine = (index, changes) => {
+    setLines(prevLines => prevLines.map((line, i) => (
+      i === index ? { ...line, ...changes } : line
+    )));
+  };
+
+  // Refund for a line, using the share of what the customer actually paid
+  const lineRefund = (line) => {
+    if (!line.returnQuantity) return 0;
+    return (line.total / line.quantity) * line.returnQuantity;
+  };
+
+  const refundTotal = lines.reduce((sum, line) => sum + lineRefund(line), 0);
+  const selectedLines = lines.filter(line => line.returnQuantity > 0);
+  const canRefundToCard = cardPayments.some(payment => payment.refundable >= refundTotal);
+
+  // Process the return
+  const handleSubmit = async () => {
+    if (selectedLines.length === 0) {
+      setError('Select at least one item to return');
+      return;
+    }
+
+    if (!reason.trim()) {
+      setError('A reason for the return is required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.post('/api/returns', {
+        saleNumber: sale.saleNumber,
+        items: selectedLines.map(line => ({
+          product: line.product,
+          quantity: line.returnQuantity,
+          resaleable: line.resaleable
+        })),
+        refundMethod,
+        reason,
+        registerNumber: getRegisterNumber()
+      });
+
+      setCompletedReturn(res.data.return);
+      setSale(null);
+      setLines([]);
+      setCardPayments([]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to process return');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const canVoid = sale && sale.status === 'Completed' && sale.refunds.length === 0 && isToday(sale.createdAt);
+
+  // Void the whole sale once a manager has entered their PIN
+  const voidSale = async (token) => {
+    setShowVoidOverride(false);
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await axios.put(`/api/sales/${sale._id}/void`, {
+        reason: voidReason,
+        voidOverride: token
+      });
+
+      setVoidedSale(res.data.sale);
+      setSale(null);
+      setLines([]);
+      setCardPayments([]);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to void sale'
+      );
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Container fluid className="pos-container">
+      <Row className="mb-3">
+        <Col>
+          <h2>Returns &amp; Exchanges</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/pos" className="btn btn-outline-secondary">
+            <i className="fas fa-arrow-left me-1"></i> Back to POS
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="danger" onClose={() => setError('')} dismissible>
+              {error}
+            </Alert>
+          </Col>
+        </Row>
+      )}
+
+      {completedReturn && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="success" onClose={() => setCompletedReturn(null)} dismissible>
+              Return {completedReturn.returnNumber} processed.{' '}
+              Refund {formatCurrency(completedReturn.total)} by {completedReturn.refundMethod}.
+            </Alert>
+          </Col>
+        </Row>
+      )}
+
+      {voidedSale && (
+        <Row className="mb-2">
+          <Col>
+            <Alert variant="success" onClose={() => setVoidedSale(null)} dismissible>
+              Sale {voidedSale.saleNumber} voided. Return {formatCurrency(voidedSale.total)} to the customer
+              {voidedSale.payments.some(payment => payment.voidedAt)
+                ? '; card payments have been voided on the terminal.'
+                : '.'}
+            </Alert>
+          </Col>
+        </Row>
+      )}
+
+      <Card className="mb-3">
+        <Card.Header>
+          <Row>
+            <Col md={8}>
+              <Form.Control
+                ref={receiptInputRef}
+                type="text"
+                placeholder="Scan receipt or enter sale number"
+                value={saleNumber}
+                onChange={(e) => setSaleNumber(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    lookupSale(saleNumber);
+                  }
+                }}
+              />
+            </Col>
+            <Col md={4}>
+              <Button
+                variant="primary"
+                onClick={() => lookupSale(saleNumber)}
+                disabled={isLoading}
+              >
+                {isLoading ? <Spinner as="span" animation="border" size="sm" /> : 'Find Sale'}
+              </Button>
+            </Col>
+          </Row>
+        </Card.Header>
+
+        {sale && (
+          <Card.Body>
+            <Row className="mb-3">
+              <Col>
+                <h5 className="mb-1">Sale #{sale.saleNumber}</h5>
+                <small className="text-muted">
+                  {new Date(sale.createdAt).toLocaleString()} · {sale.cashier?.name || 'Staff'}
+                  {sale.customer && ` · ${sale.customer.name}`}
+                </small>
+              </Col>
+              <Col xs="auto">
+                <Badge bg={sale.status === 'Completed' ? 'success' : 'warning'}>
+                  {sale.status}
+                </Badge>
+                {canVoid && (
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    className="ms-2"
+                    onClick={() => {
+                      setVoidReason('');
+                      setShowVoidModal(true);
+                    }}
+                    disabled={isSubmitting}
+                  >
+                    Void Sale
+                  </Button>
+                )}
+              </Col>
+            </Row>
+
+            <Table hover responsive>
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Sold</th>
+                  <th>Already Returned</th>
+                  <th>Return Qty</th>
+                  <th>Resaleable</th>
+                  <th className="text-end">Refund</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line, index) => (
+                  <tr key={`${line.product}-${index}`} className={line.returnQuantity > 0 ? 'table-primary' : ''}>
+                    <td>
+                      {line.name}
+                      <small className="text-muted d-block">{line.barcode}</small>
+                    </td>
+                    <td>{line.quantity}</td>
+                    <td>{line.returned}</td>
+                    <td style={{ width: '110px' }}>
+                      <Form.Control
+                        type="number"
+                        size="sm"
+                        min="0"
+                        max={line.returnable}
+                        value={line.returnQuantity}
+                        disabled={line.returnable === 0}
+                        onChange={(e) => {
+                          const quantity = parseInt(e.target.value) || 0;
+                          updateLine(index, {
+                            returnQuantity: Math.max(0, Math.min(quantity, line.returnable))
+                          });
+                        }}
+                      />
+                    </td>
+                    <td>
+                      <Form.Check
+                        type="switch"
+                        checked={line.resaleable}
+                        disabled={line.returnQuantity === 0}
+                        onChange={(e) => updateLine(index, { resaleable: e.target.checked })}
+                        label={line.resaleable ? 'Back to stock' : 'Write off'}
+                      />
+                    </td>
+                    <td className="text-end">{formatCurrency(lineRefund(line))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Refund To</Form.Label>
+                  <Form.Select
+                    value={refundMethod}
+                    onChange={(e) => setRefundMethod(e.target.value)}
+                  >
+                    <option value="Cash">Cash</option>
+                    <option value="EFTPOS" disabled={!canRefundToCard}>
+                      EFTPOS refund to original card
+                    </option>
+                    <option value="Store Credit" disabled={!sale.customer}>
+                      Store Credit
+                    </option>
+                  </Form.Select>
+                  {!sale.customer && (
+                    <Form.Text className="text-muted">
+                      Store credit is only available when the sale has a customer
+                    </Form.Text>
+                  )}
+                </Form.Group>
+
+                <Form.Group className="mb-3">
+                  <Form.Label>Reason</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="e.g. Plant arrived damaged, changed mind"
+                  />
+                </Form.Group>
+              </Col>
+
+              <Col md={6} className="d-flex flex-column justify-content-end">
+                <div className="d-flex justify-content-between align-items-center mb-3 fs-5">
+                  <span>Refund Total:</span>
+                  <strong>{formatCurrency(refundTotal)}</strong>
+                </div>
+                <Button
+                  variant="success"
+                  size="lg"
+                  onClick={handleSubmit}
+                  disabled={isSubmitting || selectedLines.length === 0}
+                >
+                  {isSubmitting ? (
+                    <>
+                      <Spinner as="span" animation="border" size="sm" className="me-2" />
+                      Processing...
+                    </>
+                  ) : (
+                    'Process Return'
+                  )}
+                </Button>
+              </Col>
+            </Row>
+          </Card.Body>
+        )}
+      </Card>
+
+      <Modal show={showVoidModal} onHide={() => setShowVoidModal(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Void Sale {sale?.saleNumber}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            The whole sale of {sale && formatCurrency(sale.total)} will be voided, card payments
+            reversed on the terminal and the stock put back.
+          </p>
+          <Form.Group>
+            <Form.Label>Reason</Form.Label>
+            <Form.Control
+              type="text"
+              value={voidReason}
+              onChange={(e) => setVoidReason(e.target.value)}
+              placeholder="e.g. Rung up twice, customer cancelled"
+              autoFocus
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowVoidModal(false)}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            disabled={!voidReason.trim()}
+            onClick={() => {
+              setShowVoidModal(false);
+              setShowVoidOverride(true);
+            }}
+          >
+            Continue
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Manager approval for voids */}
+      <ManagerOverrideModal
+        show={showVoidOverride}
+        permission="sales:void"
+        message={sale ? `Void sale ${sale.saleNumber} for ${formatCurrency(sale.total)}.` : ''}
+        onHide={() => setShowVoidOverride(false)}
+        onApproved={(token) => voidSale(token)}
+      />
+    </Container>
+  );
+};
+
+export default ReturnsScreen;
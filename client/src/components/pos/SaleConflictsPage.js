@@ -0,0 +1,210 @@
+// client/src/components/pos/SaleConflictsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Alert, Badge, Modal, Spinner } from 'react-bootstrap';
+import { useLiveEvents } from '../../utils/liveEvents';
+
+const TYPE_VARIANTS = {
+  Oversold: 'danger',
+  'Price Difference': 'warning',
+  'Discount Approval': 'warning',
+  'Register Closed': 'info',
+  'Sync Failed': 'danger',
+  'Void Failed': 'danger',
+  'Refund Failed': 'danger'
+};
+
+export const SaleConflictsPage = () => {
+  const [conflicts, setConflicts] = useState([]);
+  const [status, setStatus] = useState('Open');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [resolving, setResolving] = useState(null);
+  const [resolution, setResolution] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // New conflicts appear as registers sync
+  useLiveEvents({
+    'sale:conflict': () => {
+      if (status !== 'Resolved') {
+        fetchConflicts();
+      }
+    }
+  });
+
+  const fetchConflicts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/offline-sales/conflicts', { params: { status } });
+      setConflicts(res.data.conflicts);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load conflicts');
+    }
+    setLoading(false);
+  }, [status]);
+
+  useEffect(() => {
+    fetchConflicts();
+  }, [fetchConflicts]);
+
+  const openResolve = (conflict) => {
+    setResolving(conflict);
+    setResolution('');
+    setError('');
+  };
+
+  const resolveConflict = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      await axios.put(`/api/offline-sales/conflicts/${resolving._id}/resolve`, { resolution });
+      setMessage(`Conflict for ${resolving.provisionalNumber || resolving.sale?.saleNumber} resolved`);
+      setResolving(null);
+      await fetchConflicts();
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to resolve conflict'
+      );
+    }
+
+    setIsSaving(false);
+  };
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Sale Conflicts</h2>
+          <p className="text-muted mb-0">
+            Sales rung up while a register was offline that did not line up with stock, prices or the register when they synced.
+          </p>
+        </Col>
+        <Col xs="auto">
+          <Form.Select value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="Open">Open</option>
+            <option value="Resolved">Resolved</option>
+            <option value="all">All</option>
+          </Form.Select>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert variant="success" onClose={() => setMessage('')} dismissible>
+          {message}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center p-5">
+              <Spinner animation="border" />
+            </div>
+          ) : conflicts.length === 0 ? (
+            <p className="text-center text-muted mb-0">No conflicts</p>
+          ) : (
+            <Table hover responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Rung Up</th>
+                  <th>Offline Sale</th>
+                  <th>Sale</th>
+                  <th>Type</th>
+                  <th>Details</th>
+                  <th>Cashier</th>
+                  <th>Resolution</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map(conflict => (
+                  <tr key={conflict._id}>
+                    <td>{new Date(conflict.recordedAt || conflict.createdAt).toLocaleString()}</td>
+                    <td>
+                      {conflict.provisionalNumber}
+                      <small className="text-muted d-block">{conflict.registerNumber}</small>
+                    </td>
+                    <td>
+                      {conflict.sale ? conflict.sale.saleNumber : <span className="text-danger">Not saved</span>}
+                    </td>
+                    <td>
+                      <Badge bg={TYPE_VARIANTS[conflict.type] || 'secondary'}>{conflict.type}</Badge>
+                    </td>
+                    <td>
+                      {conflict.product ? (
+                        <>
+                          <Link to={`/products/${conflict.product}`}>{conflict.productName}</Link>
+                          <small className="d-block">{conflict.details}</small>
+                        </>
+                      ) : conflict.details}
+                    </td>
+                    <td>{conflict.recordedBy?.name}</td>
+                    <td>
+                      {conflict.status === 'Resolved' ? (
+                        <>
+                          {conflict.resolution}
+                          <small className="text-muted d-block">
+                            {conflict.resolvedBy?.name}, {new Date(conflict.resolvedAt).toLocaleString()}
+                          </small>
+                        </>
+                      ) : '-'}
+                    </td>
+                    <td>
+                      {conflict.status === 'Open' && (
+                        <Button variant="outline-primary" size="sm" onClick={() => openResolve(conflict)}>
+                          Resolve
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={resolving !== null} onHide={() => setResolving(null)}>
+        <Form onSubmit={resolveConflict}>
+          <Modal.Header closeButton>
+            <Modal.Title>Resolve {resolving?.type}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>{resolving?.details}</p>
+            <Form.Group>
+              <Form.Label>How was this settled?</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={resolution}
+                onChange={(e) => setResolution(e.target.value)}
+                placeholder="e.g. Stock found in the shade house and counted in"
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setResolving(null)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={isSaving || !resolution.trim()}>
+              Resolve
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default SaleConflictsPage;
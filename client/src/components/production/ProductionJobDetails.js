@@ -0,0 +1,381 @@
+// client/src/components/production/ProductionJobDetails.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, Spinner } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+import { PRODUCTION_STAGES, STATUS_VARIANTS, survivalPercent } from './ProductionPage';
+import { InputLinesEditor, useProductionProducts } from './ProductionJobForm';
+import { LocationSelect } from '../inventory/LocationSelect';
+
+// Format currency
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount);
+};
+
+const EMPTY_ADVANCE = {
+  quantityLost: 0,
+  lossReason: '',
+  notes: '',
+  additionalCost: '',
+  potSize: '',
+  location: ''
+};
+
+const ProductionJobDetails = () => {
+  const { id } = useParams();
+  const { hasPermission } = useContext(AuthContext);
+  const { inputs: inputProducts } = useProductionProducts();
+  const canManage = hasPermission('production:manage');
+
+  const [job, setJob] = useState(null);
+  const [advance, setAdvance] = useState(EMPTY_ADVANCE);
+  const [newInputs, setNewInputs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchJob = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/production/${id}`);
+      setJob(res.data);
+    } catch (err) {
+      setError('Failed to load production job');
+    }
+    setLoading(false);
+  }, [id]);
+
+  useEffect(() => {
+    fetchJob();
+  }, [fetchJob]);
+
+  // Run a job action, then reload the job
+  const runAction = async (request, onDone) => {
+    setWorking(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const res = await request();
+      setMessage(res.data.message);
+      if (onDone) onDone();
+      await fetchJob();
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Action failed'
+      );
+    }
+
+    setWorking(false);
+  };
+
+  const advanceStage = (e) => {
+    e.preventDefault();
+    runAction(
+      () => axios.post(`/api/production/${id}/advance`, advance),
+      () => setAdvance(EMPTY_ADVANCE)
+    );
+  };
+
+  const addInputs = () => {
+    runAction(
+      () => axios.post(`/api/production/${id}/inputs`, { inputs: newInputs }),
+      () => setNewInputs([])
+    );
+  };
+
+  const cancelJob = () => {
+    const reason = window.prompt('Reason for cancelling this job:');
+    if (reason === null) return;
+
+    runAction(() => axios.put(`/api/production/${id}/cancel`, { reason }));
+  };
+
+  if (loading) {
+    return (
+      <Container className="text-center p-5">
+        <Spinner animation="border" />
+      </Container>
+    );
+  }
+
+  if (!job) {
+    return (
+      <Container fluid>
+        <Alert variant="danger">{error || 'Production job not found'}</Alert>
+      </Container>
+    );
+  }
+
+  const inProgress = job.status === 'In Progress';
+  const nextStage = PRODUCTION_STAGES[PRODUCTION_STAGES.indexOf(job.stage) + 1];
+  const completing = nextStage === 'Ready for Sale';
+  const totalLost = job.startQuantity - job.quantity;
+  const projectedUnitCost = job.quantity - (parseInt(advance.quantityLost) || 0) > 0
+    ? (job.inputCost + (parseFloat(advance.additionalCost) || 0)) / (job.quantity - (parseInt(advance.quantityLost) || 0))
+    : null;
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>
+            {job.jobNumber}{' '}
+            <Badge bg={STATUS_VARIANTS[job.status]}>{job.status}</Badge>
+          </h2>
+          <p className="text-muted mb-0">
+            {job.method} · {job.product?.name} · started {new Date(job.createdAt).toLocaleDateString()}
+            {job.location && <> · {job.location.name}</>}
+            {job.createdBy && ` by ${job.createdBy.name}`}
+          </p>
+        </Col>
+        <Col xs="auto">
+          {canManage && inProgress && (
+            <Button variant="outline-danger" className="me-2" onClick={cancelJob} disabled={working}>
+              Cancel Job
+            </Button>
+          )}
+          <Link to="/production" className="btn btn-outline-secondary">
+            Back to Production
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert variant="success" onClose={() => setMessage('')} dismissible>
+          {message}
+        </Alert>
+      )}
+
+      <Row>
+        <Col lg={8}>
+          <Card className="mb-3">
+            <Card.Header>Stages</Card.Header>
+            <Card.Body className="p-0">
+              <Table responsive className="mb-0">
+                <thead className="table-light">
+                  <tr>
+                    <th>Stage</th>
+                    <th>Started</th>
+                    <th>Days (plan)</th>
+                    <th>Plants In</th>
+                    <th>Lost (plan %)</th>
+                    <th>Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {job.stages.map(record => {
+                    const lossPercent = record.quantityIn > 0
+                      ? Math.round((record.quantityLost / record.quantityIn) * 100)
+                      : 0;
+                    const late = !record.completedAt && record.expectedDays !== undefined &&
+                      record.actualDays > record.expectedDays;
+
+                    return (
+                      <tr key={record._id} className={record.stage === job.stage && inProgress ? 'table-active' : ''}>
+                        <td>{record.stage}</td>
+                        <td>{new Date(record.startedAt).toLocaleDateString()}</td>
+                        <td className={late ? 'text-danger' : ''}>
+                          {record.expectedDays !== undefined
+                            ? `${record.actualDays} (${record.expectedDays})`
+                            : '-'}
+                        </td>
+                        <td>{record.quantityIn}</td>
+                        <td className={lossPercent > (record.expectedLossPercent || 0) ? 'text-danger' : ''}>
+                          {record.completedAt && record.expectedLossPercent !== undefined
+                            ? `${record.quantityLost} - ${lossPercent}% (${record.expectedLossPercent}%)`
+                            : record.completedAt ? record.quantityLost : '-'}
+                        </td>
+                        <td>
+                          {record.lossReason}
+                          {record.notes && <small className="text-muted d-block">{record.notes}</small>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+
+          <Card className="mb-3">
+            <Card.Header>Inputs Used</Card.Header>
+            <Card.Body>
+              {job.inputs.length === 0 ? (
+                <p className="text-muted">No inputs recorded</p>
+              ) : (
+                <Table size="sm">
+                  <thead>
+                    <tr>
+                      <th>Input</th>
+                      <th>Stage</th>
+                      <th>Quantity</th>
+                      <th className="text-end">Unit Cost</th>
+                      <th className="text-end">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {job.inputs.map(input => (
+                      <tr key={input._id}>
+                        <td>{input.name}</td>
+                        <td>{input.stage}</td>
+                        <td>{input.quantity}</td>
+                        <td className="text-end">{formatCurrency(input.unitCost)}</td>
+                        <td className="text-end">{formatCurrency(input.cost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <th colSpan="4" className="text-end">Total</th>
+                      <th className="text-end">{formatCurrency(job.inputCost)}</th>
+                    </tr>
+                  </tfoot>
+                </Table>
+              )}
+              {canManage && inProgress && (
+                <>
+                  <InputLinesEditor lines={newInputs} onChange={setNewInputs} products={inputProducts} />
+                  {newInputs.length > 0 && (
+                    <Button variant="primary" size="sm" className="ms-2" onClick={addInputs} disabled={working}>
+                      Use Inputs
+                    </Button>
+                  )}
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={4}>
+          <Card className="mb-3">
+            <Card.Header>Summary</Card.Header>
+            <Card.Body>
+              <dl className="row mb-0">
+                <dt className="col-7">Started with</dt>
+                <dd className="col-5 text-end">{job.startQuantity}</dd>
+                <dt className="col-7">{inProgress ? 'Plants now' : 'Plants produced'}</dt>
+                <dd className="col-5 text-end">{job.quantity}</dd>
+                <dt className="col-7">Lost</dt>
+                <dd className="col-5 text-end">{totalLost} ({100 - survivalPercent(job)}%)</dd>
+                <dt className="col-7">Input cost</dt>
+                <dd className="col-5 text-end">{formatCurrency(job.inputCost)}</dd>
+                {job.status === 'Completed' && (
+                  <>
+                    <dt className="col-7">Additional cost</dt>
+                    <dd className="col-5 text-end">{formatCurrency(job.additionalCost)}</dd>
+                    <dt className="col-7">Cost per plant</dt>
+                    <dd className="col-5 text-end">{formatCurrency(job.unitCost)}</dd>
+                    <dt className="col-7">Batch</dt>
+                    <dd className="col-5 text-end">{job.batch?.batchNumber || '-'}</dd>
+                  </>
+                )}
+                {inProgress && job.expectedReadyDate && (
+                  <>
+                    <dt className="col-7">Expected ready</dt>
+                    <dd className="col-5 text-end">{new Date(job.expectedReadyDate).toLocaleDateString()}</dd>
+                  </>
+                )}
+              </dl>
+            </Card.Body>
+          </Card>
+
+          {canManage && inProgress && (
+            <Card className="mb-3">
+              <Card.Header>{completing ? 'Finish: Ready for Sale' : `Move to ${nextStage}`}</Card.Header>
+              <Card.Body>
+                <Form onSubmit={advanceStage}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Plants lost in {job.stage}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max={job.quantity}
+                      value={advance.quantityLost}
+                      onChange={(e) => setAdvance({ ...advance, quantityLost: e.target.value })}
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Loss Reason</Form.Label>
+                    <Form.Control
+                      type="text"
+                      placeholder="e.g. Poor germination, damping off"
+                      value={advance.lossReason}
+                      onChange={(e) => setAdvance({ ...advance, lossReason: e.target.value })}
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Notes</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={advance.notes}
+                      onChange={(e) => setAdvance({ ...advance, notes: e.target.value })}
+                    />
+                  </Form.Group>
+                  {completing && (
+                    <>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Additional Cost</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          placeholder="Labour, heating, etc."
+                          value={advance.additionalCost}
+                          onChange={(e) => setAdvance({ ...advance, additionalCost: e.target.value })}
+                        />
+                      </Form.Group>
+                      <Row>
+                        <Col>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Pot Size</Form.Label>
+                            <Form.Control
+                              type="text"
+                              value={advance.potSize}
+                              onChange={(e) => setAdvance({ ...advance, potSize: e.target.value })}
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Location</Form.Label>
+                            <LocationSelect
+                              value={advance.location}
+                              onChange={(value) => setAdvance({ ...advance, location: value })}
+                              blankLabel={job.location?.name || 'Sales location'}
+                            />
+                          </Form.Group>
+                        </Col>
+                      </Row>
+                      <p className="small text-muted">
+                        {projectedUnitCost !== null
+                          ? `Plants go into stock at ${formatCurrency(projectedUnitCost)} each, which becomes the product's cost price.`
+                          : 'No plants would be left to put into stock.'}
+                      </p>
+                    </>
+                  )}
+                  <Button type="submit" variant={completing ? 'success' : 'primary'} disabled={working}>
+                    {completing ? 'Complete and Add to Stock' : `Move to ${nextStage}`}
+                  </Button>
+                </Form>
+              </Card.Body>
+            </Card>
+          )}
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default ProductionJobDetails;
@@ -0,0 +1,392 @@
+// client/src/components/production/ProductionJobForm.js
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, Table } from 'react-bootstrap';
+import { LocationSelect } from '../inventory/LocationSelect';
+
+// Products a job can use up rather than grow
+export const INPUT_CATEGORIES = ['Seeds', 'Pots', 'Fertilizers'];
+
+// Format currency
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount);
+};
+
+/**
+ * Rows of { product, quantity } for the seeds, pots and potting mix a job
+ * uses, with the cost each will add to the job.
+ */
+export const InputLinesEditor = ({ lines, onChange, products }) => {
+  const updateLine = (index, field, value) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const productById = (productId) => products.find(product => product._id === productId);
+
+  return (
+    <>
+      {lines.length > 0 && (
+        <Table size="sm" className="mb-2">
+          <thead>
+            <tr>
+              <th>Input</th>
+              <th style={{ width: '110px' }}>Quantity</th>
+              <th className="text-end">Cost</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((line, index) => {
+              const product = productById(line.product);
+
+              return (
+                <tr key={index}>
+                  <td>
+                    <Form.Select
+                      size="sm"
+                      value={line.product}
+                      onChange={(e) => updateLine(index, 'product', e.target.value)}
+                      required
+                    >
+                      <option value="">Select...</option>
+                      {products.map(option => (
+                        <option key={option._id} value={option._id}>
+                          {option.name} ({option.currentStock} in stock)
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </td>
+                  <td>
+                    <Form.Control
+                      size="sm"
+                      type="number"
+                      min="1"
+                      value={line.quantity}
+                      onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                      required
+                    />
+                  </td>
+                  <td className="text-end align-middle">
+                    {product ? formatCurrency((parseInt(line.quantity) || 0) * product.costPrice) : '-'}
+                  </td>
+                  <td className="text-end">
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => onChange(lines.filter((_, i) => i !== index))}
+                      aria-label="Remove input"
+                    >
+                      <i className="fas fa-times"></i>
+                    </Button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      )}
+      <Button
+        variant="outline-secondary"
+        size="sm"
+        onClick={() => onChange([...lines, { product: '', quantity: 1 }])}
+      >
+        <i className="fas fa-plus me-1"></i> Add Input
+      </Button>
+    </>
+  );
+};
+
+// Load the products a job can grow and the ones it can use as inputs
+export const useProductionProducts = () => {
+  const [plants, setPlants] = useState([]);
+  const [inputs, setInputs] = useState([]);
+
+  useEffect(() => {
+    const loadProducts = async () => {
+      try {
+        const res = await axios.get('/api/products', { params: { active: true, limit: 1000 } });
+        setPlants(res.data.products.filter(product => !INPUT_CATEGORIES.includes(product.category) && product.category !== 'Tools'));
+        setInputs(res.data.products.filter(product => INPUT_CATEGORIES.includes(product.category)));
+      } catch (err) {
+        setPlants([]);
+        setInputs([]);
+      }
+    };
+
+    loadProducts();
+  }, []);
+
+  return { plants, inputs };
+};
+
+const ProductionJobForm = () => {
+  const navigate = useNavigate();
+  const { plants, inputs: inputProducts } = useProductionProducts();
+
+  const [job, setJob] = useState({
+    product: '',
+    method: 'Seed',
+    startStage: 'Sown',
+    quantity: 100,
+    location: '',
+    notes: ''
+  });
+  const [inputs, setInputs] = useState([]);
+  const [plan, setPlan] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadPlan = async () => {
+      try {
+        const res = await axios.get('/api/production/plan');
+        setPlan(res.data.plan);
+      } catch (err) {
+        setError('Failed to load the default stage plan');
+      }
+      setLoading(false);
+    };
+
+    loadPlan();
+  }, []);
+
+  const updateField = (field, value) => {
+    setJob(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updatePlan = (stage, field, value) => {
+    setPlan(prev => prev.map(step => (step.stage === stage ? { ...step, [field]: value } : step)));
+  };
+
+  // Stages the job will go through from where it starts
+  const plannedStages = plan.slice(plan.findIndex(step => step.stage === job.startStage));
+
+  const expectedDays = plannedStages.reduce((sum, step) => sum + (parseInt(step.expectedDays) || 0), 0);
+  const expectedOutput = Math.round(plannedStages.reduce(
+    (remaining, step) => remaining * (1 - (parseFloat(step.expectedLossPercent) || 0) / 100),
+    parseInt(job.quantity) || 0
+  ));
+
+  const inputCost = inputs.reduce((sum, line) => {
+    const product = inputProducts.find(option => option._id === line.product);
+    return sum + (product ? (parseInt(line.quantity) || 0) * product.costPrice : 0);
+  }, 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const res = await axios.post('/api/production', { ...job, inputs, plan });
+      navigate(`/production/${res.data.job._id}`);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to create production job'
+      );
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container className="text-center p-5">
+        <Spinner animation="border" />
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>New Production Job</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/production" className="btn btn-outline-secondary">
+            Back to Production
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Row>
+          <Col lg={7}>
+            <Card className="mb-3">
+              <Card.Header>What is being grown</Card.Header>
+              <Card.Body>
+                <Form.Group className="mb-3">
+                  <Form.Label>Plant</Form.Label>
+                  <Form.Select
+                    value={job.product}
+                    onChange={(e) => updateField('product', e.target.value)}
+                    required
+                  >
+                    <option value="">Select the finished product...</option>
+                    {plants.map(product => (
+                      <option key={product._id} value={product._id}>
+                        {product.name} ({product.category})
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Method</Form.Label>
+                      <Form.Select
+                        value={job.method}
+                        onChange={(e) => updateField('method', e.target.value)}
+                      >
+                        <option value="Seed">Seed</option>
+                        <option value="Cutting">Cutting</option>
+                        <option value="Division">Division</option>
+                        <option value="Potting On">Potting On</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Starting Stage</Form.Label>
+                      <Form.Select
+                        value={job.startStage}
+                        onChange={(e) => updateField('startStage', e.target.value)}
+                      >
+                        {plan.map(step => (
+                          <option key={step.stage} value={step.stage}>{step.stage}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Quantity Started</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={job.quantity}
+                        onChange={(e) => updateField('quantity', e.target.value)}
+                        required
+                      />
+                      <Form.Text muted>Seeds sown, cuttings struck or plants potted</Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Location</Form.Label>
+                      <LocationSelect
+                        value={job.location}
+                        onChange={(value) => updateField('location', value)}
+                        blankLabel="Not set"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Notes</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={job.notes}
+                        onChange={(e) => updateField('notes', e.target.value)}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+              </Card.Body>
+            </Card>
+
+            <Card className="mb-3">
+              <Card.Header>Inputs used now</Card.Header>
+              <Card.Body>
+                <p className="text-muted small">
+                  Seeds, pots and potting mix are taken out of stock when the job starts.
+                  Inputs used later, such as pots when potting up, can be added from the job.
+                </p>
+                <InputLinesEditor lines={inputs} onChange={setInputs} products={inputProducts} />
+              </Card.Body>
+            </Card>
+          </Col>
+
+          <Col lg={5}>
+            <Card className="mb-3">
+              <Card.Header>Stage Plan</Card.Header>
+              <Card.Body>
+                <Table size="sm">
+                  <thead>
+                    <tr>
+                      <th>Stage</th>
+                      <th style={{ width: '90px' }}>Days</th>
+                      <th style={{ width: '90px' }}>Loss %</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plannedStages.map(step => (
+                      <tr key={step.stage}>
+                        <td className="align-middle">{step.stage}</td>
+                        <td>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min="0"
+                            value={step.expectedDays}
+                            onChange={(e) => updatePlan(step.stage, 'expectedDays', e.target.value)}
+                          />
+                        </td>
+                        <td>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={step.expectedLossPercent}
+                            onChange={(e) => updatePlan(step.stage, 'expectedLossPercent', e.target.value)}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                <dl className="row mb-0">
+                  <dt className="col-7">Ready for sale in</dt>
+                  <dd className="col-5 text-end">{expectedDays} days</dd>
+                  <dt className="col-7">Expected plants</dt>
+                  <dd className="col-5 text-end">{expectedOutput}</dd>
+                  <dt className="col-7">Inputs so far</dt>
+                  <dd className="col-5 text-end">{formatCurrency(inputCost)}</dd>
+                  <dt className="col-7">Expected cost per plant</dt>
+                  <dd className="col-5 text-end">
+                    {expectedOutput > 0 ? formatCurrency(inputCost / expectedOutput) : '-'}
+                  </dd>
+                </dl>
+              </Card.Body>
+            </Card>
+
+            <div className="text-end">
+              <Button type="submit" variant="primary" disabled={saving}>
+                {saving ? 'Starting...' : 'Start Job'}
+              </Button>
+            </div>
+          </Col>
+        </Row>
+      </Form>
+    </Container>
+  );
+};
+
+export default ProductionJobForm;
@@ -0,0 +1,152 @@
+// client/src/components/production/ProductionPage.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Badge, Alert, Spinner, ProgressBar } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+
+export const PRODUCTION_STAGES = ['Sown', 'Germinated', 'Pricked Out', 'Potted', 'Ready for Sale'];
+
+export const STATUS_VARIANTS = {
+  'In Progress': 'primary',
+  Completed: 'success',
+  Cancelled: 'secondary'
+};
+
+// Survival so far as a percentage of what was started
+export const survivalPercent = (job) => {
+  return job.startQuantity > 0 ? Math.round((job.quantity / job.startQuantity) * 100) : 0;
+};
+
+const ProductionPage = () => {
+  const { hasPermission } = useContext(AuthContext);
+
+  const [jobs, setJobs] = useState([]);
+  const [status, setStatus] = useState('In Progress');
+  const [stage, setStage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (status) params.status = status;
+      if (stage) params.stage = stage;
+
+      const res = await axios.get('/api/production', { params });
+      setJobs(res.data.jobs);
+    } catch (err) {
+      setError('Failed to load production jobs');
+    }
+    setLoading(false);
+  }, [status, stage]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Production</h2>
+        </Col>
+        <Col xs="auto" className="d-flex align-items-center">
+          <Form.Select
+            className="me-2"
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+          >
+            <option value="">All Statuses</option>
+            {Object.keys(STATUS_VARIANTS).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Form.Select>
+          <Form.Select
+            className="me-3"
+            value={stage}
+            onChange={(e) => setStage(e.target.value)}
+          >
+            <option value="">All Stages</option>
+            {PRODUCTION_STAGES.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Form.Select>
+          {hasPermission('production:manage') && (
+            <Link to="/production/new" className="btn btn-primary text-nowrap">
+              <i className="fas fa-plus me-1"></i> New Job
+            </Link>
+          )}
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center">
+              <Spinner animation="border" />
+            </div>
+          ) : jobs.length === 0 ? (
+            <p className="text-center mb-0">No production jobs found</p>
+          ) : (
+            <Table hover responsive>
+              <thead>
+                <tr>
+                  <th>Job #</th>
+                  <th>Plant</th>
+                  <th>Method</th>
+                  <th>Stage</th>
+                  <th>Plants</th>
+                  <th>Expected Ready</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => {
+                  const overdue = job.expectedReadyDate && new Date(job.expectedReadyDate) < new Date();
+
+                  return (
+                    <tr key={job._id}>
+                      <td>
+                        <Link to={`/production/${job._id}`}>{job.jobNumber}</Link>
+                      </td>
+                      <td>{job.product?.name || 'Unknown'}</td>
+                      <td>{job.method}</td>
+                      <td style={{ minWidth: '160px' }}>
+                        {job.stage}
+                        <ProgressBar
+                          now={((PRODUCTION_STAGES.indexOf(job.stage) + 1) / PRODUCTION_STAGES.length) * 100}
+                          style={{ height: '4px' }}
+                          className="mt-1"
+                        />
+                      </td>
+                      <td>
+                        {job.quantity} / {job.startQuantity}
+                        <small className="text-muted d-block">{survivalPercent(job)}% surviving</small>
+                      </td>
+                      <td className={overdue ? 'text-danger' : ''}>
+                        {job.expectedReadyDate ? new Date(job.expectedReadyDate).toLocaleDateString() : '-'}
+                      </td>
+                      <td>
+                        <Badge bg={STATUS_VARIANTS[job.status]}>{job.status}</Badge>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default ProductionPage;
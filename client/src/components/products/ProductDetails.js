@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import AlertContext from '../../context/alert/alertContext';
 import AuthContext from '../../context/auth/authContext';
+import { BatchModal, formatBatchAge } from '../inventory/BatchModal';
 
 const ProductDetails = () => {
   const { id } = useParams();
@@ -12,16 +13,24 @@ const ProductDetails = () => {
   const authContext = useContext(AuthContext);
   
   const { setAlert } = alertContext;
-  const { user } = authContext;
+  const { hasPermission } = authContext;
   
   // Role-based permissions
-  const canEdit = user && ['admin', 'manager', 'inventory'].includes(user.role);
-  const canDelete = user && ['admin'].includes(user.role);
+  const canEdit = hasPermission('products:edit');
+  const canDelete = hasPermission('products:delete');
+  const canViewHistory = hasPermission('audit:view');
+  const canViewBatches = hasPermission('inventory:view');
+  const canAddBatch = hasPermission('stock:adjust');
   
   const [product, setProduct] = useState(null);
   const [supplier, setSupplier] = useState(null);
   const [movements, setMovements] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [activeTab, setActiveTab] = useState('movements');
   const [loading, setLoading] = useState(true);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [showBatchModal, setShowBatchModal] = useState(false);
   
   useEffect(() => {
     const fetchProductData = async () => {
@@ -56,6 +65,55 @@ const ProductDetails = () => {
     fetchProductData();
   }, [id, navigate, setAlert]);
   
+  // Batches still holding stock, oldest first
+  const fetchBatches = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/batches', { params: { product: id } });
+      setBatches(res.data.batches);
+    } catch (err) {
+      console.error('Error fetching batches:', err);
+    }
+  }, [id]);
+  
+  useEffect(() => {
+    if (canViewBatches) {
+      fetchBatches();
+    }
+  }, [canViewBatches, fetchBatches]);
+  
+  const handleBatchSaved = async () => {
+    setShowBatchModal(false);
+    setAlert('Batch added', 'success');
+    fetchBatches();
+    
+    // Stock level changes when new units are received into the batch
+    const productRes = await axios.get(`/api/products/${id}`);
+    setProduct(productRes.data);
+  };
+  
+  // Load the change history when its tab is opened
+  useEffect(() => {
+    if (activeTab !== 'history') return;
+    
+    const fetchHistory = async () => {
+      setHistoryLoading(true);
+      
+      try {
+        const res = await axios.get('/api/audit', {
+          params: { entityType: 'Product', entityId: id, limit: 100 }
+        });
+        setHistory(res.data.logs);
+      } catch (err) {
+        console.error('Error fetching product history:', err);
+        setAlert('Failed to load product history', 'danger');
+      }
+      
+      setHistoryLoading(false);
+    };
+    
+    fetchHistory();
+  }, [activeTab, id, setAlert]);
+  
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -83,6 +141,14 @@ const ProductDetails = () => {
     }
   };
   
+  // Show logged values in a readable form
+  const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+  
   // Render stock badge
   const renderStockBadge = (currentStock, minimumStock) => {
     if (currentStock <= 0) {
@@ -340,11 +406,32 @@ const ProductDetails = () => {
               </div>
             </div>
             
-            {/* Inventory Movements */}
+            {/* Inventory Movements and History */}
             <div className="card">
               <div className="card-header d-flex justify-content-between align-items-center">
-                <h5 className="mb-0">Recent Inventory Movements</h5>
-                {canEdit && (
+                {canViewHistory ? (
+                  <ul className="nav nav-tabs card-header-tabs">
+                    <li className="nav-item">
+                      <button
+                        className={`nav-link ${activeTab === 'movements' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('movements')}
+                      >
+                        Recent Inventory Movements
+                      </button>
+                    </li>
+                    <li className="nav-item">
+                      <button
+                        className={`nav-link ${activeTab === 'history' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('history')}
+                      >
+                        History
+                      </button>
+                    </li>
+                  </ul>
+                ) : (
+                  <h5 className="mb-0">Recent Inventory Movements</h5>
+                )}
+                {canEdit && activeTab === 'movements' && (
                   <button 
                     className="btn btn-sm btn-primary"
                     onClick={() => navigate(`/inventory?product=${id}`)}
@@ -353,51 +440,110 @@ const ProductDetails = () => {
                   </button>
                 )}
               </div>
-              <div className="card-body p-0">
-                {movements.length === 0 ? (
-                  <div className="p-4 text-center">
-                    <p>No inventory movements recorded for this product.</p>
-                  </div>
-                ) : (
-                  <div className="table-responsive">
-                    <table className="table table-hover mb-0">
-                      <thead className="table-light">
-                        <tr>
-                          <th>Date</th>
-                          <th>Type</th>
-                          <th>Quantity</th>
-                          <th>Previous Stock</th>
-                          <th>New Stock</th>
-                          <th>Reference</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {movements.map(movement => (
-                          <tr key={movement.id}>
-                            <td>{new Date(movement.timestamp).toLocaleString()}</td>
-                            <td>
-                              <span className={`badge bg-${
-                                movement.movementType === 'Received' ? 'success' :
-                                movement.movementType === 'Sold' ? 'primary' :
-                                movement.movementType === 'Damaged' ? 'danger' :
-                                movement.movementType === 'Returned' ? 'info' :
-                                'secondary'
-                              }`}>
-                                {movement.movementType}
-                              </span>
-                            </td>
-                            <td>{movement.quantity}</td>
-                            <td>{movement.previousStock}</td>
-                            <td>{movement.newStock}</td>
-                            <td>{movement.reference || '-'}</td>
+              {activeTab === 'history' ? (
+                <div className="card-body p-0">
+                  {historyLoading ? (
+                    <div className="p-4 text-center">
+                      <div className="spinner-border text-primary" role="status">
+                        <span className="visually-hidden">Loading...</span>
+                      </div>
+                    </div>
+                  ) : history.length === 0 ? (
+                    <div className="p-4 text-center">
+                      <p>No changes recorded for this product.</p>
+                    </div>
+                  ) : (
+                    <div className="table-responsive">
+                      <table className="table table-sm mb-0">
+                        <thead className="table-light">
+                          <tr>
+                            <th>Date</th>
+                            <th>User</th>
+                            <th>Field</th>
+                            <th>Before</th>
+                            <th>After</th>
                           </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                )}
-              </div>
-              {movements.length > 0 && (
+                        </thead>
+                        <tbody>
+                          {history.map(entry => (
+                            entry.action === 'update' ? (
+                              entry.changes.map((change, index) => (
+                                <tr key={`${entry._id}-${change.field}`}>
+                                  {index === 0 && (
+                                    <>
+                                      <td rowSpan={entry.changes.length}>{new Date(entry.createdAt).toLocaleString()}</td>
+                                      <td rowSpan={entry.changes.length}>{entry.user?.name || entry.userName}</td>
+                                    </>
+                                  )}
+                                  <td>{change.field}</td>
+                                  <td className="text-muted">{formatAuditValue(change.before)}</td>
+                                  <td>{formatAuditValue(change.after)}</td>
+                                </tr>
+                              ))
+                            ) : (
+                              <tr key={entry._id}>
+                                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                                <td>{entry.user?.name || entry.userName}</td>
+                                <td colSpan="3">
+                                  <span className={`badge bg-${entry.action === 'create' ? 'success' : 'danger'}`}>
+                                    {entry.action === 'create' ? 'Created' : 'Deleted'}
+                                  </span>
+                                </td>
+                              </tr>
+                            )
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="card-body p-0">
+                  {movements.length === 0 ? (
+                    <div className="p-4 text-center">
+                      <p>No inventory movements recorded for this product.</p>
+                    </div>
+                  ) : (
+                    <div className="table-responsive">
+                      <table className="table table-hover mb-0">
+                        <thead className="table-light">
+                          <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Quantity</th>
+                            <th>Previous Stock</th>
+                            <th>New Stock</th>
+                            <th>Reference</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {movements.map(movement => (
+                            <tr key={movement.id}>
+                              <td>{new Date(movement.timestamp).toLocaleString()}</td>
+                              <td>
+                                <span className={`badge bg-${
+                                  movement.movementType === 'Received' ? 'success' :
+                                  movement.movementType === 'Sold' ? 'primary' :
+                                  movement.movementType === 'Damaged' ? 'danger' :
+                                  movement.movementType === 'Returned' ? 'info' :
+                                  'secondary'
+                                }`}>
+                                  {movement.movementType}
+                                </span>
+                              </td>
+                              <td>{movement.quantity}</td>
+                              <td>{movement.previousStock}</td>
+                              <td>{movement.newStock}</td>
+                              <td>{movement.reference || '-'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+              {activeTab === 'movements' && movements.length > 0 && (
                 <div className="card-footer text-end">
                   <Link to={`/inventory?product=${id}`} className="btn btn-sm btn-outline-primary">
                     View All Movements
@@ -541,9 +687,67 @@ const ProductDetails = () => {
                 </div>
               </div>
             </div>
+            
+            {/* Batches */}
+            {canViewBatches && (
+              <div className="card mt-4">
+                <div className="card-header d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0">Batches</h5>
+                  {canAddBatch && (
+                    <button 
+                      className="btn btn-sm btn-outline-primary"
+                      onClick={() => setShowBatchModal(true)}
+                    >
+                      Add Batch
+                    </button>
+                  )}
+                </div>
+                <div className="card-body p-0">
+                  {batches.length === 0 ? (
+                    <div className="p-3 text-center">
+                      <p className="mb-0">No batches with stock on hand.</p>
+                    </div>
+                  ) : (
+                    <table className="table table-sm mb-0">
+                      <thead className="table-light">
+                        <tr>
+                          <th>Batch</th>
+                          <th>Age</th>
+                          <th>Pot</th>
+                          <th>Qty</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {batches.map(batch => (
+                          <tr key={batch._id}>
+                            <td>
+                              {batch.batchNumber}
+                              <div className="small text-muted">
+                                {new Date(batch.pottingDate).toLocaleDateString()}
+                                {batch.location && ` · ${batch.location}`}
+                              </div>
+                            </td>
+                            <td>{formatBatchAge(batch.ageDays)}</td>
+                            <td>{batch.potSize || '-'}</td>
+                            <td>{batch.quantity}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
+      
+      <BatchModal
+        show={showBatchModal}
+        onHide={() => setShowBatchModal(false)}
+        product={product}
+        onSaved={handleBatchSaved}
+      />
     </div>
   );
 };
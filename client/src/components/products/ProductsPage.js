@@ -9,7 +9,7 @@ const ProductsPage = () => {
   const authContext = useContext(AuthContext);
   
   const { setAlert } = alertContext;
-  const { user } = authContext;
+  const { hasPermission } = authContext;
   
   // State
   const [products, setProducts] = useState([]);
@@ -29,8 +29,8 @@ const ProductsPage = () => {
   });
   
   // Role-based permissions
-  const canEdit = user && ['admin', 'manager', 'inventory'].includes(user.role);
-  const canDelete = user && ['admin'].includes(user.role);
+  const canEdit = hasPermission('products:edit');
+  const canDelete = hasPermission('products:delete');
   
   // Load products and categories on component mount
   useEffect(() => {
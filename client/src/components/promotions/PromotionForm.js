@@ -0,0 +1,476 @@
+// client/src/components/promotions/PromotionForm.js
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, InputGroup, ListGroup } from 'react-bootstrap';
+import { DAY_NAMES } from './PromotionsPage';
+
+const PROMOTION_TYPES = ['Percent Off', 'Fixed Price', 'Multi Buy', 'Buy X Get Y'];
+
+const EMPTY_PROMOTION = {
+  name: '',
+  description: '',
+  type: 'Percent Off',
+  percentOff: 10,
+  fixedPrice: 0,
+  bundleQuantity: 3,
+  bundlePrice: 10,
+  buyQuantity: 2,
+  getQuantity: 1,
+  products: [],
+  categories: [],
+  startDate: '',
+  endDate: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  isActive: true
+};
+
+// Date input value (YYYY-MM-DD) for a stored date, in local time
+const toDateInput = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return `${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${d.getDate().toString().padStart(2, '0')}`;
+};
+
+const PromotionForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEdit = Boolean(id);
+
+  const [promotion, setPromotion] = useState(EMPTY_PROMOTION);
+  const [categories, setCategories] = useState([]);
+  const [productSearch, setProductSearch] = useState('');
+  const [productResults, setProductResults] = useState([]);
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadPromotion = async () => {
+      try {
+        const [categoriesRes, promotionRes] = await Promise.all([
+          axios.get('/api/products/categories'),
+          isEdit ? axios.get(`/api/promotions/${id}`) : Promise.resolve(null)
+        ]);
+
+        setCategories(categoriesRes.data);
+
+        if (promotionRes) {
+          setPromotion({
+            ...EMPTY_PROMOTION,
+            ...promotionRes.data,
+            startDate: toDateInput(promotionRes.data.startDate),
+            endDate: toDateInput(promotionRes.data.endDate),
+            startTime: promotionRes.data.startTime || '',
+            endTime: promotionRes.data.endTime || ''
+          });
+        }
+      } catch (err) {
+        setError('Failed to load promotion');
+      }
+      setLoading(false);
+    };
+
+    loadPromotion();
+  }, [id, isEdit]);
+
+  // Wait for typing to settle before searching products
+  useEffect(() => {
+    if (productSearch.trim().length < 2) {
+      setProductResults([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get('/api/products', { params: { search: productSearch, active: true, limit: 10 } });
+        setProductResults(res.data.products);
+      } catch (err) {
+        setProductResults([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [productSearch]);
+
+  const updateField = (field, value) => {
+    setPromotion(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleListValue = (field, value) => {
+    setPromotion(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(existing => existing !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const addProduct = (product) => {
+    if (!promotion.products.some(existing => existing._id === product._id)) {
+      updateField('products', [...promotion.products, product]);
+    }
+    setProductSearch('');
+    setProductResults([]);
+  };
+
+  const removeProduct = (productId) => {
+    updateField('products', promotion.products.filter(product => product._id !== productId));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (promotion.products.length === 0 && promotion.categories.length === 0) {
+      setError('Choose at least one product or category');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    // Seasons run from the start of the first day to the end of the last, in local time
+    const data = {
+      ...promotion,
+      products: promotion.products.map(product => product._id),
+      startDate: promotion.startDate ? new Date(`${promotion.startDate}T00:00:00`).toISOString() : null,
+      endDate: promotion.endDate ? new Date(`${promotion.endDate}T23:59:59.999`).toISOString() : null
+    };
+
+    try {
+      if (isEdit) {
+        await axios.put(`/api/promotions/${id}`, data);
+      } else {
+        await axios.post('/api/promotions', data);
+      }
+
+      navigate('/promotions');
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to save promotion'
+      );
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>{isEdit ? 'Edit Promotion' : 'New Promotion'}</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/promotions" className="btn btn-outline-secondary">
+            <i className="fas fa-arrow-left me-1"></i> Back
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Card className="mb-3">
+          <Card.Header>Deal</Card.Header>
+          <Card.Body>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={promotion.name}
+                    onChange={(e) => updateField('name', e.target.value)}
+                    placeholder="e.g. Punnet Multi Buy"
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Description</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={promotion.description || ''}
+                    onChange={(e) => updateField('description', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Type</Form.Label>
+                  <Form.Select
+                    value={promotion.type}
+                    onChange={(e) => updateField('type', e.target.value)}
+                  >
+                    {PROMOTION_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+
+              {promotion.type === 'Percent Off' && (
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Percent Off</Form.Label>
+                    <InputGroup>
+                      <Form.Control
+                        type="number"
+                        min="0.5"
+                        max="100"
+                        step="0.5"
+                        value={promotion.percentOff}
+                        onChange={(e) => updateField('percentOff', parseFloat(e.target.value) || 0)}
+                        required
+                      />
+                      <InputGroup.Text>%</InputGroup.Text>
+                    </InputGroup>
+                  </Form.Group>
+                </Col>
+              )}
+
+              {promotion.type === 'Fixed Price' && (
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Price Each</Form.Label>
+                    <InputGroup>
+                      <InputGroup.Text>$</InputGroup.Text>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={promotion.fixedPrice}
+                        onChange={(e) => updateField('fixedPrice', parseFloat(e.target.value) || 0)}
+                        required
+                      />
+                    </InputGroup>
+                  </Form.Group>
+                </Col>
+              )}
+
+              {promotion.type === 'Multi Buy' && (
+                <>
+                  <Col md={2}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Quantity</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="2"
+                        step="1"
+                        value={promotion.bundleQuantity}
+                        onChange={(e) => updateField('bundleQuantity', parseInt(e.target.value) || 0)}
+                        required
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={3}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>For</Form.Label>
+                      <InputGroup>
+                        <InputGroup.Text>$</InputGroup.Text>
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={promotion.bundlePrice}
+                          onChange={(e) => updateField('bundlePrice', parseFloat(e.target.value) || 0)}
+                          required
+                        />
+                      </InputGroup>
+                    </Form.Group>
+                  </Col>
+                </>
+              )}
+
+              {promotion.type === 'Buy X Get Y' && (
+                <>
+                  <Col md={2}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Buy</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={promotion.buyQuantity}
+                        onChange={(e) => updateField('buyQuantity', parseInt(e.target.value) || 0)}
+                        required
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={2}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Get Free</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={promotion.getQuantity}
+                        onChange={(e) => updateField('getQuantity', parseInt(e.target.value) || 0)}
+                        required
+                      />
+                    </Form.Group>
+                  </Col>
+                </>
+              )}
+            </Row>
+            {(promotion.type === 'Multi Buy' || promotion.type === 'Buy X Get Y') && (
+              <Form.Text className="text-muted d-block mb-3">
+                Any mix of the products below counts towards the deal.
+              </Form.Text>
+            )}
+            <Form.Check
+              type="switch"
+              id="promotion-active"
+              label="Active"
+              checked={promotion.isActive}
+              onChange={(e) => updateField('isActive', e.target.checked)}
+            />
+          </Card.Body>
+        </Card>
+
+        <Card className="mb-3">
+          <Card.Header>Applies To</Card.Header>
+          <Card.Body>
+            <Form.Label>Categories</Form.Label>
+            <div className="mb-3">
+              {categories.map(category => (
+                <Form.Check
+                  key={category}
+                  inline
+                  type="checkbox"
+                  id={`category-${category}`}
+                  label={category}
+                  checked={promotion.categories.includes(category)}
+                  onChange={() => toggleListValue('categories', category)}
+                />
+              ))}
+            </div>
+
+            <Form.Label>Products</Form.Label>
+            <Form.Control
+              type="text"
+              placeholder="Search products to add..."
+              value={productSearch}
+              onChange={(e) => setProductSearch(e.target.value)}
+            />
+            {productResults.length > 0 && (
+              <ListGroup className="mb-2">
+                {productResults.map(product => (
+                  <ListGroup.Item key={product._id} action onClick={() => addProduct(product)}>
+                    {product.name} <small className="text-muted">{product.barcode}</small>
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            )}
+            {promotion.products.length > 0 && (
+              <ListGroup className="mt-2">
+                {promotion.products.map(product => (
+                  <ListGroup.Item key={product._id} className="d-flex justify-content-between align-items-center">
+                    <span>{product.name} <small className="text-muted">{product.barcode}</small></span>
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => removeProduct(product._id)}
+                      aria-label="Remove product"
+                    >
+                      <i className="fas fa-times"></i>
+                    </Button>
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            )}
+          </Card.Body>
+        </Card>
+
+        <Card className="mb-3">
+          <Card.Header>Schedule</Card.Header>
+          <Card.Body>
+            <Row>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Start Date</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={promotion.startDate}
+                    onChange={(e) => updateField('startDate', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>End Date</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={promotion.endDate}
+                    onChange={(e) => updateField('endDate', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>From (time of day)</Form.Label>
+                  <Form.Control
+                    type="time"
+                    value={promotion.startTime}
+                    onChange={(e) => updateField('startTime', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Until (time of day)</Form.Label>
+                  <Form.Control
+                    type="time"
+                    value={promotion.endTime}
+                    onChange={(e) => updateField('endTime', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Label>Days</Form.Label>
+            <div>
+              {DAY_NAMES.map((day, index) => (
+                <Form.Check
+                  key={day}
+                  inline
+                  type="checkbox"
+                  id={`day-${index}`}
+                  label={day}
+                  checked={promotion.daysOfWeek.includes(index)}
+                  onChange={() => toggleListValue('daysOfWeek', index)}
+                />
+              ))}
+            </div>
+            <Form.Text className="text-muted">
+              Leave dates empty to run indefinitely, and days and times empty to run all day, every day.
+            </Form.Text>
+          </Card.Body>
+        </Card>
+
+        <Button type="submit" variant="primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Promotion'}
+        </Button>
+      </Form>
+    </Container>
+  );
+};
+
+export default PromotionForm;
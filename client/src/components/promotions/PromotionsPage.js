@@ -0,0 +1,187 @@
+// client/src/components/promotions/PromotionsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Badge, Button, Alert, Spinner } from 'react-bootstrap';
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Format currency
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount);
+};
+
+// The deal in the words used on shelf tickets, e.g. "3 for $10.00"
+export const describeDeal = (promotion) => {
+  switch (promotion.type) {
+    case 'Percent Off':
+      return `${promotion.percentOff}% off`;
+    case 'Fixed Price':
+      return `Now ${formatCurrency(promotion.fixedPrice)} each`;
+    case 'Multi Buy':
+      return `${promotion.bundleQuantity} for ${formatCurrency(promotion.bundlePrice)}`;
+    case 'Buy X Get Y':
+      return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+    default:
+      return promotion.type;
+  }
+};
+
+// When the promotion runs: season, days and happy hour
+const describeSchedule = (promotion) => {
+  const parts = [];
+
+  if (promotion.startDate || promotion.endDate) {
+    const start = promotion.startDate ? new Date(promotion.startDate).toLocaleDateString() : '';
+    const end = promotion.endDate ? new Date(promotion.endDate).toLocaleDateString() : '';
+    parts.push(start && end ? `${start} - ${end}` : start ? `From ${start}` : `Until ${end}`);
+  }
+
+  if (promotion.daysOfWeek && promotion.daysOfWeek.length > 0 && promotion.daysOfWeek.length < 7) {
+    parts.push([...promotion.daysOfWeek].sort().map(day => DAY_NAMES[day]).join(', '));
+  }
+
+  if (promotion.startTime || promotion.endTime) {
+    parts.push(`${promotion.startTime || '00:00'} - ${promotion.endTime || '24:00'}`);
+  }
+
+  return parts.length > 0 ? parts.join(' | ') : 'Always';
+};
+
+const getStatus = (promotion) => {
+  const now = new Date();
+
+  if (!promotion.isActive) return { label: 'Inactive', variant: 'secondary' };
+  if (promotion.endDate && new Date(promotion.endDate) < now) return { label: 'Ended', variant: 'dark' };
+  if (promotion.startDate && new Date(promotion.startDate) > now) return { label: 'Scheduled', variant: 'info' };
+  return { label: 'Active', variant: 'success' };
+};
+
+const PromotionsPage = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchPromotions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/promotions', { params: activeOnly ? { active: true } : {} });
+      setPromotions(res.data);
+    } catch (err) {
+      setError('Failed to load promotions');
+    }
+    setLoading(false);
+  }, [activeOnly]);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  const deletePromotion = async (promotion) => {
+    if (!window.confirm(`Delete the promotion "${promotion.name}"?`)) return;
+
+    try {
+      await axios.delete(`/api/promotions/${promotion._id}`);
+      fetchPromotions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete promotion');
+    }
+  };
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Promotions</h2>
+        </Col>
+        <Col xs="auto" className="d-flex align-items-center">
+          <Form.Check
+            type="switch"
+            id="active-only"
+            label="Active only"
+            className="me-3"
+            checked={activeOnly}
+            onChange={(e) => setActiveOnly(e.target.checked)}
+          />
+          <Link to="/promotions/new" className="btn btn-primary">
+            <i className="fas fa-plus me-1"></i> New Promotion
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center">
+              <Spinner animation="border" />
+            </div>
+          ) : promotions.length === 0 ? (
+            <p className="text-center mb-0">No promotions found</p>
+          ) : (
+            <Table hover responsive>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Deal</th>
+                  <th>Applies To</th>
+                  <th>Runs</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map(promotion => {
+                  const status = getStatus(promotion);
+
+                  return (
+                    <tr key={promotion._id}>
+                      <td>
+                        <Link to={`/promotions/${promotion._id}/edit`}>{promotion.name}</Link>
+                        {promotion.description && (
+                          <small className="text-muted d-block">{promotion.description}</small>
+                        )}
+                      </td>
+                      <td>{describeDeal(promotion)}</td>
+                      <td>
+                        {[
+                          ...promotion.categories,
+                          ...promotion.products.map(product => product.name)
+                        ].join(', ')}
+                      </td>
+                      <td>{describeSchedule(promotion)}</td>
+                      <td>
+                        <Badge bg={status.variant}>{status.label}</Badge>
+                      </td>
+                      <td className="text-end">
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => deletePromotion(promotion)}
+                          aria-label="Delete promotion"
+                        >
+                          <i className="fas fa-trash"></i>
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default PromotionsPage;
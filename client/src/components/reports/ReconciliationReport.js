@@ -0,0 +1,433 @@
+// client/src/components/reports/ReconciliationReport.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Form, Button, Table, Spinner, Alert, Modal, Badge } from 'react-bootstrap';
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(value);
+};
+
+// Date input value for a date, in local time
+const toInputDate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+// Settlement files usually arrive the morning after
+const defaultSettlementDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 1);
+  return toInputDate(date);
+};
+
+const EXCEPTION_TYPES = ['Unmatched', 'Duplicate', 'Amount Mismatch', 'Not Settled'];
+
+const EXCEPTION_VARIANTS = {
+  Unmatched: 'danger',
+  Duplicate: 'warning',
+  'Amount Mismatch': 'warning',
+  'Not Settled': 'secondary'
+};
+
+const ReconciliationReport = () => {
+  const [imports, setImports] = useState([]);
+  const [exceptions, setExceptions] = useState([]);
+  const [summary, setSummary] = useState([]);
+  const [filters, setFilters] = useState({
+    settlementImport: '',
+    match: '',
+    status: 'Open'
+  });
+  const [upload, setUpload] = useState({
+    file: null,
+    settlementDate: defaultSettlementDate()
+  });
+  const [uploading, setUploading] = useState(false);
+  const [resolving, setResolving] = useState(null);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchImports();
+  }, []);
+
+  const fetchImports = async () => {
+    try {
+      const res = await axios.get('/api/reconciliation/imports');
+      setImports(res.data.imports);
+    } catch (err) {
+      setError('Failed to load settlement imports');
+    }
+  };
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const res = await axios.get('/api/reconciliation/report', {
+        params: {
+          settlementImport: filters.settlementImport || undefined,
+          match: filters.match || undefined,
+          status: filters.status
+        }
+      });
+
+      setExceptions(res.data.exceptions);
+      setSummary(res.data.summary);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load reconciliation report');
+    }
+
+    setLoading(false);
+  }, [filters]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const importFile = async (e) => {
+    e.preventDefault();
+
+    if (!upload.file) {
+      setError('Choose the settlement file to import');
+      return;
+    }
+
+    setUploading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const csv = await upload.file.text();
+      const res = await axios.post('/api/reconciliation/imports', {
+        fileName: upload.file.name,
+        csv,
+        settlementDate: upload.settlementDate
+      });
+
+      setSuccess(res.data.message);
+      setUpload(prev => ({ ...prev, file: null }));
+      e.target.reset();
+      fetchImports();
+      setFilters(prev => ({ ...prev, settlementImport: res.data.settlementImport._id }));
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to import settlement file'
+      );
+    }
+
+    setUploading(false);
+  };
+
+  const openResolve = (exception) => {
+    setResolving(exception);
+    setNote('');
+  };
+
+  const resolveException = async () => {
+    try {
+      await axios.put(`/api/reconciliation/exceptions/${resolving._id}/resolve`, { note });
+      setResolving(null);
+      setSuccess('Exception resolved');
+      fetchReport();
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to resolve exception'
+      );
+    }
+  };
+
+  // Open count and amount for one exception type
+  const totalsFor = (match) => {
+    return summary
+      .filter(row => row.match === match && row.status === 'Open')
+      .reduce((totals, row) => ({
+        count: totals.count + row.count,
+        amount: totals.amount + row.amount
+      }), { count: 0, amount: 0 });
+  };
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Payment Reconciliation</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/reports" className="btn btn-outline-secondary">
+            Sales Reports
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert variant="success" onClose={() => setSuccess('')} dismissible>
+          {success}
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Header>Import Settlement File</Card.Header>
+        <Card.Body>
+          <Form onSubmit={importFile}>
+            <Row className="align-items-end">
+              <Col md={5}>
+                <Form.Group>
+                  <Form.Label>Settlement File (CSV)</Form.Label>
+                  <Form.Control
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => setUpload(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Settlement Date</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={upload.settlementDate}
+                    onChange={(e) => setUpload(prev => ({ ...prev, settlementDate: e.target.value }))}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Button type="submit" variant="primary" className="w-100" disabled={uploading}>
+                  {uploading ? 'Importing...' : 'Import'}
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+
+      <Row className="mb-4">
+        {EXCEPTION_TYPES.map(match => {
+          const totals = totalsFor(match);
+
+          return (
+            <Col md={3} key={match}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{totals.count}</h3>
+                  <Card.Title>{match}</Card.Title>
+                  <small className="text-muted">{formatCurrency(totals.amount)} open</small>
+                </Card.Body>
+              </Card>
+            </Col>
+          );
+        })}
+      </Row>
+
+      <Card className="mb-4">
+        <Card.Header>Exceptions</Card.Header>
+        <Card.Body>
+          <Row className="mb-3">
+            <Col md={4}>
+              <Form.Select
+                value={filters.settlementImport}
+                onChange={(e) => updateFilter('settlementImport', e.target.value)}
+              >
+                <option value="">All Settlement Files</option>
+                {imports.map(item => (
+                  <option key={item._id} value={item._id}>
+                    {new Date(item.settlementDate).toLocaleDateString()} · {item.fileName}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Select
+                value={filters.match}
+                onChange={(e) => updateFilter('match', e.target.value)}
+              >
+                <option value="">All Exceptions</option>
+                {EXCEPTION_TYPES.map(match => (
+                  <option key={match} value={match}>{match}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select
+                value={filters.status}
+                onChange={(e) => updateFilter('status', e.target.value)}
+              >
+                <option value="Open">Open</option>
+                <option value="Resolved">Resolved</option>
+                <option value="all">All</option>
+              </Form.Select>
+            </Col>
+          </Row>
+
+          {loading ? (
+            <div className="text-center p-4">
+              <Spinner animation="border" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </Spinner>
+            </div>
+          ) : (
+            <Table hover responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Settlement</th>
+                  <th>Exception</th>
+                  <th>Transaction</th>
+                  <th>Time</th>
+                  <th>Card</th>
+                  <th className="text-end">Settled</th>
+                  <th className="text-end">Recorded</th>
+                  <th>Sale</th>
+                  <th>Details</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {exceptions.length === 0 ? (
+                  <tr>
+                    <td colSpan="10" className="text-center">No exceptions</td>
+                  </tr>
+                ) : exceptions.map(exception => (
+                  <tr key={exception._id}>
+                    <td>
+                      {exception.settlementImport
+                        ? new Date(exception.settlementImport.settlementDate).toLocaleDateString()
+                        : '-'}
+                    </td>
+                    <td>
+                      <Badge bg={EXCEPTION_VARIANTS[exception.match]}>{exception.match}</Badge>
+                    </td>
+                    <td>{exception.transactionId || '-'}</td>
+                    <td>
+                      {exception.transactionTime
+                        ? new Date(exception.transactionTime).toLocaleString()
+                        : '-'}
+                    </td>
+                    <td>
+                      {exception.lastFourDigits
+                        ? `${exception.cardType || 'Card'} ****${exception.lastFourDigits}`
+                        : '-'}
+                    </td>
+                    <td className="text-end">
+                      {exception.match === 'Not Settled' ? '-' : formatCurrency(exception.amount)}
+                    </td>
+                    <td className="text-end">
+                      {exception.recordedAmount !== undefined && exception.recordedAmount !== null
+                        ? formatCurrency(exception.recordedAmount)
+                        : '-'}
+                    </td>
+                    <td>{exception.saleNumber || '-'}</td>
+                    <td>
+                      {exception.details}
+                      {exception.status === 'Resolved' && (
+                        <div className="text-muted small">
+                          Resolved by {exception.resolvedBy?.name || 'system'}: {exception.note}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {exception.status === 'Open' && (
+                        <Button variant="outline-success" size="sm" onClick={() => openResolve(exception)}>
+                          Resolve
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Settlement Files</Card.Header>
+        <Card.Body>
+          <Table hover responsive size="sm">
+            <thead>
+              <tr>
+                <th>Settlement Date</th>
+                <th>File</th>
+                <th className="text-end">Lines</th>
+                <th className="text-end">Settled</th>
+                <th className="text-end">Matched</th>
+                <th className="text-end">Exceptions</th>
+                <th>Imported</th>
+              </tr>
+            </thead>
+            <tbody>
+              {imports.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center">No settlement files imported yet</td>
+                </tr>
+              ) : imports.map(item => (
+                <tr key={item._id}>
+                  <td>{new Date(item.settlementDate).toLocaleDateString()}</td>
+                  <td>{item.fileName}</td>
+                  <td className="text-end">{item.lineCount}</td>
+                  <td className="text-end">{formatCurrency(item.settledTotal)}</td>
+                  <td className="text-end">{item.counts.matched}</td>
+                  <td className="text-end">
+                    {item.counts.unmatched + item.counts.duplicate +
+                      item.counts.amountMismatch + item.counts.notSettled}
+                  </td>
+                  <td>
+                    {new Date(item.importedAt).toLocaleString()} by {item.importedBy?.name}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Modal show={Boolean(resolving)} onHide={() => setResolving(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Resolve {resolving?.match}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>{resolving?.details}</p>
+          <Form.Group>
+            <Form.Label>How was it resolved?</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setResolving(null)}>
+            Cancel
+          </Button>
+          <Button variant="success" onClick={resolveException} disabled={!note.trim()}>
+            Resolve
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default ReconciliationReport;
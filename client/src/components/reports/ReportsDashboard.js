@@ -1,16 +1,20 @@
 // client/src/components/reports/ReportsDashboard.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import { Container, Row, Col, Card, Form, Button, Tabs, Tab, Table, Spinner, Alert } from 'react-bootstrap';
 import { 
   LineChart, Line, AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell, 
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer 
 } from 'recharts';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import { saveAs } from 'file-saver';
+import AuthContext from '../../context/auth/authContext';
 
 const ReportsDashboard = () => {
+  const { hasPermission } = useContext(AuthContext);
+
   // State management
   const [reportType, setReportType] = useState('daily');
   const [dateRange, setDateRange] = useState({
@@ -364,6 +368,19 @@ const ReportsDashboard = () => {
         <Col>
           <h2>Sales Reports</h2>
         </Col>
+        <Col xs="auto">
+          <Link to="/reports/shrinkage" className="btn btn-outline-secondary">
+            Shrinkage Report
+          </Link>
+          <Link to="/reports/voids" className="btn btn-outline-secondary ms-2">
+            Voided Sales
+          </Link>
+          {hasPermission('payments:reconcile') && (
+            <Link to="/reports/reconciliation" className="btn btn-outline-secondary ms-2">
+              Payment Reconciliation
+            </Link>
+          )}
+        </Col>
       </Row>
       
       {error && (
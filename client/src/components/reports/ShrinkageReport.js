@@ -0,0 +1,389 @@
+// client/src/components/reports/ShrinkageReport.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Form, Button, Tabs, Tab, Table, Spinner, Alert, Modal } from 'react-bootstrap';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { LocationSelect } from '../inventory/LocationSelect';
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(value);
+};
+
+const formatPercent = (value) => (value === null ? '-' : `${value.toFixed(1)}%`);
+
+// Date input value for a date, in local time
+const toInputDate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+const defaultStartDate = () => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - 11, 1);
+  return toInputDate(date);
+};
+
+const ShrinkageReport = () => {
+  const [filters, setFilters] = useState({
+    startDate: defaultStartDate(),
+    endDate: toInputDate(new Date()),
+    category: '',
+    location: ''
+  });
+  const [categories, setCategories] = useState([]);
+  const [report, setReport] = useState(null);
+  const [losses, setLosses] = useState([]);
+  const [photo, setPhoto] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const res = await axios.get('/api/products/categories');
+      setCategories(res.data);
+    } catch (err) {
+      setError('Failed to load categories');
+    }
+  };
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    const params = {
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      category: filters.category || undefined,
+      location: filters.location || undefined
+    };
+
+    try {
+      const [reportRes, lossesRes] = await Promise.all([
+        axios.get('/api/reports/inventory/shrinkage', { params }),
+        axios.get('/api/losses', {
+          params: {
+            ...params,
+            startDate: new Date(`${filters.startDate}T00:00:00`).toISOString(),
+            endDate: new Date(`${filters.endDate}T23:59:59`).toISOString()
+          }
+        })
+      ]);
+
+      setReport(reportRes.data);
+      setLosses(lossesRes.data.losses);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load shrinkage report');
+    }
+
+    setLoading(false);
+  }, [filters]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const viewPhoto = async (loss) => {
+    try {
+      const res = await axios.get(`/api/losses/${loss._id}/photo`);
+      setPhoto({ loss, src: res.data.photo });
+    } catch (err) {
+      setError('Failed to load photo');
+    }
+  };
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Loss and sales columns shared by the category, location and month tables
+  const renderBreakdown = (rows, keyField, label) => (
+    <Table hover responsive size="sm">
+      <thead>
+        <tr>
+          <th>{label}</th>
+          <th className="text-end">Units Lost</th>
+          <th className="text-end">Loss (Cost)</th>
+          <th className="text-end">Units Sold</th>
+          <th className="text-end">Sales</th>
+          <th className="text-end">Loss % of Sales</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.length === 0 ? (
+          <tr>
+            <td colSpan="6" className="text-center">No losses or sales in this period</td>
+          </tr>
+        ) : rows.map(row => (
+          <tr key={row[keyField]}>
+            <td>{row[keyField]}</td>
+            <td className="text-end">{row.lostUnits}</td>
+            <td className="text-end">{formatCurrency(row.lossCost)}</td>
+            <td className="text-end">{row.soldUnits}</td>
+            <td className="text-end">{formatCurrency(row.salesRevenue)}</td>
+            <td className="text-end">{formatPercent(row.lossPercent)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Shrinkage Report</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/reports" className="btn btn-outline-secondary">
+            Sales Reports
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Body>
+          <Row className="align-items-end">
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>From</Form.Label>
+                <Form.Control
+                  type="date"
+                  value={filters.startDate}
+                  onChange={(e) => updateFilter('startDate', e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>To</Form.Label>
+                <Form.Control
+                  type="date"
+                  value={filters.endDate}
+                  onChange={(e) => updateFilter('endDate', e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Category</Form.Label>
+                <Form.Select
+                  value={filters.category}
+                  onChange={(e) => updateFilter('category', e.target.value)}
+                >
+                  <option value="">All Categories</option>
+                  {categories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Location</Form.Label>
+                <LocationSelect
+                  value={filters.location}
+                  onChange={(value) => updateFilter('location', value)}
+                  blankLabel="All Locations"
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Button variant="primary" onClick={fetchReport} className="w-100">
+                Generate Report
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {loading ? (
+        <div className="text-center p-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : report && (
+        <>
+          <Row className="mb-4">
+            <Col md={3}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{formatCurrency(report.summary.lossCost)}</h3>
+                  <Card.Title>Loss at Cost</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={3}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{report.summary.lostUnits}</h3>
+                  <Card.Title>Plants Lost</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={3}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{formatCurrency(report.summary.salesRevenue)}</h3>
+                  <Card.Title>Sales</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={3}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{formatPercent(report.summary.lossPercent)}</h3>
+                  <Card.Title>Loss % of Sales</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Tabs defaultActiveKey="reasons" className="mb-3">
+            <Tab eventKey="reasons" title="By Reason">
+              <Row>
+                <Col md={6}>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={report.byReason} layout="vertical">
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" />
+                      <YAxis type="category" dataKey="reason" width={120} />
+                      <Tooltip formatter={(value) => formatCurrency(value)} />
+                      <Bar dataKey="lossCost" fill="#dc3545" name="Loss (Cost)" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Col>
+                <Col md={6}>
+                  <Table hover size="sm">
+                    <thead>
+                      <tr>
+                        <th>Reason</th>
+                        <th className="text-end">Write-offs</th>
+                        <th className="text-end">Units</th>
+                        <th className="text-end">Loss (Cost)</th>
+                        <th className="text-end">Share</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.byReason.length === 0 ? (
+                        <tr>
+                          <td colSpan="5" className="text-center">No losses in this period</td>
+                        </tr>
+                      ) : report.byReason.map(row => (
+                        <tr key={row.reason}>
+                          <td>{row.reason}</td>
+                          <td className="text-end">{row.count}</td>
+                          <td className="text-end">{row.lostUnits}</td>
+                          <td className="text-end">{formatCurrency(row.lossCost)}</td>
+                          <td className="text-end">{formatPercent(row.sharePercent)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </Col>
+              </Row>
+            </Tab>
+            <Tab eventKey="months" title="By Month">
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={report.byMonth}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis yAxisId="left" orientation="left" stroke="#dc3545" />
+                  <YAxis yAxisId="right" orientation="right" stroke="#82ca9d" />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  <Bar yAxisId="left" dataKey="lossCost" fill="#dc3545" name="Loss (Cost)" />
+                  <Bar yAxisId="right" dataKey="salesRevenue" fill="#82ca9d" name="Sales" />
+                </BarChart>
+              </ResponsiveContainer>
+              {renderBreakdown(report.byMonth, 'month', 'Month')}
+            </Tab>
+            <Tab eventKey="categories" title="By Category">
+              {renderBreakdown(report.byCategory, 'category', 'Category')}
+            </Tab>
+            <Tab eventKey="locations" title="By Location">
+              {renderBreakdown(report.byLocation, 'location', 'Location')}
+            </Tab>
+            <Tab eventKey="writeoffs" title="Write-offs">
+              <Table hover responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Product</th>
+                    <th>Reason</th>
+                    <th>Location</th>
+                    <th className="text-end">Units</th>
+                    <th className="text-end">Cost</th>
+                    <th>Notes</th>
+                    <th>By</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {losses.length === 0 ? (
+                    <tr>
+                      <td colSpan="9" className="text-center">No write-offs in this period</td>
+                    </tr>
+                  ) : losses.map(loss => (
+                    <tr key={loss._id}>
+                      <td>{new Date(loss.timestamp).toLocaleDateString()}</td>
+                      <td>{loss.product?.name || 'Unknown'}</td>
+                      <td>{loss.lossReason}</td>
+                      <td>{loss.location || '-'}</td>
+                      <td className="text-end">{loss.quantity}</td>
+                      <td className="text-end">
+                        {loss.costValue !== undefined ? formatCurrency(loss.costValue) : '-'}
+                      </td>
+                      <td>{loss.notes || '-'}</td>
+                      <td>{loss.performedBy?.name}</td>
+                      <td>
+                        {loss.hasPhoto && (
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="p-0"
+                            onClick={() => viewPhoto(loss)}
+                            aria-label="View photo"
+                          >
+                            <i className="fas fa-camera"></i>
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Tab>
+          </Tabs>
+        </>
+      )}
+
+      <Modal show={Boolean(photo)} onHide={() => setPhoto(null)} centered size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {photo && `${photo.loss.product?.name || 'Write-off'} · ${photo.loss.lossReason}`}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="text-center">
+          {photo && <img src={photo.src} alt="Loss" className="img-fluid" />}
+        </Modal.Body>
+      </Modal>
+    </Container>
+  );
+};
+
+export default ShrinkageReport;
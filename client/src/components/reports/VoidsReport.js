@@ -0,0 +1,241 @@
+// client/src/components/reports/VoidsReport.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Form, Button, Table, Spinner, Alert } from 'react-bootstrap';
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(value);
+};
+
+// Date input value for a date, in local time
+const toInputDate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+const defaultStartDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 30);
+  return toInputDate(date);
+};
+
+const VoidsReport = () => {
+  const [filters, setFilters] = useState({
+    startDate: defaultStartDate(),
+    endDate: toInputDate(new Date())
+  });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await axios.get('/api/reports/voids', { params: filters });
+      setReport(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load voids report');
+    }
+
+    setLoading(false);
+  }, [filters]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Voids and their value per person
+  const renderPeople = (rows, label) => (
+    <Table hover size="sm">
+      <thead>
+        <tr>
+          <th>{label}</th>
+          <th className="text-end">Voids</th>
+          <th className="text-end">Value</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.length === 0 ? (
+          <tr>
+            <td colSpan="3" className="text-center">No voids in this period</td>
+          </tr>
+        ) : rows.map(row => (
+          <tr key={row.name}>
+            <td>{row.name}</td>
+            <td className="text-end">{row.count}</td>
+            <td className="text-end">{formatCurrency(row.total)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Voided Sales</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/reports" className="btn btn-outline-secondary">
+            Sales Reports
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Body>
+          <Row className="align-items-end">
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>From</Form.Label>
+                <Form.Control
+                  type="date"
+                  value={filters.startDate}
+                  onChange={(e) => updateFilter('startDate', e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>To</Form.Label>
+                <Form.Control
+                  type="date"
+                  value={filters.endDate}
+                  onChange={(e) => updateFilter('endDate', e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Button variant="primary" onClick={fetchReport} className="w-100">
+                Generate Report
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {loading ? (
+        <div className="text-center p-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : report && (
+        <>
+          <Row className="mb-4">
+            <Col md={3}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{report.summary.count}</h3>
+                  <Card.Title>Sales Voided</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={3}>
+              <Card className="text-center">
+                <Card.Body>
+                  <h3>{formatCurrency(report.summary.total)}</h3>
+                  <Card.Title>Value Voided</Card.Title>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row className="mb-4">
+            <Col md={6}>
+              <Card>
+                <Card.Header>By Cashier</Card.Header>
+                <Card.Body>{renderPeople(report.byCashier, 'Cashier')}</Card.Body>
+              </Card>
+            </Col>
+            <Col md={6}>
+              <Card>
+                <Card.Header>By Approving Manager</Card.Header>
+                <Card.Body>{renderPeople(report.byApprover, 'Manager')}</Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Card>
+            <Card.Header>Voids</Card.Header>
+            <Card.Body>
+              <Table hover responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Voided</th>
+                    <th>Sale</th>
+                    <th>Sold</th>
+                    <th>Register</th>
+                    <th>Items</th>
+                    <th>Payments</th>
+                    <th className="text-end">Total</th>
+                    <th>Reason</th>
+                    <th>Cashier</th>
+                    <th>Voided By</th>
+                    <th>Approved By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.voids.length === 0 ? (
+                    <tr>
+                      <td colSpan="11" className="text-center">No voids in this period</td>
+                    </tr>
+                  ) : report.voids.map(sale => (
+                    <tr key={sale.id}>
+                      <td>{new Date(sale.voidedAt).toLocaleString()}</td>
+                      <td>
+                        {sale.saleNumber}
+                        {sale.customer && <small className="text-muted d-block">{sale.customer}</small>}
+                      </td>
+                      <td>{new Date(sale.createdAt).toLocaleTimeString()}</td>
+                      <td>{sale.registerNumber}</td>
+                      <td>
+                        {sale.items.map((item, index) => (
+                          <div key={index}>{item.quantity} × {item.name}</div>
+                        ))}
+                      </td>
+                      <td>
+                        {sale.payments.map((payment, index) => (
+                          <div key={index}>
+                            {payment.method} {formatCurrency(payment.amount)}
+                            {payment.voidTransactionId && (
+                              <small className="text-muted d-block">Void {payment.voidTransactionId}</small>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="text-end">{formatCurrency(sale.total)}</td>
+                      <td>{sale.reason || '-'}</td>
+                      <td>{sale.cashier}</td>
+                      <td>{sale.voidedBy}</td>
+                      <td>{sale.approvedBy}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default VoidsReport;
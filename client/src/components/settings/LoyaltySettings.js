@@ -0,0 +1,264 @@
+// client/src/components/settings/LoyaltySettings.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Alert, Spinner, InputGroup } from 'react-bootstrap';
+
+const LoyaltySettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [settingsRes, categoriesRes] = await Promise.all([
+          axios.get('/api/loyalty/settings'),
+          axios.get('/api/products/categories')
+        ]);
+        setSettings(settingsRes.data);
+        setCategories(categoriesRes.data);
+      } catch (err) {
+        setError('Failed to load loyalty settings');
+      }
+      setLoading(false);
+    };
+
+    loadSettings();
+  }, []);
+
+  const updateField = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateTier = (index, field, value) => {
+    setSettings(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  // A blank rate means the category earns at the standard rate
+  const getCategoryRate = (category) => {
+    const rate = settings.categoryRates.find(r => r.category === category);
+    return rate ? rate.pointsPerDollar : '';
+  };
+
+  const updateCategoryRate = (category, value) => {
+    setSettings(prev => {
+      const others = prev.categoryRates.filter(r => r.category !== category);
+      return {
+        ...prev,
+        categoryRates: value === '' ? others : [...others, { category, pointsPerDollar: parseFloat(value) }]
+      };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const res = await axios.put('/api/loyalty/settings', {
+        pointsPerDollar: settings.pointsPerDollar,
+        categoryRates: settings.categoryRates,
+        pointValue: settings.pointValue,
+        minimumRedemption: settings.minimumRedemption,
+        pointsExpiryMonths: settings.pointsExpiryMonths,
+        tiers: settings.tiers
+      });
+      setSettings(res.data.settings);
+      setSuccess('Loyalty settings saved');
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to save loyalty settings'
+      );
+    }
+
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return <Alert variant="danger">{error}</Alert>;
+  }
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Loyalty Programme</h2>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" onClose={() => setSuccess('')} dismissible>
+          {success}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Row>
+          <Col md={6}>
+            <Card className="mb-3">
+              <Card.Header>Earning and Redemption</Card.Header>
+              <Card.Body>
+                <Form.Group className="mb-3">
+                  <Form.Label>Points per dollar spent</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={settings.pointsPerDollar}
+                    onChange={(e) => updateField('pointsPerDollar', parseFloat(e.target.value) || 0)}
+                  />
+                  <Form.Text className="text-muted">
+                    Earned on the amount after discounts and before tax
+                  </Form.Text>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Value of one point</Form.Label>
+                  <InputGroup>
+                    <InputGroup.Text>$</InputGroup.Text>
+                    <Form.Control
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={settings.pointValue}
+                      onChange={(e) => updateField('pointValue', parseFloat(e.target.value) || 0)}
+                    />
+                  </InputGroup>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minimum points per redemption</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={settings.minimumRedemption}
+                    onChange={(e) => updateField('minimumRedemption', parseInt(e.target.value) || 0)}
+                  />
+                </Form.Group>
+                <Form.Group>
+                  <Form.Label>Points expire after (months)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={settings.pointsExpiryMonths}
+                    onChange={(e) => updateField('pointsExpiryMonths', parseInt(e.target.value) || 0)}
+                  />
+                  <Form.Text className="text-muted">0 means points never expire</Form.Text>
+                </Form.Group>
+              </Card.Body>
+            </Card>
+
+            <Card className="mb-3">
+              <Card.Header>Membership Tiers</Card.Header>
+              <Card.Body>
+                <Table size="sm">
+                  <thead>
+                    <tr>
+                      <th>Level</th>
+                      <th>Lifetime Spend</th>
+                      <th>Discount %</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {settings.tiers.map((tier, index) => (
+                      <tr key={tier.level}>
+                        <td className="align-middle">{tier.level}</td>
+                        <td>
+                          <Form.Control
+                            type="number"
+                            size="sm"
+                            min="0"
+                            step="50"
+                            value={tier.minSpend}
+                            onChange={(e) => updateTier(index, 'minSpend', parseFloat(e.target.value) || 0)}
+                          />
+                        </td>
+                        <td>
+                          <Form.Control
+                            type="number"
+                            size="sm"
+                            min="0"
+                            max="100"
+                            step="0.5"
+                            value={tier.discountPercent}
+                            onChange={(e) => updateTier(index, 'discountPercent', parseFloat(e.target.value) || 0)}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+
+          <Col md={6}>
+            <Card className="mb-3">
+              <Card.Header>Earn Rate by Category</Card.Header>
+              <Card.Body>
+                <Table size="sm">
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Points per Dollar</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {categories.map(category => (
+                      <tr key={category}>
+                        <td className="align-middle">{category}</td>
+                        <td>
+                          <Form.Control
+                            type="number"
+                            size="sm"
+                            min="0"
+                            step="0.1"
+                            placeholder={`${settings.pointsPerDollar} (standard)`}
+                            value={getCategoryRate(category)}
+                            onChange={(e) => updateCategoryRate(category, e.target.value)}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+
+        <div className="text-end">
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? <Spinner as="span" animation="border" size="sm" /> : 'Save Settings'}
+          </Button>
+        </div>
+      </Form>
+    </Container>
+  );
+};
+
+export default LoyaltySettings;
@@ -0,0 +1,410 @@
+// client/src/components/suppliers/PurchaseOrderDetails.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, ButtonGroup, Alert, Badge, Spinner } from 'react-bootstrap';
+import { BarcodeScanner } from '../pos/BarcodeScanner';
+import { PO_STATUS_VARIANTS } from './SuppliersPage';
+import { LocationSelect } from '../inventory/LocationSelect';
+import AuthContext from '../../context/auth/authContext';
+
+const PurchaseOrderDetails = () => {
+  const { id } = useParams();
+  const { hasPermission } = useContext(AuthContext);
+
+  const [order, setOrder] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [scanMode, setScanMode] = useState('received'); // 'received' or 'damaged'
+  const [receiptNotes, setReceiptNotes] = useState('');
+  const [receiptBatch, setReceiptBatch] = useState({ pottingDate: '', potSize: '', location: '' });
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const canManage = hasPermission('purchasing:approve');
+
+  const fetchOrder = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/purchase-orders/${id}`);
+      setOrder(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load purchase order');
+    }
+    setLoading(false);
+  }, [id]);
+
+  useEffect(() => {
+    fetchOrder();
+  }, [fetchOrder]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const lineCount = (productId) => counts[productId] || { received: 0, damaged: 0 };
+
+  const setLineCount = (productId, changes) => {
+    setCounts(prevCounts => ({
+      ...prevCounts,
+      [productId]: { received: 0, damaged: 0, ...prevCounts[productId], ...changes }
+    }));
+  };
+
+  // Each scan counts one unit against the matching line
+  const handleScan = (barcode) => {
+    const line = order.lines.find(l => l.barcode === barcode.trim());
+
+    if (!line) {
+      setError(`${barcode} is not on this purchase order`);
+      return;
+    }
+
+    const current = lineCount(line.product);
+
+    if (current.received + current.damaged >= line.quantityShort) {
+      setError(`All outstanding ${line.name} have already been counted`);
+      return;
+    }
+
+    setError('');
+    setLineCount(line.product, { [scanMode]: current[scanMode] + 1 });
+  };
+
+  const updateStatus = async (action) => {
+    if (action === 'cancel' && !window.confirm('Cancel this purchase order?')) {
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+
+    try {
+      const res = await axios.put(`/api/purchase-orders/${id}/${action}`);
+      setMessage(res.data.message);
+      await fetchOrder();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${action} purchase order`);
+    }
+
+    setWorking(false);
+  };
+
+  const receiveGoods = async () => {
+    const lines = Object.entries(counts)
+      .filter(([, count]) => count.received + count.damaged > 0)
+      .map(([product, count]) => ({
+        product,
+        quantityReceived: count.received,
+        quantityDamaged: count.damaged,
+        // The delivery's batch details apply to every line received
+        pottingDate: receiptBatch.pottingDate
+          ? new Date(`${receiptBatch.pottingDate}T00:00:00`).toISOString()
+          : undefined,
+        potSize: receiptBatch.potSize,
+        location: receiptBatch.location
+      }));
+
+    if (lines.length === 0) {
+      setError('Scan or enter the quantities received first');
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+
+    try {
+      const res = await axios.post(`/api/purchase-orders/${id}/receive`, {
+        lines,
+        notes: receiptNotes
+      });
+
+      setMessage(res.data.message);
+      setCounts({});
+      setReceiptNotes('');
+      setReceiptBatch({ pottingDate: '', potSize: '', location: '' });
+      await fetchOrder();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to receive goods');
+    }
+
+    setWorking(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <Container fluid>
+        <Alert variant="danger">{error || 'Purchase order not found'}</Alert>
+        <Link to="/suppliers" className="btn btn-outline-secondary">Back</Link>
+      </Container>
+    );
+  }
+
+  const canReceive = ['Sent', 'Partially Received'].includes(order.status);
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>
+            {order.poNumber}{' '}
+            <Badge bg={PO_STATUS_VARIANTS[order.status]}>{order.status}</Badge>
+          </h2>
+          <small className="text-muted">
+            {order.supplier?.name} · Created {new Date(order.createdAt).toLocaleDateString()}
+            {order.createdBy && ` by ${order.createdBy.name}`}
+            {order.expectedDate && ` · Expected ${new Date(order.expectedDate).toLocaleDateString()}`}
+            {order.paymentTerms && ` · ${order.paymentTerms}`}
+          </small>
+        </Col>
+        <Col xs="auto">
+          {order.status === 'Draft' && (
+            <>
+              <Link to={`/suppliers/purchase-orders/${id}/edit`} className="btn btn-outline-primary me-2">
+                Edit
+              </Link>
+              {canManage && (
+                <Button variant="primary" className="me-2" onClick={() => updateStatus('send')} disabled={working}>
+                  Mark as Sent
+                </Button>
+              )}
+            </>
+          )}
+          {canManage && !['Received', 'Cancelled'].includes(order.status) && (
+            <Button variant="outline-danger" className="me-2" onClick={() => updateStatus('cancel')} disabled={working}>
+              Cancel Order
+            </Button>
+          )}
+          <Link to="/suppliers" className="btn btn-outline-secondary">
+            <i className="fas fa-arrow-left me-1"></i> Back
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {message && (
+        <Alert variant="success" onClose={() => setMessage('')} dismissible>
+          {message}
+        </Alert>
+      )}
+
+      {canReceive && (
+        <Card className="mb-3">
+          <Card.Header>
+            <Row className="align-items-center">
+              <Col md={7}>
+                <BarcodeScanner onScan={handleScan} />
+              </Col>
+              <Col md={5}>
+                <ButtonGroup>
+                  <Button
+                    variant={scanMode === 'received' ? 'success' : 'outline-success'}
+                    onClick={() => setScanMode('received')}
+                  >
+                    Scanning Received
+                  </Button>
+                  <Button
+                    variant={scanMode === 'damaged' ? 'danger' : 'outline-danger'}
+                    onClick={() => setScanMode('damaged')}
+                  >
+                    Scanning Damaged
+                  </Button>
+                </ButtonGroup>
+              </Col>
+            </Row>
+          </Card.Header>
+        </Card>
+      )}
+
+      <Card className="mb-3">
+        <Card.Body>
+          <Table responsive>
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Ordered</th>
+                <th>Received</th>
+                <th>Damaged</th>
+                <th>Short</th>
+                {canReceive && <th style={{ width: '110px' }}>Receive Now</th>}
+                {canReceive && <th style={{ width: '110px' }}>Damaged Now</th>}
+                <th className="text-end">Unit Cost</th>
+                <th className="text-end">Line Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {order.lines.map(line => {
+                const count = lineCount(line.product);
+
+                return (
+                  <tr key={line._id} className={line.quantityShort === 0 ? 'table-success' : ''}>
+                    <td>
+                      {line.name}
+                      <small className="text-muted d-block">{line.barcode}</small>
+                    </td>
+                    <td>{line.quantityOrdered}</td>
+                    <td>{line.quantityReceived}</td>
+                    <td>{line.quantityDamaged}</td>
+                    <td>
+                      {line.quantityShort > 0
+                        ? <Badge bg="warning" text="dark">{line.quantityShort}</Badge>
+                        : 0}
+                    </td>
+                    {canReceive && (
+                      <td>
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min="0"
+                          max={line.quantityShort - count.damaged}
+                          value={count.received}
+                          disabled={line.quantityShort === 0}
+                          onChange={(e) => setLineCount(line.product, {
+                            received: Math.max(0, Math.min(parseInt(e.target.value) || 0, line.quantityShort - count.damaged))
+                          })}
+                        />
+                      </td>
+                    )}
+                    {canReceive && (
+                      <td>
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min="0"
+                          max={line.quantityShort - count.received}
+                          value={count.damaged}
+                          disabled={line.quantityShort === 0}
+                          onChange={(e) => setLineCount(line.product, {
+                            damaged: Math.max(0, Math.min(parseInt(e.target.value) || 0, line.quantityShort - count.received))
+                          })}
+                        />
+                      </td>
+                    )}
+                    <td className="text-end">{formatCurrency(line.unitCost)}</td>
+                    <td className="text-end">{formatCurrency(line.quantityOrdered * line.unitCost)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th colSpan={canReceive ? 8 : 6} className="text-end">Total</th>
+                <th className="text-end">{formatCurrency(order.total)}</th>
+              </tr>
+            </tfoot>
+          </Table>
+
+          {canReceive && (
+            <Row className="mb-2">
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label className="small text-muted">Potting Date (if known)</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={receiptBatch.pottingDate}
+                    onChange={(e) => setReceiptBatch({ ...receiptBatch, pottingDate: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label className="small text-muted">Pot Size</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder="e.g. 140mm, 2L"
+                    value={receiptBatch.potSize}
+                    onChange={(e) => setReceiptBatch({ ...receiptBatch, potSize: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label className="small text-muted">Location</Form.Label>
+                  <LocationSelect
+                    value={receiptBatch.location}
+                    onChange={(value) => setReceiptBatch({ ...receiptBatch, location: value })}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          )}
+
+          {canReceive && (
+            <Row>
+              <Col md={8}>
+                <Form.Control
+                  type="text"
+                  placeholder="Delivery notes (docket number, condition...)"
+                  value={receiptNotes}
+                  onChange={(e) => setReceiptNotes(e.target.value)}
+                />
+              </Col>
+              <Col md={4} className="text-end">
+                <Button variant="success" onClick={receiveGoods} disabled={working}>
+                  {working ? 'Saving...' : 'Receive Goods'}
+                </Button>
+              </Col>
+            </Row>
+          )}
+        </Card.Body>
+      </Card>
+
+      {order.receipts.length > 0 && (
+        <Card>
+          <Card.Header>Deliveries</Card.Header>
+          <Card.Body>
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Received By</th>
+                  <th>Items</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {order.receipts.map(receipt => (
+                  <tr key={receipt._id}>
+                    <td>{new Date(receipt.receivedAt).toLocaleString()}</td>
+                    <td>{receipt.receivedBy?.name || '-'}</td>
+                    <td>
+                      {receipt.lines.map(receiptLine => {
+                        const line = order.lines.find(l => l.product === receiptLine.product);
+                        return (
+                          <div key={receiptLine._id}>
+                            {line ? line.name : receiptLine.product}: {receiptLine.quantityReceived} received
+                            {receiptLine.quantityDamaged > 0 && `, ${receiptLine.quantityDamaged} damaged`}
+                          </div>
+                        );
+                      })}
+                    </td>
+                    <td>{receipt.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default PurchaseOrderDetails;
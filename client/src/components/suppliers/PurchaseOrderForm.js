@@ -0,0 +1,301 @@
+// client/src/components/suppliers/PurchaseOrderForm.js
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Button, Alert, Spinner } from 'react-bootstrap';
+
+const PurchaseOrderForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEdit = Boolean(id);
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [supplierId, setSupplierId] = useState('');
+  const [lines, setLines] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [productToAdd, setProductToAdd] = useState('');
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [suppliersRes, productsRes] = await Promise.all([
+          axios.get('/api/suppliers', { params: { active: true } }),
+          axios.get('/api/products', { params: { active: true, limit: 1000 } })
+        ]);
+
+        setSuppliers(suppliersRes.data.suppliers);
+        setProducts(productsRes.data.products);
+
+        if (isEdit) {
+          const res = await axios.get(`/api/purchase-orders/${id}`);
+          const order = res.data;
+
+          if (order.status !== 'Draft') {
+            navigate(`/suppliers/purchase-orders/${id}`);
+            return;
+          }
+
+          setSupplierId(order.supplier._id);
+          setNotes(order.notes || '');
+          setLines(order.lines.map(line => ({
+            product: line.product,
+            name: line.name,
+            barcode: line.barcode,
+            quantity: line.quantityOrdered,
+            unitCost: line.unitCost
+          })));
+        }
+      } catch (err) {
+        setError('Failed to load purchase order data');
+      }
+      setLoading(false);
+    };
+
+    loadData();
+  }, [id, isEdit, navigate]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  // Suggest the supplier's own products first when it has any listed
+  const supplier = suppliers.find(s => s._id === supplierId);
+  const supplierProducts = supplier && supplier.productsSupplied?.length > 0
+    ? products.filter(p => supplier.productsSupplied.includes(p._id))
+    : products;
+
+  const addLine = () => {
+    const product = products.find(p => p._id === productToAdd);
+    if (!product) return;
+
+    if (lines.some(line => line.product === product._id)) {
+      setError(`${product.name} is already on this order`);
+      return;
+    }
+
+    setLines([...lines, {
+      product: product._id,
+      name: product.name,
+      barcode: product.barcode,
+      quantity: Math.max(product.minimumStock - product.currentStock, 1),
+      unitCost: product.costPrice
+    }]);
+    setProductToAdd('');
+  };
+
+  const updateLine = (index, changes) => {
+    setLines(prevLines => prevLines.map((line, i) => (
+      i === index ? { ...line, ...changes } : line
+    )));
+  };
+
+  const removeLine = (index) => {
+    setLines(prevLines => prevLines.filter((_, i) => i !== index));
+  };
+
+  const total = lines.reduce((sum, line) => sum + (line.quantity || 0) * (line.unitCost || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!supplierId) {
+      setError('Select a supplier');
+      return;
+    }
+
+    if (lines.length === 0) {
+      setError('Add at least one product');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    const data = {
+      supplier: supplierId,
+      notes,
+      lines: lines.map(line => ({
+        product: line.product,
+        quantity: line.quantity,
+        unitCost: line.unitCost
+      }))
+    };
+
+    try {
+      const res = isEdit
+        ? await axios.put(`/api/purchase-orders/${id}`, data)
+        : await axios.post('/api/purchase-orders', data);
+
+      navigate(`/suppliers/purchase-orders/${res.data.purchaseOrder._id}`);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to save purchase order'
+      );
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>{isEdit ? 'Edit Purchase Order' : 'New Purchase Order'}</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/suppliers" className="btn btn-outline-secondary">
+            <i className="fas fa-arrow-left me-1"></i> Back
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Card className="mb-3">
+          <Card.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Supplier</Form.Label>
+                  <Form.Select
+                    value={supplierId}
+                    onChange={(e) => setSupplierId(e.target.value)}
+                    disabled={isEdit}
+                  >
+                    <option value="">Select supplier...</option>
+                    {suppliers.map(s => (
+                      <option key={s._id} value={s._id}>{s.name}</option>
+                    ))}
+                  </Form.Select>
+                  {supplier && (
+                    <Form.Text className="text-muted">
+                      Lead time {supplier.leadTime} days · {supplier.paymentTerms}
+                    </Form.Text>
+                  )}
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Notes</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+
+        <Card className="mb-3">
+          <Card.Header>
+            <Row>
+              <Col md={8}>
+                <Form.Select
+                  value={productToAdd}
+                  onChange={(e) => setProductToAdd(e.target.value)}
+                >
+                  <option value="">Add product...</option>
+                  {supplierProducts.map(p => (
+                    <option key={p._id} value={p._id}>
+                      {p.name} ({p.barcode}) - {p.currentStock} in stock
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={4}>
+                <Button variant="outline-primary" onClick={addLine} disabled={!productToAdd}>
+                  Add Line
+                </Button>
+              </Col>
+            </Row>
+          </Card.Header>
+          <Card.Body>
+            <Table responsive>
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th style={{ width: '120px' }}>Quantity</th>
+                  <th style={{ width: '140px' }}>Unit Cost</th>
+                  <th className="text-end">Line Total</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line, index) => (
+                  <tr key={line.product}>
+                    <td>
+                      {line.name}
+                      <small className="text-muted d-block">{line.barcode}</small>
+                    </td>
+                    <td>
+                      <Form.Control
+                        type="number"
+                        size="sm"
+                        min="1"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, { quantity: parseInt(e.target.value) || 0 })}
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        type="number"
+                        size="sm"
+                        min="0"
+                        step="0.01"
+                        value={line.unitCost}
+                        onChange={(e) => updateLine(index, { unitCost: parseFloat(e.target.value) || 0 })}
+                      />
+                    </td>
+                    <td className="text-end">{formatCurrency(line.quantity * line.unitCost)}</td>
+                    <td className="text-end">
+                      <Button variant="outline-danger" size="sm" onClick={() => removeLine(index)}>
+                        <i className="fas fa-trash"></i>
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th colSpan="3" className="text-end">Total</th>
+                  <th className="text-end">{formatCurrency(total)}</th>
+                  <th></th>
+                </tr>
+              </tfoot>
+            </Table>
+          </Card.Body>
+        </Card>
+
+        <Button type="submit" variant="primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Draft'}
+        </Button>
+      </Form>
+    </Container>
+  );
+};
+
+export default PurchaseOrderForm;
@@ -0,0 +1,170 @@
+// client/src/components/suppliers/ReorderSuggestions.js
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Card, Table, Form, Button, Alert, Badge, Spinner } from 'react-bootstrap';
+import AuthContext from '../../context/auth/authContext';
+
+const ReorderSuggestions = () => {
+  const navigate = useNavigate();
+  const { hasPermission } = useContext(AuthContext);
+
+  const [groups, setGroups] = useState([]);
+  const [excluded, setExcluded] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState('');
+  const [error, setError] = useState('');
+
+  const canCreate = hasPermission('purchasing:approve');
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, []);
+
+  const fetchSuggestions = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/purchase-orders/reorder-suggestions');
+      setGroups(res.data);
+    } catch (err) {
+      setError('Failed to load reorder suggestions');
+    }
+    setLoading(false);
+  };
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const toggleProduct = (productId) => {
+    setExcluded(prev => ({ ...prev, [productId]: !prev[productId] }));
+  };
+
+  const createPurchaseOrder = async (group) => {
+    const products = group.products
+      .filter(p => !excluded[p.product])
+      .map(p => p.product);
+
+    if (products.length === 0) {
+      setError('Select at least one product to order');
+      return;
+    }
+
+    setCreating(group.supplier._id);
+    setError('');
+
+    try {
+      const res = await axios.post(
+        `/api/purchase-orders/reorder-suggestions/${group.supplier._id}`,
+        { products }
+      );
+      navigate(`/suppliers/purchase-orders/${res.data.purchaseOrder._id}`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create purchase order');
+      setCreating('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {groups.length === 0 && (
+        <p className="text-center">Nothing needs reordering right now</p>
+      )}
+
+      {groups.map(group => (
+        <Card key={group.supplier ? group.supplier._id : 'none'} className="mb-3">
+          <Card.Header className="d-flex justify-content-between align-items-center">
+            <div>
+              <strong>{group.supplier ? group.supplier.name : 'No Supplier'}</strong>
+              {group.supplier && (
+                <small className="text-muted ms-2">
+                  Lead time {group.supplier.leadTime} days · Est. {formatCurrency(group.estimatedCost)}
+                </small>
+              )}
+            </div>
+            {group.supplier && canCreate && (
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={() => createPurchaseOrder(group)}
+                disabled={creating !== ''}
+              >
+                {creating === group.supplier._id ? 'Creating...' : 'Create Draft PO'}
+              </Button>
+            )}
+          </Card.Header>
+          <Card.Body>
+            {!group.supplier && (
+              <Alert variant="warning">
+                Link these products to a supplier to include them in purchase orders.
+              </Alert>
+            )}
+            <Table size="sm" responsive>
+              <thead>
+                <tr>
+                  {group.supplier && <th></th>}
+                  <th>Product</th>
+                  <th>In Stock</th>
+                  <th>On Order</th>
+                  <th>Avg Daily Sales</th>
+                  <th>Days of Supply</th>
+                  <th>Reorder Point</th>
+                  <th>Suggested Qty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {group.products.map(p => (
+                  <tr key={p.product} className={excluded[p.product] ? 'text-muted' : ''}>
+                    {group.supplier && (
+                      <td>
+                        <Form.Check
+                          type="checkbox"
+                          checked={!excluded[p.product]}
+                          onChange={() => toggleProduct(p.product)}
+                        />
+                      </td>
+                    )}
+                    <td>
+                      {p.name}
+                      <small className="text-muted d-block">{p.category}</small>
+                    </td>
+                    <td>
+                      {p.currentStock <= 0
+                        ? <Badge bg="danger">Out</Badge>
+                        : p.currentStock}
+                    </td>
+                    <td>{p.onOrder}</td>
+                    <td>{p.averageDailySales}</td>
+                    <td>{p.daysOfSupply === null ? '-' : p.daysOfSupply}</td>
+                    <td>{p.reorderPoint}</td>
+                    <td><strong>{p.suggestedQuantity}</strong></td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      ))}
+    </>
+  );
+};
+
+export default ReorderSuggestions;
@@ -0,0 +1,198 @@
+// client/src/components/suppliers/SuppliersPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Container, Row, Col, Card, Table, Form, Tabs, Tab, Badge, Alert, Spinner } from 'react-bootstrap';
+import ReorderSuggestions from './ReorderSuggestions';
+
+// Badge colours for purchase order statuses
+export const PO_STATUS_VARIANTS = {
+  'Draft': 'secondary',
+  'Sent': 'primary',
+  'Partially Received': 'warning',
+  'Received': 'success',
+  'Cancelled': 'dark'
+};
+
+const SuppliersPage = () => {
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchSuppliers = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/suppliers', { params: { active: true } });
+      setSuppliers(res.data.suppliers);
+    } catch (err) {
+      setError('Failed to load suppliers');
+    }
+  }, []);
+
+  const fetchPurchaseOrders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (statusFilter) params.status = statusFilter;
+      if (supplierFilter) params.supplier = supplierFilter;
+
+      const res = await axios.get('/api/purchase-orders', { params });
+      setPurchaseOrders(res.data.purchaseOrders);
+    } catch (err) {
+      setError('Failed to load purchase orders');
+    }
+    setLoading(false);
+  }, [statusFilter, supplierFilter]);
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, [fetchSuppliers]);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [fetchPurchaseOrders]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  return (
+    <Container fluid>
+      <Row className="mb-3">
+        <Col>
+          <h2>Suppliers &amp; Purchasing</h2>
+        </Col>
+        <Col xs="auto">
+          <Link to="/suppliers/purchase-orders/new" className="btn btn-primary">
+            <i className="fas fa-plus me-1"></i> New Purchase Order
+          </Link>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      <Tabs defaultActiveKey="purchaseOrders" className="mb-3">
+        <Tab eventKey="purchaseOrders" title="Purchase Orders">
+          <Card>
+            <Card.Header>
+              <Row>
+                <Col md={4}>
+                  <Form.Select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                  >
+                    <option value="">All Statuses</option>
+                    <option value="Sent,Partially Received">Awaiting Delivery</option>
+                    {Object.keys(PO_STATUS_VARIANTS).map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col md={4}>
+                  <Form.Select
+                    value={supplierFilter}
+                    onChange={(e) => setSupplierFilter(e.target.value)}
+                  >
+                    <option value="">All Suppliers</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+              </Row>
+            </Card.Header>
+            <Card.Body>
+              {loading ? (
+                <div className="text-center">
+                  <Spinner animation="border" />
+                </div>
+              ) : purchaseOrders.length === 0 ? (
+                <p className="text-center mb-0">No purchase orders found</p>
+              ) : (
+                <Table hover responsive>
+                  <thead>
+                    <tr>
+                      <th>PO Number</th>
+                      <th>Supplier</th>
+                      <th>Status</th>
+                      <th>Created</th>
+                      <th>Expected</th>
+                      <th className="text-end">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {purchaseOrders.map(order => (
+                      <tr key={order._id}>
+                        <td>
+                          <Link to={`/suppliers/purchase-orders/${order._id}`}>{order.poNumber}</Link>
+                        </td>
+                        <td>{order.supplier?.name}</td>
+                        <td>
+                          <Badge bg={PO_STATUS_VARIANTS[order.status]}>{order.status}</Badge>
+                        </td>
+                        <td>{new Date(order.createdAt).toLocaleDateString()}</td>
+                        <td>{order.expectedDate ? new Date(order.expectedDate).toLocaleDateString() : '-'}</td>
+                        <td className="text-end">{formatCurrency(order.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Tab>
+
+        <Tab eventKey="reorder" title="Reorder Suggestions" mountOnEnter>
+          <ReorderSuggestions />
+        </Tab>
+
+        <Tab eventKey="suppliers" title="Suppliers">
+          <Card>
+            <Card.Body>
+              {suppliers.length === 0 ? (
+                <p className="text-center mb-0">No suppliers found</p>
+              ) : (
+                <Table hover responsive>
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Contact</th>
+                      <th>Phone</th>
+                      <th>Email</th>
+                      <th>Lead Time</th>
+                      <th>Payment Terms</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {suppliers.map(supplier => (
+                      <tr key={supplier._id}>
+                        <td>{supplier.name}</td>
+                        <td>{supplier.contactPerson || '-'}</td>
+                        <td>{supplier.phone || '-'}</td>
+                        <td>{supplier.email || '-'}</td>
+                        <td>{supplier.leadTime} days</td>
+                        <td>{supplier.paymentTerms}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Tab>
+      </Tabs>
+    </Container>
+  );
+};
+
+export default SuppliersPage;
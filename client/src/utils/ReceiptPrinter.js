@@ -133,10 +133,16 @@ class ReceiptPrinter {
           <div>
             ${sale.items.map(item => `
               <div class="item-row">
-                <div class="item-name">${item.name}</div>
+                <div class="item-name">${item.name}${item.giftCardNumber ? `<br>Card: ${item.giftCardNumber}` : ''}</div>
                 <div class="item-quantity">x${item.quantity}</div>
                 <div class="item-price">${formatCurrency(item.subtotal)}</div>
               </div>
+              ${item.discountAmount > 0 ? `
+                <div class="item-row">
+                  <div class="item-name">&nbsp;&nbsp;${item.discountReason || 'Discount'}</div>
+                  <div class="item-price">-${formatCurrency(item.discountAmount * item.quantity)}</div>
+                </div>
+              ` : ''}
             `).join('')}
           </div>
           
@@ -199,8 +205,358 @@ class ReceiptPrinter {
       receiptWindow.document.write(receiptContent);
       receiptWindow.document.close();
     }
+
+    /**
+     * Print the Z report for a closed register session
+     * @param {Object} session - The closed register session
+     * @param {Object} report - Session totals from the server
+     */
+    printZReport(session, report) {
+      console.log(`Printing Z report for register ${session.registerNumber}`);
+
+      this.generateZReportWindow(session, report);
+
+      return true;
+    }
+
+    /**
+     * Generate a Z report in a new window for printing
+     * @param {Object} session - The register session
+     * @param {Object} report - Session totals
+     */
+    generateZReportWindow(session, report) {
+      // Format currency
+      const formatCurrency = (amount) => {
+        return new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(amount);
+      };
+
+      // Format date
+      const formatDate = (dateString) => {
+        const options = {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        };
+        return new Date(dateString).toLocaleDateString(undefined, options);
+      };
+
+      const row = (label, value) => `
+        <div class="item-row">
+          <div>${label}</div>
+          <div>${value}</div>
+        </div>
+      `;
+
+      const reportContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>Z Report - ${session.registerNumber}</title>
+          <style>
+            body {
+              font-family: 'Courier New', monospace;
+              font-size: 12px;
+              width: 300px;
+              margin: 0 auto;
+              padding: 10px;
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 10px;
+            }
+            .company-name {
+              font-size: 16px;
+              font-weight: bold;
+            }
+            .section-title {
+              font-weight: bold;
+              margin-top: 5px;
+            }
+            .divider {
+              border-top: 1px dashed #000;
+              margin: 10px 0;
+            }
+            .item-row {
+              display: flex;
+              justify-content: space-between;
+              margin: 3px 0;
+            }
+            .total-row {
+              display: flex;
+              justify-content: space-between;
+              margin: 5px 0;
+              font-weight: bold;
+            }
+            @media print {
+              .no-print {
+                display: none;
+              }
+              body {
+                width: 100%;
+                margin: 0;
+                padding: 0;
+              }
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div class="company-name">Green Thumb Gardens</div>
+            <div>Z REPORT</div>
+          </div>
+
+          <div class="divider"></div>
+
+          <div>
+            <div>Register: ${session.registerNumber}</div>
+            <div>Opened: ${formatDate(session.openedAt)}</div>
+            <div>Closed: ${formatDate(session.closedAt)}</div>
+          </div>
+
+          <div class="divider"></div>
+
+          <div class="section-title">Sales (${report.sales.count})</div>
+          ${row('Subtotal:', formatCurrency(report.sales.subtotal))}
+          ${row('Discounts:', `-${formatCurrency(report.sales.discountTotal)}`)}
+          ${row('Tax:', formatCurrency(report.sales.taxTotal))}
+          <div class="total-row">
+            <div>Total Sales:</div>
+            <div>${formatCurrency(report.sales.total)}</div>
+          </div>
+
+          <div class="divider"></div>
+
+          <div class="section-title">Payments</div>
+          ${report.payments.length > 0
+            ? report.payments.map(p => row(`${p.method} (${p.count}):`, formatCurrency(p.amount))).join('')
+            : '<div>None</div>'}
+
+          <div class="divider"></div>
+
+          <div class="section-title">Refunds (${report.refunds.count})</div>
+          ${report.refunds.byMethod.map(r => row(`${r.method} (${r.count}):`, formatCurrency(r.amount))).join('')}
+          ${row('Total Refunds:', formatCurrency(report.refunds.total))}
+
+          <div class="divider"></div>
+
+          <div class="section-title">Voids (${report.voids.count})</div>
+          ${report.voids.sales.map(v => row(`${v.saleNumber}:`, formatCurrency(v.total))).join('')}
+          ${row('Total Voids:', formatCurrency(report.voids.total))}
+
+          <div class="divider"></div>
+
+          <div class="section-title">Cash Drawer</div>
+          ${row('Opening Float:', formatCurrency(report.cash.openingFloat))}
+          ${row('Cash Tendered:', formatCurrency(report.cash.cashTendered))}
+          ${row('Change Given:', `-${formatCurrency(report.cash.changeGiven)}`)}
+          ${row('Paid In:', formatCurrency(report.cash.paidIn))}
+          ${row('Paid Out:', `-${formatCurrency(report.cash.paidOut)}`)}
+          ${row('Cash Refunds:', `-${formatCurrency(report.cash.cashRefunds)}`)}
+          ${row('Expected Cash:', formatCurrency(session.expectedCash))}
+          ${row('Counted Cash:', formatCurrency(session.closingCount.total))}
+          <div class="total-row">
+            <div>${session.overShort < 0 ? 'SHORT' : 'OVER'}:</div>
+            <div>${formatCurrency(Math.abs(session.overShort))}</div>
+          </div>
+
+          ${session.cashMovements.length > 0 ? `
+            <div class="divider"></div>
+            <div class="section-title">Paid In / Out</div>
+            ${session.cashMovements.map(m => row(
+              `${m.type}: ${m.reason}`,
+              formatCurrency(m.amount)
+            )).join('')}
+          ` : ''}
+
+          <div class="no-print" style="margin-top: 20px; text-align: center;">
+            <button onclick="window.print()">Print Report</button>
+          </div>
+        </body>
+        </html>
+      `;
+
+      // Open a new window with the report
+      const reportWindow = window.open('', '_blank');
+      reportWindow.document.write(reportContent);
+      reportWindow.document.close();
+    }
+
+    /**
+     * Print a monthly statement for a trade account
+     * @param {Object} statement - Statement from the accounts API
+     */
+    printStatement(statement) {
+      console.log(`Printing statement for ${statement.customer.name}`);
+
+      this.generateStatementWindow(statement);
+
+      return true;
+    }
+
+    /**
+     * Generate a statement in a new window for printing
+     * @param {Object} statement - The statement
+     */
+    generateStatementWindow(statement) {
+      // Format currency
+      const formatCurrency = (amount) => {
+        return new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(amount);
+      };
+
+      const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+      const { customer, aged } = statement;
+      const details = customer.commercialDetails || {};
+      const periodName = new Date(statement.period.start).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+      const statementContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>Statement - ${details.companyName || customer.name} - ${periodName}</title>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              font-size: 12px;
+              width: 700px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              display: flex;
+              justify-content: space-between;
+              margin-bottom: 20px;
+            }
+            .company-name {
+              font-size: 18px;
+              font-weight: bold;
+            }
+            table {
+              width: 100%;
+              border-collapse: collapse;
+              margin: 10px 0;
+            }
+            th, td {
+              padding: 4px 6px;
+              border-bottom: 1px solid #ddd;
+              text-align: left;
+            }
+            .amount {
+              text-align: right;
+            }
+            .total-row td {
+              font-weight: bold;
+              border-top: 2px solid #000;
+            }
+            @media print {
+              .no-print {
+                display: none;
+              }
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div>
+              <div class="company-name">Green Thumb Gardens</div>
+              <div>123 Garden Street, Plantville</div>
+              <div>(555) 123-4567</div>
+              <div>GST #: 123-456-789</div>
+            </div>
+            <div>
+              <h2>STATEMENT</h2>
+              <div>Period: ${periodName}</div>
+              <div>Statement date: ${formatDate(statement.statementDate)}</div>
+              ${details.accountNumber ? `<div>Account: ${details.accountNumber}</div>` : ''}
+            </div>
+          </div>
+
+          <div>
+            <strong>${details.companyName || customer.name}</strong><br>
+            ${details.companyName ? `Attn: ${customer.name}<br>` : ''}
+            ${customer.address && customer.address.street ? `${customer.address.street}<br>` : ''}
+            ${customer.address && customer.address.city ? `${customer.address.city} ${customer.address.postalCode || ''}<br>` : ''}
+          </div>
+
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Reference</th>
+                <th>Details</th>
+                <th class="amount">Charges</th>
+                <th class="amount">Payments</th>
+                <th class="amount">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>${formatDate(statement.period.start)}</td>
+                <td colspan="4">Balance brought forward</td>
+                <td class="amount">${formatCurrency(statement.openingBalance)}</td>
+              </tr>
+              ${statement.transactions.map(t => `
+                <tr>
+                  <td>${formatDate(t.date)}</td>
+                  <td>${t.reference}</td>
+                  <td>${t.details || ''}${t.dueDate ? ` (due ${formatDate(t.dueDate)})` : ''}</td>
+                  <td class="amount">${t.debit ? formatCurrency(t.debit) : ''}</td>
+                  <td class="amount">${t.credit ? formatCurrency(t.credit) : ''}</td>
+                  <td class="amount">${formatCurrency(t.balance)}</td>
+                </tr>
+              `).join('')}
+              <tr class="total-row">
+                <td colspan="5">Balance due</td>
+                <td class="amount">${formatCurrency(statement.closingBalance)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <table>
+            <thead>
+              <tr>
+                <th class="amount">Current</th>
+                <th class="amount">30 Days</th>
+                <th class="amount">60 Days</th>
+                <th class="amount">90+ Days</th>
+                <th class="amount">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td class="amount">${formatCurrency(aged.current)}</td>
+                <td class="amount">${formatCurrency(aged.days30)}</td>
+                <td class="amount">${formatCurrency(aged.days60)}</td>
+                <td class="amount">${formatCurrency(aged.days90)}</td>
+                <td class="amount">${formatCurrency(aged.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p>Payment terms: ${details.paymentTermsDays || 0} days from invoice date. Please quote your account number with payment.</p>
+
+          <div class="no-print" style="margin-top: 20px; text-align: center;">
+            <button onclick="window.print()">Print Statement</button>
+          </div>
+        </body>
+        </html>
+      `;
+
+      // Open a new window with the statement
+      const statementWindow = window.open('', '_blank');
+      statementWindow.document.write(statementContent);
+      statementWindow.document.close();
+    }
   }
-  
+
   // Create a single instance of the ReceiptPrinter class
   const receiptPrinterInstance = new ReceiptPrinter();
   
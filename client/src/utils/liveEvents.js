@@ -0,0 +1,96 @@
+// src/utils/liveEvents.js
+import { useEffect, useRef } from 'react';
+import axios from 'axios';
+
+// Events pushed by the server over /api/events
+export const LIVE_EVENTS = [
+  'stock:changed',
+  'stock:low',
+  'sale:created',
+  'sale:conflict',
+  'stockcount:completed'
+];
+
+// Wait before opening a new stream after the last one failed
+const RECONNECT_MS = 5000;
+
+const listeners = new Set();
+let source = null;
+let reconnectTimer = null;
+
+const dispatch = (type) => (e) => {
+  const data = JSON.parse(e.data);
+  listeners.forEach(listener => listener(type, data));
+};
+
+// One stream is shared by every screen that is listening
+const connect = async () => {
+  clearTimeout(reconnectTimer);
+
+  try {
+    // EventSource cannot send the auth header, so a short-lived ticket goes in the URL
+    const res = await axios.post('/api/events/ticket');
+
+    // Nobody is listening any more, or another connect got there first
+    if (listeners.size === 0 || source) return;
+
+    const url = `${axios.defaults.baseURL || ''}/api/events?ticket=${encodeURIComponent(res.data.ticket)}`;
+    source = new EventSource(url);
+
+    LIVE_EVENTS.forEach(type => source.addEventListener(type, dispatch(type)));
+
+    // The browser retries dropped streams by itself, but a closed stream
+    // (e.g. an expired ticket after a server restart) needs a new ticket
+    source.onerror = () => {
+      if (source && source.readyState === EventSource.CLOSED) {
+        disconnect();
+        reconnectTimer = setTimeout(connect, RECONNECT_MS);
+      }
+    };
+  } catch (err) {
+    // Logged out, or the server is down
+    if (err.response?.status !== 401) {
+      reconnectTimer = setTimeout(connect, RECONNECT_MS);
+    }
+  }
+};
+
+const disconnect = () => {
+  if (source) {
+    source.close();
+    source = null;
+  }
+};
+
+/**
+ * Subscribe a screen to live events while it is mounted.
+ *
+ * @param {Object} handlers - Functions keyed by event name, each given the event data
+ */
+export const useLiveEvents = (handlers) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const listener = (type, data) => {
+      if (handlersRef.current[type]) {
+        handlersRef.current[type](data);
+      }
+    };
+
+    listeners.add(listener);
+
+    if (listeners.size === 1) {
+      connect();
+    }
+
+    return () => {
+      listeners.delete(listener);
+
+      if (listeners.size === 0) {
+        clearTimeout(reconnectTimer);
+        disconnect();
+      }
+    };
+  }, []);
+};
@@ -0,0 +1,154 @@
+// src/utils/offlineStore.js
+import axios from 'axios';
+
+// The POS keeps its catalogue and any sales it could not send in IndexedDB,
+// so it can carry on selling when the connection drops
+const DB_NAME = 'nursery-pos';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const SALES_STORE = 'sales';
+
+let dbPromise = null;
+let syncPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(CACHE_STORE);
+        db.createObjectStore(SALES_STORE, { keyPath: 'provisionalNumber' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result
+const run = async (storeName, mode, action) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// A request that got no response at all, rather than an error from the server
+export const isNetworkError = (err) => !err.response;
+
+/**
+ * Keep a copy of data loaded from the server for use offline.
+ *
+ * @param {String} key - e.g. 'products'
+ * @param {*} value - Anything IndexedDB can clone
+ */
+export const cacheData = (key, value) =>
+  run(CACHE_STORE, 'readwrite', store => store.put(value, key));
+
+export const getCachedData = (key) =>
+  run(CACHE_STORE, 'readonly', store => store.get(key));
+
+/**
+ * Number the next offline sale for this register. The number is only used
+ * until the sale syncs and gets a real sale number, and is printed on the
+ * receipt so the sale can be traced back.
+ *
+ * @param {String} registerNumber - e.g. 'POS-1'
+ * @returns {String} e.g. 'OFF-POS-1-261019-003'
+ */
+export const nextProvisionalNumber = (registerNumber) => {
+  const now = new Date();
+  const date = [
+    now.getFullYear().toString().slice(-2),
+    (now.getMonth() + 1).toString().padStart(2, '0'),
+    now.getDate().toString().padStart(2, '0')
+  ].join('');
+  const key = `offlineSequence:${registerNumber}:${date}`;
+  const sequence = parseInt(localStorage.getItem(key) || '0') + 1;
+
+  localStorage.setItem(key, sequence.toString());
+
+  return `OFF-${registerNumber}-${date}-${sequence.toString().padStart(3, '0')}`;
+};
+
+export const queueSale = (sale) =>
+  run(SALES_STORE, 'readwrite', store => store.put(sale));
+
+export const getQueuedSales = () =>
+  run(SALES_STORE, 'readonly', store => store.getAll());
+
+const removeQueuedSale = (provisionalNumber) =>
+  run(SALES_STORE, 'readwrite', store => store.delete(provisionalNumber));
+
+const sendSale = async (sale) => {
+  try {
+    const res = await axios.post('/api/offline-sales', sale);
+    await removeQueuedSale(sale.provisionalNumber);
+
+    return { synced: true, conflicts: res.data.conflicts.length };
+  } catch (err) {
+    // Still offline, so try again later
+    if (isNetworkError(err)) {
+      throw err;
+    }
+
+    // Anything the server turned away stays queued with the reason, so the
+    // sale is never lost and the cashier can see why it has not gone
+    await queueSale({
+      ...sale,
+      lastError: err.response.data?.message || err.response.data?.errors?.[0]?.msg || 'Sync failed'
+    });
+
+    return { synced: false };
+  }
+};
+
+/**
+ * Send queued offline sales to the server, oldest first. Sales with stock
+ * or price problems are still saved by the server and raised as conflicts
+ * for a manager. Only one sync runs at a time.
+ *
+ * @returns {Promise<Object>} Counts of sales synced, conflicts raised and sales still queued
+ */
+export const syncQueuedSales = () => {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      const sales = await getQueuedSales();
+      const result = { synced: 0, conflicts: 0, remaining: sales.length };
+
+      sales.sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+      try {
+        for (const sale of sales) {
+          const sent = await sendSale(sale);
+
+          if (sent.synced) {
+            result.synced += 1;
+            result.conflicts += sent.conflicts;
+            result.remaining -= 1;
+          }
+        }
+      } catch (err) {
+        // Connection dropped part way through
+      }
+
+      return result;
+    })().finally(() => {
+      syncPromise = null;
+    });
+  }
+
+  return syncPromise;
+};
@@ -0,0 +1,13 @@
+// src/utils/register.js
+
+// Notes and coins counted into and out of the till
+export const DENOMINATIONS = [100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1];
+
+// Each terminal remembers which register it is
+export const getRegisterNumber = () => {
+  return localStorage.getItem('registerNumber') || 'POS-1';
+};
+
+export const setRegisterNumber = (registerNumber) => {
+  localStorage.setItem('registerNumber', registerNumber);
+};
@@ -12,14 +12,67 @@ module.exports = {
     
     // EFTPOS integration configuration
     eftpos: {
-      provider: process.env.EFTPOS_PROVIDER || 'mock', // 'mock', 'windcave', 'verifone', 'smartpay'
+      provider: process.env.EFTPOS_PROVIDER || 'simulator', // 'simulator', 'windcave', 'verifone', 'smartpay'
       terminalId: process.env.EFTPOS_TERMINAL_ID || 'TERMINAL01',
       merchantId: process.env.EFTPOS_MERCHANT_ID || 'MERCHANT01',
       apiKey: process.env.EFTPOS_API_KEY || 'test-api-key',
       apiUrl: process.env.EFTPOS_API_URL || 'https://api.example.com/eftpos',
-      timeout: process.env.EFTPOS_TIMEOUT || 60000 // 1 minute timeout
+      currency: process.env.EFTPOS_CURRENCY || 'NZD',
+      timeout: process.env.EFTPOS_TIMEOUT || 60000, // 1 minute timeout
+      pollInterval: 1000, // How often refunds and voids are checked on the terminal
+      
+      // Local terminal for development. Amounts ending in .51 decline, .52 time
+      // out, .53 partially approve and .54 ask for a signature.
+      simulator: {
+        outcome: process.env.EFTPOS_SIMULATOR_OUTCOME || 'approve', // 'approve', 'decline', 'timeout', 'partial', 'signature'
+        stepMs: 1500, // Time spent on each terminal prompt
+        partialPercent: 50, // Share of the amount a partial approval covers
+        cardType: 'VISA',
+        lastFourDigits: '4242'
+      }
     },
     
+    // Matching EFTPOS settlement files to sale payments
+    reconciliation: {
+      matchWindowMinutes: 10 // How far apart a settlement line and a payment with no matching transaction ID can be
+    },
+    
+    // Point of sale
+    pos: {
+      manualDiscountLimit: 10, // Largest manual discount (percent) a cashier can give without a manager
+      overrideExpiration: '15m', // How long a manager's PIN approval lasts
+      pinMaxAttempts: 5, // Wrong PINs in a row before a manager's PIN is locked
+      pinLockoutMinutes: 15 // How long a locked PIN stays locked
+    },
+    
+    // Reorder suggestions
+    reorder: {
+      lookbackDays: 56, // Sales history used for average daily sales
+      safetyFactor: 1.5, // Multiplier on lead-time demand to cover slow deliveries and sales spikes
+      reviewDays: 14 // Days of sales each order should cover beyond the lead time
+    },
+    
+    // In-house propagation: default plan for each stage of a production job
+    production: {
+      stages: {
+        'Sown': { days: 14, lossPercent: 20 }, // Sowing to germination
+        'Germinated': { days: 21, lossPercent: 10 }, // Germination to pricking out
+        'Pricked Out': { days: 28, lossPercent: 5 }, // Pricking out to potting up
+        'Potted': { days: 56, lossPercent: 5 } // Potted to ready for sale
+      }
+    },
+
+    // Cycle counting: one category comes due every cycleDays, least recently counted first
+    stockCount: {
+      cycleDays: 7
+    },
+
+    // Live updates pushed to open screens over Server-Sent Events
+    events: {
+      ticketExpiration: '1m', // How long a ticket to open the event stream lasts
+      heartbeatSeconds: 25 // Keeps idle streams from being closed by proxies
+    },
+
     // Email configuration for receipts
     email: {
       from: process.env.EMAIL_FROM || 'sales@plantnursery.example.com',
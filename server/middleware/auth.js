@@ -1,8 +1,8 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
-const config = require('config');
-/*
-module.exports = function(req, res, next) {
+const tokenService = require('../services/tokenService');
+const User = require('../models/User');
+
+module.exports = async function(req, res, next) {
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -11,26 +11,40 @@ module.exports = function(req, res, next) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
+
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || config.get('jwtSecret'));
-
-    // Add user from payload
-    req.user = decoded.user;
-    next();
+    decoded = tokenService.verifyToken(token);
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
+    return res.status(401).json({ message: 'Token is not valid' });
   }
-};
-*/
-// Temporary simplified auth middleware for testing
-// server/middleware/auth.js
-module.exports = function(req, res, next) {
-  console.log('Auth middleware bypassed for testing');
-  req.user = { 
-    id: '67d9283bf94ed4385ccc7b04', // Make sure this matches your admin user ID
-    name: 'Admin User',
-    role: 'admin' 
-  };
+
+  // Add user from payload
+  req.user = decoded.user;
+
+  // Hand back a fresh token once this one is half used so active
+  // sessions never reach the expiry. The user is reloaded first so a
+  // deactivated account isn't kept signed in and a role change is picked up.
+  if (tokenService.shouldRefresh(decoded)) {
+    try {
+      const user = await User.findById(decoded.user.id).select('isActive role');
+
+      if (!user || !user.isActive) {
+        return res.status(403).json({ message: 'Account is inactive. Please contact administrator.' });
+      }
+
+      req.user = { ...decoded.user, role: user.role };
+      res.set('x-auth-token', tokenService.signToken(req.user));
+    } catch (err) {
+      console.error('Token refresh error:', err.message);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  }
+
   next();
-};
\ No newline at end of file
+};
@@ -0,0 +1,82 @@
+// middleware/permissions.js
+const roleAuth = require('./roleAuth');
+
+// Roles allowed to perform each action. Routes check these through permit()
+// and the client uses the same list to decide which screens to show.
+const PERMISSIONS = {
+  // Point of sale
+  'sales:create': ['admin', 'manager', 'cashier'],
+  'sales:void': ['admin', 'manager'],
+  'sales:resolve': ['admin', 'manager'],
+  'registers:operate': ['admin', 'manager', 'cashier'],
+  'returns:process': ['admin', 'manager', 'cashier'],
+  'payments:refund': ['admin', 'manager'],
+  'payments:reconcile': ['admin', 'manager'],
+  'giftcards:view': ['admin', 'manager', 'cashier'],
+  'giftcards:issue': ['admin', 'manager'],
+  'discounts:override': ['admin', 'manager'],
+  'promotions:manage': ['admin', 'manager'],
+
+  // Catalogue and stock
+  'inventory:view': ['admin', 'manager', 'inventory'],
+  'products:edit': ['admin', 'manager', 'inventory'],
+  'products:delete': ['admin'],
+  'stock:adjust': ['admin', 'manager', 'inventory'],
+  'stock:override': ['admin', 'manager'],
+  'inventory:rebuild': ['admin'],
+  'production:view': ['admin', 'manager', 'inventory'],
+  'production:manage': ['admin', 'manager', 'inventory'],
+  'locations:manage': ['admin', 'manager'],
+  'stockcounts:count': ['admin', 'manager', 'inventory', 'cashier'],
+  'stockcounts:approve': ['admin', 'manager'],
+
+  // Suppliers and purchasing
+  'purchasing:view': ['admin', 'manager', 'inventory'],
+  'purchasing:edit': ['admin', 'manager', 'inventory'],
+  'purchasing:approve': ['admin', 'manager'],
+  'suppliers:edit': ['admin', 'manager'],
+  'suppliers:delete': ['admin'],
+
+  // Customers
+  'customers:view': ['admin', 'manager', 'cashier', 'inventory'],
+  'customers:edit': ['admin', 'manager', 'cashier'],
+  'customers:delete': ['admin'],
+  'loyalty:manage': ['admin', 'manager'],
+  'accounts:view': ['admin', 'manager'],
+  'accounts:manage': ['admin', 'manager'],
+
+  // Administration
+  'reports:view': ['admin', 'manager'],
+  'users:view': ['admin', 'manager'],
+  'users:manage': ['admin'],
+  'audit:view': ['admin']
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {String} role - User role
+ * @returns {Array} Permission names
+ */
+const getPermissions = (role) => {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+};
+
+/**
+ * Middleware to check the current user's role grants a permission
+ * @param {String} permission - Permission name from PERMISSIONS
+ */
+const permit = (permission) => {
+  const roles = PERMISSIONS[permission];
+
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return roleAuth(roles);
+};
+
+module.exports = {
+  PERMISSIONS,
+  getPermissions,
+  permit
+};
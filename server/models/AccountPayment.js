@@ -0,0 +1,93 @@
+// models/AccountPayment.js
+const mongoose = require('mongoose');
+
+// Money received from a trade customer against their account
+const accountPaymentSchema = new mongoose.Schema({
+  paymentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: ['Cash', 'EFTPOS', 'Bank Transfer', 'Cheque']
+  },
+  reference: {
+    type: String
+  },
+  // Invoices the payment was put towards
+  allocations: [{
+    _id: false,
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true
+    },
+    invoiceNumber: {
+      type: String
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  notes: {
+    type: String
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountPaymentSchema.index({ customer: 1, date: 1 });
+
+// Generate sequential payment number, format: AP[YY][MM][0001]
+accountPaymentSchema.pre('validate', async function(next) {
+  if (this.paymentNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `AP${year}${month}`;
+
+    const lastPayment = await this.constructor.findOne({
+      paymentNumber: new RegExp(`^${prefix}`)
+    }).sort({ paymentNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastPayment && lastPayment.paymentNumber) {
+      const lastSequence = parseInt(lastPayment.paymentNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.paymentNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('AccountPayment', accountPaymentSchema);
@@ -0,0 +1,45 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['Product', 'Supplier', 'Customer', 'User', 'Sale']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete']
+  },
+  // One entry per changed field, nested fields use dot paths
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Null when the change did not come from an API request (seed scripts, etc.)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userName: {
+    type: String,
+    default: 'System'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,126 @@
+// models/Batch.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A lot of one product potted or propagated together. Product.currentStock
+// is the total across its batches plus any stock from before batches were
+// tracked.
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Date the batch was propagated or potted up; its age is counted from here
+  pottingDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['Purchase Order', 'Propagation', 'Other'],
+    default: 'Other'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  // PO number or propagation job the batch came from
+  reference: {
+    type: String
+  },
+  potSize: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: String
+  },
+  initialQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Units still on hand, maintained by the inventory service
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Sales draw down the oldest batch first
+batchSchema.index({ product: 1, quantity: 1, pottingDate: 1 });
+
+// Whole days since the batch was potted
+batchSchema.virtual('ageDays').get(function() {
+  return Math.max(0, Math.floor((Date.now() - this.pottingDate) / DAY_MS));
+});
+
+batchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate sequential batch number, format: B[YY][MM][0001]
+batchSchema.pre('validate', async function(next) {
+  if (this.batchNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `B${year}${month}`;
+
+    const lastBatch = await this.constructor.findOne({
+      batchNumber: new RegExp(`^${prefix}`)
+    }).sort({ batchNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastBatch && lastBatch.batchNumber) {
+      const lastSequence = parseInt(lastBatch.batchNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.batchNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -1,5 +1,6 @@
 // models/Customer.js
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -44,6 +45,10 @@ const customerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  storeCredit: {
+    type: Number,
+    default: 0
+  },
   isCommercial: {
     type: Boolean,
     default: false
@@ -55,6 +60,21 @@ const customerSchema = new mongoose.Schema({
     discount: {
       type: Number,
       default: 0
+    },
+    // Most the customer can owe on account; 0 means no account purchases
+    creditLimit: {
+      type: Number,
+      default: 0
+    },
+    // Days after the invoice date that payment is due
+    paymentTermsDays: {
+      type: Number,
+      default: 30
+    },
+    // Total of unpaid invoices, kept in step by the account service
+    accountBalance: {
+      type: Number,
+      default: 0
     }
   },
   isActive: {
@@ -77,8 +97,9 @@ customerSchema.pre('save', function(next) {
   next();
 });
 
-// Method to update customer loyalty points and total spent
-customerSchema.methods.updatePurchaseStats = function(sale) {
+// Method to update total spent, purchase history and membership level.
+// Points are earned separately through the loyalty ledger.
+customerSchema.methods.updatePurchaseStats = function(sale, settings, session = null) {
   // Update total spent
   this.totalSpent += sale.total;
   
@@ -87,22 +108,18 @@ customerSchema.methods.updatePurchaseStats = function(sale) {
     this.purchaseHistory.push(sale._id);
   }
   
-  // Update loyalty points (1 point per dollar spent, simplified)
-  const pointsEarned = Math.floor(sale.total);
-  this.loyaltyPoints += pointsEarned;
+  // Move up to the highest tier the spend now reaches. Levels are never
+  // lowered here, so a manual promotion sticks.
+  const tier = settings.getTierForSpend(this.totalSpent);
+  const levels = settings.constructor.MEMBERSHIP_LEVELS;
   
-  // Update membership level based on total spent
-  if (this.totalSpent >= 5000) {
-    this.membershipLevel = 'Platinum';
-  } else if (this.totalSpent >= 2500) {
-    this.membershipLevel = 'Gold';
-  } else if (this.totalSpent >= 1000) {
-    this.membershipLevel = 'Silver';
-  } else if (this.totalSpent >= 500) {
-    this.membershipLevel = 'Bronze';
+  if (tier && levels.indexOf(tier.level) > levels.indexOf(this.membershipLevel)) {
+    this.membershipLevel = tier.level;
   }
   
-  return this.save();
+  return this.save({ session });
 };
 
+customerSchema.plugin(auditPlugin, { entityType: 'Customer' });
+
 module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
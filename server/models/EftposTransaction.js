@@ -0,0 +1,100 @@
+// models/EftposTransaction.js
+const mongoose = require('mongoose');
+
+// Pending while the terminal is waiting on the customer; every other status is final
+const TRANSACTION_STATUSES = [
+  'Pending',
+  'Approved',
+  'Partially Approved', // The card covered less than was asked for
+  'Declined',
+  'Cancelled',
+  'Timed Out',
+  'Failed' // The terminal could not be reached
+];
+
+// One card payment sent to the EFTPOS terminal. The POS polls it while the
+// customer deals with the terminal, and the payment is added to the sale
+// once it is approved.
+const eftposTransactionSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  // Amount asked for; an approval can be for less
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Reference sent to the terminal with the payment
+  reference: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's own ID for the request, used to poll and cancel it
+  providerReference: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: TRANSACTION_STATUSES,
+    default: 'Pending'
+  },
+  // What the terminal is asking for, e.g. 'Present Card' or 'Signature Required'
+  prompt: {
+    type: String
+  },
+  // Text shown on the terminal screen, when the provider sends it
+  displayText: {
+    type: String
+  },
+  transactionId: {
+    type: String
+  },
+  authCode: {
+    type: String
+  },
+  cardType: {
+    type: String
+  },
+  lastFourDigits: {
+    type: String
+  },
+  approvedAmount: {
+    type: Number
+  },
+  responseText: {
+    type: String
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+eftposTransactionSchema.statics.TRANSACTION_STATUSES = TRANSACTION_STATUSES;
+
+eftposTransactionSchema.index({ sale: 1, status: 1 });
+eftposTransactionSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('EftposTransaction', eftposTransactionSchema);
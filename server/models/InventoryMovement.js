@@ -1,6 +1,22 @@
 // models/InventoryMovement.js
 const mongoose = require('mongoose');
 
+// Why stock was written off
+const LOSS_REASONS = [
+  'Frost',
+  'Heat',
+  'Pests',
+  'Disease',
+  'Overwatering',
+  'Underwatering',
+  'Handling Damage',
+  'Theft',
+  'Unsaleable',
+  'Customer Return',
+  'Unexplained',
+  'Other'
+];
+
 const inventoryMovementSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,7 +30,7 @@ const inventoryMovementSchema = new mongoose.Schema({
   movementType: {
     type: String,
     required: true,
-    enum: ['Received', 'Sold', 'Returned', 'Damaged', 'Adjustment', 'Transferred', 'StockCount']
+    enum: ['Received', 'Sold', 'Returned', 'Damaged', 'Adjustment', 'Transferred', 'StockCount', 'Consumed', 'Produced']
   },
   quantity: {
     type: Number,
@@ -28,6 +44,19 @@ const inventoryMovementSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Signed change to the product's total stock. Summing these from the first
+  // movement's previousStock rebuilds currentStock.
+  stockChange: {
+    type: Number
+  },
+  // Batch the units came from or went into, when stock is batch tracked
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  batchNumber: {
+    type: String
+  },
   reference: {
     // Could be sale ID, purchase order ID, etc.
     type: String
@@ -35,14 +64,38 @@ const inventoryMovementSchema = new mongoose.Schema({
   notes: {
     type: String
   },
+  // Write-offs are reported on by reason
+  lossReason: {
+    type: String,
+    enum: LOSS_REASONS
+  },
+  // Photo of the loss, a URL or data URL. Only loaded when asked for.
+  photo: {
+    type: String,
+    select: false
+  },
+  // Units moved at the product's cost price at the time
+  costValue: {
+    type: Number
+  },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Name of the location, kept so history reads the same if it is renamed
   location: {
     type: String
   },
+  // Location units were taken from, and put into. A transfer has both.
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -51,7 +104,14 @@ const inventoryMovementSchema = new mongoose.Schema({
 
 // Index for quick lookup by product and movement type
 inventoryMovementSchema.index({ product: 1, movementType: 1 });
+inventoryMovementSchema.index({ product: 1, timestamp: 1 });
 inventoryMovementSchema.index({ barcode: 1 });
 inventoryMovementSchema.index({ timestamp: 1 });
+inventoryMovementSchema.index({ batch: 1 });
+inventoryMovementSchema.index({ fromLocation: 1, timestamp: 1 });
+inventoryMovementSchema.index({ toLocation: 1, timestamp: 1 });
+inventoryMovementSchema.index({ lossReason: 1, timestamp: 1 });
+
+inventoryMovementSchema.statics.LOSS_REASONS = LOSS_REASONS;
 
 module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
\ No newline at end of file
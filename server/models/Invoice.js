@@ -0,0 +1,146 @@
+// models/Invoice.js
+const mongoose = require('mongoose');
+
+// Part of an account payment put towards this invoice
+const invoicePaymentSchema = new mongoose.Schema({
+  accountPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountPayment',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // Sale charged to the account
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  saleNumber: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balance: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Partially Paid', 'Paid'],
+    default: 'Open'
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  payments: [invoicePaymentSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invoiceSchema.index({ customer: 1, issueDate: 1 });
+invoiceSchema.index({ customer: 1, status: 1 });
+invoiceSchema.index({ sale: 1 });
+
+// Update the updatedAt field on save
+invoiceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate sequential invoice number, format: INV[YY][MM][0001]
+invoiceSchema.pre('validate', async function(next) {
+  if (this.invoiceNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `INV${year}${month}`;
+
+    const lastInvoice = await this.constructor.findOne({
+      invoiceNumber: new RegExp(`^${prefix}`)
+    }).sort({ invoiceNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastInvoice && lastInvoice.invoiceNumber) {
+      const lastSequence = parseInt(lastInvoice.invoiceNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.invoiceNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Put part of an account payment towards the invoice
+invoiceSchema.methods.applyPayment = function(accountPayment, amount, date) {
+  this.payments.push({ accountPayment: accountPayment._id, amount, date });
+  this.amountPaid = Math.round((this.amountPaid + amount) * 100) / 100;
+  this.balance = Math.round((this.amount - this.amountPaid) * 100) / 100;
+  this.status = this.balance <= 0 ? 'Paid' : 'Partially Paid';
+};
+
+// What was still owing on the invoice at a point in time
+invoiceSchema.methods.getBalanceAt = function(date) {
+  if (this.issueDate > date) {
+    return 0;
+  }
+
+  const paid = this.payments
+    .filter(payment => payment.date <= date)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  return Math.round((this.amount - paid) * 100) / 100;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,51 @@
+// models/Location.js
+const mongoose = require('mongoose');
+
+// A place stock is held: a growing house, shade house, the retail floor, etc.
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['Propagation', 'Growing', 'Shade House', 'Retail', 'Storage', 'Other'],
+    default: 'Other'
+  },
+  description: {
+    type: String
+  },
+  // The POS sells from, and returns go back to, this location. Only one
+  // location has it set.
+  isSalesLocation: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+locationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Location', locationSchema);
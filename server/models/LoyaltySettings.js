@@ -0,0 +1,129 @@
+// models/LoyaltySettings.js
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const MEMBERSHIP_LEVELS = ['Regular', 'Bronze', 'Silver', 'Gold', 'Platinum'];
+
+// Default tiers match the spend thresholds used before they were configurable
+const DEFAULT_TIERS = [
+  { level: 'Regular', minSpend: 0, discountPercent: 0 },
+  { level: 'Bronze', minSpend: 500, discountPercent: 0 },
+  { level: 'Silver', minSpend: 1000, discountPercent: 0 },
+  { level: 'Gold', minSpend: 2500, discountPercent: 0 },
+  { level: 'Platinum', minSpend: 5000, discountPercent: 0 }
+];
+
+// Single document holding the loyalty programme rules
+const loyaltySettingsSchema = new mongoose.Schema({
+  // Points earned per dollar spent, before tax
+  pointsPerDollar: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Overrides of the earn rate for particular categories
+  categoryRates: [{
+    _id: false,
+    category: {
+      type: String,
+      required: true,
+      enum: Product.schema.path('category').enumValues
+    },
+    pointsPerDollar: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Dollar value of one point when redeemed
+  pointValue: {
+    type: Number,
+    default: 0.05,
+    min: 0.01
+  },
+  // Fewest points that can be redeemed at once
+  minimumRedemption: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+  // Months before earned points expire; 0 means they never do
+  pointsExpiryMonths: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tiers: {
+    type: [{
+      _id: false,
+      level: {
+        type: String,
+        required: true,
+        enum: MEMBERSHIP_LEVELS
+      },
+      // Lifetime spend needed to reach the tier
+      minSpend: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Discount off every product line for members of the tier
+      discountPercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+      }
+    }],
+    default: DEFAULT_TIERS
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+loyaltySettingsSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+loyaltySettingsSchema.statics.MEMBERSHIP_LEVELS = MEMBERSHIP_LEVELS;
+
+// The settings document, created with defaults the first time it is needed
+loyaltySettingsSchema.statics.getSettings = async function(session = null) {
+  let settings = await this.findOne().session(session);
+
+  if (!settings) {
+    settings = new this();
+    await settings.save({ session });
+  }
+
+  return settings;
+};
+
+// Points earned per dollar on a product category
+loyaltySettingsSchema.methods.getEarnRate = function(category) {
+  const override = this.categoryRates.find(rate => rate.category === category);
+  return override ? override.pointsPerDollar : this.pointsPerDollar;
+};
+
+// Highest tier whose spend threshold has been reached
+loyaltySettingsSchema.methods.getTierForSpend = function(totalSpent) {
+  return this.tiers
+    .filter(tier => totalSpent >= tier.minSpend)
+    .sort((a, b) => b.minSpend - a.minSpend)[0] || null;
+};
+
+// Discount percentage for members of a tier
+loyaltySettingsSchema.methods.getTierDiscount = function(level) {
+  const tier = this.tiers.find(t => t.level === level);
+  return tier ? tier.discountPercent : 0;
+};
+
+module.exports = mongoose.model('LoyaltySettings', loyaltySettingsSchema);
@@ -0,0 +1,63 @@
+// models/LoyaltyTransaction.js
+const mongoose = require('mongoose');
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  transactionType: {
+    type: String,
+    required: true,
+    enum: ['Earn', 'Redeem', 'Clawback', 'Expire', 'Adjustment']
+  },
+  // Signed change to the points balance
+  points: {
+    type: Number,
+    required: true
+  },
+  previousBalance: {
+    type: Number,
+    required: true
+  },
+  newBalance: {
+    type: Number,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  reference: {
+    // Sale number
+    type: String
+  },
+  // Points from an earning not yet redeemed, clawed back or expired.
+  // Spending uses up the oldest earnings first.
+  remainingPoints: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  // Empty for points expired by the system
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loyaltyTransactionSchema.index({ customer: 1, timestamp: -1 });
+loyaltyTransactionSchema.index({ customer: 1, remainingPoints: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ sale: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
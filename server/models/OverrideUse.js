@@ -0,0 +1,73 @@
+// models/OverrideUse.js
+const mongoose = require('mongoose');
+
+// A manager's override token that has been spent. Each approval covers one
+// action, so its token ID is recorded when the action goes through and the
+// same token is refused after that. Records are dropped once the token
+// would have expired anyway.
+const overrideUseSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  permission: {
+    type: String,
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sale number or other record the approval was spent on
+  reference: {
+    type: String
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+overrideUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Spend an override, as part of the session's transaction when given one so
+ * it is only spent if the action is saved.
+ * @param {Object} override - Verified override { jti, id, permission, expiresAt }
+ * @param {Object} details - { usedBy, reference }
+ * @param {ClientSession} [session]
+ * @returns {Promise<Boolean>} false if the override was already used
+ */
+overrideUseSchema.statics.consume = async function(override, { usedBy, reference }, session = null) {
+  try {
+    await this.create([{
+      jti: override.jti,
+      permission: override.permission,
+      approvedBy: override.id,
+      usedBy,
+      reference,
+      expiresAt: override.expiresAt
+    }], { session });
+
+    return true;
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
+    }
+
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('OverrideUse', overrideUseSchema);
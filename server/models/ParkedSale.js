@@ -0,0 +1,89 @@
+// models/ParkedSale.js
+const mongoose = require('mongoose');
+
+// A cart put aside at the register while the customer keeps shopping.
+// Parked carts are kept once recalled or expired, so they also serve as
+// the log of who parked and recalled each one and at which register.
+const PARKED_STATUSES = ['Parked', 'Recalled'];
+
+// A cart line as the sales API takes it, with the name to list it by
+const parkedItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  giftCard: {
+    cardNumber: String,
+    amount: Number
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  manualDiscount: {
+    percent: Number
+  }
+}, { _id: false });
+
+const parkedSaleSchema = new mongoose.Schema({
+  // Label or customer name the cart is found by
+  label: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  items: [parkedItemSchema],
+  // Priced when parked, for finding the cart in the list
+  total: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PARKED_STATUSES,
+    default: 'Parked'
+  },
+  registerNumber: {
+    type: String,
+    required: true
+  },
+  parkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // End of the day it was parked, after which it can't be recalled
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  recalledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recalledRegister: {
+    type: String
+  },
+  recalledAt: {
+    type: Date
+  }
+});
+
+parkedSaleSchema.index({ status: 1, expiresAt: 1 });
+parkedSaleSchema.index({ parkedAt: -1 });
+
+parkedSaleSchema.statics.PARKED_STATUSES = PARKED_STATUSES;
+
+module.exports = mongoose.model('ParkedSale', parkedSaleSchema);
@@ -1,5 +1,6 @@
 // models/Product.js
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 
 const productSchema = new mongoose.Schema({
   barcode: {
@@ -106,4 +107,6 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+productSchema.plugin(auditPlugin, { entityType: 'Product' });
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,285 @@
+// models/ProductionJob.js
+const mongoose = require('mongoose');
+
+// Stages a crop grown in-house moves through, in order. Jobs can start part
+// way along, e.g. potting on bought-in plugs starts at 'Pricked Out'.
+const PRODUCTION_STAGES = ['Sown', 'Germinated', 'Pricked Out', 'Potted', 'Ready for Sale'];
+
+// Seeds, pots, potting mix etc. used by the job
+const productionInputSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Cost price of the input when it was used
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cost: {
+    type: Number,
+    required: true
+  },
+  // Stage the job was at when the input was used
+  stage: {
+    type: String,
+    enum: PRODUCTION_STAGES
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Planned days in a stage and the share of plants expected to be lost in it
+const productionPlanSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: PRODUCTION_STAGES,
+    required: true
+  },
+  expectedDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  expectedLossPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+}, { _id: false });
+
+const productionStageSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: PRODUCTION_STAGES,
+    required: true
+  },
+  // Copied from the plan when the stage starts
+  expectedDays: {
+    type: Number,
+    min: 0
+  },
+  expectedLossPercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  quantityIn: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantityLost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lossReason: {
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Days the stage took, or has taken so far
+productionStageSchema.virtual('actualDays').get(function() {
+  const end = this.completedAt || Date.now();
+  return Math.floor((end - this.startedAt) / (24 * 60 * 60 * 1000));
+});
+
+productionStageSchema.set('toJSON', { virtuals: true });
+
+const productionJobSchema = new mongoose.Schema({
+  jobNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Finished plant the job produces
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['Seed', 'Cutting', 'Division', 'Potting On'],
+    default: 'Seed'
+  },
+  status: {
+    type: String,
+    enum: ['In Progress', 'Completed', 'Cancelled'],
+    default: 'In Progress'
+  },
+  stage: {
+    type: String,
+    enum: PRODUCTION_STAGES,
+    required: true
+  },
+  // Seeds sown, cuttings struck or plants potted when the job started
+  startQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Plants still alive
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  plan: [productionPlanSchema],
+  inputs: [productionInputSchema],
+  stages: [productionStageSchema],
+  inputCost: {
+    type: Number,
+    default: 0
+  },
+  // Labour, heating and other costs added when the job completes
+  additionalCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Rolled-up cost of each plant produced
+  unitCost: {
+    type: Number
+  },
+  outputQuantity: {
+    type: Number
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  // Where the crop is being grown, and where it goes into stock
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+productionJobSchema.index({ status: 1, stage: 1 });
+productionJobSchema.index({ product: 1 });
+
+productionJobSchema.statics.PRODUCTION_STAGES = PRODUCTION_STAGES;
+
+// Stage record the job is currently in
+productionJobSchema.methods.currentStage = function() {
+  return this.stages[this.stages.length - 1];
+};
+
+// Planned days and losses for a stage
+productionJobSchema.methods.planFor = function(stage) {
+  return this.plan.find(step => step.stage === stage) || { expectedDays: 0, expectedLossPercent: 0 };
+};
+
+// Date the job should be ready for sale if the remaining stages run to plan
+productionJobSchema.virtual('expectedReadyDate').get(function() {
+  const current = this.currentStage();
+
+  if (!current || this.status !== 'In Progress') {
+    return null;
+  }
+
+  const remaining = PRODUCTION_STAGES.slice(PRODUCTION_STAGES.indexOf(current.stage) + 1, -1);
+  const days = (current.expectedDays || 0) +
+    remaining.reduce((sum, stage) => sum + this.planFor(stage).expectedDays, 0);
+
+  return new Date(current.startedAt.getTime() + days * 24 * 60 * 60 * 1000);
+});
+
+// Update the updatedAt field on save
+productionJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate sequential job number, format: PJ[YY][MM][0001]
+productionJobSchema.pre('validate', async function(next) {
+  if (this.jobNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `PJ${year}${month}`;
+
+    const lastJob = await this.constructor.findOne({
+      jobNumber: new RegExp(`^${prefix}`)
+    }).sort({ jobNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastJob && lastJob.jobNumber) {
+      const lastSequence = parseInt(lastJob.jobNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.jobNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('ProductionJob', productionJobSchema);
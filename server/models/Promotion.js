@@ -0,0 +1,168 @@
+// models/Promotion.js
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const PROMOTION_TYPES = ['Percent Off', 'Fixed Price', 'Multi Buy', 'Buy X Get Y'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Pricing rule applied to product lines at the POS
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: PROMOTION_TYPES
+  },
+  // Percent Off: percentage taken off each unit
+  percentOff: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: function() {
+      return this.type === 'Percent Off';
+    }
+  },
+  // Fixed Price: price charged per unit
+  fixedPrice: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.type === 'Fixed Price';
+    }
+  },
+  // Multi Buy: bundleQuantity units for bundlePrice, e.g. 3 punnets for $10.
+  // Any mix of the qualifying products makes up a bundle.
+  bundleQuantity: {
+    type: Number,
+    min: 2,
+    required: function() {
+      return this.type === 'Multi Buy';
+    }
+  },
+  bundlePrice: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.type === 'Multi Buy';
+    }
+  },
+  // Buy X Get Y: for every buyQuantity units the cheapest getQuantity more are free
+  buyQuantity: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.type === 'Buy X Get Y';
+    }
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.type === 'Buy X Get Y';
+    }
+  },
+  // Qualifying products, named individually or by category
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String,
+    enum: Product.schema.path('category').enumValues
+  }],
+  // Seasonal promotions run between these dates
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // Happy hours run on these days (0 = Sunday) between these times of day.
+  // Leaving them empty runs the promotion all day, every day.
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time must be HH:MM']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promotionSchema.statics.PROMOTION_TYPES = PROMOTION_TYPES;
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+// A promotion has to name something it applies to
+promotionSchema.pre('validate', function(next) {
+  if (this.products.length === 0 && this.categories.length === 0) {
+    this.invalidate('products', 'Choose at least one product or category');
+  }
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+
+  next();
+});
+
+promotionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Whether the promotion is on at a given moment, checking the season,
+// the day of the week and the happy hour window
+promotionSchema.methods.isRunningAt = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startDate && date < this.startDate) return false;
+  if (this.endDate && date > this.endDate) return false;
+
+  if (this.daysOfWeek.length > 0 && !this.daysOfWeek.includes(date.getDay())) {
+    return false;
+  }
+
+  const time = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+
+  if (this.startTime && time < this.startTime) return false;
+  if (this.endTime && time >= this.endTime) return false;
+
+  return true;
+};
+
+// Whether a product qualifies for the promotion
+promotionSchema.methods.appliesTo = function(product) {
+  return this.products.some(id => id.equals(product._id)) ||
+    this.categories.includes(product.category);
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,172 @@
+// models/PurchaseOrder.js
+const mongoose = require('mongoose');
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Supplier cost per unit
+  unitCost: {
+    type: Number,
+    required: true
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0
+  },
+  quantityDamaged: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Units still expected from the supplier on this line
+purchaseOrderLineSchema.virtual('quantityShort').get(function() {
+  return Math.max(this.quantityOrdered - this.quantityReceived - this.quantityDamaged, 0);
+});
+
+purchaseOrderLineSchema.set('toJSON', { virtuals: true });
+
+const receiptSchema = new mongoose.Schema({
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantityReceived: Number,
+    quantityDamaged: Number
+  }],
+  notes: {
+    type: String
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Sent', 'Partially Received', 'Received', 'Cancelled'],
+    default: 'Draft'
+  },
+  lines: [purchaseOrderLineSchema],
+  receipts: [receiptSchema],
+  total: {
+    type: Number,
+    default: 0
+  },
+  paymentTerms: {
+    type: String
+  },
+  expectedDate: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.product': 1 });
+
+// Method to recalculate the order total from its lines
+purchaseOrderSchema.methods.calculateTotal = function() {
+  this.total = Math.round(
+    this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0) * 100
+  ) / 100;
+
+  return this.total;
+};
+
+// Update the updatedAt field on save
+purchaseOrderSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate sequential PO number, format: PO[YY][MM][0001]
+purchaseOrderSchema.pre('validate', async function(next) {
+  if (this.poNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `PO${year}${month}`;
+
+    const lastOrder = await this.constructor.findOne({
+      poNumber: new RegExp(`^${prefix}`)
+    }).sort({ poNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastOrder && lastOrder.poNumber) {
+      const lastSequence = parseInt(lastOrder.poNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.poNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,119 @@
+// models/RegisterSession.js
+const mongoose = require('mongoose');
+
+// Cash counted by note and coin, e.g. [{ denomination: 20, count: 4 }]
+const cashCountSchema = new mongoose.Schema({
+  denominations: [{
+    _id: false,
+    denomination: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['Paid In', 'Paid Out']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const registerSessionSchema = new mongoose.Schema({
+  registerNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Closed'],
+    default: 'Open'
+  },
+  openingFloat: cashCountSchema,
+  cashMovements: [cashMovementSchema],
+  // Blind count entered at close, before the expected amount is shown
+  closingCount: cashCountSchema,
+  expectedCash: {
+    type: Number
+  },
+  // Counted minus expected; negative when the drawer is short
+  overShort: {
+    type: Number
+  },
+  notes: {
+    type: String
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: {
+    type: Date
+  }
+});
+
+// Only one open session per register
+registerSessionSchema.index(
+  { registerNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'Open' } }
+);
+registerSessionSchema.index({ openedAt: -1 });
+
+// Total a list of denomination counts
+registerSessionSchema.statics.countTotal = function(denominations = []) {
+  const total = denominations.reduce((sum, d) => sum + d.denomination * d.count, 0);
+  return Math.round(total * 100) / 100;
+};
+
+// Find the open session for a register
+registerSessionSchema.statics.findOpen = function(registerNumber) {
+  return this.findOne({ registerNumber, status: 'Open' });
+};
+
+module.exports = mongoose.model('RegisterSession', registerSessionSchema);
@@ -0,0 +1,154 @@
+// models/Return.js
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  pricePerUnit: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    required: true
+  },
+  taxAmount: {
+    type: Number,
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Whether the plant can go back on the shelf or has to be written off
+  resaleable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  items: [returnItemSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxTotal: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  refundMethod: {
+    type: String,
+    required: true,
+    enum: ['Cash', 'EFTPOS', 'Store Credit']
+  },
+  // For EFTPOS refunds
+  originalTransactionId: {
+    type: String
+  },
+  refundTransactionId: {
+    type: String
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  registerNumber: {
+    type: String,
+    required: true
+  },
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+returnSchema.index({ sale: 1 });
+returnSchema.index({ createdAt: 1 });
+returnSchema.index({ registerSession: 1 });
+
+// Generate sequential return number, format: R[YY][MM][DD][0001]
+returnSchema.pre('validate', async function(next) {
+  if (this.returnNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    const prefix = `R${year}${month}${day}`;
+
+    const lastReturn = await this.constructor.findOne({
+      returnNumber: new RegExp(`^${prefix}`)
+    }).sort({ returnNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastReturn && lastReturn.returnNumber) {
+      const lastSequence = parseInt(lastReturn.returnNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.returnNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Return', returnSchema);
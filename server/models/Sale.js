@@ -1,11 +1,18 @@
 // models/Sale.js
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 
 const saleItemSchema = new mongoose.Schema({
+  // Gift card lines are sold without a product
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
-    required: true
+    required: function() {
+      return !this.giftCardNumber;
+    }
+  },
+  giftCardNumber: {
+    type: String
   },
   barcode: {
     type: String,
@@ -32,6 +39,19 @@ const saleItemSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // What the discount was for: a promotion, the customer's discount or a
+  // manual discount keyed in at the POS
+  discountReason: {
+    type: String
+  },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  // Percentage keyed in when a manual discount was applied
+  manualDiscount: {
+    type: Number
+  },
   taxRate: {
     type: Number,
     required: true
@@ -54,7 +74,7 @@ const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
     required: true,
-    enum: ['Cash', 'EFTPOS', 'Credit Card', 'Debit Card', 'Gift Card', 'Store Credit', 'Other']
+    enum: ['Cash', 'EFTPOS', 'Credit Card', 'Debit Card', 'Gift Card', 'Store Credit', 'Loyalty Points', 'On Account', 'Other']
   },
   amount: {
     type: Number,
@@ -72,6 +92,66 @@ const paymentSchema = new mongoose.Schema({
   },
   lastFourDigits: {
     type: String
+  },
+  authCode: {
+    type: String
+  },
+  // When the terminal approved the payment
+  processedAt: {
+    type: Date
+  },
+  // Set once a card payment has been voided on the terminal, so a void
+  // that fails part way can be retried without voiding it twice
+  voidedAt: {
+    type: Date
+  },
+  voidTransactionId: {
+    type: String
+  }
+});
+
+const refundSchema = new mongoose.Schema({
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: Number,
+    amount: Number
+  }],
+  amount: {
+    type: Number,
+    required: true
+  },
+  method: {
+    type: String
+  },
+  reason: {
+    type: String
+  },
+  // For EFTPOS refunds
+  originalTransactionId: {
+    type: String
+  },
+  refundTransactionId: {
+    type: String
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Register session open where the refund was given, for its Z report
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
+  date: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -87,6 +167,7 @@ const saleSchema = new mongoose.Schema({
   },
   items: [saleItemSchema],
   payments: [paymentSchema],
+  refunds: [refundSchema],
   subtotal: {
     type: Number,
     required: true
@@ -112,12 +193,32 @@ const saleSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Completed', 'Refunded', 'Partially Refunded', 'Voided'],
+    enum: ['Pending Payment', 'Completed', 'Refunded', 'Partially Refunded', 'Voided'],
     default: 'Completed'
   },
   notes: {
     type: String
   },
+  // Manager who approved manual discounts over the cashier's limit
+  discountApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Why the sale was voided, who voided it and the manager who approved it
+  voidReason: {
+    type: String
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   cashier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -127,6 +228,23 @@ const saleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
+  // Number the register gave a sale rung up while offline. createdAt is
+  // when it was rung up, syncedAt when the register got it to the server.
+  provisionalNumber: {
+    type: String
+  },
+  syncedAt: {
+    type: Date
+  },
+  // Set while a return or void is refunding money off the sale, so two at
+  // once can't both refund the same card
+  refundLockedAt: {
+    type: Date
+  },
   receiptPrinted: {
     type: Boolean,
     default: false
@@ -164,14 +282,254 @@ saleSchema.methods.calculateTotals = function() {
   return this.total;
 };
 
+// Payment methods taken on the EFTPOS terminal
+saleSchema.statics.CARD_METHODS = ['EFTPOS', 'Credit Card', 'Debit Card'];
+
+// Total of all tenders so far
+saleSchema.methods.getAmountPaid = function() {
+  const paid = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+  return Math.round(paid * 100) / 100;
+};
+
+// Amount still owing before the sale is complete
+saleSchema.methods.getBalanceDue = function() {
+  return Math.max(0, Math.round((this.total - this.getAmountPaid()) * 100) / 100);
+};
+
+// Work out tendered, change and status from the payments taken so far.
+// Only cash can be over-tendered, so change never exceeds the cash given.
+saleSchema.methods.settlePayments = function() {
+  const paid = this.getAmountPaid();
+
+  this.amountTendered = paid;
+  this.changeDue = paid > this.total ? Math.round((paid - this.total) * 100) / 100 : 0;
+  this.status = paid >= this.total ? 'Completed' : 'Pending Payment';
+
+  return this.status;
+};
+
+// Work out the status once money has been refunded: Refunded when the
+// refunds add up to the whole sale, whichever tenders they went back to
+saleSchema.methods.settleRefunds = function() {
+  const refunded = Math.round(this.refunds.reduce((sum, refund) => sum + refund.amount, 0) * 100) / 100;
+
+  this.status = refunded >= this.total ? 'Refunded' : 'Partially Refunded';
+
+  return this.status;
+};
+
+// Check a tender can be added to the sale, returning an error message if not
+saleSchema.methods.validateTender = function(method, amount) {
+  if (!(amount > 0)) {
+    return 'Payment amount must be greater than zero';
+  }
+
+  const balanceDue = this.getBalanceDue();
+
+  if (balanceDue === 0) {
+    return 'Sale is already fully paid';
+  }
+
+  if (method !== 'Cash' && amount > balanceDue) {
+    return `${method} payment cannot exceed the balance due of ${balanceDue.toFixed(2)}`;
+  }
+
+  return null;
+};
+
+// Card payments with the amount still refundable on each. Payments voided
+// on the terminal have already gone back to the customer, as has every
+// payment on a voided sale.
+saleSchema.methods.getRefundableCardPayments = function() {
+  if (this.status === 'Voided') {
+    return [];
+  }
+
+  return this.payments
+    .filter(payment => this.constructor.CARD_METHODS.includes(payment.method) &&
+      payment.transactionId && !payment.voidedAt)
+    .map(payment => {
+      const refunded = this.refunds
+        .filter(refund => refund.originalTransactionId === payment.transactionId)
+        .reduce((sum, refund) => sum + refund.amount, 0);
+
+      return {
+        transactionId: payment.transactionId,
+        method: payment.method,
+        cardType: payment.cardType,
+        lastFourDigits: payment.lastFourDigits,
+        amount: payment.amount,
+        refundable: Math.round((payment.amount - refunded) * 100) / 100
+      };
+    });
+};
+
+// Check an amount can be refunded to one of the sale's card payments,
+// returning an error message if not
+saleSchema.methods.validateCardRefund = function(transactionId, amount) {
+  if (this.status === 'Voided') {
+    return 'Sale has been voided, so its payments have already been returned';
+  }
+
+  const payment = this.payments.find(p => p.transactionId === transactionId);
+
+  if (!payment) {
+    return 'Transaction not found for this sale';
+  }
+
+  if (payment.voidedAt) {
+    return `This ${payment.method} payment was voided on the terminal and cannot be refunded`;
+  }
+
+  const { refundable } = this.getRefundableCardPayments().find(p => p.transactionId === transactionId);
+
+  if (amount > refundable) {
+    return `Only ${refundable.toFixed(2)} can be refunded to this card`;
+  }
+
+  return null;
+};
+
+// Product lines with the quantity still available to return, given the
+// units of each product already returned keyed by product ID. Gift cards
+// sold on the sale are not returnable.
+saleSchema.methods.getReturnableLines = function(returned = {}) {
+  const remaining = { ...returned };
+
+  return this.items.filter(item => item.product).map(item => {
+    const productId = item.product.toString();
+    // A product can appear on more than one line, so use up returns line by line
+    const alreadyReturned = Math.min(remaining[productId] || 0, item.quantity);
+    remaining[productId] = (remaining[productId] || 0) - alreadyReturned;
+
+    return {
+      product: item.product,
+      barcode: item.barcode,
+      name: item.name,
+      quantity: item.quantity,
+      returned: alreadyReturned,
+      returnable: item.quantity - alreadyReturned,
+      pricePerUnit: item.pricePerUnit,
+      taxRate: item.taxRate,
+      subtotal: item.subtotal,
+      taxAmount: item.taxAmount,
+      discountAmount: item.discountAmount,
+      total: item.total
+    };
+  });
+};
+
+// Tenders a return cannot give back as cash, card or store credit: account
+// charges are owed on an invoice and points were never money
+saleSchema.statics.NON_REFUNDABLE_METHODS = ['On Account', 'Loyalty Points'];
+
+// Check a return can refund an amount as cash, card or store credit,
+// returning an error message if not. Only the share of the sale paid in
+// other tenders, less what has been refunded already, can be given back.
+saleSchema.methods.validateReturnRefund = function(amount) {
+  const held = this.payments.filter(payment =>
+    this.constructor.NON_REFUNDABLE_METHODS.includes(payment.method));
+
+  if (held.length === 0) {
+    return null;
+  }
+
+  const heldAmount = held.reduce((sum, payment) => sum + payment.amount, 0);
+  const refunded = this.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  const refundable = Math.max(0, Math.round((this.total - heldAmount - refunded) * 100) / 100);
+
+  if (amount > refundable) {
+    const methods = [...new Set(held.map(payment => payment.method))].join(' and ');
+
+    return `${methods} tenders on this sale cannot be refunded by a return. ` +
+      `Only ${refundable.toFixed(2)} can be refunded.`;
+  }
+
+  return null;
+};
+
+// A refund lock older than this is taken to be left over from a request
+// that died, long enough to cover a card refund timing out on the terminal
+const REFUND_LOCK_MS = 5 * 60 * 1000;
+
+// Lock a sale while money is refunded off it, returning the sale as it
+// stands once locked, or null if another return or void holds the lock
+saleSchema.statics.lockForRefund = function(saleId) {
+  const lockedAt = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: saleId,
+      $or: [
+        { refundLockedAt: null },
+        { refundLockedAt: { $lt: new Date(lockedAt.getTime() - REFUND_LOCK_MS) } }
+      ]
+    },
+    { $set: { refundLockedAt: lockedAt } },
+    { new: true }
+  );
+};
+
+// Release a refund lock, if this request still holds it
+saleSchema.statics.unlockForRefund = function(sale, session = null) {
+  return this.updateOne(
+    { _id: sale._id, refundLockedAt: sale.refundLockedAt },
+    { $unset: { refundLockedAt: 1 } },
+    { session }
+  );
+};
+
+// Check the sale can be voided, returning an error message if not. Only
+// sales rung up today can be voided; older ones are returned instead.
+saleSchema.methods.validateVoid = function() {
+  if (this.status === 'Voided') {
+    return 'Sale is already voided';
+  }
+
+  if (this.status !== 'Completed' && this.status !== 'Pending Payment') {
+    return 'Sale has been refunded. Process a return instead.';
+  }
+
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  if (this.createdAt < startOfDay) {
+    return 'Only sales made today can be voided. Process a return instead.';
+  }
+
+  if (this.refunds.length > 0) {
+    return 'Sale has refunds against it. Process a return instead.';
+  }
+
+  for (const payment of this.payments) {
+    if (payment.method === 'On Account') {
+      return 'Sales charged to an account cannot be voided. Credit the account instead.';
+    }
+
+    if (this.constructor.CARD_METHODS.includes(payment.method) && !payment.transactionId && !payment.voidedAt) {
+      return `The ${payment.method} payment has no terminal transaction to void`;
+    }
+  }
+
+  return null;
+};
+
 // Indexes for reporting
 saleSchema.index({ createdAt: 1 });
 saleSchema.index({ status: 1 });
+saleSchema.index({ registerSession: 1 });
+saleSchema.index({ 'refunds.registerSession': 1 });
 saleSchema.index({ cashier: 1 });
+saleSchema.index({ voidedAt: 1 });
 saleSchema.index({ 'items.product': 1 });
+saleSchema.index(
+  { provisionalNumber: 1 },
+  { unique: true, partialFilterExpression: { provisionalNumber: { $type: 'string' } } }
+);
 
 // Generate sequential sale number
-saleSchema.pre('save', async function(next) {
+// Runs before validation so the required saleNumber is set in time
+saleSchema.pre('validate', async function(next) {
   if (!this.saleNumber) {
     try {
       // Get the current date
@@ -184,7 +542,7 @@ saleSchema.pre('save', async function(next) {
       // Find the highest existing sale number with today's prefix
       const lastSale = await this.constructor.findOne({
         saleNumber: new RegExp(`^${prefix}`)
-      }).sort({ saleNumber: -1 });
+      }).sort({ saleNumber: -1 }).session(this.$session());
       
       let sequence = 1;
       
@@ -206,4 +564,6 @@ saleSchema.pre('save', async function(next) {
   }
 });
 
+saleSchema.plugin(auditPlugin, { entityType: 'Sale' });
+
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
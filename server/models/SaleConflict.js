@@ -0,0 +1,136 @@
+// models/SaleConflict.js
+const mongoose = require('mongoose');
+
+// Problems found when a sale rung up offline reaches the server, and card
+// money handed back on the terminal that the sale doesn't show
+const CONFLICT_TYPES = [
+  'Oversold', // Less stock was left than the sale took
+  'Price Difference', // Server pricing differs from the cash taken
+  'Discount Approval', // Manual discount over the cashier's limit with no manager to approve it
+  'Register Closed', // The register was closed before the sale synced, so cash-up missed it
+  'Sync Failed', // The sale could not be saved at all and needs entering by hand
+  'Void Failed', // Card payments were voided on the terminal but the sale was not voided
+  'Refund Failed' // A card was refunded on the terminal but the refund was not saved
+];
+
+const CONFLICT_STATUSES = ['Open', 'Resolved'];
+
+const saleConflictSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CONFLICT_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CONFLICT_STATUSES,
+    default: 'Open'
+  },
+  // Missing when the sale could not be saved
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  // Number the register gave a sale rung up offline
+  provisionalNumber: {
+    type: String,
+    required: function() {
+      return !this.sale;
+    }
+  },
+  registerNumber: {
+    type: String,
+    required: true
+  },
+  // When the sale was rung up at the register
+  recordedAt: {
+    type: Date
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: {
+    type: String
+  },
+  // Units short for an oversold line
+  quantity: {
+    type: Number
+  },
+  // Server total less cash taken for a price difference, or the card money
+  // handed back for a failed void or refund
+  amount: {
+    type: Number
+  },
+  details: {
+    type: String,
+    required: true
+  },
+  // The sale as the register sent it, kept when it could not be saved
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resolution: {
+    type: String
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+saleConflictSchema.index({ status: 1, createdAt: -1 });
+saleConflictSchema.index({ provisionalNumber: 1 });
+
+/**
+ * Record card money that went back to the customer on the terminal when the
+ * sale could not be updated to match, so it can be put right. Each failed
+ * refund is money of its own and gets its own record. A failed void keeps
+ * one open record per sale, brought up to date on each attempt, since the
+ * amount is every card voided so far.
+ * @param {Object} options
+ * @param {String} options.type - 'Void Failed' or 'Refund Failed'
+ * @param {Object} options.sale - Sale document
+ * @param {Number} options.amount - Card money handed back
+ * @param {String} options.details
+ * @param {String|ObjectId} options.recordedBy - User ID
+ * @returns {Promise<Object>} The conflict
+ */
+saleConflictSchema.statics.recordCardReversal = function({ type, sale, amount, details, recordedBy }) {
+  if (type !== 'Void Failed') {
+    return this.create({
+      type,
+      sale: sale._id,
+      registerNumber: sale.registerNumber,
+      amount,
+      details,
+      recordedBy
+    });
+  }
+
+  return this.findOneAndUpdate(
+    { sale: sale._id, type, status: 'Open' },
+    {
+      $set: { amount, details, recordedBy },
+      $setOnInsert: { registerNumber: sale.registerNumber }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+saleConflictSchema.statics.CONFLICT_TYPES = CONFLICT_TYPES;
+saleConflictSchema.statics.CONFLICT_STATUSES = CONFLICT_STATUSES;
+
+module.exports = mongoose.model('SaleConflict', saleConflictSchema);
@@ -0,0 +1,54 @@
+// models/SettlementImport.js
+const mongoose = require('mongoose');
+
+// One daily settlement file from the EFTPOS provider. Its lines are kept as
+// SettlementLines, matched against the card payments and refunds on sales.
+const settlementImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the file, so the same file can't be imported twice
+  fileHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String
+  },
+  // Day the file settles; card payments taken that day should all be in it
+  settlementDate: {
+    type: Date,
+    required: true
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  // Net amount settled: payments less refunds
+  settledTotal: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    matched: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    notSettled: { type: Number, default: 0 }
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+settlementImportSchema.index({ settlementDate: -1 });
+
+module.exports = mongoose.model('SettlementImport', settlementImportSchema);
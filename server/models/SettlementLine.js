@@ -0,0 +1,98 @@
+// models/SettlementLine.js
+const mongoose = require('mongoose');
+
+// How a line compares with what the POS recorded. Everything but Matched is
+// an exception for finance to resolve.
+const MATCH_RESULTS = [
+  'Matched',
+  'Unmatched', // Settled, but no card payment or refund on any sale
+  'Duplicate', // The transaction was already settled
+  'Amount Mismatch', // Settled for a different amount than the sale recorded
+  'Not Settled' // Taken at the POS on the settlement day but missing from the file
+];
+
+const settlementLineSchema = new mongoose.Schema({
+  settlementImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SettlementImport',
+    required: true
+  },
+  // Row in the file, counting the header as line 1; missing for Not Settled
+  lineNumber: {
+    type: Number
+  },
+  transactionId: {
+    type: String
+  },
+  // Refunds are negative
+  amount: {
+    type: Number,
+    required: true
+  },
+  transactionTime: {
+    type: Date
+  },
+  cardType: {
+    type: String
+  },
+  lastFourDigits: {
+    type: String
+  },
+  authCode: {
+    type: String
+  },
+  match: {
+    type: String,
+    enum: MATCH_RESULTS,
+    required: true
+  },
+  matchedBy: {
+    type: String,
+    enum: ['Transaction ID', 'Amount and Time']
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  saleNumber: {
+    type: String
+  },
+  // The payment or refund on the sale this line settles
+  record: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  recordedAmount: {
+    type: Number
+  },
+  details: {
+    type: String
+  },
+  // Only exceptions are resolved
+  status: {
+    type: String,
+    enum: ['Open', 'Resolved']
+  },
+  note: {
+    type: String
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+settlementLineSchema.statics.MATCH_RESULTS = MATCH_RESULTS;
+
+settlementLineSchema.index({ settlementImport: 1, lineNumber: 1 });
+settlementLineSchema.index({ transactionId: 1 });
+settlementLineSchema.index({ record: 1 });
+settlementLineSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SettlementLine', settlementLineSchema);
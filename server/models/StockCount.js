@@ -0,0 +1,184 @@
+// models/StockCount.js
+const mongoose = require('mongoose');
+
+const COUNT_STATUSES = ['In Progress', 'Submitted', 'Approved', 'Cancelled'];
+
+// One product in the count. Expected stock is frozen when the count starts
+// so variances are measured against the same figure whoever counts it.
+const stockCountLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String
+  },
+  expected: {
+    type: Number,
+    required: true
+  },
+  // Cost price when the count started, used to value the variance
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  // Left unset until someone counts the product
+  counted: {
+    type: Number,
+    min: 0
+  },
+  countedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  countedAt: {
+    type: Date
+  },
+  // Added during the count because it was found but not expected
+  addedDuringCount: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stockCountLineSchema.virtual('variance').get(function() {
+  return this.counted === undefined || this.counted === null ? null : this.counted - this.expected;
+});
+
+const stockCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // What is being counted; neither set means the whole nursery
+  category: {
+    type: String
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  status: {
+    type: String,
+    enum: COUNT_STATUSES,
+    default: 'In Progress'
+  },
+  // Started from the cycle-count schedule rather than ad hoc
+  scheduled: {
+    type: Boolean,
+    default: false
+  },
+  lines: [stockCountLineSchema],
+  notes: {
+    type: String
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // Reason given when a manager sends the count back to be recounted
+  rejectionReason: {
+    type: String
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // Net units and cost of the variances posted on approval
+  varianceUnits: {
+    type: Number
+  },
+  varianceCost: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stockCountSchema.index({ status: 1, createdAt: -1 });
+stockCountSchema.index({ category: 1, status: 1, approvedAt: -1 });
+
+stockCountSchema.statics.COUNT_STATUSES = COUNT_STATUSES;
+
+stockCountSchema.virtual('countedLines').get(function() {
+  return this.lines.filter(line => line.counted !== undefined && line.counted !== null).length;
+});
+
+// Update the updatedAt field on save
+stockCountSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate sequential count number, format: SC[YY][MM][0001]
+stockCountSchema.pre('validate', async function(next) {
+  if (this.countNumber) {
+    return next();
+  }
+
+  try {
+    const now = new Date();
+    const year = now.getFullYear().toString().slice(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `SC${year}${month}`;
+
+    const lastCount = await this.constructor.findOne({
+      countNumber: new RegExp(`^${prefix}`)
+    }).sort({ countNumber: -1 }).session(this.$session());
+
+    let sequence = 1;
+
+    if (lastCount && lastCount.countNumber) {
+      const lastSequence = parseInt(lastCount.countNumber.slice(-4));
+      if (!isNaN(lastSequence)) {
+        sequence = lastSequence + 1;
+      }
+    }
+
+    this.countNumber = `${prefix}${sequence.toString().padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
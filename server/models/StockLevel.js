@@ -0,0 +1,33 @@
+// models/StockLevel.js
+const mongoose = require('mongoose');
+
+// Units of a product held at one location. Product.currentStock is the total
+// across locations plus any stock not yet assigned to a location.
+const stockLevelSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  // Maintained by the inventory service
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockLevelSchema.index({ product: 1, location: 1 }, { unique: true });
+stockLevelSchema.index({ location: 1, quantity: 1 });
+
+module.exports = mongoose.model('StockLevel', stockLevelSchema);
@@ -0,0 +1,59 @@
+// models/StoredValue.js
+const mongoose = require('mongoose');
+
+// A gift card or a customer's store credit account. The balance is kept
+// here and every change to it is written to StoredValueTransaction.
+const storedValueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['Gift Card', 'Store Credit']
+  },
+  // Printed and scanned on gift cards
+  cardNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Owner of a store credit account, optional for gift cards
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Cancelled'],
+    default: 'Active'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+storedValueSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One store credit account per customer
+storedValueSchema.index(
+  { customer: 1 },
+  { unique: true, partialFilterExpression: { type: 'Store Credit' } }
+);
+
+module.exports = mongoose.model('StoredValue', storedValueSchema);
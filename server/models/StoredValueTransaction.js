@@ -0,0 +1,49 @@
+// models/StoredValueTransaction.js
+const mongoose = require('mongoose');
+
+const storedValueTransactionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredValue',
+    required: true
+  },
+  transactionType: {
+    type: String,
+    required: true,
+    enum: ['Issue', 'Top Up', 'Redeem', 'Refund', 'Adjustment']
+  },
+  // Signed change to the balance
+  amount: {
+    type: Number,
+    required: true
+  },
+  previousBalance: {
+    type: Number,
+    required: true
+  },
+  newBalance: {
+    type: Number,
+    required: true
+  },
+  reference: {
+    // Sale or return number
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+storedValueTransactionSchema.index({ account: 1, timestamp: -1 });
+storedValueTransactionSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('StoredValueTransaction', storedValueTransactionSchema);
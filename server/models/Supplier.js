@@ -1,5 +1,6 @@
 // models/Supplier.js
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 
 const supplierSchema = new mongoose.Schema({
   name: {
@@ -68,4 +69,6 @@ supplierSchema.pre('save', function(next) {
   next();
 });
 
+supplierSchema.plugin(auditPlugin, { entityType: 'Supplier' });
+
 module.exports = mongoose.model('Supplier', supplierSchema);
\ No newline at end of file
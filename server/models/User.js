@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -24,6 +25,19 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'manager', 'cashier', 'inventory'],
     default: 'cashier'
   },
+  // Hashed PIN managers enter at the POS to approve overrides
+  pin: {
+    type: String
+  },
+  // Wrong PINs entered in a row, and when the PIN can be tried again once
+  // too many have been
+  pinFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  pinLockedUntil: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -52,9 +66,35 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Hash the override PIN the same way
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('pin') || !this.pin) {
+    return next();
+  }
+  
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.pin = await bcrypt.hash(this.pin, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Method to compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to compare an override PIN
+userSchema.methods.comparePin = async function(candidatePin) {
+  if (!this.pin) {
+    return false;
+  }
+  
+  return await bcrypt.compare(candidatePin, this.pin);
+};
+
+userSchema.plugin(auditPlugin, { entityType: 'User', redact: ['password', 'pin'] });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
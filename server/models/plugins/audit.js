@@ -0,0 +1,188 @@
+// models/plugins/audit.js
+const mongoose = require('mongoose');
+const AuditLog = require('../AuditLog');
+const requestContext = require('../../services/requestContext');
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+};
+
+// Flatten nested objects into dot paths so only the fields that changed are logged
+const flatten = (obj, prefix = '', out = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) {
+      return;
+    }
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+
+  return out;
+};
+
+// Store ObjectIds and dates as plain strings so entries read the same in JSON
+const normalize = (value) => {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Field level differences between two plain objects
+ * @param {Object} before
+ * @param {Object} after
+ * @param {Array} redact - Fields whose values are never written to the log
+ * @returns {Array} [{ field, before, after }]
+ */
+const diff = (before, after, redact = []) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    const oldValue = normalize(flatBefore[field]);
+    const newValue = normalize(flatAfter[field]);
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      return;
+    }
+
+    const redacted = redact.some(name => field === name || field.startsWith(`${name}.`));
+
+    changes.push({
+      field,
+      before: redacted && oldValue !== null ? '[redacted]' : oldValue,
+      after: redacted && newValue !== null ? '[redacted]' : newValue
+    });
+  });
+
+  return changes;
+};
+
+// Write an entry. Inside a transaction a failed audit write aborts it, so no
+// change is committed without its entry; outside one the change has already
+// been saved, so the failure is only logged.
+const writeLog = async ({ entityType, entityId, action, changes, session }) => {
+  if (action === 'update' && changes.length === 0) {
+    return;
+  }
+
+  const user = requestContext.getCurrentUser();
+  const userId = user && (user._id || user.id);
+
+  try {
+    await AuditLog.create([{
+      entityType,
+      entityId,
+      action,
+      changes,
+      user: userId && mongoose.isValidObjectId(userId) ? userId : undefined,
+      userName: user ? user.name : 'System'
+    }], { session: session || null });
+  } catch (err) {
+    if (session) {
+      throw err;
+    }
+
+    console.error(`Error writing audit log for ${entityType} ${entityId}:`, err);
+  }
+};
+
+/**
+ * Mongoose plugin recording creates, updates and deletes in the AuditLog.
+ *
+ * Covers document saves and deletes as well as updateOne, updateMany and
+ * findOneAndUpdate queries, which is how stock levels are changed.
+ *
+ * @param {Schema} schema
+ * @param {Object} options
+ * @param {String} options.entityType - AuditLog entityType
+ * @param {Array} [options.redact] - Fields whose values are never logged
+ */
+module.exports = function auditPlugin(schema, { entityType, redact = [] }) {
+  // Document saves
+  schema.pre('save', async function() {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+
+    if (!this.isNew && this.isModified()) {
+      this.$locals.auditBefore = await this.constructor.findById(this._id)
+        .session(this.$session())
+        .lean();
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const action = doc.$locals.auditAction;
+
+    if (action === 'update' && !doc.$locals.auditBefore) {
+      return;
+    }
+
+    await writeLog({
+      entityType,
+      entityId: doc._id,
+      action,
+      changes: diff(doc.$locals.auditBefore || {}, doc.toObject({ depopulate: true }), redact),
+      session: doc.$session()
+    });
+
+    delete doc.$locals.auditBefore;
+  });
+
+  // Document deletes
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await writeLog({
+      entityType,
+      entityId: doc._id,
+      action: 'delete',
+      changes: diff(doc.toObject({ depopulate: true }), {}, redact),
+      session: doc.$session()
+    });
+  });
+
+  // Query updates, e.g. stock $inc from the inventory service
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+    const session = this.getOptions().session || null;
+    let query = this.model.find(this.getFilter()).session(session).lean();
+
+    if (this.op !== 'updateMany') {
+      query = query.limit(1);
+    }
+
+    this._auditBefore = await query;
+  });
+
+  schema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+    const before = this._auditBefore || [];
+
+    if (before.length === 0) {
+      return;
+    }
+
+    const session = this.getOptions().session || null;
+    const afterDocs = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .session(session)
+      .lean();
+
+    for (const after of afterDocs) {
+      const original = before.find(doc => doc._id.equals(after._id));
+
+      await writeLog({
+        entityType,
+        entityId: after._id,
+        action: 'update',
+        changes: diff(original, after, redact),
+        session
+      });
+    }
+  });
+};
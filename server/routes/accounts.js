@@ -0,0 +1,240 @@
+// routes/accounts.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const AccountPayment = require('../models/AccountPayment');
+const accountService = require('../services/accountService');
+
+// @route   GET api/accounts
+// @desc    Trade accounts with their balances aged
+// @access  Private/Manager, Admin
+router.get('/', [auth, permit('accounts:view')], async (req, res) => {
+  try {
+    const query = { isCommercial: true };
+
+    if (req.query.outstanding === 'true') {
+      query['commercialDetails.accountBalance'] = { $gt: 0 };
+    }
+
+    const customers = await Customer.find(query)
+      .select('name email phone commercialDetails isActive')
+      .sort({ name: 1 });
+
+    const openInvoices = await Invoice.find({
+      customer: { $in: customers.map(customer => customer._id) },
+      status: { $in: ['Open', 'Partially Paid'] }
+    });
+
+    const accounts = customers.map(customer => ({
+      customer,
+      aged: accountService.ageInvoices(
+        openInvoices.filter(invoice => invoice.customer.equals(customer._id))
+      )
+    }));
+
+    res.json(accounts);
+  } catch (err) {
+    console.error('Error fetching trade accounts:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/accounts/:customerId
+// @desc    A trade account's balance, aged balances and unpaid invoices
+// @access  Private/Manager, Admin
+router.get('/:customerId', [auth, permit('accounts:view')], async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId)
+      .select('name email phone isCommercial commercialDetails isActive');
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const openInvoices = await Invoice.find({
+      customer: customer._id,
+      status: { $in: ['Open', 'Partially Paid'] }
+    }).sort({ issueDate: 1 });
+
+    res.json({
+      customer,
+      aged: accountService.ageInvoices(openInvoices),
+      openInvoices
+    });
+  } catch (err) {
+    console.error('Error fetching trade account:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/accounts/:customerId/invoices
+// @desc    Invoices raised on a trade account
+// @access  Private/Manager, Admin
+router.get('/:customerId/invoices', [auth, permit('accounts:view')], async (req, res) => {
+  try {
+    const query = { customer: req.params.customerId };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const skip = (page - 1) * limit;
+
+    const invoices = await Invoice.find(query)
+      .sort({ issueDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Invoice.countDocuments(query);
+
+    res.json({
+      invoices,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching invoices:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/accounts/:customerId/payments
+// @desc    Payments received on a trade account
+// @access  Private/Manager, Admin
+router.get('/:customerId/payments', [auth, permit('accounts:view')], async (req, res) => {
+  try {
+    const payments = await AccountPayment.find({ customer: req.params.customerId })
+      .populate('receivedBy', 'name')
+      .sort({ date: -1 })
+      .limit(50);
+
+    res.json(payments);
+  } catch (err) {
+    console.error('Error fetching account payments:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/accounts/:customerId/payments
+// @desc    Record a payment against a trade account's invoices
+// @access  Private/Manager, Admin
+router.post(
+  '/:customerId/payments',
+  [
+    auth,
+    permit('accounts:manage'),
+    [
+      check('amount', 'Amount must be greater than zero').isFloat({ gt: 0 }),
+      check('method', 'Method must be Cash, EFTPOS, Bank Transfer or Cheque')
+        .isIn(['Cash', 'EFTPOS', 'Bank Transfer', 'Cheque']),
+      check('allocations', 'Allocations must be a list').optional().isArray(),
+      check('allocations.*.invoice', 'Invoice is required for each allocation').not().isEmpty(),
+      check('allocations.*.amount', 'Amount is required for each allocation').isFloat({ gt: 0 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let payment;
+
+      // The payment, the invoices it pays and the account balance are
+      // written together
+      await session.withTransaction(async () => {
+        payment = await accountService.recordPayment({
+          customer: req.params.customerId,
+          amount: parseFloat(req.body.amount),
+          method: req.body.method,
+          reference: req.body.reference,
+          notes: req.body.notes,
+          allocations: req.body.allocations,
+          performedBy: req.user.id
+        }, session);
+      });
+
+      res.status(201).json({
+        message: 'Payment recorded successfully',
+        payment
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error recording account payment:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   GET api/accounts/:customerId/statement
+// @desc    Monthly statement, defaulting to the current month
+// @access  Private/Manager, Admin
+router.get('/:customerId/statement', [auth, permit('accounts:view')], async (req, res) => {
+  try {
+    const now = new Date();
+    const year = parseInt(req.query.year) || now.getFullYear();
+    const month = parseInt(req.query.month) || now.getMonth() + 1;
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ message: 'Month must be between 1 and 12' });
+    }
+
+    const statement = await accountService.buildStatement(req.params.customerId, year, month);
+
+    res.json(statement);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    console.error('Error building statement:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const AuditLog = require('../models/AuditLog');
+
+// @route   GET api/audit
+// @desc    Query the audit log by entity, user and date range
+// @access  Private/Admin
+router.get('/', [auth, permit('audit:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    // Entity filters
+    if (req.query.entityType) {
+      query.entityType = req.query.entityType;
+    }
+
+    if (req.query.entityId) {
+      query.entityId = req.query.entityId;
+    }
+
+    // Action filter
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+
+    // User filter
+    if (req.query.user) {
+      query.user = req.query.user;
+    }
+
+    // Date range filter
+    if (req.query.startDate || req.query.endDate) {
+      query.createdAt = {};
+
+      if (req.query.startDate) {
+        query.createdAt.$gte = new Date(req.query.startDate);
+      }
+
+      if (req.query.endDate) {
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = endDate;
+      }
+    }
+
+    // Changed field filter, e.g. field=currentStock
+    if (req.query.field) {
+      query['changes.field'] = req.query.field;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const logs = await AuditLog.find(query)
+      .populate('user', 'name role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid filter value' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,12 @@
 // routes/auth.js
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
+const config = require('config');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const config = require('config');
+const { PERMISSIONS, getPermissions } = require('../middleware/permissions');
+const tokenService = require('../services/tokenService');
 
 // @route   POST api/auth
 // @desc    Authenticate user & get token
@@ -49,33 +50,16 @@ router.post(
       user.lastLogin = Date.now();
       await user.save();
 
-      // Create JWT payload
-      const payload = {
+      res.json({
+        token: tokenService.signToken(user),
         user: {
           id: user.id,
           name: user.name,
-          role: user.role
-        }
-      };
-
-      // Sign token
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET || config.get('jwtSecret'),
-        { expiresIn: '8h' },
-        (err, token) => {
-          if (err) throw err;
-          res.json({ 
-            token,
-            user: {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-              role: user.role
-            }
-          });
+          email: user.email,
+          role: user.role,
+          permissions: getPermissions(user.role)
         }
-      );
+      });
     } catch (err) {
       console.error('Auth error:', err.message);
       res.status(500).json({ message: 'Server error' });
@@ -88,17 +72,190 @@ router.post(
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
+    const user = await User.findById(req.user.id).select('-password -pin');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user);
+    // Deactivated users lose access even if their token has not expired
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is inactive. Please contact administrator.' });
+    }
+    
+    res.json({
+      ...user.toJSON(),
+      permissions: getPermissions(user.role)
+    });
   } catch (err) {
     console.error('Get user error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   PUT api/auth/pin
+// @desc    Set the current user's override PIN
+// @access  Private
+router.put(
+  '/pin',
+  [
+    auth,
+    [
+      check('password', 'Password is required').exists(),
+      check('pin', 'PIN must be 4 to 6 digits').matches(/^\d{4,6}$/)
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, pin } = req.body;
+
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const isMatch = await user.comparePassword(password);
+
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+
+      user.pin = pin;
+      user.pinFailedAttempts = 0;
+      user.pinLockedUntil = undefined;
+      await user.save();
+
+      res.json({ message: 'PIN updated successfully' });
+    } catch (err) {
+      console.error('Set PIN error:', err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/auth/approvers
+// @desc    Active users who can approve a permission with their PIN, for the
+//          POS to pick from
+// @access  Private
+router.get('/approvers', auth, async (req, res) => {
+  const { permission } = req.query;
+
+  if (!PERMISSIONS[permission]) {
+    return res.status(400).json({ message: 'Permission is not recognised' });
+  }
+
+  try {
+    const approvers = await User.find({
+      isActive: true,
+      role: { $in: PERMISSIONS[permission] },
+      pin: { $exists: true }
+    })
+      .select('name')
+      .sort({ name: 1 });
+
+    res.json(approvers.map(approver => ({ id: approver.id, name: approver.name })));
+  } catch (err) {
+    console.error('Get approvers error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/override
+// @desc    Approve an action with a named manager's PIN and get an override
+//          token. Too many wrong PINs lock that manager's PIN for a while.
+// @access  Private
+router.post(
+  '/override',
+  [
+    auth,
+    [
+      check('approver', 'Choose who is approving').isMongoId(),
+      check('pin', 'PIN is required').not().isEmpty(),
+      check('permission', 'Permission is not recognised').isIn(Object.keys(PERMISSIONS))
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { approver: approverId, pin, permission } = req.body;
+    const { pinMaxAttempts, pinLockoutMinutes } = config.get('pos');
+
+    try {
+      // Only users whose role grants the permission can approve it
+      const approver = await User.findOne({
+        _id: approverId,
+        isActive: true,
+        role: { $in: PERMISSIONS[permission] },
+        pin: { $exists: true }
+      });
+
+      if (!approver) {
+        return res.status(401).json({ message: 'PIN not recognised or not authorised for this action' });
+      }
+
+      if (approver.pinLockedUntil && approver.pinLockedUntil > new Date()) {
+        return res.status(429).json({
+          message: `Too many incorrect PINs. ${approver.name}'s PIN is locked until ${approver.pinLockedUntil.toLocaleTimeString()}.`
+        });
+      }
+
+      if (!(await approver.comparePin(pin))) {
+        // Counted in one update so attempts made at the same time all count
+        const failed = await User.findOneAndUpdate(
+          { _id: approver._id },
+          { $inc: { pinFailedAttempts: 1 } },
+          { new: true }
+        );
+
+        if (failed.pinFailedAttempts >= pinMaxAttempts) {
+          await User.updateOne(
+            { _id: approver._id },
+            {
+              $set: {
+                pinFailedAttempts: 0,
+                pinLockedUntil: new Date(Date.now() + pinLockoutMinutes * 60 * 1000)
+              }
+            }
+          );
+
+          return res.status(429).json({
+            message: `Too many incorrect PINs. ${approver.name}'s PIN is locked for ${pinLockoutMinutes} minutes.`
+          });
+        }
+
+        return res.status(401).json({ message: 'PIN not recognised or not authorised for this action' });
+      }
+
+      if (approver.pinFailedAttempts > 0 || approver.pinLockedUntil) {
+        await User.updateOne(
+          { _id: approver._id },
+          { $set: { pinFailedAttempts: 0 }, $unset: { pinLockedUntil: 1 } }
+        );
+      }
+
+      res.json({
+        token: tokenService.signOverrideToken(approver, permission),
+        approver: {
+          id: approver.id,
+          name: approver.name
+        }
+      });
+    } catch (err) {
+      console.error('Override error:', err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
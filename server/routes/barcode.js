@@ -1,9 +1,11 @@
 // routes/barcode.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
-const InventoryMovement = require('../models/InventoryMovement');
+const inventoryService = require('../services/inventoryService');
 const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
 
 // Get product by barcode
 router.get('/:barcode', auth, async (req, res) => {
@@ -14,7 +16,13 @@ router.get('/:barcode', auth, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    res.json(product);
+    // Units the POS can sell from the sales location
+    const sellable = await inventoryService.getSellableStock([product]);
+    
+    res.json({
+      ...product.toObject(),
+      sellableStock: sellable[product._id.toString()]
+    });
   } catch (err) {
     console.error('Error fetching product by barcode:', err);
     res.status(500).json({ message: 'Server error' });
@@ -32,10 +40,13 @@ router.post('/scan', auth, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    if (product.currentStock < quantity) {
+    const sellable = await inventoryService.getSellableStock([product]);
+    const available = sellable[product._id.toString()];
+    
+    if (available < quantity) {
       return res.status(400).json({ 
         message: 'Insufficient stock', 
-        available: product.currentStock 
+        available 
       });
     }
     
@@ -47,7 +58,7 @@ router.post('/scan', auth, async (req, res) => {
       price: product.sellingPrice,
       taxRate: product.taxRate,
       quantity: quantity,
-      stock: product.currentStock,
+      stock: available,
       category: product.category
     };
     
@@ -59,7 +70,7 @@ router.post('/scan', auth, async (req, res) => {
 });
 
 // Generate barcode for new product
-router.post('/generate', auth, async (req, res) => {
+router.post('/generate', [auth, permit('products:edit')], async (req, res) => {
   try {
     // Custom nursery barcode format, e.g.: 299CCCPPPPS
     // where 299 is a standard prefix for internal use
@@ -123,9 +134,9 @@ router.post('/generate', auth, async (req, res) => {
 });
 
 // Record inventory movement using barcode scan
-router.post('/movement', auth, async (req, res) => {
+router.post('/movement', [auth, permit('stock:adjust')], async (req, res) => {
   try {
-    const { barcode, quantity, movementType, notes, location } = req.body;
+    const { barcode, quantity, movementType, notes, location, fromLocation, toLocation, lossReason, photo } = req.body;
     
     if (!barcode || !quantity || !movementType) {
       return res.status(400).json({ message: 'Barcode, quantity, and movement type are required' });
@@ -137,61 +148,81 @@ router.post('/movement', auth, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    const previousStock = product.currentStock;
-    let newStock;
-    
-    // Update product stock based on movement type
-    switch (movementType) {
-      case 'Received':
-      case 'Returned':
-      case 'Adjustment':
-        newStock = previousStock + quantity;
-        break;
-      case 'Sold':
-      case 'Damaged':
-        if (previousStock < quantity) {
-          return res.status(400).json({ 
-            message: 'Insufficient stock',
-            available: previousStock
-          });
-        }
-        newStock = previousStock - quantity;
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid movement type' });
+    // Transfers move stock between locations and leave the total unchanged
+    if (movementType === 'Transferred') {
+      const session = await mongoose.startSession();
+      
+      try {
+        let result;
+        
+        await session.withTransaction(async () => {
+          result = await inventoryService.transferStock({
+            product: product._id,
+            quantity: parseInt(quantity),
+            fromLocation,
+            toLocation,
+            notes,
+            performedBy: req.user.id
+          }, session);
+        });
+        
+        return res.json({
+          message: 'Stock transferred successfully',
+          product: {
+            _id: product._id,
+            name: product.name,
+            barcode: product.barcode,
+            previousStock: product.currentStock,
+            newStock: product.currentStock
+          },
+          movement: result.movement
+        });
+      } finally {
+        session.endSession();
+      }
     }
     
-    // Create inventory movement record
-    const movement = new InventoryMovement({
-      product: product._id,
-      barcode,
-      movementType,
-      quantity,
-      previousStock,
-      newStock,
-      notes,
-      location,
-      performedBy: req.user.id // From auth middleware
-    });
-    
-    await movement.save();
-    
-    // Update product stock
-    product.currentStock = newStock;
-    await product.save();
-    
-    res.json({
-      message: 'Inventory updated successfully',
-      product: {
-        _id: product._id,
-        name: product.name,
-        barcode: product.barcode,
-        previousStock,
-        newStock
-      },
-      movement
-    });
+    // Adjustments and counts can go either way, the sign of the quantity gives the direction
+    const units = parseInt(quantity);
+    const signed = ['Adjustment', 'StockCount'].includes(movementType);
+    const session = await mongoose.startSession();
+    
+    try {
+      let result;
+      
+      await session.withTransaction(async () => {
+        result = await inventoryService.recordMovement({
+          product: product._id,
+          movementType,
+          quantity: signed ? Math.abs(units) : units,
+          stockChange: signed ? units : undefined,
+          notes,
+          lossReason: movementType === 'Damaged' ? lossReason : undefined,
+          photo: movementType === 'Damaged' ? photo : undefined,
+          location: location || undefined,
+          performedBy: req.user.id // From auth middleware
+        }, session);
+      });
+      
+      res.json({
+        message: 'Inventory updated successfully',
+        product: {
+          _id: product._id,
+          name: product.name,
+          barcode: product.barcode,
+          previousStock: result.movement.previousStock,
+          newStock: result.product.currentStock
+        },
+        movement: result.movement
+      });
+    } finally {
+      session.endSession();
+    }
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    
     console.error('Error recording inventory movement:', err);
     res.status(500).json({ message: 'Server error' });
   }
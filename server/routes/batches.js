@@ -0,0 +1,316 @@
+// routes/batches.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Batch = require('../models/Batch');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const inventoryService = require('../services/inventoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const batchError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// @route   GET api/batches
+// @desc    Get batches, oldest first, with filters
+// @access  Private/Manager, Admin, Inventory
+router.get('/', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.product) {
+      query.product = req.query.product;
+    }
+
+    if (req.query.location) {
+      query.location = req.query.location;
+    }
+
+    // Batches with stock left unless asked for all
+    if (req.query.includeEmpty !== 'true') {
+      query.quantity = { $gt: 0 };
+    }
+
+    // Batches potted at least this many days ago
+    if (req.query.minAgeDays) {
+      query.pottingDate = { $lte: new Date(Date.now() - parseInt(req.query.minAgeDays) * DAY_MS) };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const skip = (page - 1) * limit;
+
+    const batches = await Batch.find(query)
+      .populate('product', 'name barcode category')
+      .sort({ pottingDate: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Batch.countDocuments(query);
+
+    res.json({
+      batches,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching batches:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/batches/summary
+// @desc    Batch count, units in batches and oldest potting date per product
+// @access  Private/Manager, Admin, Inventory
+router.get('/summary', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const summary = await Batch.aggregate([
+      { $match: { quantity: { $gt: 0 } } },
+      {
+        $group: {
+          _id: '$product',
+          batchCount: { $sum: 1 },
+          quantity: { $sum: '$quantity' },
+          oldestPottingDate: { $min: '$pottingDate' },
+          newestPottingDate: { $max: '$pottingDate' }
+        }
+      }
+    ]);
+
+    res.json(summary.map(item => ({
+      product: item._id,
+      batchCount: item.batchCount,
+      quantity: item.quantity,
+      oldestPottingDate: item.oldestPottingDate,
+      newestPottingDate: item.newestPottingDate,
+      oldestAgeDays: Math.floor((Date.now() - item.oldestPottingDate) / DAY_MS)
+    })));
+  } catch (err) {
+    console.error('Error fetching batch summary:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/batches/:id
+// @desc    Get a batch with its movements
+// @access  Private/Manager, Admin, Inventory
+router.get('/:id', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.id)
+      .populate('product', 'name barcode category')
+      .populate('purchaseOrder', 'poNumber')
+      .populate('createdBy', 'name');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const movements = await InventoryMovement.find({ batch: batch._id })
+      .populate('performedBy', 'name')
+      .sort({ timestamp: -1 });
+
+    res.json({ batch, movements });
+  } catch (err) {
+    console.error('Error fetching batch:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/batches
+// @desc    Add a batch of new stock, or put existing untracked stock into a batch
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/',
+  [
+    auth,
+    permit('stock:adjust'),
+    [
+      check('product', 'Product is required').isMongoId(),
+      check('quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 }),
+      check('pottingDate', 'Potting date must be a date').optional({ values: 'falsy' }).isISO8601(),
+      check('source', 'Source must be Propagation or Other').optional().isIn(['Propagation', 'Other']),
+      check('unitCost', 'Unit cost must be zero or more').optional({ values: 'falsy' }).isFloat({ min: 0 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      product: productId,
+      pottingDate,
+      source,
+      reference,
+      potSize,
+      location,
+      unitCost,
+      notes,
+      fromExistingStock
+    } = req.body;
+    const quantity = parseInt(req.body.quantity);
+
+    const details = {
+      pottingDate: pottingDate || undefined,
+      source: source || 'Other',
+      reference,
+      potSize,
+      location,
+      unitCost: unitCost !== undefined && unitCost !== '' ? parseFloat(unitCost) : undefined,
+      notes
+    };
+
+    const session = await mongoose.startSession();
+
+    try {
+      let batch;
+
+      await session.withTransaction(async () => {
+        const product = await Product.findById(productId).session(session);
+
+        if (!product) {
+          throw batchError(404, 'Product not found');
+        }
+
+        // Batches are costed at the product's cost price unless told otherwise
+        if (details.unitCost === undefined) {
+          details.unitCost = product.costPrice;
+        }
+
+        if (fromExistingStock) {
+          // Stock on hand is unchanged, it is just given a potting date and place
+          const untracked = await inventoryService.getUntrackedStock(product, session);
+          const stockLocation = location
+            ? await inventoryService.resolveLocation(location, session)
+            : null;
+
+          if (quantity > untracked) {
+            throw batchError(400, `Only ${untracked} units of ${product.name} are not already in a batch`);
+          }
+
+          batch = new Batch({
+            ...details,
+            location: stockLocation ? stockLocation.name : undefined,
+            product: product._id,
+            initialQuantity: quantity,
+            quantity,
+            createdBy: req.user.id
+          });
+
+          await batch.save({ session });
+
+          await inventoryService.recordMovement({
+            product: product._id,
+            movementType: 'Adjustment',
+            quantity,
+            stockChange: 0,
+            batch: batch._id,
+            notes: 'Existing stock assigned to batch',
+            location: stockLocation || undefined,
+            performedBy: req.user.id
+          }, session);
+        } else {
+          const { movement } = await inventoryService.recordMovement({
+            product: product._id,
+            movementType: 'Received',
+            quantity,
+            newBatch: details,
+            reference,
+            notes,
+            location,
+            performedBy: req.user.id
+          }, session);
+
+          batch = await Batch.findById(movement.batch).session(session);
+        }
+      });
+
+      res.status(201).json({
+        message: 'Batch created successfully',
+        batch
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error creating batch:', err);
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   PUT api/batches/:id
+// @desc    Update a batch's details. Quantities only change through movements
+//          and locations through transfers.
+// @access  Private/Manager, Admin, Inventory
+router.put(
+  '/:id',
+  [
+    auth,
+    permit('stock:adjust'),
+    [
+      check('pottingDate', 'Potting date must be a date').optional({ values: 'falsy' }).isISO8601()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const batch = await Batch.findById(req.params.id);
+
+      if (!batch) {
+        return res.status(404).json({ message: 'Batch not found' });
+      }
+
+      const { pottingDate, potSize, notes } = req.body;
+
+      if (pottingDate) batch.pottingDate = pottingDate;
+      if (potSize !== undefined) batch.potSize = potSize;
+      if (notes !== undefined) batch.notes = notes;
+
+      await batch.save();
+
+      res.json({
+        message: 'Batch updated successfully',
+        batch
+      });
+    } catch (err) {
+      console.error('Error updating batch:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Batch not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
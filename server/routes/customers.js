@@ -3,9 +3,13 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const roleAuth = require('../middleware/roleAuth');
+const { permit } = require('../middleware/permissions');
 const Customer = require('../models/Customer');
 const Sale = require('../models/Sale');
+const StoredValue = require('../models/StoredValue');
+const StoredValueTransaction = require('../models/StoredValueTransaction');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const loyaltyService = require('../services/loyaltyService');
 
 // @route   GET api/customers
 // @desc    Get all customers
@@ -76,6 +80,46 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/customers/lookup
+// @desc    Find customers at the POS by phone number or email address
+// @access  Private
+router.get('/lookup', auth, async (req, res) => {
+  try {
+    const term = (req.query.q || '').trim();
+    
+    if (!term) {
+      return res.status(400).json({ message: 'Phone number or email is required' });
+    }
+    
+    let query;
+    
+    if (term.includes('@')) {
+      query = { email: term.toLowerCase() };
+    } else {
+      // Match the digits in order, ignoring spaces, dashes and brackets in the stored number
+      const digits = term.replace(/\D/g, '');
+      
+      if (digits.length < 4) {
+        return res.status(400).json({ message: 'Enter at least 4 digits of the phone number' });
+      }
+      
+      query = { phone: new RegExp(digits.split('').join('\\D*')) };
+    }
+    
+    query.isActive = true;
+    
+    const customers = await Customer.find(query)
+      .select('name email phone membershipLevel loyaltyPoints storeCredit isCommercial commercialDetails')
+      .sort({ name: 1 })
+      .limit(10);
+    
+    res.json(customers);
+  } catch (err) {
+    console.error('Error looking up customer:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET api/customers/:id
 // @desc    Get customer by ID
 // @access  Private
@@ -127,13 +171,134 @@ router.get('/:id/sales', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/customers/:id/store-credit
+// @desc    Get a customer's store credit balance and ledger
+// @access  Private
+router.get('/:id/store-credit', auth, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    const account = await StoredValue.findOne({ type: 'Store Credit', customer: customer._id });
+    
+    const transactions = account
+      ? await StoredValueTransaction.find({ account: account._id })
+        .populate('performedBy', 'name')
+        .sort({ timestamp: -1 })
+        .limit(50)
+      : [];
+    
+    res.json({
+      balance: account ? account.balance : customer.storeCredit,
+      transactions
+    });
+  } catch (err) {
+    console.error('Error fetching customer store credit:', err);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/customers/:id/loyalty
+// @desc    Get a customer's points balance and ledger
+// @access  Private
+router.get('/:id/loyalty', auth, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    // Bring the balance up to date before showing it
+    await loyaltyService.expirePoints(customer._id);
+    
+    const [updated, transactions] = await Promise.all([
+      Customer.findById(customer._id).select('loyaltyPoints'),
+      LoyaltyTransaction.find({ customer: customer._id })
+        .populate('performedBy', 'name')
+        .sort({ timestamp: -1 })
+        .limit(50)
+    ]);
+    
+    res.json({
+      points: updated.loyaltyPoints,
+      transactions
+    });
+  } catch (err) {
+    console.error('Error fetching customer loyalty points:', err);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/customers/:id/loyalty/adjust
+// @desc    Manually correct a customer's points balance
+// @access  Private/Manager, Admin
+router.post(
+  '/:id/loyalty/adjust',
+  [
+    auth,
+    permit('loyalty:manage'),
+    [
+      check('points', 'Points must be a whole number').isInt(),
+      check('notes', 'A reason for the adjustment is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { customer, transaction } = await loyaltyService.adjustPoints({
+        customer: req.params.id,
+        points: parseInt(req.body.points),
+        notes: req.body.notes,
+        performedBy: req.user.id
+      });
+      
+      res.json({
+        message: 'Loyalty points adjusted',
+        points: customer.loyaltyPoints,
+        transaction
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      
+      console.error('Error adjusting loyalty points:', err);
+      
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // @route   POST api/customers
 // @desc    Create a customer
-// @access  Private
+// @access  Private/Cashier, Manager, Admin
 router.post(
   '/',
   [
     auth,
+    permit('customers:edit'),
     [
       check('name', 'Name is required').not().isEmpty()
     ]
@@ -175,7 +340,8 @@ router.post(
         notes,
         membershipLevel: membershipLevel || 'Regular',
         isCommercial: isCommercial || false,
-        commercialDetails: isCommercial ? commercialDetails : undefined,
+        // The account balance only changes through invoices and payments
+        commercialDetails: isCommercial ? { ...commercialDetails, accountBalance: 0 } : undefined,
         isActive: isActive !== undefined ? isActive : true
       });
       
@@ -195,11 +361,12 @@ router.post(
 
 // @route   PUT api/customers/:id
 // @desc    Update a customer
-// @access  Private
+// @access  Private/Cashier, Manager, Admin
 router.put(
   '/:id',
   [
     auth,
+    permit('customers:edit'),
     [
       check('name', 'Name is required').not().isEmpty()
     ]
@@ -235,7 +402,6 @@ router.put(
         address,
         notes,
         membershipLevel,
-        loyaltyPoints,
         isCommercial,
         commercialDetails,
         isActive
@@ -255,18 +421,18 @@ router.put(
       customer.notes = notes || customer.notes;
       customer.membershipLevel = membershipLevel || customer.membershipLevel;
       
-      if (loyaltyPoints !== undefined) {
-        customer.loyaltyPoints = loyaltyPoints;
-      }
-      
       if (isCommercial !== undefined) {
         customer.isCommercial = isCommercial;
       }
       
       if (isCommercial && commercialDetails) {
+        // The account balance only changes through invoices and payments
+        const accountBalance = customer.commercialDetails ? customer.commercialDetails.accountBalance : 0;
+        
         customer.commercialDetails = {
           ...customer.commercialDetails || {},
-          ...commercialDetails
+          ...commercialDetails,
+          accountBalance
         };
       }
       
@@ -296,7 +462,7 @@ router.put(
 // @route   DELETE api/customers/:id
 // @desc    Delete a customer
 // @access  Private/Admin
-router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
+router.delete('/:id', [auth, permit('customers:delete')], async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
     
@@ -314,7 +480,7 @@ router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
     }
     
     // Delete customer
-    await customer.remove();
+    await customer.deleteOne();
     
     res.json({ message: 'Customer deleted successfully' });
   } catch (err) {
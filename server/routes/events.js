@@ -0,0 +1,28 @@
+// routes/events.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
+const eventService = require('../services/eventService');
+
+// @route   POST api/events/ticket
+// @desc    Get a short-lived ticket for opening the event stream
+// @access  Private
+router.post('/ticket', auth, (req, res) => {
+  res.json({ ticket: tokenService.signStreamToken(req.user) });
+});
+
+// @route   GET api/events
+// @desc    Stream stock, sale and stock count changes as Server-Sent Events
+// @access  Private (ticket from POST api/events/ticket)
+router.get('/', (req, res) => {
+  try {
+    tokenService.verifyStreamToken(req.query.ticket || '');
+  } catch (err) {
+    return res.status(401).json({ message: 'Event stream ticket is not valid' });
+  }
+
+  eventService.subscribe(req, res);
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+// routes/giftCards.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const StoredValueTransaction = require('../models/StoredValueTransaction');
+const storedValueService = require('../services/storedValueService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Run a balance change in a transaction so the card and its ledger entry
+// are written together
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return result;
+};
+
+// @route   GET api/gift-cards/:cardNumber
+// @desc    Balance enquiry for a scanned gift card
+// @access  Private/Cashier, Manager, Admin
+router.get('/:cardNumber', [auth, permit('giftcards:view')], async (req, res) => {
+  try {
+    const card = await storedValueService.findGiftCard(req.params.cardNumber);
+
+    res.json({
+      card: {
+        _id: card._id,
+        cardNumber: card.cardNumber,
+        balance: card.balance,
+        status: card.status,
+        createdAt: card.createdAt
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    console.error('Error fetching gift card:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/gift-cards/:cardNumber/transactions
+// @desc    Ledger of balance changes on a gift card
+// @access  Private/Cashier, Manager, Admin
+router.get('/:cardNumber/transactions', [auth, permit('giftcards:view')], async (req, res) => {
+  try {
+    const card = await storedValueService.findGiftCard(req.params.cardNumber);
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const transactions = await StoredValueTransaction.find({ account: card._id })
+      .populate('performedBy', 'name')
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await StoredValueTransaction.countDocuments({ account: card._id });
+
+    res.json({
+      card,
+      transactions,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    console.error('Error fetching gift card transactions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/gift-cards
+// @desc    Issue a gift card outside of a sale, e.g. a promotion or replacement card
+// @access  Private/Manager, Admin
+router.post(
+  '/',
+  [
+    auth,
+    permit('giftcards:issue'),
+    [
+      check('amount', 'Amount must be greater than zero').isFloat({ gt: 0 }),
+      check('notes', 'A reason is required when issuing a card outside a sale').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { cardNumber, customer, notes } = req.body;
+
+      const { account, transaction } = await withTransaction(session => {
+        return storedValueService.issueGiftCard({
+          cardNumber,
+          amount: roundCurrency(parseFloat(req.body.amount)),
+          customer,
+          notes,
+          performedBy: req.user.id
+        }, session);
+      });
+
+      res.status(201).json({
+        message: 'Gift card issued successfully',
+        card: account,
+        transaction
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error issuing gift card:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/gift-cards/:cardNumber/top-up
+// @desc    Add value to a gift card outside of a sale
+// @access  Private/Manager, Admin
+router.post(
+  '/:cardNumber/top-up',
+  [
+    auth,
+    permit('giftcards:issue'),
+    [
+      check('amount', 'Amount must be greater than zero').isFloat({ gt: 0 }),
+      check('notes', 'A reason is required when topping up outside a sale').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { account, transaction } = await withTransaction(async session => {
+        const card = await storedValueService.findGiftCard(req.params.cardNumber, session);
+
+        return storedValueService.recordTransaction({
+          account: card._id,
+          transactionType: 'Top Up',
+          amount: roundCurrency(parseFloat(req.body.amount)),
+          notes: req.body.notes,
+          performedBy: req.user.id
+        }, session);
+      });
+
+      res.json({
+        message: 'Gift card topped up',
+        card: account,
+        transaction
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error topping up gift card:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/gift-cards/:cardNumber/redeem
+// @desc    Take value off a gift card outside of a POS sale
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/:cardNumber/redeem',
+  [
+    auth,
+    permit('sales:create'),
+    [
+      check('amount', 'Amount must be greater than zero').isFloat({ gt: 0 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { account, transaction } = await withTransaction(session => {
+        return storedValueService.redeem({
+          method: 'Gift Card',
+          cardNumber: req.params.cardNumber,
+          amount: roundCurrency(parseFloat(req.body.amount)),
+          reference: req.body.reference,
+          performedBy: req.user.id
+        }, session);
+      });
+
+      res.json({
+        message: 'Gift card redeemed',
+        card: account,
+        transaction
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error redeeming gift card:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
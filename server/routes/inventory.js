@@ -0,0 +1,136 @@
+// routes/inventory.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const InventoryMovement = require('../models/InventoryMovement');
+const inventoryService = require('../services/inventoryService');
+
+// @route   GET api/inventory/movements
+// @desc    Latest inventory movements, optionally for one product or type
+// @access  Private/Manager, Admin, Inventory
+router.get('/movements', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.product) {
+      query.product = req.query.product;
+    }
+
+    if (req.query.movementType) {
+      query.movementType = req.query.movementType;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [movements, totalCount] = await Promise.all([
+      InventoryMovement.find(query)
+        .populate('product', 'name barcode category')
+        .populate('performedBy', 'name')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit),
+      InventoryMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      movements,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching inventory movements:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/inventory/integrity
+// @desc    Rebuild each product's stock from its movements and flag any drift
+// @access  Private/Manager, Admin, Inventory
+router.get('/integrity', [auth, permit('stock:adjust')], async (req, res) => {
+  try {
+    const results = await inventoryService.checkStockIntegrity({
+      category: req.query.category || undefined
+    });
+
+    const withIssues = results.filter(result => result.issues.length > 0);
+    const drifted = results.filter(result => result.drift !== 0);
+
+    res.json({
+      checkedAt: new Date(),
+      summary: {
+        products: results.length,
+        withIssues: withIssues.length,
+        withDrift: drifted.length,
+        netDrift: drifted.reduce((sum, result) => sum + result.drift, 0)
+      },
+      items: req.query.all === 'true' ? results : withIssues
+    });
+  } catch (err) {
+    console.error('Error checking stock integrity:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/inventory/integrity/rebuild
+// @desc    Set stock back to what the movement history adds up to
+// @access  Private/Admin
+router.post(
+  '/integrity/rebuild',
+  [
+    auth,
+    permit('inventory:rebuild'),
+    [
+      check('products', 'Products must be a list').optional().isArray(),
+      check('products.*', 'Invalid product').isMongoId()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        result = await inventoryService.rebuildStock({
+          products: req.body.products && req.body.products.length > 0 ? req.body.products : undefined
+        }, session);
+      });
+
+      res.json({
+        message: `Stock rebuilt for ${result.rebuilt.length} product(s)`,
+        ...result
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error rebuilding stock:', err);
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+module.exports = router;
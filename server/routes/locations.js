@@ -0,0 +1,434 @@
+// routes/locations.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Location = require('../models/Location');
+const StockLevel = require('../models/StockLevel');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const inventoryService = require('../services/inventoryService');
+
+const LOCATION_TYPES = ['Propagation', 'Growing', 'Shade House', 'Retail', 'Storage', 'Other'];
+
+// Copy editable fields from the request onto a location
+const applyFields = (location, body) => {
+  ['name', 'code', 'type', 'description'].forEach(field => {
+    if (body[field] !== undefined) {
+      location[field] = body[field];
+    }
+  });
+
+  if (body.isActive !== undefined) {
+    location.isActive = Boolean(body.isActive);
+  }
+
+  if (body.isSalesLocation !== undefined) {
+    location.isSalesLocation = Boolean(body.isSalesLocation);
+  }
+};
+
+// Only one location can be the one the POS sells from
+const clearOtherSalesLocations = async (location) => {
+  if (location.isSalesLocation) {
+    await Location.updateMany(
+      { _id: { $ne: location._id }, isSalesLocation: true },
+      { $set: { isSalesLocation: false, updatedAt: Date.now() } }
+    );
+  }
+};
+
+const locationChecks = [
+  check('name', 'Name is required').optional().not().isEmpty(),
+  check('type', 'Invalid location type').optional().isIn(LOCATION_TYPES)
+];
+
+// @route   GET api/locations
+// @desc    Get locations with the units and products held at each
+// @access  Private/Manager, Admin, Inventory
+router.get('/', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const [locations, totals, locatedByProduct] = await Promise.all([
+      Location.find(query).sort({ isSalesLocation: -1, name: 1 }),
+      StockLevel.aggregate([
+        { $match: { quantity: { $gt: 0 } } },
+        {
+          $group: {
+            _id: '$location',
+            units: { $sum: '$quantity' },
+            productCount: { $sum: 1 }
+          }
+        }
+      ]),
+      StockLevel.aggregate([
+        { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+      ])
+    ]);
+
+    const totalsByLocation = {};
+    totals.forEach(total => {
+      totalsByLocation[total._id.toString()] = total;
+    });
+
+    // Stock from before locations were set up, across all products
+    const located = {};
+    locatedByProduct.forEach(level => {
+      located[level._id.toString()] = level.quantity;
+    });
+
+    const products = await Product.find({ currentStock: { $gt: 0 } }, 'currentStock');
+    const unlocatedUnits = products.reduce(
+      (sum, product) => sum + Math.max(0, product.currentStock - (located[product._id.toString()] || 0)),
+      0
+    );
+
+    res.json({
+      locations: locations.map(location => ({
+        ...location.toObject(),
+        units: totalsByLocation[location._id.toString()]?.units || 0,
+        productCount: totalsByLocation[location._id.toString()]?.productCount || 0
+      })),
+      unlocatedUnits
+    });
+  } catch (err) {
+    console.error('Error fetching locations:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/locations/product/:productId
+// @desc    Stock of one product at each location
+// @access  Private
+router.get('/product/:productId', auth, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const levels = await StockLevel.find({ product: product._id, quantity: { $gt: 0 } })
+      .populate('location', 'name code type isSalesLocation');
+
+    res.json({
+      product: {
+        _id: product._id,
+        name: product.name,
+        currentStock: product.currentStock
+      },
+      levels: levels.map(level => ({
+        location: level.location,
+        quantity: level.quantity
+      })),
+      unlocated: await inventoryService.getUnlocatedStock(product)
+    });
+  } catch (err) {
+    console.error('Error fetching product stock by location:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/locations/:id/stock
+// @desc    Products held at a location
+// @access  Private/Manager, Admin, Inventory
+router.get('/:id/stock', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const levels = await StockLevel.find({ location: location._id, quantity: { $gt: 0 } })
+      .populate('product', 'name barcode category costPrice sellingPrice');
+
+    let items = levels
+      .filter(level => level.product)
+      .map(level => ({
+        product: level.product,
+        quantity: level.quantity
+      }));
+
+    if (req.query.category) {
+      items = items.filter(item => item.product.category === req.query.category);
+    }
+
+    items.sort((a, b) => a.product.name.localeCompare(b.product.name));
+
+    res.json({ location, items });
+  } catch (err) {
+    console.error('Error fetching location stock:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/locations
+// @desc    Create a location
+// @access  Private/Admin, Manager
+router.post(
+  '/',
+  [
+    auth,
+    permit('locations:manage'),
+    [
+      check('name', 'Name is required').not().isEmpty(),
+      ...locationChecks
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const existing = await Location.findOne({ name: req.body.name.trim() });
+
+      if (existing) {
+        return res.status(400).json({ message: 'A location with this name already exists' });
+      }
+
+      const location = new Location();
+      applyFields(location, req.body);
+      await location.save();
+      await clearOtherSalesLocations(location);
+
+      res.status(201).json({
+        message: 'Location created successfully',
+        location
+      });
+    } catch (err) {
+      console.error('Error creating location:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT api/locations/:id
+// @desc    Update a location
+// @access  Private/Admin, Manager
+router.put(
+  '/:id',
+  [auth, permit('locations:manage'), locationChecks],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const location = await Location.findById(req.params.id);
+
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+
+      if (req.body.name && req.body.name.trim() !== location.name) {
+        const existing = await Location.findOne({ name: req.body.name.trim() });
+
+        if (existing) {
+          return res.status(400).json({ message: 'A location with this name already exists' });
+        }
+      }
+
+      applyFields(location, req.body);
+
+      if (!location.isActive && location.isSalesLocation) {
+        return res.status(400).json({ message: 'The sales location must stay active' });
+      }
+
+      await location.save();
+      await clearOtherSalesLocations(location);
+
+      res.json({
+        message: 'Location updated successfully',
+        location
+      });
+    } catch (err) {
+      console.error('Error updating location:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/locations/:id
+// @desc    Delete an unused location. Locations with history are made inactive instead.
+// @access  Private/Admin, Manager
+router.delete('/:id', [auth, permit('locations:manage')], async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const stock = await StockLevel.exists({ location: location._id, quantity: { $gt: 0 } });
+
+    if (stock) {
+      return res.status(400).json({ message: 'Transfer the stock held here to another location first' });
+    }
+
+    const used = await InventoryMovement.exists({
+      $or: [{ fromLocation: location._id }, { toLocation: location._id }]
+    });
+
+    if (used) {
+      return res.status(400).json({
+        message: 'This location has stock history. Mark it inactive instead.'
+      });
+    }
+
+    await StockLevel.deleteMany({ location: location._id });
+    await location.deleteOne();
+
+    res.json({ message: 'Location deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting location:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/locations/transfer
+// @desc    Move stock of a product between two locations
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/transfer',
+  [
+    auth,
+    permit('stock:adjust'),
+    [
+      check('product', 'Product is required').isMongoId(),
+      check('quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 }),
+      check('fromLocation', 'Location to move from is required').not().isEmpty(),
+      check('toLocation', 'Location to move to is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        result = await inventoryService.transferStock({
+          product: req.body.product,
+          quantity: parseInt(req.body.quantity),
+          fromLocation: req.body.fromLocation,
+          toLocation: req.body.toLocation,
+          batch: req.body.batch || undefined,
+          reference: req.body.reference,
+          notes: req.body.notes,
+          performedBy: req.user.id
+        }, session);
+      });
+
+      res.status(201).json({
+        message: 'Stock transferred successfully',
+        movement: result.movement
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error transferring stock:', err);
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   POST api/locations/:id/assign-unlocated
+// @desc    Put all stock that has no location yet at this location
+// @access  Private/Admin, Manager
+router.post('/:id/assign-unlocated', [auth, permit('locations:manage')], async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let assigned = 0;
+    let units = 0;
+
+    await session.withTransaction(async () => {
+      assigned = 0;
+      units = 0;
+
+      const location = await Location.findById(req.params.id).session(session);
+
+      if (!location) {
+        const err = new Error('Location not found');
+        err.status = 404;
+        throw err;
+      }
+
+      const products = await Product.find({ currentStock: { $gt: 0 } }).session(session);
+
+      for (const product of products) {
+        const movement = await inventoryService.assignUnlocatedStock(product, location, req.user.id, session);
+
+        if (movement) {
+          assigned++;
+          units += movement.quantity;
+        }
+      }
+    });
+
+    res.json({
+      message: `${units} units of ${assigned} products assigned`,
+      assigned,
+      units
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    console.error('Error assigning unlocated stock:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    session.endSession();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+// routes/losses.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const inventoryService = require('../services/inventoryService');
+
+// Largest photo accepted, as a data URL (about 3MB of image)
+const MAX_PHOTO_LENGTH = 4 * 1024 * 1024;
+
+// Photos are either links or images sent inline from the device camera
+const isPhoto = (value) => (
+  /^data:image\/(jpeg|png|webp);base64,/.test(value) || /^https?:\/\//.test(value)
+);
+
+// Movements that are losses: write-offs with a reason, and older
+// 'Damaged' movements recorded before reasons were kept
+const LOSS_QUERY = {
+  $or: [
+    { lossReason: { $exists: true } },
+    { movementType: 'Damaged' }
+  ]
+};
+
+// @route   GET api/losses/reasons
+// @desc    Reasons stock can be written off for
+// @access  Private
+router.get('/reasons', auth, (req, res) => {
+  res.json(InventoryMovement.LOSS_REASONS);
+});
+
+// @route   GET api/losses
+// @desc    Get write-offs, newest first, with filters
+// @access  Private/Manager, Admin, Inventory
+router.get('/', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const { startDate, endDate, reason, product, category, location } = req.query;
+    const conditions = [LOSS_QUERY];
+
+    if (startDate || endDate) {
+      const timestamp = {};
+      if (startDate) timestamp.$gte = new Date(startDate);
+      if (endDate) timestamp.$lte = new Date(endDate);
+      conditions.push({ timestamp });
+    }
+
+    if (reason) {
+      conditions.push({ lossReason: reason });
+    }
+
+    if (product) {
+      conditions.push({ product });
+    }
+
+    if (category) {
+      const products = await Product.find({ category }, '_id');
+      conditions.push({ product: { $in: products.map(p => p._id) } });
+    }
+
+    if (location) {
+      conditions.push({ $or: [{ fromLocation: location }, { toLocation: location }] });
+    }
+
+    const query = { $and: conditions };
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const losses = await InventoryMovement.find(query)
+      .populate('product', 'name barcode category')
+      .populate('performedBy', 'name')
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Photos are left out of the list; flag the losses that have one
+    const withPhotos = await InventoryMovement.find(
+      { _id: { $in: losses.map(loss => loss._id) }, photo: { $exists: true } },
+      '_id'
+    );
+    const hasPhoto = new Set(withPhotos.map(loss => loss._id.toString()));
+
+    const totalCount = await InventoryMovement.countDocuments(query);
+
+    res.json({
+      losses: losses.map(loss => ({
+        ...loss.toObject(),
+        lossReason: loss.lossReason || 'Unrecorded',
+        hasPhoto: hasPhoto.has(loss._id.toString())
+      })),
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching losses:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/losses/:id/photo
+// @desc    Photo taken of a write-off
+// @access  Private/Manager, Admin, Inventory
+router.get('/:id/photo', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const loss = await InventoryMovement.findById(req.params.id).select('+photo');
+
+    if (!loss || !loss.photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    res.json({ photo: loss.photo });
+  } catch (err) {
+    console.error('Error fetching loss photo:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/losses
+// @desc    Write off stock that has died, been damaged or gone missing
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/',
+  [
+    auth,
+    permit('stock:adjust'),
+    [
+      check('product', 'Product is required').isMongoId(),
+      check('quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 }),
+      check('lossReason', 'Choose a loss reason').isIn(InventoryMovement.LOSS_REASONS),
+      check('photo', 'Photo must be an image')
+        .optional({ values: 'falsy' })
+        .isLength({ max: MAX_PHOTO_LENGTH })
+        .custom(isPhoto)
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        result = await inventoryService.recordMovement({
+          product: req.body.product,
+          movementType: 'Damaged',
+          quantity: parseInt(req.body.quantity),
+          batch: req.body.batch || undefined,
+          reference: req.body.reference,
+          notes: req.body.notes,
+          lossReason: req.body.lossReason,
+          photo: req.body.photo || undefined,
+          location: req.body.location || undefined,
+          performedBy: req.user.id
+        }, session);
+      });
+
+      res.status(201).json({
+        message: 'Write-off recorded successfully',
+        movement: result.movement,
+        costValue: result.movements.reduce((sum, movement) => sum + movement.costValue, 0)
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error recording write-off:', err);
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// routes/loyalty.js
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const LoyaltySettings = require('../models/LoyaltySettings');
+const Product = require('../models/Product');
+
+const CATEGORIES = Product.schema.path('category').enumValues;
+
+// @route   GET api/loyalty/settings
+// @desc    Get the loyalty programme rules
+// @access  Private
+router.get('/settings', auth, async (req, res) => {
+  try {
+    const settings = await LoyaltySettings.getSettings();
+
+    res.json(settings);
+  } catch (err) {
+    console.error('Error fetching loyalty settings:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/loyalty/settings
+// @desc    Update the loyalty programme rules
+// @access  Private/Manager, Admin
+router.put(
+  '/settings',
+  [
+    auth,
+    permit('loyalty:manage'),
+    [
+      check('pointsPerDollar', 'Points per dollar must be zero or more').optional().isFloat({ min: 0 }),
+      check('pointValue', 'Point value must be at least 0.01').optional().isFloat({ min: 0.01 }),
+      check('minimumRedemption', 'Minimum redemption must be a whole number').optional().isInt({ min: 0 }),
+      check('pointsExpiryMonths', 'Expiry must be a whole number of months').optional().isInt({ min: 0 }),
+      check('categoryRates', 'Category rates must be a list').optional().isArray(),
+      check('categoryRates.*.category', 'Unknown product category').isIn(CATEGORIES),
+      check('categoryRates.*.pointsPerDollar', 'Category points per dollar must be zero or more').isFloat({ min: 0 }),
+      check('tiers', 'Tiers must be a list').optional().isArray({ min: 1 }),
+      check('tiers.*.level', 'Unknown membership level').isIn(LoyaltySettings.MEMBERSHIP_LEVELS),
+      check('tiers.*.minSpend', 'Tier spend threshold must be zero or more').isFloat({ min: 0 }),
+      check('tiers.*.discountPercent', 'Tier discount must be between 0 and 100').optional().isFloat({ min: 0, max: 100 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const settings = await LoyaltySettings.getSettings();
+
+      const {
+        pointsPerDollar,
+        categoryRates,
+        pointValue,
+        minimumRedemption,
+        pointsExpiryMonths,
+        tiers
+      } = req.body;
+
+      if (categoryRates) {
+        const categories = categoryRates.map(rate => rate.category);
+        if (new Set(categories).size !== categories.length) {
+          return res.status(400).json({ message: 'Each category can only have one earn rate' });
+        }
+      }
+
+      if (tiers) {
+        const levels = tiers.map(tier => tier.level);
+        if (new Set(levels).size !== levels.length) {
+          return res.status(400).json({ message: 'Each membership level can only have one tier' });
+        }
+      }
+
+      if (pointsPerDollar !== undefined) settings.pointsPerDollar = pointsPerDollar;
+      if (categoryRates) settings.categoryRates = categoryRates;
+      if (pointValue !== undefined) settings.pointValue = pointValue;
+      if (minimumRedemption !== undefined) settings.minimumRedemption = minimumRedemption;
+      if (pointsExpiryMonths !== undefined) settings.pointsExpiryMonths = pointsExpiryMonths;
+      if (tiers) settings.tiers = tiers;
+
+      settings.updatedBy = req.user.id;
+
+      await settings.save();
+
+      res.json({
+        message: 'Loyalty settings updated successfully',
+        settings
+      });
+    } catch (err) {
+      console.error('Error updating loyalty settings:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,385 @@
+// routes/offlineSales.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const RegisterSession = require('../models/RegisterSession');
+const SaleConflict = require('../models/SaleConflict');
+const inventoryService = require('../services/inventoryService');
+const saleService = require('../services/saleService');
+const pricingService = require('../services/pricingService');
+const eventService = require('../services/eventService');
+
+// Round a currency value to cents
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Let managers know as soon as a synced sale needs looking at
+const announceConflicts = (conflicts) => {
+  conflicts.forEach(conflict => {
+    eventService.publish('sale:conflict', {
+      _id: conflict._id,
+      type: conflict.type,
+      provisionalNumber: conflict.provisionalNumber,
+      registerNumber: conflict.registerNumber,
+      details: conflict.details
+    });
+  });
+};
+
+// @route   POST api/offline-sales
+// @desc    Save a cash sale rung up while the register was offline. Stock
+//          shortfalls, price differences and the like are saved as conflicts
+//          for a manager rather than rejecting a sale the customer has paid for.
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/',
+  [
+    auth,
+    permit('sales:create'),
+    [
+      check('provisionalNumber', 'Provisional sale number is required').not().isEmpty(),
+      check('registerNumber', 'Register number is required').not().isEmpty(),
+      check('recordedAt', 'Time the sale was rung up is required').isISO8601(),
+      check('items', 'At least one item is required').isArray({ min: 1 }),
+      check('items.*.product', 'Product is required for each item').isMongoId(),
+      check('items.*.quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 }),
+      check('payments', 'At least one payment is required').isArray({ min: 1 }),
+      check('payments.*.method', 'Only cash can be taken offline').equals('Cash'),
+      check('payments.*.amount', 'Amount must be greater than zero').isFloat({ gt: 0 }),
+      check('total', 'Total charged is required').isFloat({ min: 0 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provisionalNumber, registerNumber, items, customer, payments, notes } = req.body;
+    const recordedAt = new Date(req.body.recordedAt);
+    const chargedTotal = roundCurrency(parseFloat(req.body.total));
+
+    const conflictBase = {
+      provisionalNumber,
+      registerNumber,
+      recordedAt,
+      recordedBy: req.user.id
+    };
+
+    const session = await mongoose.startSession();
+
+    try {
+      let sale;
+      let conflicts = [];
+      let failed = null;
+      let duplicate = false;
+
+      await session.withTransaction(async () => {
+        conflicts = [];
+        duplicate = false;
+
+        // A register retrying after a lost response gets back what it already sent
+        sale = await Sale.findOne({ provisionalNumber }).session(session);
+        failed = await SaleConflict.findOne({ provisionalNumber, type: 'Sync Failed' })
+          .select('-payload')
+          .session(session);
+
+        if (sale || failed) {
+          duplicate = true;
+          return;
+        }
+
+        const raise = (conflict) => conflicts.push({ ...conflictBase, ...conflict });
+
+        // The session the register was in when the sale was rung up
+        const registerSession = await RegisterSession.findOne({
+          registerNumber,
+          openedAt: { $lte: recordedAt },
+          $or: [{ status: 'Open' }, { closedAt: { $gte: recordedAt } }]
+        }).sort({ openedAt: -1 }).session(session);
+
+        if (!registerSession) {
+          raise({
+            type: 'Register Closed',
+            details: `Register ${registerNumber} was not open when this sale was rung up`
+          });
+        } else if (registerSession.status === 'Closed') {
+          raise({
+            type: 'Register Closed',
+            details: `Register ${registerNumber} was cashed up before this sale synced, so its cash was not counted`
+          });
+        }
+
+        // Promotions running when the sale was rung up still apply
+        const priced = await pricingService.priceItems({ items, customer, at: recordedAt }, session);
+
+        if (priced.approvalRequired) {
+          raise({
+            type: 'Discount Approval',
+            details: 'Manual discounts over the cashier\'s limit were given with no manager to approve them'
+          });
+        }
+
+        sale = new Sale({
+          items: priced.items,
+          customer,
+          notes,
+          cashier: req.user.id,
+          registerNumber,
+          registerSession: registerSession ? registerSession._id : undefined,
+          provisionalNumber,
+          syncedAt: new Date(),
+          createdAt: recordedAt
+        });
+
+        sale.calculateTotals();
+        sale.subtotal = roundCurrency(sale.subtotal);
+        sale.taxTotal = roundCurrency(sale.taxTotal);
+        sale.discountTotal = roundCurrency(sale.discountTotal);
+        sale.total = roundCurrency(sale.total);
+
+        payments.forEach(payment => {
+          sale.payments.push({ method: 'Cash', amount: roundCurrency(parseFloat(payment.amount)) });
+        });
+
+        // The register worked out change from the total it charged, so the
+        // drawer only holds that total whatever the server prices come to
+        const paid = sale.getAmountPaid();
+        sale.amountTendered = paid;
+        sale.changeDue = Math.max(0, roundCurrency(paid - chargedTotal));
+        sale.status = roundCurrency(paid - sale.changeDue) >= sale.total ? 'Completed' : 'Pending Payment';
+
+        const difference = roundCurrency(sale.total - chargedTotal);
+
+        if (difference !== 0) {
+          raise({
+            type: 'Price Difference',
+            amount: difference,
+            details: difference > 0
+              ? `Charged ${chargedTotal.toFixed(2)} offline but the sale comes to ${sale.total.toFixed(2)}`
+              : `Charged ${chargedTotal.toFixed(2)} offline but the sale comes to ${sale.total.toFixed(2)}, the customer overpaid`
+          });
+        }
+
+        await sale.save({ session });
+
+        if (sale.status === 'Completed') {
+          await saleService.completeSale(sale, req.user.id, session);
+        }
+
+        // Take what stock is left; anything the yard sold that the system
+        // did not have is passed to a manager rather than going below zero
+        const salesLocation = await inventoryService.resolveLocation(null, session);
+
+        for (const item of sale.items) {
+          if (!item.product) continue;
+
+          const product = await Product.findById(item.product).session(session);
+          const sellable = await inventoryService.getSellableStock([product], session);
+          const taken = Math.min(item.quantity, sellable[product._id.toString()]);
+
+          if (taken > 0) {
+            await inventoryService.recordMovement({
+              product: product._id,
+              movementType: 'Sold',
+              quantity: taken,
+              reference: sale.saleNumber,
+              notes: `Sold offline as ${provisionalNumber}`,
+              location: salesLocation,
+              performedBy: req.user.id
+            }, session);
+          }
+
+          if (taken < item.quantity) {
+            raise({
+              type: 'Oversold',
+              product: product._id,
+              productName: product.name,
+              quantity: item.quantity - taken,
+              details: `Sold ${item.quantity} of ${product.name} but only ${taken} were in stock`
+            });
+          }
+        }
+
+        conflicts = await SaleConflict.insertMany(
+          conflicts.map(conflict => ({ ...conflict, sale: sale._id })),
+          { session }
+        );
+      });
+
+      if (duplicate && failed) {
+        return res.status(202).json({ message: 'Sale already passed to a manager', conflicts: [failed] });
+      }
+
+      if (duplicate) {
+        return res.json({ message: 'Sale already synced', sale, conflicts: [] });
+      }
+
+      announceConflicts(conflicts);
+
+      res.status(201).json({
+        message: conflicts.length > 0
+          ? `Sale ${sale.saleNumber} synced with ${conflicts.length} conflict(s) for a manager`
+          : `Sale ${sale.saleNumber} synced`,
+        sale,
+        conflicts
+      });
+    } catch (err) {
+      if (!err.status) {
+        console.error('Error syncing offline sale:', err);
+        return res.status(500).json({ message: 'Server error' });
+      }
+
+      // The customer has paid, so a sale that cannot be saved is kept for a
+      // manager to enter by hand rather than being dropped
+      try {
+        const conflict = await SaleConflict.create({
+          ...conflictBase,
+          type: 'Sync Failed',
+          details: err.message,
+          payload: req.body
+        });
+
+        announceConflicts([conflict]);
+
+        res.status(202).json({
+          message: `Sale ${provisionalNumber} could not be saved and has been passed to a manager`,
+          conflicts: [conflict]
+        });
+      } catch (saveErr) {
+        console.error('Error saving offline sale conflict:', saveErr);
+        res.status(500).json({ message: 'Server error' });
+      }
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   GET api/offline-sales/conflicts
+// @desc    Conflicts from synced offline sales, open ones by default
+// @access  Private/Manager, Admin
+router.get('/conflicts', [auth, permit('sales:resolve')], async (req, res) => {
+  try {
+    const query = { status: req.query.status || 'Open' };
+
+    if (req.query.status === 'all') {
+      delete query.status;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const [conflicts, totalCount] = await Promise.all([
+      SaleConflict.find(query)
+        .select('-payload')
+        .populate('sale', 'saleNumber total status')
+        .populate('recordedBy', 'name')
+        .populate('resolvedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SaleConflict.countDocuments(query)
+    ]);
+
+    res.json({
+      conflicts,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching offline sale conflicts:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/offline-sales/conflicts/:id
+// @desc    A conflict with the sale as the register sent it
+// @access  Private/Manager, Admin
+router.get('/conflicts/:id', [auth, permit('sales:resolve')], async (req, res) => {
+  try {
+    const conflict = await SaleConflict.findById(req.params.id)
+      .populate('sale', 'saleNumber total status')
+      .populate('recordedBy', 'name')
+      .populate('resolvedBy', 'name');
+
+    if (!conflict) {
+      return res.status(404).json({ message: 'Conflict not found' });
+    }
+
+    res.json(conflict);
+  } catch (err) {
+    console.error('Error fetching offline sale conflict:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conflict not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/offline-sales/conflicts/:id/resolve
+// @desc    Record how a manager settled a conflict
+// @access  Private/Manager, Admin
+router.put(
+  '/conflicts/:id/resolve',
+  [
+    auth,
+    permit('sales:resolve'),
+    [
+      check('resolution', 'Say how the conflict was settled').trim().not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const conflict = await SaleConflict.findOneAndUpdate(
+        { _id: req.params.id, status: 'Open' },
+        {
+          $set: {
+            status: 'Resolved',
+            resolution: req.body.resolution,
+            resolvedBy: req.user.id,
+            resolvedAt: Date.now()
+          }
+        },
+        { new: true }
+      ).select('-payload').populate('resolvedBy', 'name');
+
+      if (!conflict) {
+        return res.status(400).json({ message: 'Conflict not found or already resolved' });
+      }
+
+      res.json({
+        message: 'Conflict resolved',
+        conflict
+      });
+    } catch (err) {
+      console.error('Error resolving offline sale conflict:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Conflict not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
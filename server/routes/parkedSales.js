@@ -0,0 +1,218 @@
+// routes/parkedSales.js
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const ParkedSale = require('../models/ParkedSale');
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const pricingService = require('../services/pricingService');
+
+// Round a currency value to cents
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Parked carts are only kept until the end of the day they were parked
+const endOfDay = (date = new Date()) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// How a parked cart stands now, counting ones left past the end of their day
+const describeStatus = (parked) => {
+  if (parked.status === 'Parked' && parked.expiresAt <= new Date()) {
+    return 'Expired';
+  }
+
+  return parked.status;
+};
+
+// @route   POST api/parked-sales
+// @desc    Park the cart under a label or the customer's name so it can be
+//          recalled later today from any register
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/',
+  [
+    auth,
+    permit('sales:create'),
+    [
+      check('items', 'There is nothing in the cart to park').isArray({ min: 1 }),
+      check('items.*.quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 }),
+      check('items.*.giftCard.amount', 'Gift card amount must be greater than zero').optional().isFloat({ gt: 0 }),
+      check('label', 'Label must be 60 characters or fewer').optional().trim().isLength({ max: 60 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, customer: customerId, registerNumber } = req.body;
+
+    try {
+      const customer = customerId ? await Customer.findById(customerId) : null;
+
+      if (customerId && !customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const label = req.body.label || (customer && customer.name);
+
+      if (!label) {
+        return res.status(400).json({ message: 'Enter a label or choose a customer to park the sale under' });
+      }
+
+      // Price the cart as a quote would, which also checks every line is valid
+      const priced = await pricingService.priceItems({ items, customer: customerId });
+      const quote = new Sale({ items: priced.items });
+      quote.calculateTotals();
+
+      const parked = new ParkedSale({
+        label,
+        customer: customer ? customer._id : undefined,
+        items: items.map((item, index) => ({
+          product: item.product,
+          giftCard: item.giftCard,
+          name: priced.items[index].name,
+          quantity: item.quantity,
+          manualDiscount: item.manualDiscount
+        })),
+        total: roundCurrency(quote.total),
+        registerNumber: registerNumber || 'POS-1',
+        parkedBy: req.user.id,
+        expiresAt: endOfDay()
+      });
+
+      await parked.save();
+
+      res.status(201).json({
+        message: `Sale parked as ${parked.label}`,
+        parkedSale: parked
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error parking sale:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Product or customer not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/parked-sales
+// @desc    Carts parked today and not yet recalled, newest first
+// @access  Private/Cashier, Manager, Admin
+router.get('/', [auth, permit('sales:create')], async (req, res) => {
+  try {
+    const parkedSales = await ParkedSale.find({
+      status: 'Parked',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('customer', 'name')
+      .populate('parkedBy', 'name')
+      .sort({ parkedAt: -1 });
+
+    res.json(parkedSales);
+  } catch (err) {
+    console.error('Error fetching parked sales:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/parked-sales/log
+// @desc    Every cart parked on a day (date=YYYY-MM-DD, today by default),
+//          with who parked and recalled it and at which register
+// @access  Private/Manager, Admin
+router.get('/log', [auth, permit('reports:view')], async (req, res) => {
+  try {
+    const day = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+
+    if (isNaN(day)) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const startDate = new Date(day);
+    startDate.setHours(0, 0, 0, 0);
+
+    const parkedSales = await ParkedSale.find({
+      parkedAt: { $gte: startDate, $lte: endOfDay(day) }
+    })
+      .populate('customer', 'name')
+      .populate('parkedBy', 'name')
+      .populate('recalledBy', 'name')
+      .sort({ parkedAt: 1 });
+
+    res.json(parkedSales.map(parked => ({
+      ...parked.toObject(),
+      status: describeStatus(parked)
+    })));
+  } catch (err) {
+    console.error('Error fetching parked sales log:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/parked-sales/:id/recall
+// @desc    Take a parked cart back into a register. Each cart can only be
+//          recalled once.
+// @access  Private/Cashier, Manager, Admin
+router.post('/:id/recall', [auth, permit('sales:create')], async (req, res) => {
+  try {
+    // Claimed in one update so two registers can't recall the same cart
+    const parked = await ParkedSale.findOneAndUpdate(
+      { _id: req.params.id, status: 'Parked', expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          status: 'Recalled',
+          recalledBy: req.user.id,
+          recalledRegister: req.body.registerNumber || 'POS-1',
+          recalledAt: Date.now()
+        }
+      },
+      { new: true }
+    )
+      .populate('customer', '-purchaseHistory')
+      .populate('items.product', 'name barcode sellingPrice taxRate isActive');
+
+    if (!parked) {
+      const existing = await ParkedSale.findById(req.params.id).populate('recalledBy', 'name');
+
+      if (!existing) {
+        return res.status(404).json({ message: 'Parked sale not found' });
+      }
+
+      if (existing.status === 'Recalled') {
+        return res.status(400).json({
+          message: `${existing.label} was already recalled by ${existing.recalledBy ? existing.recalledBy.name : 'another user'} on ${existing.recalledRegister}`
+        });
+      }
+
+      return res.status(400).json({ message: `${existing.label} expired at the end of the day it was parked` });
+    }
+
+    res.json({
+      message: `Recalled ${parked.label}`,
+      parkedSale: parked
+    });
+  } catch (err) {
+    console.error('Error recalling parked sale:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Parked sale not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,147 +1,301 @@
 // routes/payments.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
 const eftposService = require('../services/eftposService');
+const saleService = require('../services/saleService');
+const loyaltyService = require('../services/loyaltyService');
 const Sale = require('../models/Sale');
+const RegisterSession = require('../models/RegisterSession');
+const Customer = require('../models/Customer');
+const SaleConflict = require('../models/SaleConflict');
+const EftposTransaction = require('../models/EftposTransaction');
 const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
 
-// Process EFTPOS payment
-router.post('/eftpos', auth, async (req, res) => {
+// Card payments are shown to the POS without the provider's own reference
+const hideProviderReference = (transaction) => {
+  const { providerReference, ...rest } = transaction.toObject();
+  return rest;
+};
+
+// Card payment that has reached the terminal and taken money
+const isApproved = transaction => ['Approved', 'Partially Approved'].includes(transaction.status);
+
+/**
+ * Bring a card payment up to date with the terminal. When it finishes, the
+ * transaction is closed and any approved amount is added to the sale in one
+ * database transaction, so the payment is only added once however many
+ * polls see the approval.
+ */
+const refreshTransaction = async (transaction, performedBy) => {
+  if (transaction.status !== 'Pending') {
+    return transaction;
+  }
+
+  const update = await eftposService.checkPayment(transaction);
+
+  if (update.status === 'Pending') {
+    const updated = await EftposTransaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'Pending' },
+      { $set: update },
+      { new: true }
+    );
+
+    return updated || EftposTransaction.findById(transaction._id);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let finished;
+
+    await session.withTransaction(async () => {
+      finished = await EftposTransaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'Pending' },
+        { $set: { ...update, completedAt: Date.now() } },
+        { new: true, session }
+      );
+
+      // Another poll got there first
+      if (!finished) {
+        finished = await EftposTransaction.findById(transaction._id).session(session);
+        return;
+      }
+
+      if (!isApproved(finished)) {
+        return;
+      }
+
+      const sale = await Sale.findById(finished.sale).session(session);
+
+      sale.payments.push({
+        method: finished.method,
+        amount: finished.approvedAmount,
+        reference: finished.reference,
+        transactionId: finished.transactionId,
+        cardType: finished.cardType,
+        lastFourDigits: finished.lastFourDigits,
+        authCode: finished.authCode,
+        processedAt: finished.completedAt
+      });
+
+      // Complete the sale once the tenders cover the total
+      sale.settlePayments();
+
+      await sale.save({ session });
+
+      if (sale.status === 'Completed') {
+        await saleService.completeSale(sale, performedBy, session);
+      }
+    });
+
+    return finished;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Respond with a card payment and the sale it is for
+const sendTransaction = async (res, transaction, status = 200) => {
+  const sale = await Sale.findById(transaction.sale);
+
+  res.status(status).json({
+    success: transaction.status === 'Pending' || isApproved(transaction),
+    transaction: hideProviderReference(transaction),
+    balanceDue: sale.getBalanceDue(),
+    sale
+  });
+};
+
+// Errors from the terminal carry a status; anything else is ours
+const sendPaymentError = (res, err, message) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    success: false,
+    message: err.message || message
+  });
+};
+
+// @route   POST api/payments/eftpos
+// @desc    Send one card leg of a sale to the EFTPOS terminal. The POS then
+//          polls it while the customer deals with the terminal. Earlier
+//          tenders stay on the sale if the card is declined, so the cashier
+//          can retry or take the balance another way.
+// @access  Private/Cashier, Manager, Admin
+router.post('/eftpos', [auth, permit('sales:create')], async (req, res) => {
   try {
-    const { amount, saleReference } = req.body;
+    const { saleReference } = req.body;
+    const method = req.body.method || 'EFTPOS';
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
     
     if (!amount || !saleReference) {
       return res.status(400).json({ message: 'Amount and sale reference are required' });
     }
     
+    if (!Sale.CARD_METHODS.includes(method)) {
+      return res.status(400).json({ message: `${method} is not a card payment method` });
+    }
+    
     // Find the sale
-    const sale = await Sale.findOne({ saleNumber: saleReference });
+    let sale = await Sale.findOne({ saleNumber: saleReference });
     
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
     }
     
-    // Process payment through EFTPOS terminal
-    const paymentResult = await eftposService.processPayment({
-      amount: amount,
-      reference: saleReference
-    });
+    // The terminal takes one card at a time
+    const inProgress = await EftposTransaction.findOne({ sale: sale._id, status: 'Pending' });
     
-    if (paymentResult.success) {
-      // Add payment to sale
-      sale.payments.push({
-        method: 'EFTPOS',
-        amount: paymentResult.amount,
-        reference: saleReference,
-        transactionId: paymentResult.transactionId,
-        cardType: paymentResult.cardType,
-        lastFourDigits: paymentResult.lastFourDigits
-      });
+    if (inProgress) {
+      const refreshed = await refreshTransaction(inProgress, req.user.id);
       
-      // Update sale status if fully paid
-      const totalPayments = sale.payments.reduce((sum, payment) => sum + payment.amount, 0);
-      if (totalPayments >= sale.total) {
-        sale.status = 'Completed';
+      if (refreshed.status === 'Pending') {
+        return res.status(409).json({ message: 'A card payment is already in progress on this sale' });
       }
       
-      await sale.save();
-      
-      res.json({
-        success: true,
-        payment: paymentResult,
-        sale: {
-          id: sale._id,
-          saleNumber: sale.saleNumber,
-          total: sale.total,
-          status: sale.status
-        }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: paymentResult.responseText || 'Payment failed'
+      sale = await Sale.findById(sale._id);
+    }
+    
+    if (sale.status !== 'Pending Payment') {
+      return res.status(400).json({ message: 'Sale is not awaiting payment' });
+    }
+    
+    const tenderError = sale.validateTender(method, amount);
+    
+    if (tenderError) {
+      return res.status(400).json({ message: tenderError });
+    }
+    
+    const legs = await EftposTransaction.countDocuments({ sale: sale._id });
+    
+    const transaction = new EftposTransaction({
+      sale: sale._id,
+      saleNumber: sale.saleNumber,
+      method,
+      amount,
+      reference: `${sale.saleNumber}-${legs + 1}`,
+      provider: eftposService.getProvider(),
+      prompt: 'Processing',
+      startedBy: req.user.id
+    });
+    
+    await transaction.save();
+    
+    try {
+      transaction.providerReference = await eftposService.startPayment({
+        amount,
+        reference: transaction.reference
       });
+    } catch (err) {
+      transaction.status = 'Failed';
+      transaction.prompt = null;
+      transaction.responseText = err.message;
+      transaction.completedAt = Date.now();
+      await transaction.save();
+      
+      return sendPaymentError(res, err, 'EFTPOS payment error');
     }
+    
+    await transaction.save();
+    
+    await sendTransaction(res, transaction, 202);
   } catch (err) {
-    console.error('EFTPOS payment error:', err);
-    res.status(500).json({ 
-      success: false,
-      message: err.message || 'Payment processing error' 
-    });
+    sendPaymentError(res, err, 'EFTPOS payment error');
   }
 });
 
-// Void/Cancel a payment
-router.post('/void', auth, async (req, res) => {
+// @route   GET api/payments/eftpos/:id
+// @desc    Check a card payment on the terminal, e.g. to show 'Present Card'
+// @access  Private/Cashier, Manager, Admin
+router.get('/eftpos/:id', [auth, permit('sales:create')], async (req, res) => {
   try {
-    const { transactionId, saleNumber } = req.body;
+    const transaction = await EftposTransaction.findById(req.params.id);
     
-    if (!transactionId || !saleNumber) {
-      return res.status(400).json({ 
-        message: 'Transaction ID and sale number are required' 
-      });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Card payment not found' });
     }
     
-    // Find the sale
-    const sale = await Sale.findOne({ saleNumber });
+    await sendTransaction(res, await refreshTransaction(transaction, req.user.id));
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card payment not found' });
+    }
     
-    if (!sale) {
-      return res.status(404).json({ message: 'Sale not found' });
+    sendPaymentError(res, err, 'EFTPOS status error');
+  }
+});
+
+// @route   POST api/payments/eftpos/:id/signature
+// @desc    Accept or reject the customer's signature when the terminal asks
+// @access  Private/Cashier, Manager, Admin
+router.post('/eftpos/:id/signature', [auth, permit('sales:create')], async (req, res) => {
+  try {
+    const transaction = await EftposTransaction.findById(req.params.id);
+    
+    if (!transaction) {
+      return res.status(404).json({ message: 'Card payment not found' });
     }
     
-    // Check if the transaction exists in this sale
-    const paymentIndex = sale.payments.findIndex(p => p.transactionId === transactionId);
+    if (transaction.status !== 'Pending' || transaction.prompt !== 'Signature Required') {
+      return res.status(400).json({ message: 'The terminal is not waiting for a signature check' });
+    }
     
-    if (paymentIndex === -1) {
-      return res.status(404).json({ 
-        message: 'Transaction not found for this sale' 
-      });
+    await eftposService.confirmSignature(transaction, req.body.accepted === true);
+    
+    await sendTransaction(res, await refreshTransaction(transaction, req.user.id));
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card payment not found' });
     }
     
-    // Process void through EFTPOS terminal
-    const voidResult = await eftposService.voidTransaction(transactionId);
+    sendPaymentError(res, err, 'EFTPOS signature error');
+  }
+});
+
+// @route   POST api/payments/eftpos/:id/cancel
+// @desc    Cancel a card payment the customer has not finished
+// @access  Private/Cashier, Manager, Admin
+router.post('/eftpos/:id/cancel', [auth, permit('sales:create')], async (req, res) => {
+  try {
+    const transaction = await EftposTransaction.findById(req.params.id);
     
-    if (voidResult.success) {
-      // Remove the payment from the sale
-      const removedPayment = sale.payments.splice(paymentIndex, 1)[0];
-      
-      // Update sale status
-      sale.status = 'Voided';
-      await sale.save();
-      
-      res.json({
-        success: true,
-        message: 'Payment voided successfully',
-        voidedAmount: removedPayment.amount,
-        sale: {
-          id: sale._id,
-          saleNumber: sale.saleNumber,
-          status: sale.status
-        }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: voidResult.responseText || 'Failed to void payment'
-      });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Card payment not found' });
+    }
+    
+    if (transaction.status !== 'Pending') {
+      return res.status(400).json({ message: `Card payment is already ${transaction.status.toLowerCase()}` });
     }
+    
+    await eftposService.cancelPayment(transaction);
+    
+    // The card may have been approved before the cancel reached the terminal
+    await sendTransaction(res, await refreshTransaction(transaction, req.user.id));
   } catch (err) {
-    console.error('Payment void error:', err);
-    res.status(500).json({ 
-      success: false,
-      message: err.message || 'Error voiding payment' 
-    });
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card payment not found' });
+    }
+    
+    sendPaymentError(res, err, 'EFTPOS cancel error');
   }
 });
 
-// Process refund
-router.post('/refund', auth, async (req, res) => {
+// Void a card payment on a sale still awaiting payment, e.g. when the
+// customer changes their mind part way through a split payment. Completed
+// sales are voided as a whole through PUT api/sales/:id/void.
+router.post('/void', [auth, permit('payments:refund')], async (req, res) => {
   try {
-    const { transactionId, amount, saleNumber } = req.body;
+    const { transactionId, saleNumber } = req.body;
     
-    if (!transactionId || !amount || !saleNumber) {
+    if (!transactionId || !saleNumber) {
       return res.status(400).json({ 
-        message: 'Transaction ID, amount, and sale number are required' 
+        message: 'Transaction ID and sale number are required' 
       });
     }
     
@@ -152,6 +306,12 @@ router.post('/refund', auth, async (req, res) => {
       return res.status(404).json({ message: 'Sale not found' });
     }
     
+    if (sale.status !== 'Pending Payment') {
+      return res.status(400).json({
+        message: 'Only payments on a sale awaiting payment can be voided. Void the whole sale instead.'
+      });
+    }
+    
     // Check if the transaction exists in this sale
     const payment = sale.payments.find(p => p.transactionId === transactionId);
     
@@ -161,65 +321,199 @@ router.post('/refund', auth, async (req, res) => {
       });
     }
     
-    // Check if refund amount is valid
-    if (amount > payment.amount) {
-      return res.status(400).json({ 
-        message: 'Refund amount cannot exceed original payment amount' 
-      });
-    }
-    
-    // Process refund through EFTPOS terminal
-    const refundResult = await eftposService.refundTransaction(
+    // Process void through EFTPOS terminal
+    const voidResult = await eftposService.voidTransaction(
       transactionId,
-      amount,
-      `REFUND-${saleNumber}`
+      payment.amount,
+      `VOID-${saleNumber}`
     );
     
-    if (refundResult.success) {
-      // Update sale status
-      if (Math.abs(amount - payment.amount) < 0.01) {
-        // Full refund
-        sale.status = 'Refunded';
-      } else {
-        // Partial refund
-        sale.status = 'Partially Refunded';
-      }
-      
-      // Add refund record
-      sale.refunds = sale.refunds || [];
-      sale.refunds.push({
-        originalTransactionId: transactionId,
-        refundTransactionId: refundResult.transactionId,
-        amount: amount,
-        date: new Date(),
-        processedBy: req.user.id
-      });
-      
+    if (voidResult.success) {
+      // Take the payment off the sale, which is left awaiting the balance
+      sale.payments.pull(payment._id);
+      sale.settlePayments();
       await sale.save();
       
       res.json({
         success: true,
-        message: 'Payment refunded successfully',
-        refundAmount: amount,
+        message: 'Payment voided successfully',
+        voidedAmount: payment.amount,
         sale: {
           id: sale._id,
           saleNumber: sale.saleNumber,
-          status: sale.status
+          status: sale.status,
+          balanceDue: sale.getBalanceDue()
         }
       });
     } else {
       res.status(400).json({
         success: false,
-        message: refundResult.responseText || 'Failed to process refund'
+        message: voidResult.responseText || 'Failed to void payment'
       });
     }
   } catch (err) {
-    console.error('Payment refund error:', err);
-    res.status(500).json({ 
-      success: false,
-      message: err.message || 'Error processing refund' 
-    });
+    sendPaymentError(res, err, 'Error voiding payment');
   }
 });
 
+// Process refund
+router.post(
+  '/refund',
+  [
+    auth,
+    permit('payments:refund'),
+    [
+      check('transactionId', 'Transaction ID is required').not().isEmpty(),
+      check('saleNumber', 'Sale number is required').not().isEmpty(),
+      check('amount', 'Refund amount must be greater than zero').isFloat({ gt: 0 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { transactionId, saleNumber, registerNumber } = req.body;
+      const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+      
+      // Find the sale
+      const sale = await Sale.findOne({ saleNumber });
+      
+      if (!sale) {
+        return res.status(404).json({ message: 'Sale not found' });
+      }
+      
+      // Check if the transaction exists in this sale
+      const payment = sale.payments.find(p => p.transactionId === transactionId);
+      
+      if (!payment) {
+        return res.status(404).json({ 
+          message: 'Transaction not found for this sale' 
+        });
+      }
+      
+      // Hold the sale while the card is refunded so the same payment can't be
+      // refunded twice at once
+      const lockedSale = await Sale.lockForRefund(sale._id);
+
+      if (!lockedSale) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another refund or void is being processed for this sale, please try again'
+        });
+      }
+
+      // Check the payment can still be refunded, counting what was already
+      // refunded or voided on the terminal
+      const refundError = lockedSale.validateCardRefund(transactionId, amount);
+
+      if (refundError) {
+        await Sale.unlockForRefund(lockedSale);
+
+        return res.status(400).json({ success: false, message: refundError });
+      }
+
+      // The refund shows on the Z report of the register it was given at
+      const registerSession = await RegisterSession.findOpen(registerNumber || lockedSale.registerNumber);
+
+      let refundResult;
+
+      try {
+        // Process refund through EFTPOS terminal
+        refundResult = await eftposService.refundTransaction(
+          transactionId,
+          amount,
+          `REFUND-${saleNumber}`
+        );
+      } catch (err) {
+        await Sale.unlockForRefund(lockedSale);
+        throw err;
+      }
+
+      if (refundResult.success) {
+        // The refund and the points and spend it takes back are saved together
+        const session = await mongoose.startSession();
+
+        try {
+          await session.withTransaction(async () => {
+            const saleDoc = await Sale.findById(sale._id).session(session);
+            saleDoc.refundLockedAt = undefined;
+
+            // Add refund record
+            saleDoc.refunds.push({
+              amount: amount,
+              method: payment.method,
+              originalTransactionId: transactionId,
+              refundTransactionId: refundResult.transactionId,
+              date: new Date(),
+              processedBy: req.user.id,
+              registerSession: registerSession ? registerSession._id : undefined
+            });
+
+            // Refunded once everything refunded so far covers the sale
+            saleDoc.settleRefunds();
+            await saleDoc.save({ session });
+
+            // Take back the points and spend the refunded share of the sale earned
+            if (saleDoc.customer) {
+              await loyaltyService.clawbackPoints({
+                sale: saleDoc,
+                amount,
+                performedBy: req.user.id
+              }, session);
+
+              await Customer.updateOne(
+                { _id: saleDoc.customer },
+                { $inc: { totalSpent: -amount } },
+                { session }
+              );
+            }
+
+            sale.status = saleDoc.status;
+          });
+        } catch (err) {
+          // The customer has the money back, so the refund is recorded for a
+          // manager to put right
+          await SaleConflict.recordCardReversal({
+            type: 'Refund Failed',
+            sale,
+            amount,
+            details: `${Number(amount).toFixed(2)} was refunded to ${payment.method} on the terminal (${refundResult.transactionId}) but the sale was not updated: ${err.message}`,
+            recordedBy: req.user.id
+          }).catch(recordErr => {
+            console.error(`Error recording failed refund of ${saleNumber}:`, recordErr);
+          });
+          await Sale.unlockForRefund(lockedSale);
+          throw err;
+        } finally {
+          session.endSession();
+        }
+
+        res.json({
+          success: true,
+          message: 'Payment refunded successfully',
+          refundAmount: amount,
+          sale: {
+            id: sale._id,
+            saleNumber: sale.saleNumber,
+            status: sale.status
+          }
+        });
+      } else {
+        await Sale.unlockForRefund(lockedSale);
+
+        res.status(400).json({
+          success: false,
+          message: refundResult.responseText || 'Failed to process refund'
+        });
+      }
+    } catch (err) {
+      sendPaymentError(res, err, 'Error processing refund');
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
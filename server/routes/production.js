@@ -0,0 +1,518 @@
+// routes/production.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const config = require('config');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const ProductionJob = require('../models/ProductionJob');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+
+const { PRODUCTION_STAGES } = ProductionJob;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const productionError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Stage plan from config, with any days or loss percentages the user changed
+const buildPlan = (overrides = []) => {
+  const defaults = config.get('production.stages');
+
+  return PRODUCTION_STAGES.slice(0, -1).map(stage => {
+    const override = overrides.find(step => step.stage === stage) || {};
+    const planned = defaults[stage] || {};
+
+    return {
+      stage,
+      expectedDays: override.expectedDays !== undefined && override.expectedDays !== ''
+        ? parseInt(override.expectedDays)
+        : planned.days || 0,
+      expectedLossPercent: override.expectedLossPercent !== undefined && override.expectedLossPercent !== ''
+        ? parseFloat(override.expectedLossPercent)
+        : planned.lossPercent || 0
+    };
+  });
+};
+
+// Open a stage record for the job with its planned days and losses
+const startStage = (job, stage) => {
+  const planned = job.planFor(stage);
+
+  job.stage = stage;
+  job.stages.push({
+    stage,
+    expectedDays: planned.expectedDays,
+    expectedLossPercent: planned.expectedLossPercent,
+    quantityIn: job.quantity
+  });
+};
+
+// Take seeds, pots and other inputs out of stock and charge them to the job
+const consumeInputs = async (job, inputs, userId, session) => {
+  for (const input of inputs) {
+    const product = await Product.findById(input.product).session(session);
+
+    if (!product) {
+      throw productionError(400, `Product not found: ${input.product}`);
+    }
+
+    if (product._id.equals(job.product)) {
+      throw productionError(400, `${product.name} is the plant being grown and cannot be an input`);
+    }
+
+    const quantity = parseInt(input.quantity);
+
+    await inventoryService.recordMovement({
+      product: product._id,
+      movementType: 'Consumed',
+      quantity,
+      reference: job.jobNumber,
+      notes: `Used in production job ${job.jobNumber}`,
+      performedBy: userId
+    }, session);
+
+    job.inputs.push({
+      product: product._id,
+      name: product.name,
+      quantity,
+      unitCost: product.costPrice,
+      cost: roundCurrency(quantity * product.costPrice),
+      stage: job.stage,
+      usedBy: userId
+    });
+  }
+
+  job.inputCost = roundCurrency(job.inputs.reduce((sum, input) => sum + input.cost, 0));
+};
+
+const inputChecks = [
+  check('inputs.*.product', 'Product ID is required for each input').isMongoId(),
+  check('inputs.*.quantity', 'Input quantity must be a whole number of at least 1').isInt({ min: 1 })
+];
+
+// @route   GET api/production
+// @desc    Get production jobs with filters
+// @access  Private/Manager, Admin, Inventory
+router.get('/', [auth, permit('production:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    // Status filter, accepts a comma separated list
+    if (req.query.status) {
+      query.status = { $in: req.query.status.split(',') };
+    }
+
+    if (req.query.stage) {
+      query.stage = req.query.stage;
+    }
+
+    if (req.query.product) {
+      query.product = req.query.product;
+    }
+
+    // Pagination options
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const jobs = await ProductionJob.find(query)
+      .populate('product', 'name barcode category')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await ProductionJob.countDocuments(query);
+
+    res.json({
+      jobs,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching production jobs:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/production/plan
+// @desc    Stages and the default days and losses planned for each
+// @access  Private/Manager, Admin, Inventory
+router.get('/plan', [auth, permit('production:view')], (req, res) => {
+  res.json({
+    stages: PRODUCTION_STAGES,
+    plan: buildPlan()
+  });
+});
+
+// @route   GET api/production/:id
+// @desc    Get a production job
+// @access  Private/Manager, Admin, Inventory
+router.get('/:id', [auth, permit('production:view')], async (req, res) => {
+  try {
+    const job = await ProductionJob.findById(req.params.id)
+      .populate('product', 'name barcode category costPrice currentStock')
+      .populate('batch', 'batchNumber quantity')
+      .populate('location', 'name')
+      .populate('createdBy', 'name')
+      .populate('inputs.usedBy', 'name')
+      .populate('stages.completedBy', 'name');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Production job not found' });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error('Error fetching production job:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Production job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/production
+// @desc    Start a production job, taking its inputs out of stock
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/',
+  [
+    auth,
+    permit('production:manage'),
+    [
+      check('product', 'Finished product is required').isMongoId(),
+      check('quantity', 'Quantity started must be a whole number of at least 1').isInt({ min: 1 }),
+      check('method', 'Invalid propagation method').optional().isIn(['Seed', 'Cutting', 'Division', 'Potting On']),
+      check('startStage', 'Invalid starting stage').optional().isIn(PRODUCTION_STAGES.slice(0, -1)),
+      check('inputs', 'Inputs must be a list').optional().isArray(),
+      ...inputChecks,
+      check('plan', 'Plan must be a list').optional().isArray(),
+      check('plan.*.expectedDays', 'Expected days must be zero or more').optional({ values: 'falsy' }).isInt({ min: 0 }),
+      check('plan.*.expectedLossPercent', 'Expected loss must be between 0 and 100').optional({ values: 'falsy' }).isFloat({ min: 0, max: 100 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let job;
+
+      await session.withTransaction(async () => {
+        const product = await Product.findById(req.body.product).session(session);
+
+        if (!product) {
+          throw productionError(400, 'Finished product not found');
+        }
+
+        const quantity = parseInt(req.body.quantity);
+        const location = req.body.location
+          ? await inventoryService.resolveLocation(req.body.location, session)
+          : null;
+
+        job = new ProductionJob({
+          product: product._id,
+          method: req.body.method || 'Seed',
+          stage: req.body.startStage || 'Sown',
+          startQuantity: quantity,
+          quantity,
+          plan: buildPlan(req.body.plan),
+          location: location ? location._id : undefined,
+          notes: req.body.notes,
+          createdBy: req.user.id
+        });
+
+        startStage(job, job.stage);
+
+        // The job number is the reference on its movements
+        job.$session(session);
+        await job.validate();
+
+        await consumeInputs(job, req.body.inputs || [], req.user.id, session);
+
+        await job.save({ session });
+      });
+
+      res.status(201).json({
+        message: 'Production job created successfully',
+        job
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error creating production job:', err);
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   POST api/production/:id/inputs
+// @desc    Use more inputs on a job, e.g. pots when potting up
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/:id/inputs',
+  [
+    auth,
+    permit('production:manage'),
+    [
+      check('inputs', 'At least one input is required').isArray({ min: 1 }),
+      ...inputChecks
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let job;
+
+      await session.withTransaction(async () => {
+        job = await ProductionJob.findById(req.params.id).session(session);
+
+        if (!job) {
+          throw productionError(404, 'Production job not found');
+        }
+
+        if (job.status !== 'In Progress') {
+          throw productionError(400, `Production job is ${job.status.toLowerCase()}`);
+        }
+
+        await consumeInputs(job, req.body.inputs, req.user.id, session);
+        await job.save({ session });
+      });
+
+      res.json({
+        message: 'Inputs recorded',
+        job
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error recording production inputs:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Production job not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   POST api/production/:id/advance
+// @desc    Finish the current stage, recording losses, and move to the next.
+//          Reaching 'Ready for Sale' completes the job and puts the plants into stock.
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/:id/advance',
+  [
+    auth,
+    permit('production:manage'),
+    [
+      check('quantityLost', 'Quantity lost must be zero or more').optional({ values: 'falsy' }).isInt({ min: 0 }),
+      check('additionalCost', 'Additional cost must be zero or more').optional({ values: 'falsy' }).isFloat({ min: 0 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let job;
+
+      await session.withTransaction(async () => {
+        job = await ProductionJob.findById(req.params.id).session(session);
+
+        if (!job) {
+          throw productionError(404, 'Production job not found');
+        }
+
+        if (job.status !== 'In Progress') {
+          throw productionError(400, `Production job is ${job.status.toLowerCase()}`);
+        }
+
+        const quantityLost = parseInt(req.body.quantityLost) || 0;
+
+        if (quantityLost > job.quantity) {
+          throw productionError(400, `Only ${job.quantity} plants are left in this job`);
+        }
+
+        const current = job.currentStage();
+        current.quantityLost = quantityLost;
+        current.lossReason = req.body.lossReason;
+        current.notes = req.body.notes;
+        current.completedAt = Date.now();
+        current.completedBy = req.user.id;
+
+        job.quantity -= quantityLost;
+
+        const nextStage = PRODUCTION_STAGES[PRODUCTION_STAGES.indexOf(job.stage) + 1];
+
+        if (nextStage !== 'Ready for Sale') {
+          startStage(job, nextStage);
+          await job.save({ session });
+          return;
+        }
+
+        if (job.quantity === 0) {
+          throw productionError(400, 'No plants are left to put into stock. Cancel the job instead.');
+        }
+
+        // Everything spent on the job is carried by the plants that survived
+        job.additionalCost = roundCurrency(parseFloat(req.body.additionalCost) || 0);
+        job.outputQuantity = job.quantity;
+        job.unitCost = roundCurrency((job.inputCost + job.additionalCost) / job.outputQuantity);
+
+        // Batch age counts from potting up, or from the start of the job
+        const potted = job.stages.find(record => record.stage === 'Potted');
+        const location = req.body.location || job.location;
+
+        const { movement } = await inventoryService.recordMovement({
+          product: job.product,
+          movementType: 'Produced',
+          quantity: job.outputQuantity,
+          newBatch: {
+            pottingDate: (potted || job.stages[0]).startedAt,
+            source: 'Propagation',
+            reference: job.jobNumber,
+            potSize: req.body.potSize,
+            location,
+            unitCost: job.unitCost
+          },
+          reference: job.jobNumber,
+          notes: `Completed production job ${job.jobNumber}`,
+          location,
+          performedBy: req.user.id
+        }, session);
+
+        // Rolled-up cost becomes the product's cost price, as supplier cost does on a PO
+        await Product.updateOne(
+          { _id: job.product },
+          { $set: { costPrice: job.unitCost, updatedAt: Date.now() } },
+          { session }
+        );
+
+        job.stage = nextStage;
+        job.stages.push({
+          stage: nextStage,
+          quantityIn: job.quantity,
+          completedAt: Date.now(),
+          completedBy: req.user.id
+        });
+        job.batch = movement.batch;
+        job.status = 'Completed';
+        job.completedAt = Date.now();
+
+        await job.save({ session });
+      });
+
+      res.json({
+        message: job.status === 'Completed'
+          ? `${job.outputQuantity} plants added to stock at $${job.unitCost.toFixed(2)} each`
+          : `Job moved to ${job.stage}`,
+        job
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error advancing production job:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Production job not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   PUT api/production/:id/cancel
+// @desc    Abandon a job. Inputs already used stay used.
+// @access  Private/Manager, Admin, Inventory
+router.put('/:id/cancel', [auth, permit('production:manage')], async (req, res) => {
+  try {
+    const job = await ProductionJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Production job not found' });
+    }
+
+    if (job.status !== 'In Progress') {
+      return res.status(400).json({
+        message: `Production job is already ${job.status.toLowerCase()}`
+      });
+    }
+
+    // Plants left in the job are lost with it
+    const current = job.currentStage();
+    current.quantityLost = job.quantity;
+    current.lossReason = req.body.reason || 'Job cancelled';
+    current.completedAt = Date.now();
+    current.completedBy = req.user.id;
+
+    job.quantity = 0;
+    job.status = 'Cancelled';
+    job.cancelledAt = Date.now();
+
+    if (req.body.reason) {
+      job.notes = `${job.notes ? job.notes + ' | ' : ''}CANCELLED: ${req.body.reason}`;
+    }
+
+    await job.save();
+
+    res.json({
+      message: 'Production job cancelled',
+      job
+    });
+  } catch (err) {
+    console.error('Error cancelling production job:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Production job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,20 @@
 // routes/products.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const roleAuth = require('../middleware/roleAuth');
+const { permit } = require('../middleware/permissions');
 const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
+const inventoryService = require('../services/inventoryService');
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const productError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
 
 // @route   GET api/products
 // @desc    Get all products
@@ -66,6 +75,24 @@ router.get('/', auth, async (req, res) => {
     // Get total count for pagination
     const totalCount = await Product.countDocuments(query);
     
+    // The POS only sells stock held at the sales location
+    if (req.query.sellable === 'true') {
+      const sellable = await inventoryService.getSellableStock(products);
+      
+      return res.json({
+        products: products.map(product => ({
+          ...product.toObject(),
+          sellableStock: sellable[product._id.toString()]
+        })),
+        pagination: {
+          totalItems: totalCount,
+          totalPages: Math.ceil(totalCount / limit),
+          currentPage: page,
+          pageSize: limit
+        }
+      });
+    }
+    
     res.json({
       products,
       pagination: {
@@ -125,13 +152,16 @@ router.post(
   '/',
   [
     auth,
-    roleAuth(['admin', 'manager', 'inventory']),
+    permit('products:edit'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('barcode', 'Barcode is required').not().isEmpty(),
       check('category', 'Category is required').not().isEmpty(),
       check('costPrice', 'Cost price is required').isNumeric(),
-      check('sellingPrice', 'Selling price is required').isNumeric()
+      check('sellingPrice', 'Selling price is required').isNumeric(),
+      check('currentStock', 'Opening stock must be a whole number of 0 or more')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 0 })
     ]
   ],
   async (req, res) => {
@@ -141,6 +171,8 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
     
+    const session = await mongoose.startSession();
+
     try {
       // Check if product with barcode already exists
       const existingProduct = await Product.findOne({ barcode: req.body.barcode });
@@ -179,7 +211,7 @@ router.post(
         costPrice,
         sellingPrice,
         taxRate: taxRate || 15, // Default to 15% GST
-        currentStock: currentStock || 0,
+        currentStock: 0,
         minimumStock: minimumStock || 5,
         location,
         plantDetails,
@@ -187,8 +219,25 @@ router.post(
         isActive: isActive !== undefined ? isActive : true
       });
       
-      // Save product
-      await product.save();
+      const openingStock = parseInt(currentStock) || 0;
+
+      await session.withTransaction(async () => {
+        await product.save({ session });
+
+        // Opening stock is recorded as a movement so the ledger starts at zero
+        if (openingStock > 0) {
+          const { product: stocked } = await inventoryService.recordMovement({
+            product: product._id,
+            movementType: 'Adjustment',
+            quantity: openingStock,
+            stockChange: openingStock,
+            notes: 'Opening stock',
+            performedBy: req.user.id
+          }, session);
+
+          product.currentStock = stocked.currentStock;
+        }
+      });
       
       // If supplier is provided, add product to supplier's productsSupplied
       if (supplier) {
@@ -204,8 +253,14 @@ router.post(
         product
       });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
       console.error('Error creating product:', err);
       res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
     }
   }
 );
@@ -217,7 +272,7 @@ router.put(
   '/:id',
   [
     auth,
-    roleAuth(['admin', 'manager', 'inventory']),
+    permit('products:edit'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('category', 'Category is required').not().isEmpty(),
@@ -340,7 +395,7 @@ router.put(
 // @route   DELETE api/products/:id
 // @desc    Delete a product
 // @access  Private/Admin
-router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
+router.delete('/:id', [auth, permit('products:delete')], async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -364,7 +419,7 @@ router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
     }
     
     // Delete product
-    await product.remove();
+    await product.deleteOne();
     
     res.json({ message: 'Product deleted successfully' });
   } catch (err) {
@@ -385,9 +440,9 @@ router.put(
   '/:id/stock',
   [
     auth,
-    roleAuth(['admin', 'manager']),
+    permit('stock:override'),
     [
-      check('currentStock', 'Current stock is required').isNumeric()
+      check('currentStock', 'Current stock must be a whole number of 0 or more').isInt({ min: 0 })
     ]
   ],
   async (req, res) => {
@@ -397,41 +452,49 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
     
+    const session = await mongoose.startSession();
+
     try {
-      const product = await Product.findById(req.params.id);
-      
-      if (!product) {
-        return res.status(404).json({ message: 'Product not found' });
-      }
-      
-      const { currentStock, notes } = req.body;
-      const previousStock = product.currentStock;
-      
-      // Update stock
-      product.currentStock = currentStock;
-      await product.save();
-      
-      // Create inventory movement record
-      const InventoryMovement = require('../models/InventoryMovement');
-      const movement = new InventoryMovement({
-        product: product._id,
-        barcode: product.barcode,
-        movementType: 'Adjustment',
-        quantity: Math.abs(currentStock - previousStock),
-        previousStock,
-        newStock: currentStock,
-        notes: notes || 'Stock adjustment by administrator',
-        performedBy: req.user.id
+      const currentStock = parseInt(req.body.currentStock);
+      let result;
+
+      await session.withTransaction(async () => {
+        const product = await Product.findById(req.params.id).session(session);
+
+        if (!product) {
+          throw productError(404, 'Product not found');
+        }
+
+        const stockChange = currentStock - product.currentStock;
+
+        if (stockChange === 0) {
+          result = { product, movement: null };
+          return;
+        }
+
+        // Recorded as a signed adjustment so the ledger still adds up
+        result = await inventoryService.recordMovement({
+          product: product._id,
+          movementType: 'Adjustment',
+          quantity: Math.abs(stockChange),
+          stockChange,
+          notes: req.body.notes || 'Stock adjustment by administrator',
+          performedBy: req.user.id
+        }, session);
       });
       
-      await movement.save();
-      
       res.json({
-        message: 'Product stock updated successfully',
-        product,
-        movement
+        message: result.movement
+          ? 'Product stock updated successfully'
+          : 'Stock is already at that level',
+        product: result.product,
+        movement: result.movement
       });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
       console.error('Error updating product stock:', err);
       
       if (err.kind === 'ObjectId') {
@@ -439,6 +502,8 @@ router.put(
       }
       
       res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
     }
   }
 );
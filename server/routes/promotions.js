@@ -0,0 +1,254 @@
+// routes/promotions.js
+const express = require('express');
+const router = express.Router();
+const { check, body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const pricingService = require('../services/pricingService');
+
+const CATEGORIES = Product.schema.path('category').enumValues;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validators shared by create and update. Each type needs its own settings.
+const promotionChecks = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('type', 'Type must be Percent Off, Fixed Price, Multi Buy or Buy X Get Y').isIn(Promotion.PROMOTION_TYPES),
+  check('percentOff', 'Percent off must be between 0 and 100')
+    .if(body('type').equals('Percent Off'))
+    .isFloat({ gt: 0, max: 100 }),
+  check('fixedPrice', 'Fixed price must be zero or more')
+    .if(body('type').equals('Fixed Price'))
+    .isFloat({ min: 0 }),
+  check('bundleQuantity', 'Bundle quantity must be a whole number of at least 2')
+    .if(body('type').equals('Multi Buy'))
+    .isInt({ min: 2 }),
+  check('bundlePrice', 'Bundle price must be zero or more')
+    .if(body('type').equals('Multi Buy'))
+    .isFloat({ min: 0 }),
+  check('buyQuantity', 'Buy quantity must be a whole number of at least 1')
+    .if(body('type').equals('Buy X Get Y'))
+    .isInt({ min: 1 }),
+  check('getQuantity', 'Free quantity must be a whole number of at least 1')
+    .if(body('type').equals('Buy X Get Y'))
+    .isInt({ min: 1 }),
+  check('products', 'Products must be a list').optional().isArray(),
+  check('products.*', 'Invalid product').isMongoId(),
+  check('categories', 'Categories must be a list').optional().isArray(),
+  check('categories.*', 'Unknown product category').isIn(CATEGORIES),
+  check('startDate', 'Start date must be a date').optional({ values: 'falsy' }).isISO8601(),
+  check('endDate', 'End date must be a date').optional({ values: 'falsy' }).isISO8601(),
+  check('daysOfWeek', 'Days must be a list').optional().isArray(),
+  check('daysOfWeek.*', 'Days must be 0 (Sunday) to 6 (Saturday)').isInt({ min: 0, max: 6 }),
+  check('startTime', 'Start time must be HH:MM').optional({ values: 'falsy' }).matches(TIME_PATTERN),
+  check('endTime', 'End time must be HH:MM').optional({ values: 'falsy' }).matches(TIME_PATTERN)
+];
+
+// Check the parts of a promotion the field validators can't, returning an error message if any
+const validatePromotion = ({ products, categories, startDate, endDate, startTime, endTime }) => {
+  if ((!products || products.length === 0) && (!categories || categories.length === 0)) {
+    return 'Choose at least one product or category';
+  }
+
+  if (startDate && endDate && new Date(endDate) < new Date(startDate)) {
+    return 'End date must be after the start date';
+  }
+
+  if (startTime && endTime && endTime <= startTime) {
+    return 'Happy hour must end after it starts';
+  }
+
+  return null;
+};
+
+// Copy the editable fields from a request onto a promotion. Settings for
+// other types are cleared so a changed type doesn't keep stale values.
+const applyFields = (promotion, fields) => {
+  const type = fields.type;
+
+  promotion.name = fields.name;
+  promotion.description = fields.description;
+  promotion.type = type;
+  promotion.percentOff = type === 'Percent Off' ? fields.percentOff : undefined;
+  promotion.fixedPrice = type === 'Fixed Price' ? fields.fixedPrice : undefined;
+  promotion.bundleQuantity = type === 'Multi Buy' ? fields.bundleQuantity : undefined;
+  promotion.bundlePrice = type === 'Multi Buy' ? fields.bundlePrice : undefined;
+  promotion.buyQuantity = type === 'Buy X Get Y' ? fields.buyQuantity : undefined;
+  promotion.getQuantity = type === 'Buy X Get Y' ? fields.getQuantity : undefined;
+  promotion.products = fields.products || [];
+  promotion.categories = fields.categories || [];
+  promotion.startDate = fields.startDate || undefined;
+  promotion.endDate = fields.endDate || undefined;
+  promotion.daysOfWeek = fields.daysOfWeek || [];
+  promotion.startTime = fields.startTime || undefined;
+  promotion.endTime = fields.endTime || undefined;
+
+  if (fields.isActive !== undefined) {
+    promotion.isActive = fields.isActive;
+  }
+};
+
+// @route   GET api/promotions
+// @desc    Get promotions, or only those running now with ?running=true
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    if (req.query.running === 'true') {
+      const promotions = await pricingService.getRunningPromotions();
+      return res.json(promotions);
+    }
+
+    const query = {};
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const promotions = await Promotion.find(query)
+      .populate('products', 'name barcode sellingPrice')
+      .sort({ isActive: -1, startDate: -1, name: 1 });
+
+    res.json(promotions);
+  } catch (err) {
+    console.error('Error fetching promotions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/promotions/:id
+// @desc    Get promotion by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('products', 'name barcode sellingPrice category')
+      .populate('createdBy', 'name');
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.json(promotion);
+  } catch (err) {
+    console.error('Error fetching promotion:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/promotions
+// @desc    Create a promotion
+// @access  Private/Manager, Admin
+router.post('/', [auth, permit('promotions:manage'), promotionChecks], async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const promotionError = validatePromotion(req.body);
+
+  if (promotionError) {
+    return res.status(400).json({ message: promotionError });
+  }
+
+  try {
+    const promotion = new Promotion({ createdBy: req.user.id });
+    applyFields(promotion, req.body);
+
+    await promotion.save();
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (err) {
+    console.error('Error creating promotion:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/promotions/:id
+// @desc    Update a promotion
+// @access  Private/Manager, Admin
+router.put('/:id', [auth, permit('promotions:manage'), promotionChecks], async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const promotionError = validatePromotion(req.body);
+
+  if (promotionError) {
+    return res.status(400).json({ message: promotionError });
+  }
+
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    applyFields(promotion, req.body);
+
+    await promotion.save();
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (err) {
+    console.error('Error updating promotion:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/promotions/:id
+// @desc    Delete a promotion
+// @access  Private/Manager, Admin
+router.delete('/:id', [auth, permit('promotions:manage')], async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    // Sales keep a reference to the promotion that priced them
+    const used = await Sale.exists({ 'items.promotion': promotion._id });
+
+    if (used) {
+      return res.status(400).json({
+        message: 'Cannot delete a promotion that has been used on sales. Deactivate it instead.'
+      });
+    }
+
+    await promotion.deleteOne();
+
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting promotion:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
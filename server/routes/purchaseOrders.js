@@ -0,0 +1,553 @@
+// routes/purchaseOrders.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+const reorderService = require('../services/reorderService');
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const orderError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Build order lines from { product, quantity, unitCost }, pricing at supplier cost
+const buildLines = async (lines) => {
+  const orderLines = [];
+
+  for (const line of lines) {
+    const product = await Product.findById(line.product);
+
+    if (!product) {
+      throw orderError(400, `Product not found: ${line.product}`);
+    }
+
+    orderLines.push({
+      product: product._id,
+      barcode: product.barcode,
+      name: product.name,
+      quantityOrdered: parseInt(line.quantity),
+      unitCost: line.unitCost !== undefined && line.unitCost !== ''
+        ? parseFloat(line.unitCost)
+        : product.costPrice
+    });
+  }
+
+  return orderLines;
+};
+
+// @route   GET api/purchase-orders
+// @desc    Get purchase orders with filters
+// @access  Private/Manager, Admin, Inventory
+router.get('/', [auth, permit('purchasing:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    // Status filter, accepts a comma separated list
+    if (req.query.status) {
+      query.status = { $in: req.query.status.split(',') };
+    }
+
+    // Supplier filter
+    if (req.query.supplier) {
+      query.supplier = req.query.supplier;
+    }
+
+    // PO number search
+    if (req.query.poNumber) {
+      query.poNumber = new RegExp(req.query.poNumber, 'i');
+    }
+
+    // Pagination options
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await PurchaseOrder.countDocuments(query);
+
+    res.json({
+      purchaseOrders,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching purchase orders:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/purchase-orders/reorder-suggestions
+// @desc    Suggested order quantities from sales velocity, grouped by supplier
+// @access  Private/Manager, Admin, Inventory
+router.get(
+  '/reorder-suggestions',
+  [auth, permit('purchasing:view')],
+  async (req, res) => {
+    try {
+      const suggestions = await reorderService.getReorderSuggestions({
+        supplier: req.query.supplier,
+        category: req.query.category
+      });
+
+      res.json(suggestions);
+    } catch (err) {
+      console.error('Error generating reorder suggestions:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/purchase-orders/reorder-suggestions/:supplierId
+// @desc    Create a draft purchase order from a supplier's reorder suggestions
+// @access  Private/Manager, Admin
+router.post(
+  '/reorder-suggestions/:supplierId',
+  [auth, permit('purchasing:approve')],
+  async (req, res) => {
+    try {
+      const supplier = await Supplier.findById(req.params.supplierId);
+
+      if (!supplier) {
+        return res.status(404).json({ message: 'Supplier not found' });
+      }
+
+      const [group] = await reorderService.getReorderSuggestions({
+        supplier: supplier._id.toString()
+      });
+
+      // Only keep the products the manager ticked, if a selection was sent
+      const selected = Array.isArray(req.body.products) ? req.body.products : null;
+      const products = group
+        ? group.products.filter(p => !selected || selected.includes(p.product.toString()))
+        : [];
+
+      if (products.length === 0) {
+        return res.status(400).json({ message: `Nothing needs reordering from ${supplier.name}` });
+      }
+
+      const purchaseOrder = new PurchaseOrder({
+        supplier: supplier._id,
+        lines: products.map(p => ({
+          product: p.product,
+          barcode: p.barcode,
+          name: p.name,
+          quantityOrdered: p.suggestedQuantity,
+          unitCost: p.unitCost
+        })),
+        paymentTerms: supplier.paymentTerms,
+        notes: 'Created from reorder suggestions',
+        createdBy: req.user.id
+      });
+
+      purchaseOrder.calculateTotal();
+      await purchaseOrder.save();
+
+      res.status(201).json({
+        message: 'Purchase order created successfully',
+        purchaseOrder
+      });
+    } catch (err) {
+      console.error('Error creating purchase order from suggestions:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Supplier not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/purchase-orders/:id
+// @desc    Get purchase order by ID
+// @access  Private/Manager, Admin, Inventory
+router.get('/:id', [auth, permit('purchasing:view')], async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier', 'name contactPerson email phone leadTime paymentTerms')
+      .populate('createdBy', 'name')
+      .populate('receipts.receivedBy', 'name');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.json(purchaseOrder);
+  } catch (err) {
+    console.error('Error fetching purchase order:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/purchase-orders
+// @desc    Create a draft purchase order
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/',
+  [
+    auth,
+    permit('purchasing:edit'),
+    [
+      check('supplier', 'Supplier is required').not().isEmpty(),
+      check('lines', 'At least one line is required').isArray({ min: 1 }),
+      check('lines.*.product', 'Product ID is required for each line').not().isEmpty(),
+      check('lines.*.quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const supplier = await Supplier.findById(req.body.supplier);
+
+      if (!supplier) {
+        return res.status(400).json({ message: 'Supplier not found' });
+      }
+
+      const purchaseOrder = new PurchaseOrder({
+        supplier: supplier._id,
+        lines: await buildLines(req.body.lines),
+        paymentTerms: supplier.paymentTerms,
+        notes: req.body.notes,
+        createdBy: req.user.id
+      });
+
+      purchaseOrder.calculateTotal();
+      await purchaseOrder.save();
+
+      res.status(201).json({
+        message: 'Purchase order created successfully',
+        purchaseOrder
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error creating purchase order:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT api/purchase-orders/:id
+// @desc    Update a draft purchase order
+// @access  Private/Manager, Admin, Inventory
+router.put(
+  '/:id',
+  [
+    auth,
+    permit('purchasing:edit'),
+    [
+      check('lines', 'At least one line is required').optional().isArray({ min: 1 }),
+      check('lines.*.product', 'Product ID is required for each line').not().isEmpty(),
+      check('lines.*.quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 })
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      if (purchaseOrder.status !== 'Draft') {
+        return res.status(400).json({ message: 'Only draft purchase orders can be edited' });
+      }
+
+      if (req.body.lines) {
+        purchaseOrder.lines = await buildLines(req.body.lines);
+      }
+
+      if (req.body.notes !== undefined) {
+        purchaseOrder.notes = req.body.notes;
+      }
+
+      purchaseOrder.calculateTotal();
+      await purchaseOrder.save();
+
+      res.json({
+        message: 'Purchase order updated successfully',
+        purchaseOrder
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error updating purchase order:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT api/purchase-orders/:id/send
+// @desc    Mark a draft purchase order as sent to the supplier
+// @access  Private/Manager, Admin
+router.put('/:id/send', [auth, permit('purchasing:approve')], async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplier', 'leadTime');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be sent' });
+    }
+
+    // Expect delivery after the supplier's usual lead time
+    const expectedDate = new Date();
+    expectedDate.setDate(expectedDate.getDate() + (purchaseOrder.supplier.leadTime || 0));
+
+    purchaseOrder.status = 'Sent';
+    purchaseOrder.sentAt = Date.now();
+    purchaseOrder.expectedDate = req.body.expectedDate ? new Date(req.body.expectedDate) : expectedDate;
+
+    await purchaseOrder.save();
+
+    res.json({
+      message: 'Purchase order sent',
+      purchaseOrder
+    });
+  } catch (err) {
+    console.error('Error sending purchase order:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/purchase-orders/:id/cancel
+// @desc    Cancel a purchase order; anything already received stays in stock
+// @access  Private/Manager, Admin
+router.put('/:id/cancel', [auth, permit('purchasing:approve')], async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (['Received', 'Cancelled'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        message: `Purchase order is already ${purchaseOrder.status.toLowerCase()}`
+      });
+    }
+
+    purchaseOrder.status = 'Cancelled';
+    purchaseOrder.cancelledAt = Date.now();
+
+    if (req.body.reason) {
+      purchaseOrder.notes = `${purchaseOrder.notes ? purchaseOrder.notes + ' | ' : ''}CANCELLED: ${req.body.reason}`;
+    }
+
+    await purchaseOrder.save();
+
+    res.json({
+      message: 'Purchase order cancelled',
+      purchaseOrder
+    });
+  } catch (err) {
+    console.error('Error cancelling purchase order:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/purchase-orders/:id/receive
+// @desc    Receive goods against a purchase order
+// @access  Private/Manager, Admin, Inventory
+router.post(
+  '/:id/receive',
+  [
+    auth,
+    permit('purchasing:edit'),
+    [
+      check('lines', 'Received lines are required').isArray({ min: 1 }),
+      check('lines.*.quantityReceived', 'Received quantity must be zero or more').optional().isInt({ min: 0 }),
+      check('lines.*.quantityDamaged', 'Damaged quantity must be zero or more').optional().isInt({ min: 0 }),
+      check('lines.*.pottingDate', 'Potting date must be a date').optional({ values: 'falsy' }).isISO8601()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let purchaseOrder;
+
+      await session.withTransaction(async () => {
+        purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+
+        if (!purchaseOrder) {
+          throw orderError(404, 'Purchase order not found');
+        }
+
+        if (!['Sent', 'Partially Received'].includes(purchaseOrder.status)) {
+          throw orderError(400, `Cannot receive against a ${purchaseOrder.status.toLowerCase()} purchase order`);
+        }
+
+        const receiptLines = [];
+
+        for (const received of req.body.lines) {
+          // Lines can be matched by product ID or by scanned barcode
+          const line = purchaseOrder.lines.find(l =>
+            (received.product && l.product.toString() === received.product) ||
+            (received.barcode && l.barcode === received.barcode)
+          );
+
+          if (!line) {
+            throw orderError(400, `${received.barcode || received.product} is not on this purchase order`);
+          }
+
+          const quantityReceived = parseInt(received.quantityReceived) || 0;
+          const quantityDamaged = parseInt(received.quantityDamaged) || 0;
+
+          if (quantityReceived + quantityDamaged === 0) {
+            continue;
+          }
+
+          if (quantityReceived + quantityDamaged > line.quantityShort) {
+            throw orderError(
+              400,
+              `Only ${line.quantityShort} of ${line.name} are outstanding on this purchase order`
+            );
+          }
+
+          line.quantityReceived += quantityReceived;
+          line.quantityDamaged += quantityDamaged;
+
+          if (quantityReceived > 0) {
+            // Each delivery line becomes a batch, aged from when it was potted
+            // if the supplier says, otherwise from today
+            await inventoryService.recordMovement({
+              product: line.product,
+              movementType: 'Received',
+              quantity: quantityReceived,
+              newBatch: {
+                pottingDate: received.pottingDate || undefined,
+                source: 'Purchase Order',
+                purchaseOrder: purchaseOrder._id,
+                reference: purchaseOrder.poNumber,
+                potSize: received.potSize,
+                location: received.location,
+                unitCost: line.unitCost
+              },
+              reference: purchaseOrder.poNumber,
+              notes: req.body.notes,
+              location: received.location,
+              performedBy: req.user.id
+            }, session);
+
+            // Latest supplier cost becomes the product's cost price
+            await Product.updateOne(
+              { _id: line.product },
+              { $set: { costPrice: line.unitCost, updatedAt: Date.now() } },
+              { session }
+            );
+          }
+
+          receiptLines.push({
+            product: line.product,
+            quantityReceived,
+            quantityDamaged
+          });
+        }
+
+        if (receiptLines.length === 0) {
+          throw orderError(400, 'Nothing was received');
+        }
+
+        purchaseOrder.receipts.push({
+          lines: receiptLines,
+          notes: req.body.notes,
+          receivedBy: req.user.id
+        });
+
+        // Damaged units count as delivered; short units are still expected
+        const complete = purchaseOrder.lines.every(line => line.quantityShort === 0);
+
+        if (complete) {
+          purchaseOrder.status = 'Received';
+          purchaseOrder.receivedAt = Date.now();
+        } else {
+          purchaseOrder.status = 'Partially Received';
+        }
+
+        await purchaseOrder.save({ session });
+      });
+
+      res.json({
+        message: 'Goods received successfully',
+        purchaseOrder
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error receiving purchase order:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+module.exports = router;
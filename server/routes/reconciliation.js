@@ -0,0 +1,227 @@
+// routes/reconciliation.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const SettlementImport = require('../models/SettlementImport');
+const SettlementLine = require('../models/SettlementLine');
+const reconciliationService = require('../services/reconciliationService');
+const eftposService = require('../services/eftposService');
+
+// Largest settlement file accepted, in characters
+const MAX_FILE_LENGTH = 4 * 1024 * 1024;
+
+// @route   POST api/reconciliation/imports
+// @desc    Import a daily settlement file (CSV) from the EFTPOS provider and
+//          match its lines to card payments on sales
+// @access  Private/Manager, Admin
+router.post(
+  '/imports',
+  [
+    auth,
+    permit('payments:reconcile'),
+    [
+      check('fileName', 'File name is required').trim().not().isEmpty(),
+      check('csv', 'Settlement file is empty').isString().not().isEmpty(),
+      check('csv', 'Settlement file is too large').isLength({ max: MAX_FILE_LENGTH }),
+      check('settlementDate', 'Settlement date is required').isDate()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let settlementImport;
+
+      await session.withTransaction(async () => {
+        settlementImport = await reconciliationService.importSettlement({
+          fileName: req.body.fileName,
+          csv: req.body.csv,
+          // Settlement days run midnight to midnight in local time
+          settlementDate: new Date(`${req.body.settlementDate}T00:00:00`),
+          provider: eftposService.getProvider(),
+          importedBy: req.user.id
+        }, session);
+      });
+
+      const exceptions = settlementImport.lineCount - settlementImport.counts.matched +
+        settlementImport.counts.notSettled;
+
+      res.status(201).json({
+        message: exceptions > 0
+          ? `Imported ${settlementImport.lineCount} lines with ${exceptions} exception(s) to resolve`
+          : `Imported ${settlementImport.lineCount} lines, all matched`,
+        settlementImport
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error importing settlement file:', err);
+      res.status(500).json({ message: 'Server error' });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @route   GET api/reconciliation/imports
+// @desc    Settlement files imported, newest settlement day first
+// @access  Private/Manager, Admin
+router.get('/imports', [auth, permit('payments:reconcile')], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 30;
+    const skip = (page - 1) * limit;
+
+    const [imports, totalCount] = await Promise.all([
+      SettlementImport.find()
+        .select('-fileHash')
+        .populate('importedBy', 'name')
+        .sort({ settlementDate: -1, importedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SettlementImport.countDocuments()
+    ]);
+
+    res.json({
+      imports,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching settlement imports:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/reconciliation/report
+// @desc    Reconciliation exceptions, open ones by default, with totals by
+//          type and status. Filter by settlementImport, match and status
+//          ('all' for both).
+// @access  Private/Manager, Admin
+router.get('/report', [auth, permit('payments:reconcile')], async (req, res) => {
+  try {
+    const query = { match: { $ne: 'Matched' } };
+
+    if (req.query.settlementImport) {
+      query.settlementImport = new mongoose.Types.ObjectId(req.query.settlementImport);
+    }
+
+    if (req.query.match) {
+      query.match = req.query.match;
+    }
+
+    if (req.query.status !== 'all') {
+      query.status = req.query.status || 'Open';
+    }
+
+    // Totals cover open and resolved exceptions alike
+    const summaryQuery = { ...query };
+    delete summaryQuery.status;
+
+    const [exceptions, summary] = await Promise.all([
+      SettlementLine.find(query)
+        .populate('settlementImport', 'fileName settlementDate')
+        .populate('resolvedBy', 'name')
+        .sort({ createdAt: -1, lineNumber: 1 })
+        .limit(500),
+      SettlementLine.aggregate([
+        { $match: summaryQuery },
+        {
+          $group: {
+            _id: { match: '$match', status: '$status' },
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      exceptions,
+      summary: summary.map(row => ({
+        match: row._id.match,
+        status: row._id.status,
+        count: row.count,
+        amount: Math.round(row.amount * 100) / 100
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching reconciliation report:', err);
+
+    if (err.name === 'BSONError') {
+      return res.status(400).json({ message: 'Invalid settlement import' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/reconciliation/exceptions/:id/resolve
+// @desc    Mark an exception resolved with a note saying how
+// @access  Private/Manager, Admin
+router.put(
+  '/exceptions/:id/resolve',
+  [
+    auth,
+    permit('payments:reconcile'),
+    [
+      check('note', 'Add a note saying how the exception was resolved').trim().not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const exception = await SettlementLine.findOneAndUpdate(
+        { _id: req.params.id, status: 'Open' },
+        {
+          $set: {
+            status: 'Resolved',
+            note: req.body.note,
+            resolvedBy: req.user.id,
+            resolvedAt: Date.now()
+          }
+        },
+        { new: true }
+      ).populate('resolvedBy', 'name');
+
+      if (!exception) {
+        return res.status(400).json({ message: 'Exception not found or already resolved' });
+      }
+
+      res.json({
+        message: 'Exception resolved',
+        exception
+      });
+    } catch (err) {
+      console.error('Error resolving reconciliation exception:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Exception not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,316 @@
+// routes/registers.js
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const RegisterSession = require('../models/RegisterSession');
+const registerService = require('../services/registerService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Validation for a count by denomination
+const denominationChecks = [
+  check('denominations', 'Denominations are required').isArray(),
+  check('denominations.*.denomination', 'Denomination must be a positive amount').isFloat({ gt: 0 }),
+  check('denominations.*.count', 'Count must be a whole number of zero or more').isInt({ min: 0 })
+];
+
+// Keep only denominations that were actually counted
+const toCount = (denominations, userId) => {
+  const counted = denominations
+    .map(d => ({ denomination: parseFloat(d.denomination), count: parseInt(d.count) }))
+    .filter(d => d.count > 0);
+
+  return {
+    denominations: counted,
+    total: RegisterSession.countTotal(counted),
+    countedBy: userId
+  };
+};
+
+// @route   GET api/registers/current
+// @desc    Get the open session for a register, without expected cash so the close count stays blind
+// @access  Private/Cashier, Manager, Admin
+router.get('/current', [auth, permit('registers:operate')], async (req, res) => {
+  try {
+    const registerNumber = req.query.registerNumber || 'POS-1';
+
+    const registerSession = await RegisterSession.findOpen(registerNumber)
+      .populate('openedBy', 'name');
+
+    res.json({ session: registerSession });
+  } catch (err) {
+    console.error('Error fetching register session:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/registers
+// @desc    Get register sessions
+// @access  Private/Manager, Admin
+router.get('/', [auth, permit('reports:view')], async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.registerNumber) {
+      query.registerNumber = req.query.registerNumber;
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Date range filter on opening time
+    if (req.query.startDate || req.query.endDate) {
+      query.openedAt = {};
+
+      if (req.query.startDate) {
+        query.openedAt.$gte = new Date(req.query.startDate);
+      }
+
+      if (req.query.endDate) {
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        query.openedAt.$lte = endDate;
+      }
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const sessions = await RegisterSession.find(query)
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name')
+      .sort({ openedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await RegisterSession.countDocuments(query);
+
+    res.json({
+      sessions,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching register sessions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/registers/open
+// @desc    Open a register with a counted float
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/open',
+  [
+    auth,
+    permit('registers:operate'),
+    [
+      check('registerNumber', 'Register number is required').not().isEmpty(),
+      ...denominationChecks
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { registerNumber, denominations, notes } = req.body;
+
+      const existing = await RegisterSession.findOpen(registerNumber);
+
+      if (existing) {
+        return res.status(400).json({ message: `Register ${registerNumber} is already open` });
+      }
+
+      const registerSession = new RegisterSession({
+        registerNumber,
+        openingFloat: toCount(denominations, req.user.id),
+        notes,
+        openedBy: req.user.id
+      });
+
+      await registerSession.save();
+
+      res.status(201).json({
+        message: 'Register opened successfully',
+        session: registerSession
+      });
+    } catch (err) {
+      // Another terminal opened the same register at the same moment
+      if (err.code === 11000) {
+        return res.status(400).json({ message: `Register ${req.body.registerNumber} is already open` });
+      }
+
+      console.error('Error opening register:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/registers/:id/cash
+// @desc    Record cash paid into or out of the drawer
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/:id/cash',
+  [
+    auth,
+    permit('registers:operate'),
+    [
+      check('type', 'Type must be Paid In or Paid Out').isIn(['Paid In', 'Paid Out']),
+      check('amount', 'Amount must be greater than zero').isFloat({ gt: 0 }),
+      check('reason', 'A reason is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const registerSession = await RegisterSession.findById(req.params.id);
+
+      if (!registerSession) {
+        return res.status(404).json({ message: 'Register session not found' });
+      }
+
+      if (registerSession.status !== 'Open') {
+        return res.status(400).json({ message: 'Register session is closed' });
+      }
+
+      registerSession.cashMovements.push({
+        type: req.body.type,
+        amount: roundCurrency(parseFloat(req.body.amount)),
+        reason: req.body.reason,
+        performedBy: req.user.id
+      });
+
+      await registerSession.save();
+
+      res.json({
+        message: `${req.body.type} recorded`,
+        session: registerSession
+      });
+    } catch (err) {
+      console.error('Error recording register cash movement:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Register session not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/registers/:id/close
+// @desc    Close a register with a blind count of the drawer
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/:id/close',
+  [
+    auth,
+    permit('registers:operate'),
+    denominationChecks
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const registerSession = await RegisterSession.findById(req.params.id);
+
+      if (!registerSession) {
+        return res.status(404).json({ message: 'Register session not found' });
+      }
+
+      if (registerSession.status !== 'Open') {
+        return res.status(400).json({ message: 'Register session is already closed' });
+      }
+
+      const report = await registerService.buildReport(registerSession);
+
+      registerSession.closingCount = toCount(req.body.denominations, req.user.id);
+      registerSession.expectedCash = report.cash.expectedCash;
+      registerSession.overShort = roundCurrency(
+        registerSession.closingCount.total - report.cash.expectedCash
+      );
+      registerSession.status = 'Closed';
+      registerSession.closedBy = req.user.id;
+      registerSession.closedAt = Date.now();
+
+      if (req.body.notes) {
+        registerSession.notes = `${registerSession.notes ? registerSession.notes + ' | ' : ''}${req.body.notes}`;
+      }
+
+      await registerSession.save();
+
+      res.json({
+        message: 'Register closed successfully',
+        session: registerSession,
+        report
+      });
+    } catch (err) {
+      console.error('Error closing register:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Register session not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/registers/:id/report
+// @desc    Z report for a closed register session
+// @access  Private/Cashier, Manager, Admin
+router.get('/:id/report', [auth, permit('registers:operate')], async (req, res) => {
+  try {
+    const registerSession = await RegisterSession.findById(req.params.id)
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name');
+
+    if (!registerSession) {
+      return res.status(404).json({ message: 'Register session not found' });
+    }
+
+    // Expected cash stays hidden until the blind count is in
+    if (registerSession.status !== 'Closed') {
+      return res.status(400).json({ message: 'The Z report is available once the register is closed' });
+    }
+
+    const report = await registerService.buildReport(registerSession);
+
+    res.json({
+      session: registerSession,
+      report
+    });
+  } catch (err) {
+    console.error('Error generating Z report:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Register session not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
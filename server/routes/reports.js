@@ -5,7 +5,11 @@ const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
 const Product = require('../models/Product');
 const InventoryMovement = require('../models/InventoryMovement');
+const Location = require('../models/Location');
+const StockLevel = require('../models/StockLevel');
 const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const reorderService = require('../services/reorderService');
 
 // Helper for date range filtering
 const getDateRange = (period) => {
@@ -43,7 +47,7 @@ const getDateRange = (period) => {
 
 // Daily sales report
 // Changed from /reports/sales/daily to /api/sales/daily
-router.get('/api/sales/daily', auth, async (req, res) => {
+router.get('/api/sales/daily', [auth, permit('reports:view')], async (req, res) => {
   try {
     // Get parameters
     const { date } = req.query;
@@ -97,6 +101,9 @@ router.get('/api/sales/daily', auth, async (req, res) => {
     
     sales.forEach(sale => {
       sale.items.forEach(item => {
+        // Gift cards sold are not products
+        if (!item.product) return;
+        
         const productId = item.product.toString();
         if (!productSales[productId]) {
           productSales[productId] = {
@@ -136,7 +143,7 @@ router.get('/api/sales/daily', auth, async (req, res) => {
 
 // Weekly, monthly, yearly sales reports
 // Changed from /reports/sales/:period to /api/sales/:period
-router.get('/api/sales/:period', auth, async (req, res) => {
+router.get('/api/sales/:period', [auth, permit('reports:view')], async (req, res) => {
   try {
     const { period } = req.params;
     const { startDate: customStartDate, endDate: customEndDate } = req.query;
@@ -250,11 +257,96 @@ router.get('/api/sales/:period', auth, async (req, res) => {
   }
 });
 
+// Voided sales audit: every void with its reason, who voided it and the
+// manager who approved it, kept out of the sales reports above
+router.get('/voids', [auth, permit('reports:view')], async (req, res) => {
+  try {
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    endDate.setHours(23, 59, 59, 999);
+    
+    let startDate;
+    if (req.query.startDate) {
+      startDate = new Date(req.query.startDate);
+    } else {
+      startDate = new Date(endDate);
+      startDate.setDate(startDate.getDate() - 30);
+    }
+    startDate.setHours(0, 0, 0, 0);
+    
+    const sales = await Sale.find({
+      status: 'Voided',
+      voidedAt: { $gte: startDate, $lte: endDate }
+    })
+      .populate('cashier', 'name')
+      .populate('voidedBy', 'name')
+      .populate('voidApprovedBy', 'name')
+      .populate('customer', 'name')
+      .sort({ voidedAt: -1 });
+    
+    const totalVoided = sales.reduce((sum, sale) => sum + sale.total, 0);
+    
+    // Voids by the cashier who rang the sale up and by the approving manager
+    const byCashier = {};
+    const byApprover = {};
+    
+    const addTo = (groups, user, sale) => {
+      const name = user ? user.name : 'Unknown';
+      
+      if (!groups[name]) {
+        groups[name] = { name, count: 0, total: 0 };
+      }
+      
+      groups[name].count++;
+      groups[name].total += sale.total;
+    };
+    
+    sales.forEach(sale => {
+      addTo(byCashier, sale.cashier, sale);
+      addTo(byApprover, sale.voidApprovedBy, sale);
+    });
+    
+    res.json({
+      dateRange: {
+        start: startDate,
+        end: endDate
+      },
+      summary: {
+        count: sales.length,
+        total: Math.round(totalVoided * 100) / 100
+      },
+      byCashier: Object.values(byCashier).sort((a, b) => b.count - a.count),
+      byApprover: Object.values(byApprover).sort((a, b) => b.count - a.count),
+      voids: sales.map(sale => ({
+        id: sale._id,
+        saleNumber: sale.saleNumber,
+        createdAt: sale.createdAt,
+        voidedAt: sale.voidedAt,
+        registerNumber: sale.registerNumber,
+        customer: sale.customer ? sale.customer.name : null,
+        total: sale.total,
+        items: sale.items.map(item => ({ name: item.name, quantity: item.quantity, total: item.total })),
+        payments: sale.payments.map(payment => ({
+          method: payment.method,
+          amount: payment.amount,
+          voidTransactionId: payment.voidTransactionId
+        })),
+        reason: sale.voidReason,
+        cashier: sale.cashier ? sale.cashier.name : 'Unknown',
+        voidedBy: sale.voidedBy ? sale.voidedBy.name : 'Unknown',
+        approvedBy: sale.voidApprovedBy ? sale.voidApprovedBy.name : 'Unknown'
+      }))
+    });
+  } catch (err) {
+    console.error('Error generating voids report:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Inventory movement report
 // Changed from /reports/inventory/movements to /api/inventory/movements
-router.get('/api/inventory/movements', auth, async (req, res) => {
+router.get('/api/inventory/movements', [auth, permit('inventory:view')], async (req, res) => {
   try {
-    const { startDate, endDate, productId, category, movementType } = req.query;
+    const { startDate, endDate, productId, category, movementType, location } = req.query;
     
     // Build query filters
     const queryFilters = {};
@@ -277,6 +369,11 @@ router.get('/api/inventory/movements', auth, async (req, res) => {
       queryFilters.movementType = movementType;
     }
     
+    // Location filter, stock moved out of or into the location
+    if (location) {
+      queryFilters.$or = [{ fromLocation: location }, { toLocation: location }];
+    }
+    
     // Get inventory movements
     let movements = await InventoryMovement.find(queryFilters)
       .populate('product', 'name barcode category')
@@ -290,6 +387,19 @@ router.get('/api/inventory/movements', auth, async (req, res) => {
       );
     }
     
+    // Leave out voided sales along with the movements that put their stock back
+    const saleNumberOf = movement => (movement.reference || '').replace(/^VOID-/, '');
+    const voidedSaleNumbers = new Set(await Sale.distinct('saleNumber', {
+      saleNumber: {
+        $in: movements
+          .filter(m => ['Sold', 'Returned'].includes(m.movementType) && m.reference)
+          .map(saleNumberOf)
+      },
+      status: 'Voided'
+    }));
+    
+    movements = movements.filter(m => !voidedSaleNumbers.has(saleNumberOf(m)));
+    
     // Group movements by type for summary
     const summaryByType = {};
     
@@ -330,13 +440,24 @@ router.get('/api/inventory/movements', auth, async (req, res) => {
       
       const quantity = movement.quantity;
       
+      // Transfers only count as in or out when looking at one location
+      const transferredIn = movement.movementType === 'Transferred' && location &&
+        movement.toLocation && movement.toLocation.toString() === location;
+      const transferredOut = movement.movementType === 'Transferred' && location &&
+        movement.fromLocation && movement.fromLocation.toString() === location;
+      
+      // Adjustments and stock counts go either way
+      const adjusted = ['Adjustment', 'StockCount'].includes(movement.movementType)
+        ? movement.newStock - movement.previousStock
+        : 0;
+      
       // Incoming movements
-      if (['Received', 'Returned', 'Adjustment'].includes(movement.movementType)) {
+      if (['Received', 'Returned', 'Produced'].includes(movement.movementType) || transferredIn || adjusted > 0) {
         summaryByProduct[productId].inQuantity += quantity;
         summaryByProduct[productId].netMovement += quantity;
       } 
       // Outgoing movements
-      else if (['Sold', 'Damaged'].includes(movement.movementType)) {
+      else if (['Sold', 'Damaged', 'Consumed'].includes(movement.movementType) || transferredOut || adjusted < 0) {
         summaryByProduct[productId].outQuantity += quantity;
         summaryByProduct[productId].netMovement -= quantity;
       }
@@ -370,8 +491,11 @@ router.get('/api/inventory/movements', auth, async (req, res) => {
         quantity: m.quantity,
         previousStock: m.previousStock,
         newStock: m.newStock,
+        batchNumber: m.batchNumber,
         reference: m.reference,
         notes: m.notes,
+        lossReason: m.lossReason,
+        costValue: m.costValue,
         location: m.location,
         performedBy: m.performedBy ? m.performedBy.name : 'Unknown',
         timestamp: m.timestamp
@@ -385,9 +509,9 @@ router.get('/api/inventory/movements', auth, async (req, res) => {
 
 // Low stock report
 // Changed from /reports/inventory/low-stock to /api/inventory/low-stock
-router.get('/api/inventory/low-stock', auth, async (req, res) => {
+router.get('/api/inventory/low-stock', [auth, permit('inventory:view')], async (req, res) => {
   try {
-    const { threshold, category } = req.query;
+    const { threshold, category, location } = req.query;
     
     // Build query filters
     const queryFilters = {};
@@ -401,13 +525,44 @@ router.get('/api/inventory/low-stock', auth, async (req, res) => {
     queryFilters.isActive = true;
     
     // Get products
-    const products = await Product.find(queryFilters);
+    const products = await Product.find(queryFilters).populate('supplier', 'leadTime');
+    
+    // For one location, stock there is checked against each product's minimum
+    // so the location can be topped up from elsewhere
+    let locationStock = null;
+    
+    if (location) {
+      const levels = await StockLevel.find({ location });
+      locationStock = {};
+      levels.forEach(level => {
+        locationStock[level.product.toString()] = level.quantity;
+      });
+    }
+    
+    // Sales velocity so products that sell fast are flagged before they hit minimumStock
+    const [velocity, onOrder] = await Promise.all([
+      reorderService.getSalesVelocity({ productIds: products.map(p => p._id) }),
+      reorderService.getQuantityOnOrder()
+    ]);
+    
+    products.forEach(product => {
+      product.reorder = reorderService.calculateReorder(product, {
+        averageDailySales: velocity[product._id.toString()] || 0,
+        leadTime: product.supplier ? product.supplier.leadTime : 0,
+        onOrder: onOrder[product._id.toString()] || 0
+      });
+    });
     
     // Filter low stock products
     const lowStockProducts = products.filter(product => {
+      if (locationStock) {
+        const thresholdValue = threshold ? parseInt(threshold) : product.minimumStock;
+        return (locationStock[product._id.toString()] || 0) <= thresholdValue;
+      }
+      
       const thresholdValue = threshold 
         ? parseInt(threshold) 
-        : product.minimumStock;
+        : product.reorder.reorderPoint;
       
       return product.currentStock <= thresholdValue;
     });
@@ -433,7 +588,8 @@ router.get('/api/inventory/low-stock', auth, async (req, res) => {
         barcode: product.barcode,
         currentStock: product.currentStock,
         minimumStock: product.minimumStock,
-        needsReorder: product.currentStock <= product.minimumStock
+        reorderPoint: product.reorder.reorderPoint,
+        needsReorder: product.reorder.needsReorder
       });
     });
     
@@ -449,9 +605,13 @@ router.get('/api/inventory/low-stock', auth, async (req, res) => {
         barcode: p.barcode,
         category: p.category,
         currentStock: p.currentStock,
+        locationStock: locationStock ? locationStock[p._id.toString()] || 0 : undefined,
         minimumStock: p.minimumStock,
-        daysOfSupply: p.currentStock > 0 ? 
-          Math.round(p.currentStock / (p.avgDailySales || 0.1)) : 0
+        averageDailySales: p.reorder.averageDailySales,
+        reorderPoint: p.reorder.reorderPoint,
+        onOrder: p.reorder.onOrder,
+        suggestedQuantity: p.reorder.suggestedQuantity,
+        daysOfSupply: p.reorder.daysOfSupply
       }))
     });
   } catch (err) {
@@ -460,4 +620,260 @@ router.get('/api/inventory/low-stock', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Stock held at each location
+router.get('/inventory/locations', [auth, permit('inventory:view')], async (req, res) => {
+  try {
+    const { category, location } = req.query;
+    
+    const productFilters = { isActive: true };
+    
+    if (category) {
+      productFilters.category = category;
+    }
+    
+    const products = await Product.find(productFilters, 'name barcode category costPrice sellingPrice currentStock');
+    const productsById = {};
+    products.forEach(product => {
+      productsById[product._id.toString()] = product;
+    });
+    
+    const levelFilters = { product: { $in: products.map(p => p._id) }, quantity: { $gt: 0 } };
+    
+    if (location) {
+      levelFilters.location = location;
+    }
+    
+    const [locations, levels] = await Promise.all([
+      Location.find(location ? { _id: location } : {}).sort({ name: 1 }),
+      StockLevel.find(levelFilters)
+    ]);
+    
+    const byLocation = {};
+    locations.forEach(loc => {
+      byLocation[loc._id.toString()] = {
+        id: loc._id,
+        name: loc.name,
+        type: loc.type,
+        isSalesLocation: loc.isSalesLocation,
+        productCount: 0,
+        units: 0,
+        costValue: 0,
+        retailValue: 0,
+        products: []
+      };
+    });
+    
+    const located = {};
+    
+    levels.forEach(level => {
+      const product = productsById[level.product.toString()];
+      const summary = byLocation[level.location.toString()];
+      
+      located[level.product.toString()] = (located[level.product.toString()] || 0) + level.quantity;
+      
+      if (!product || !summary) return;
+      
+      summary.productCount++;
+      summary.units += level.quantity;
+      summary.costValue += level.quantity * product.costPrice;
+      summary.retailValue += level.quantity * product.sellingPrice;
+      summary.products.push({
+        id: product._id,
+        name: product.name,
+        barcode: product.barcode,
+        category: product.category,
+        quantity: level.quantity
+      });
+    });
+    
+    // Stock not yet given a location, only meaningful across all locations
+    const unlocatedUnits = location ? 0 : products.reduce(
+      (sum, p) => sum + Math.max(0, p.currentStock - (located[p._id.toString()] || 0)),
+      0
+    );
+    
+    res.json({
+      locations: Object.values(byLocation).map(summary => ({
+        ...summary,
+        costValue: Math.round(summary.costValue * 100) / 100,
+        retailValue: Math.round(summary.retailValue * 100) / 100,
+        products: summary.products.sort((a, b) => a.name.localeCompare(b.name))
+      })),
+      unlocatedUnits
+    });
+  } catch (err) {
+    console.error('Error generating stock by location report:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Plant losses by reason, category, location and month, next to sales over
+// the same period so the cost of each kind of loss can be weighed up
+router.get('/inventory/shrinkage', [auth, permit('reports:view')], async (req, res) => {
+  try {
+    const { category, location } = req.query;
+    
+    // Defaults to the last twelve months, by whole month
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    endDate.setHours(23, 59, 59, 999);
+    
+    let startDate;
+    if (req.query.startDate) {
+      startDate = new Date(req.query.startDate);
+    } else {
+      startDate = new Date(endDate);
+      startDate.setMonth(startDate.getMonth() - 11, 1);
+    }
+    startDate.setHours(0, 0, 0, 0);
+    
+    const conditions = [
+      { timestamp: { $gte: startDate, $lte: endDate } },
+      // Write-offs with a reason, older 'Damaged' movements without one, and sales
+      {
+        $or: [
+          { lossReason: { $exists: true } },
+          { movementType: { $in: ['Damaged', 'Sold'] } }
+        ]
+      }
+    ];
+    
+    if (location) {
+      conditions.push({ $or: [{ fromLocation: location }, { toLocation: location }] });
+    }
+    
+    let movements = await InventoryMovement.find({ $and: conditions })
+      .populate('product', 'name category costPrice');
+    
+    if (category) {
+      movements = movements.filter(m => m.product && m.product.category === category);
+    }
+    
+    // Revenue for each sold movement comes from its line on the sale; voided
+    // and fully refunded sales are left out
+    const saleNumbers = [...new Set(
+      movements.filter(m => m.movementType === 'Sold' && m.reference).map(m => m.reference)
+    )];
+    
+    const sales = await Sale.find(
+      { saleNumber: { $in: saleNumbers }, status: { $in: ['Completed', 'Partially Refunded'] } },
+      'saleNumber items.product items.quantity items.subtotal'
+    );
+    
+    const salesByNumber = {};
+    sales.forEach(sale => {
+      salesByNumber[sale.saleNumber] = sale;
+    });
+    
+    const emptyRow = () => ({
+      lostUnits: 0,
+      lossCost: 0,
+      soldUnits: 0,
+      salesRevenue: 0,
+      salesCost: 0
+    });
+    
+    const totals = emptyRow();
+    const byReason = {};
+    const byCategory = {};
+    const byLocation = {};
+    const byMonth = {};
+    
+    const addTo = (groups, key, fields, values) => {
+      if (!groups[key]) {
+        groups[key] = { ...fields, ...emptyRow() };
+      }
+      
+      Object.keys(values).forEach(field => {
+        groups[key][field] += values[field];
+      });
+    };
+    
+    movements.forEach(movement => {
+      const costValue = movement.costValue !== undefined
+        ? movement.costValue
+        : movement.quantity * (movement.product ? movement.product.costPrice : 0);
+      
+      let values;
+      
+      if (movement.movementType === 'Sold') {
+        const sale = salesByNumber[movement.reference];
+        
+        if (!sale) return;
+        
+        const line = sale.items.find(item =>
+          item.product && movement.product && item.product.equals(movement.product._id)
+        );
+        
+        values = {
+          soldUnits: movement.quantity,
+          salesRevenue: line ? line.subtotal * movement.quantity / line.quantity : 0,
+          salesCost: costValue
+        };
+      } else {
+        values = {
+          lostUnits: movement.quantity,
+          lossCost: costValue
+        };
+        
+        const reason = movement.lossReason || 'Unrecorded';
+        addTo(byReason, reason, { reason, count: 0 }, { ...values, count: 1 });
+      }
+      
+      const categoryName = movement.product ? movement.product.category : 'Uncategorized';
+      const locationName = movement.location || 'No location';
+      const month = movement.timestamp.toISOString().slice(0, 7);
+      
+      addTo(byCategory, categoryName, { category: categoryName }, values);
+      addTo(byLocation, locationName, { location: locationName }, values);
+      addTo(byMonth, month, { month }, values);
+      
+      Object.keys(values).forEach(field => {
+        totals[field] += values[field];
+      });
+    });
+    
+    // Money to the cent, and loss as a share of sales revenue
+    const finish = (row) => ({
+      ...row,
+      lossCost: Math.round(row.lossCost * 100) / 100,
+      salesRevenue: Math.round(row.salesRevenue * 100) / 100,
+      salesCost: Math.round(row.salesCost * 100) / 100,
+      lossPercent: row.salesRevenue > 0
+        ? Math.round(row.lossCost / row.salesRevenue * 10000) / 100
+        : null
+    });
+    
+    const byLoss = (a, b) => b.lossCost - a.lossCost;
+    
+    // Every month in the range, so gaps show as zero
+    const months = [];
+    const monthCursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    while (monthCursor <= endDate) {
+      const month = `${monthCursor.getFullYear()}-${String(monthCursor.getMonth() + 1).padStart(2, '0')}`;
+      months.push(byMonth[month] || { month, ...emptyRow() });
+      monthCursor.setMonth(monthCursor.getMonth() + 1);
+    }
+    
+    res.json({
+      dateRange: {
+        start: startDate.toISOString(),
+        end: endDate.toISOString()
+      },
+      summary: finish(totals),
+      byReason: Object.values(byReason).map(row => ({
+        ...finish(row),
+        sharePercent: totals.lossCost > 0
+          ? Math.round(row.lossCost / totals.lossCost * 10000) / 100
+          : 0
+      })).sort(byLoss),
+      byCategory: Object.values(byCategory).map(finish).sort(byLoss),
+      byLocation: Object.values(byLocation).map(finish).sort(byLoss),
+      byMonth: months.map(finish)
+    });
+  } catch (err) {
+    console.error('Error generating shrinkage report:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
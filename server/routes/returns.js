@@ -0,0 +1,459 @@
+// routes/returns.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const Return = require('../models/Return');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const SaleConflict = require('../models/SaleConflict');
+const RegisterSession = require('../models/RegisterSession');
+const InventoryMovement = require('../models/InventoryMovement');
+const eftposService = require('../services/eftposService');
+const inventoryService = require('../services/inventoryService');
+const storedValueService = require('../services/storedValueService');
+const loyaltyService = require('../services/loyaltyService');
+
+// Round a currency value to cents
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const returnError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Units of each product already returned against a sale, keyed by product ID
+const getReturnedQuantities = async (saleId, session = null) => {
+  const returns = await Return.find({ sale: saleId }).session(session);
+  const returned = {};
+
+  returns.forEach(ret => {
+    ret.items.forEach(item => {
+      const productId = item.product.toString();
+      returned[productId] = (returned[productId] || 0) + item.quantity;
+    });
+  });
+
+  return returned;
+};
+
+// @route   GET api/returns/lookup/:saleNumber
+// @desc    Find a sale by its receipt number and list what can still be returned
+// @access  Private
+router.get('/lookup/:saleNumber', auth, async (req, res) => {
+  try {
+    const sale = await Sale.findOne({ saleNumber: req.params.saleNumber.trim().toUpperCase() })
+      .populate('customer', 'name email phone storeCredit')
+      .populate('cashier', 'name');
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    if (sale.status === 'Voided') {
+      return res.status(400).json({ message: 'Sale has been voided and cannot be returned' });
+    }
+
+    if (sale.status === 'Pending Payment') {
+      return res.status(400).json({ message: 'Sale has not been fully paid' });
+    }
+
+    const returned = await getReturnedQuantities(sale._id);
+
+    res.json({
+      sale,
+      lines: sale.getReturnableLines(returned),
+      cardPayments: sale.getRefundableCardPayments()
+    });
+  } catch (err) {
+    console.error('Error looking up sale for return:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/returns
+// @desc    Get returns with filters
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = {};
+
+    // Date range filter
+    if (req.query.startDate || req.query.endDate) {
+      query.createdAt = {};
+      if (req.query.startDate) {
+        query.createdAt.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        query.createdAt.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    // Original sale filter
+    if (req.query.saleNumber) {
+      query.saleNumber = req.query.saleNumber;
+    }
+
+    // Refund method filter
+    if (req.query.refundMethod) {
+      query.refundMethod = req.query.refundMethod;
+    }
+
+    // Pagination options
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const returns = await Return.find(query)
+      .populate('processedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Return.countDocuments(query);
+
+    res.json({
+      returns,
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching returns:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/returns/:id
+// @desc    Get return by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id)
+      .populate('customer', 'name email phone')
+      .populate('processedBy', 'name');
+
+    if (!ret) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+
+    res.json(ret);
+  } catch (err) {
+    console.error('Error fetching return:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/returns
+// @desc    Return items from a past sale and refund the customer
+// @access  Private/Cashier, Manager, Admin
+router.post(
+  '/',
+  [
+    auth,
+    permit('returns:process'),
+    [
+      check('saleNumber', 'Sale number is required').not().isEmpty(),
+      check('items', 'Items to return are required').isArray({ min: 1 }),
+      check('items.*.product', 'Product ID is required for each item').not().isEmpty(),
+      check('items.*.quantity', 'Quantity must be a whole number of at least 1').isInt({ min: 1 }),
+      check('refundMethod', 'Refund method must be Cash, EFTPOS or Store Credit')
+        .isIn(['Cash', 'EFTPOS', 'Store Credit']),
+      check('reason', 'Reason is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { saleNumber, items, refundMethod, reason, registerNumber, transactionId } = req.body;
+    let sale = null;
+
+    try {
+      sale = await Sale.findOne({ saleNumber });
+
+      if (!sale) {
+        return res.status(404).json({ message: 'Sale not found' });
+      }
+
+      if (sale.status === 'Voided') {
+        return res.status(400).json({ message: 'Cannot return items from a voided sale' });
+      }
+
+      if (sale.status === 'Pending Payment') {
+        return res.status(400).json({ message: 'Cannot return items from a sale that has not been fully paid' });
+      }
+
+      // Hold the sale until the return is saved, so a second return at the same
+      // time can't refund the same items or card again
+      sale = await Sale.lockForRefund(sale._id);
+
+      if (!sale) {
+        return res.status(409).json({
+          message: 'Another return or void is being processed for this sale, please try again'
+        });
+      }
+
+      // Work out the refund for each requested line from what was actually charged
+      const returned = await getReturnedQuantities(sale._id);
+      const lines = sale.getReturnableLines(returned);
+      const returnItems = [];
+
+      for (const requested of items) {
+        const line = lines.find(l => l.product.toString() === requested.product && l.returnable > 0);
+
+        if (!line) {
+          throw returnError(400, `Product ${requested.product} has nothing left to return on this sale`);
+        }
+
+        const quantity = parseInt(requested.quantity);
+
+        if (quantity > line.returnable) {
+          throw returnError(400, `Only ${line.returnable} of ${line.name} can be returned`);
+        }
+
+        // Refund the same share of the line that was charged, discounts included
+        const share = quantity / line.quantity;
+        const subtotal = roundCurrency((line.subtotal - line.discountAmount * line.quantity) * share);
+        const taxAmount = roundCurrency(line.taxAmount * share);
+
+        returnItems.push({
+          product: line.product,
+          barcode: line.barcode,
+          name: line.name,
+          quantity,
+          pricePerUnit: line.pricePerUnit,
+          taxRate: line.taxRate,
+          taxAmount,
+          subtotal,
+          total: roundCurrency(subtotal + taxAmount),
+          resaleable: requested.resaleable !== false
+        });
+
+        line.returnable -= quantity;
+      }
+
+      const subtotal = roundCurrency(returnItems.reduce((sum, item) => sum + item.subtotal, 0));
+      const taxTotal = roundCurrency(returnItems.reduce((sum, item) => sum + item.taxAmount, 0));
+      const total = roundCurrency(subtotal + taxTotal);
+
+      // Account charges and points can't be handed back as money
+      const refundError = sale.validateReturnRefund(total);
+
+      if (refundError) {
+        throw returnError(400, refundError);
+      }
+
+      // Store credit needs a customer account to go onto
+      const customerId = sale.customer || req.body.customer;
+
+      if (refundMethod === 'Store Credit' && !customerId) {
+        throw returnError(400, 'A customer is required to refund as store credit');
+      }
+
+      // Cash comes out of the drawer, so the register must be open to account for it
+      const register = registerNumber || sale.registerNumber;
+      const registerSession = await RegisterSession.findOpen(register);
+
+      if (refundMethod === 'Cash' && !registerSession) {
+        throw returnError(400, `Register ${register} is not open. Open the register before giving cash refunds.`);
+      }
+
+      // Card refunds go back onto a card used for the original sale. This happens
+      // before the database transaction because the terminal cannot be rolled back.
+      let cardRefund = null;
+
+      if (refundMethod === 'EFTPOS') {
+        const cardPayments = sale.getRefundableCardPayments();
+        const cardPayment = transactionId
+          ? cardPayments.find(p => p.transactionId === transactionId)
+          : cardPayments.find(p => p.refundable >= total);
+
+        if (!cardPayment) {
+          throw returnError(400, 'No card payment on this sale can cover the refund');
+        }
+
+        if (total > cardPayment.refundable) {
+          throw returnError(400, `Only $${cardPayment.refundable.toFixed(2)} can be refunded to this card`);
+        }
+
+        const refundResult = await eftposService.refundTransaction(
+          cardPayment.transactionId,
+          total,
+          `REFUND-${sale.saleNumber}`
+        );
+
+        if (!refundResult.success) {
+          throw returnError(400, refundResult.responseText || 'EFTPOS refund failed');
+        }
+
+        cardRefund = {
+          originalTransactionId: cardPayment.transactionId,
+          refundTransactionId: refundResult.transactionId
+        };
+      }
+
+      const session = await mongoose.startSession();
+      let ret;
+
+      try {
+        await session.withTransaction(async () => {
+          ret = new Return({
+            sale: sale._id,
+            saleNumber: sale.saleNumber,
+            customer: customerId,
+            items: returnItems,
+            subtotal,
+            taxTotal,
+            total,
+            refundMethod,
+            originalTransactionId: cardRefund && cardRefund.originalTransactionId,
+            refundTransactionId: cardRefund && cardRefund.refundTransactionId,
+            reason,
+            processedBy: req.user.id,
+            registerNumber: register,
+            registerSession: registerSession ? registerSession._id : undefined
+          });
+
+          await ret.save({ session });
+
+          // Resaleable plants go back into stock; the rest are recorded as damaged
+          // without touching stock, because they never made it back onto the shelf
+          for (const item of ret.items) {
+            // Resaleable plants go back into the most recent batch the sale drew from
+            const soldFrom = item.resaleable
+              ? await InventoryMovement.findOne({
+                product: item.product,
+                movementType: 'Sold',
+                reference: sale.saleNumber,
+                batch: { $exists: true }
+              }).sort({ timestamp: -1 }).session(session)
+              : null;
+
+            await inventoryService.recordMovement({
+              product: item.product,
+              movementType: item.resaleable ? 'Returned' : 'Damaged',
+              quantity: item.quantity,
+              stockChange: item.resaleable ? item.quantity : 0,
+              batch: soldFrom ? soldFrom.batch : undefined,
+              reference: ret.returnNumber,
+              notes: item.resaleable
+                ? reason
+                : `Returned not resaleable (${sale.saleNumber}): ${reason}`,
+              lossReason: item.resaleable ? undefined : 'Customer Return',
+              performedBy: req.user.id
+            }, session);
+          }
+
+          // Record the refund against the original sale, checking nothing else
+          // refunded it since it was locked
+          const saleDoc = await Sale.findById(sale._id).session(session);
+
+          if (saleDoc.refunds.length !== sale.refunds.length ||
+            String(saleDoc.refundLockedAt) !== String(sale.refundLockedAt)) {
+            throw returnError(409, 'The sale changed while the return was being processed, please try again');
+          }
+
+          saleDoc.refundLockedAt = undefined;
+          saleDoc.refunds.push({
+            return: ret._id,
+            items: ret.items.map(item => ({
+              product: item.product,
+              quantity: item.quantity,
+              amount: item.total
+            })),
+            amount: total,
+            method: refundMethod,
+            reason,
+            originalTransactionId: cardRefund && cardRefund.originalTransactionId,
+            refundTransactionId: cardRefund && cardRefund.refundTransactionId,
+            processedBy: req.user.id,
+            registerSession: ret.registerSession
+          });
+
+          const fullyReturned = lines.every(line => line.returnable === 0);
+          saleDoc.status = fullyReturned ? 'Refunded' : 'Partially Refunded';
+          await saleDoc.save({ session });
+
+          // Take back the points and spend the refunded share of the sale earned
+          if (saleDoc.customer) {
+            await loyaltyService.clawbackPoints({
+              sale: saleDoc,
+              amount: total,
+              performedBy: req.user.id
+            }, session);
+
+            await Customer.updateOne(
+              { _id: saleDoc.customer },
+              { $inc: { totalSpent: -total } },
+              { session }
+            );
+          }
+
+          if (refundMethod === 'Store Credit') {
+            await storedValueService.creditCustomer({
+              customer: customerId,
+              amount: total,
+              reference: ret.returnNumber,
+              notes: reason,
+              performedBy: req.user.id
+            }, session);
+          }
+        });
+      } catch (err) {
+        // The customer has the money back, so the refund is recorded for a
+        // manager to put right
+        if (cardRefund) {
+          await SaleConflict.recordCardReversal({
+            type: 'Refund Failed',
+            sale,
+            amount: total,
+            details: `${total.toFixed(2)} was refunded to ${refundMethod} on the terminal (${cardRefund.refundTransactionId}) but the return was not saved: ${err.message}`,
+            recordedBy: req.user.id
+          }).catch(recordErr => {
+            console.error(`Error recording failed refund of ${sale.saleNumber}:`, recordErr);
+          });
+        }
+        throw err;
+      } finally {
+        session.endSession();
+      }
+
+      res.status(201).json({
+        message: 'Return processed successfully',
+        return: ret
+      });
+    } catch (err) {
+      // Let the next return in once this one has failed
+      if (sale && sale.refundLockedAt) {
+        await Sale.unlockForRefund(sale).catch(unlockErr => {
+          console.error('Error unlocking sale after failed return:', unlockErr);
+        });
+      }
+
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message });
+      }
+
+      console.error('Error processing return:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
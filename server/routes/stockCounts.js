@@ -0,0 +1,635 @@
+// routes/stockCounts.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const config = require('config');
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { permit } = require('../middleware/permissions');
+const StockCount = require('../models/StockCount');
+const Product = require('../models/Product');
+const StockLevel = require('../models/StockLevel');
+const InventoryMovement = require('../models/InventoryMovement');
+const inventoryService = require('../services/inventoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['In Progress', 'Submitted'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const countError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// What a count covers, for messages
+const describeScope = (count) => {
+  const parts = [count.category || 'all categories'];
+  if (count.location) {
+    parts.push(`at ${count.location.name || 'one location'}`);
+  }
+  return parts.join(' ');
+};
+
+// Stock expected for a product in the count's scope: held at the location
+// when the count is for one, otherwise the product's total
+const expectedStock = async (product, locationId, session = null) => {
+  if (!locationId) {
+    return product.currentStock;
+  }
+
+  const level = await StockLevel.findOne({ product: product._id, location: locationId }).session(session);
+  return level ? level.quantity : 0;
+};
+
+const buildLine = async (product, locationId, session = null) => ({
+  product: product._id,
+  barcode: product.barcode,
+  name: product.name,
+  category: product.category,
+  expected: await expectedStock(product, locationId, session),
+  unitCost: product.costPrice || 0
+});
+
+// Net change to each product's stock (at the count's location, if it has
+// one) since the snapshot was taken, not counting the count's own movements
+const movementsSinceSnapshot = async (count) => {
+  const query = {
+    product: { $in: count.lines.map(line => line.product) },
+    timestamp: { $gt: count.createdAt },
+    reference: { $ne: count.countNumber }
+  };
+
+  if (count.location) {
+    query.$or = [{ fromLocation: count.location._id || count.location }, { toLocation: count.location._id || count.location }];
+  }
+
+  const movements = await InventoryMovement.find(query, 'product quantity previousStock newStock fromLocation toLocation');
+  const locationId = count.location ? (count.location._id || count.location).toString() : null;
+  const moved = {};
+
+  movements.forEach(movement => {
+    let change;
+
+    if (locationId) {
+      change = 0;
+      if (movement.toLocation && movement.toLocation.toString() === locationId) change += movement.quantity;
+      if (movement.fromLocation && movement.fromLocation.toString() === locationId) change -= movement.quantity;
+    } else {
+      change = movement.newStock - movement.previousStock;
+    }
+
+    const key = movement.product.toString();
+    moved[key] = (moved[key] || 0) + change;
+  });
+
+  return moved;
+};
+
+// @route   GET api/stock-counts
+// @desc    Get stock counts, newest first
+// @access  Private
+router.get('/', [auth, permit('stockcounts:count')], async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.open === 'true') {
+      query.status = { $in: OPEN_STATUSES };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const counts = await StockCount.find(query)
+      .select('-lines.countedBy')
+      .populate('location', 'name')
+      .populate('startedBy', 'name')
+      .populate('approvedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await StockCount.countDocuments(query);
+
+    res.json({
+      counts: counts.map(count => ({
+        _id: count._id,
+        countNumber: count.countNumber,
+        category: count.category,
+        location: count.location,
+        status: count.status,
+        scheduled: count.scheduled,
+        lineCount: count.lines.length,
+        countedLines: count.countedLines,
+        varianceUnits: count.varianceUnits,
+        varianceCost: count.varianceCost,
+        startedBy: count.startedBy,
+        approvedBy: count.approvedBy,
+        createdAt: count.createdAt,
+        submittedAt: count.submittedAt,
+        approvedAt: count.approvedAt
+      })),
+      pagination: {
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        pageSize: limit
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching stock counts:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/stock-counts/schedule
+// @desc    Cycle-count rotation: each category in turn, least recently counted first
+// @access  Private
+router.get('/schedule', [auth, permit('stockcounts:count')], async (req, res) => {
+  try {
+    const cycleDays = config.get('stockCount.cycleDays');
+
+    const [categories, lastCounts, openCounts] = await Promise.all([
+      Product.distinct('category', { isActive: true }),
+      // Counts of a whole category, or of everything, bring it up to date
+      StockCount.aggregate([
+        { $match: { status: 'Approved', location: { $exists: false } } },
+        { $sort: { approvedAt: -1 } },
+        {
+          $group: {
+            _id: { $ifNull: ['$category', null] },
+            approvedAt: { $first: '$approvedAt' },
+            countNumber: { $first: '$countNumber' }
+          }
+        }
+      ]),
+      StockCount.find({ status: { $in: OPEN_STATUSES } }, 'countNumber category location status')
+    ]);
+
+    const wholeCount = lastCounts.find(last => last._id === null);
+    const lastByCategory = {};
+    lastCounts.forEach(last => {
+      if (last._id !== null) {
+        lastByCategory[last._id] = last;
+      }
+    });
+
+    const rotation = categories.filter(Boolean).map(category => {
+      let last = lastByCategory[category];
+      if (wholeCount && (!last || wholeCount.approvedAt > last.approvedAt)) {
+        last = wholeCount;
+      }
+
+      const open = openCounts.find(count => count.category === category && !count.location);
+
+      return {
+        category,
+        lastCountedAt: last ? last.approvedAt : null,
+        lastCountNumber: last ? last.countNumber : null,
+        openCount: open ? { _id: open._id, countNumber: open.countNumber, status: open.status } : null
+      };
+    });
+
+    // Never counted first, then oldest count first
+    rotation.sort((a, b) => {
+      if (!a.lastCountedAt && !b.lastCountedAt) return a.category.localeCompare(b.category);
+      if (!a.lastCountedAt) return -1;
+      if (!b.lastCountedAt) return 1;
+      return a.lastCountedAt - b.lastCountedAt;
+    });
+
+    // One category comes due every cycleDays, so each is counted once a round
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const roundDays = cycleDays * rotation.length;
+
+    res.json({
+      cycleDays,
+      roundDays,
+      categories: rotation.map((item, index) => ({
+        ...item,
+        dueDate: new Date(today.getTime() + index * cycleDays * DAY_MS),
+        overdue: !item.lastCountedAt || (Date.now() - item.lastCountedAt) > roundDays * DAY_MS
+      }))
+    });
+  } catch (err) {
+    console.error('Error building cycle-count schedule:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/stock-counts/:id
+// @desc    Get a stock count with its lines, and stock moved since it started
+// @access  Private
+router.get('/:id', [auth, permit('stockcounts:count')], async (req, res) => {
+  try {
+    const count = await StockCount.findById(req.params.id)
+      .populate('location', 'name')
+      .populate('startedBy', 'name')
+      .populate('submittedBy', 'name')
+      .populate('approvedBy', 'name')
+      .populate('lines.countedBy', 'name');
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    // Sales and deliveries during an open count make its snapshot stale
+    const moved = OPEN_STATUSES.includes(count.status)
+      ? await movementsSinceSnapshot(count)
+      : {};
+
+    res.json({
+      ...count.toObject(),
+      lines: count.lines.map(line => ({
+        ...line.toObject(),
+        movedSinceSnapshot: moved[line.product.toString()] || 0
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching stock count:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/stock-counts
+// @desc    Start a stock count, freezing expected stock for everything in scope
+// @access  Private/Manager, Admin, Inventory
+router.post('/', [auth, permit('stock:adjust')], async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let count;
+
+    await session.withTransaction(async () => {
+      const location = req.body.location
+        ? await inventoryService.resolveLocation(req.body.location, session)
+        : null;
+      const category = req.body.category || undefined;
+
+      const existing = await StockCount.findOne({
+        status: { $in: OPEN_STATUSES },
+        category: category || { $exists: false },
+        location: location ? location._id : { $exists: false }
+      }).session(session);
+
+      if (existing) {
+        throw countError(400, `Stock count ${existing.countNumber} of ${describeScope({ category, location })} is already open`);
+      }
+
+      const productQuery = { isActive: true };
+      if (category) {
+        productQuery.category = category;
+      }
+
+      // At a location, only products that have been held there
+      if (location) {
+        const stocked = await StockLevel.find({ location: location._id }, 'product').session(session);
+        productQuery._id = { $in: stocked.map(level => level.product) };
+      }
+
+      const products = await Product.find(productQuery).sort({ category: 1, name: 1 }).session(session);
+
+      if (products.length === 0) {
+        throw countError(400, `There are no products to count in ${describeScope({ category, location })}`);
+      }
+
+      const lines = [];
+      for (const product of products) {
+        lines.push(await buildLine(product, location ? location._id : null, session));
+      }
+
+      count = new StockCount({
+        category,
+        location: location ? location._id : undefined,
+        scheduled: Boolean(req.body.scheduled),
+        notes: req.body.notes,
+        lines,
+        startedBy: req.user.id
+      });
+
+      await count.save({ session });
+    });
+
+    res.status(201).json({
+      message: 'Stock count started successfully',
+      count
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    console.error('Error starting stock count:', err);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// @route   POST api/stock-counts/:id/count
+// @desc    Record a count for a product. Several people can count at once;
+//          'add' adds to the tally (e.g. one per scan), 'set' replaces it.
+// @access  Private
+router.post(
+  '/:id/count',
+  [
+    auth,
+    permit('stockcounts:count'),
+    [
+      check('quantity', 'Quantity must be a whole number of at least 0').isInt({ min: 0 }),
+      check('mode', 'Mode must be add or set').optional().isIn(['add', 'set'])
+    ]
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { barcode, product: productId, notes } = req.body;
+      const quantity = parseInt(req.body.quantity);
+      const mode = req.body.mode || 'set';
+
+      const count = await StockCount.findById(req.params.id, 'status location lines.product lines.barcode');
+
+      if (!count) {
+        return res.status(404).json({ message: 'Stock count not found' });
+      }
+
+      if (count.status !== 'In Progress') {
+        return res.status(400).json({ message: `This count is ${count.status.toLowerCase()} and can no longer be changed` });
+      }
+
+      let line = count.lines.find(l =>
+        (productId && l.product.toString() === productId) || (barcode && l.barcode === barcode)
+      );
+
+      // Stock found that was not expected here is added to the count
+      if (!line) {
+        const product = productId
+          ? await Product.findById(productId)
+          : await Product.findOne({ barcode });
+
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const newLine = {
+          ...await buildLine(product, count.location),
+          addedDuringCount: true
+        };
+
+        await StockCount.updateOne(
+          { _id: count._id, status: 'In Progress', 'lines.product': { $ne: product._id } },
+          { $push: { lines: newLine } }
+        );
+
+        line = { product: product._id };
+      }
+
+      const update = {
+        $addToSet: { 'lines.$.countedBy': req.user.id },
+        $set: { 'lines.$.countedAt': Date.now(), updatedAt: Date.now() }
+      };
+
+      if (mode === 'add') {
+        update.$inc = { 'lines.$.counted': quantity };
+      } else {
+        update.$set['lines.$.counted'] = quantity;
+      }
+
+      if (notes !== undefined) {
+        update.$set['lines.$.notes'] = notes;
+      }
+
+      // Applied in one update so counts from several people are not lost
+      const updated = await StockCount.findOneAndUpdate(
+        { _id: count._id, status: 'In Progress', 'lines.product': line.product },
+        update,
+        { new: true }
+      ).populate('lines.countedBy', 'name');
+
+      if (!updated) {
+        return res.status(400).json({ message: 'This count can no longer be changed' });
+      }
+
+      res.json({
+        message: 'Count recorded',
+        line: updated.lines.find(l => l.product.equals(line.product))
+      });
+    } catch (err) {
+      console.error('Error recording count:', err);
+
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Stock count not found' });
+      }
+
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT api/stock-counts/:id/submit
+// @desc    Finish counting and send the variances for approval
+// @access  Private
+router.put('/:id/submit', [auth, permit('stockcounts:count')], async (req, res) => {
+  try {
+    const count = await StockCount.findById(req.params.id);
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (count.status !== 'In Progress') {
+      return res.status(400).json({ message: `This count is already ${count.status.toLowerCase()}` });
+    }
+
+    if (count.countedLines === 0) {
+      return res.status(400).json({ message: 'Nothing has been counted yet' });
+    }
+
+    count.status = 'Submitted';
+    count.submittedBy = req.user.id;
+    count.submittedAt = Date.now();
+    count.rejectionReason = undefined;
+
+    await count.save();
+
+    res.json({
+      message: 'Stock count submitted for approval',
+      count
+    });
+  } catch (err) {
+    console.error('Error submitting stock count:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/stock-counts/:id/reject
+// @desc    Send a submitted count back to be recounted
+// @access  Private/Admin, Manager
+router.put('/:id/reject', [auth, permit('stockcounts:approve')], async (req, res) => {
+  try {
+    const count = await StockCount.findById(req.params.id);
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (count.status !== 'Submitted') {
+      return res.status(400).json({ message: 'Only submitted counts can be sent back' });
+    }
+
+    count.status = 'In Progress';
+    count.rejectionReason = req.body.reason;
+
+    await count.save();
+
+    res.json({
+      message: 'Stock count sent back for recount',
+      count
+    });
+  } catch (err) {
+    console.error('Error rejecting stock count:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/stock-counts/:id/approve
+// @desc    Approve a submitted count, posting each variance as a StockCount movement
+// @access  Private/Admin, Manager
+router.put('/:id/approve', [auth, permit('stockcounts:approve')], async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let count;
+
+    await session.withTransaction(async () => {
+      count = await StockCount.findById(req.params.id).populate('location', 'name').session(session);
+
+      if (!count) {
+        throw countError(404, 'Stock count not found');
+      }
+
+      if (count.status !== 'Submitted') {
+        throw countError(400, 'Only submitted counts can be approved');
+      }
+
+      let varianceUnits = 0;
+      let varianceCost = 0;
+
+      // Uncounted products are left as they are
+      for (const line of count.lines) {
+        const variance = line.variance;
+
+        if (variance === null || variance === 0) continue;
+
+        await inventoryService.recordMovement({
+          product: line.product,
+          movementType: 'StockCount',
+          quantity: Math.abs(variance),
+          stockChange: variance,
+          reference: count.countNumber,
+          notes: `Counted ${line.counted}, expected ${line.expected}${line.notes ? `: ${line.notes}` : ''}`,
+          // Shortfalls nobody can explain show up in the shrinkage report
+          lossReason: variance < 0 ? 'Unexplained' : undefined,
+          location: count.location ? count.location._id : undefined,
+          performedBy: req.user.id
+        }, session);
+
+        varianceUnits += variance;
+        varianceCost += variance * line.unitCost;
+      }
+
+      count.status = 'Approved';
+      count.approvedBy = req.user.id;
+      count.approvedAt = Date.now();
+      count.varianceUnits = varianceUnits;
+      count.varianceCost = roundCurrency(varianceCost);
+
+      await count.save({ session });
+    });
+
+    res.json({
+      message: 'Stock count approved and stock updated',
+      count
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    console.error('Error approving stock count:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// @route   PUT api/stock-counts/:id/cancel
+// @desc    Cancel an open count without changing stock
+// @access  Private/Manager, Admin, Inventory
+router.put('/:id/cancel', [auth, permit('stock:adjust')], async (req, res) => {
+  try {
+    const count = await StockCount.findById(req.params.id);
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (!OPEN_STATUSES.includes(count.status)) {
+      return res.status(400).json({ message: `This count is already ${count.status.toLowerCase()}` });
+    }
+
+    count.status = 'Cancelled';
+    count.cancelledAt = Date.now();
+
+    await count.save();
+
+    res.json({
+      message: 'Stock count cancelled',
+      count
+    });
+  } catch (err) {
+    console.error('Error cancelling stock count:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const roleAuth = require('../middleware/roleAuth');
+const { permit } = require('../middleware/permissions');
 const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
 
@@ -120,7 +120,7 @@ router.post(
   '/',
   [
     auth,
-    roleAuth(['admin', 'manager']),
+    permit('suppliers:edit'),
     [
       check('name', 'Name is required').not().isEmpty()
     ]
@@ -184,7 +184,7 @@ router.put(
   '/:id',
   [
     auth,
-    roleAuth(['admin', 'manager']),
+    permit('suppliers:edit'),
     [
       check('name', 'Name is required').not().isEmpty()
     ]
@@ -265,7 +265,7 @@ router.put(
 // @route   DELETE api/suppliers/:id
 // @desc    Delete a supplier
 // @access  Private/Admin
-router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
+router.delete('/:id', [auth, permit('suppliers:delete')], async (req, res) => {
   try {
     const supplier = await Supplier.findById(req.params.id);
     
@@ -283,7 +283,7 @@ router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
     }
     
     // Delete supplier
-    await supplier.remove();
+    await supplier.deleteOne();
     
     res.json({ message: 'Supplier deleted successfully' });
   } catch (err) {
@@ -3,7 +3,7 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const roleAuth = require('../middleware/roleAuth');
+const { permit } = require('../middleware/permissions');
 
 // @route   POST api/users
 // @desc    Register a user
@@ -12,7 +12,7 @@ router.post(
   '/',
   [
     auth,
-    roleAuth('admin'),
+    permit('users:manage'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('email', 'Please include a valid email').isEmail(),
@@ -69,9 +69,9 @@ router.post(
 // @route   GET api/users
 // @desc    Get all users
 // @access  Private/Admin
-router.get('/', [auth, roleAuth(['admin', 'manager'])], async (req, res) => {
+router.get('/', [auth, permit('users:view')], async (req, res) => {
   try {
-    const users = await User.find().select('-password').sort({ name: 1 });
+    const users = await User.find().select('-password -pin').sort({ name: 1 });
     res.json(users);
   } catch (err) {
     console.error('Get users error:', err.message);
@@ -82,9 +82,9 @@ router.get('/', [auth, roleAuth(['admin', 'manager'])], async (req, res) => {
 // @route   GET api/users/:id
 // @desc    Get user by ID
 // @access  Private/Admin
-router.get('/:id', [auth, roleAuth(['admin', 'manager'])], async (req, res) => {
+router.get('/:id', [auth, permit('users:view')], async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id).select('-password -pin');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -109,7 +109,7 @@ router.put(
   '/:id',
   [
     auth,
-    roleAuth('admin'),
+    permit('users:manage'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('email', 'Please include a valid email').isEmail(),
@@ -170,7 +170,7 @@ router.put(
 // @route   DELETE api/users/:id
 // @desc    Delete user
 // @access  Private/Admin
-router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
+router.delete('/:id', [auth, permit('users:manage')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -183,7 +183,7 @@ router.delete('/:id', [auth, roleAuth('admin')], async (req, res) => {
       return res.status(400).json({ message: 'Users cannot delete their own account' });
     }
     
-    await user.remove();
+    await user.deleteOne();
     
     res.json({ message: 'User removed' });
   } catch (err) {
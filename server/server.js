@@ -3,14 +3,21 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 require('dotenv').config();
+const requestContext = require('./services/requestContext');
+const eventService = require('./services/eventService');
 
 const app = express();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Expose refreshed auth tokens to the client
+app.use(cors({ exposedHeaders: ['x-auth-token'] }));
+// Loss photos are sent inline as data URLs
+app.use(express.json({ limit: '5mb' }));
 app.use(morgan('dev'));
 
+// Make the current request available to model hooks (audit log actor)
+app.use(requestContext.middleware);
+
 // Debug middleware to log all API requests
 app.use((req, res, next) => {
   console.log(`${req.method} ${req.url}`);
@@ -25,12 +32,31 @@ app.get('/api/test', (req, res) => {
 // API Routes
 app.use('/api/products', require('./routes/products'));
 app.use('/api/barcode', require('./routes/barcode'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/batches', require('./routes/batches'));
+app.use('/api/production', require('./routes/production'));
+app.use('/api/locations', require('./routes/locations'));
+app.use('/api/losses', require('./routes/losses'));
+app.use('/api/stock-counts', require('./routes/stockCounts'));
 app.use('/api/sales', require('./routes/sales'));
+app.use('/api/offline-sales', require('./routes/offlineSales'));
+app.use('/api/parked-sales', require('./routes/parkedSales'));
+app.use('/api/returns', require('./routes/returns'));
+app.use('/api/registers', require('./routes/registers'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/reconciliation', require('./routes/reconciliation'));
+app.use('/api/gift-cards', require('./routes/giftCards'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/customers', require('./routes/customers'));
+app.use('/api/loyalty', require('./routes/loyalty'));
+app.use('/api/accounts', require('./routes/accounts'));
+app.use('/api/promotions', require('./routes/promotions'));
 app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/events', require('./routes/events'));
 
 // MongoDB Connection
 const connectDB = async () => {
@@ -49,6 +75,9 @@ const PORT = process.env.PORT || 5000;
 
 // Connect to DB and start server
 connectDB().then(() => {
+  // Push committed stock and sale changes to open screens
+  eventService.watchChanges();
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
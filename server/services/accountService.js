@@ -0,0 +1,352 @@
+// services/accountService.js
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const AccountPayment = require('../models/AccountPayment');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error carrying an HTTP status so routes can pass it straight to the client
+const accountError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Keep an increment's floating point drift out of the stored account balance
+const tidyBalance = async (customer, session = null) => {
+  const balance = roundCurrency(customer.commercialDetails.accountBalance);
+
+  if (balance !== customer.commercialDetails.accountBalance) {
+    customer.commercialDetails.accountBalance = balance;
+    await Customer.updateOne(
+      { _id: customer._id },
+      { $set: { 'commercialDetails.accountBalance': balance } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Charge part of a sale to a trade customer's account and raise an invoice
+ * for it.
+ *
+ * The account balance is raised with a conditional $inc, so two charges at
+ * once cannot take the customer past their credit limit.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.customer - Customer ID
+ * @param {Number} options.amount - Amount charged
+ * @param {Object} options.sale - Sale being paid for
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} Invoice
+ */
+const chargeAccount = async ({ customer: customerId, amount, sale, performedBy }, session = null) => {
+  if (!customerId) {
+    throw accountError(400, 'A trade customer is required to charge to account');
+  }
+
+  const charge = roundCurrency(amount);
+
+  const customer = await Customer.findOneAndUpdate(
+    {
+      _id: customerId,
+      isActive: true,
+      isCommercial: true,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$commercialDetails.accountBalance', 0] }, charge] },
+          { $ifNull: ['$commercialDetails.creditLimit', 0] }
+        ]
+      }
+    },
+    { $inc: { 'commercialDetails.accountBalance': charge }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const current = await Customer.findById(customerId).session(session);
+
+    if (!current) {
+      throw accountError(404, 'Customer not found');
+    }
+
+    if (!current.isCommercial || !current.isActive) {
+      throw accountError(400, `${current.name} does not have a trade account`);
+    }
+
+    const available = (current.commercialDetails.creditLimit || 0) - (current.commercialDetails.accountBalance || 0);
+
+    throw accountError(
+      400,
+      `Charge would exceed ${current.name}'s credit limit. Available credit: ${Math.max(0, available).toFixed(2)}`
+    );
+  }
+
+  await tidyBalance(customer, session);
+
+  const issueDate = new Date();
+
+  const invoice = new Invoice({
+    customer: customer._id,
+    sale: sale._id,
+    saleNumber: sale.saleNumber,
+    amount: charge,
+    balance: charge,
+    issueDate,
+    dueDate: new Date(issueDate.getTime() + (customer.commercialDetails.paymentTermsDays || 0) * DAY_MS),
+    createdBy: performedBy
+  });
+
+  await invoice.save({ session });
+
+  return invoice;
+};
+
+/**
+ * Record money received from a trade customer and put it towards their
+ * invoices, oldest first unless particular invoices are named.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.customer - Customer ID
+ * @param {Number} options.amount - Amount received
+ * @param {String} options.method - Cash, EFTPOS, Bank Transfer or Cheque
+ * @param {String} [options.reference] - Bank or cheque reference
+ * @param {String} [options.notes]
+ * @param {Array} [options.allocations] - [{ invoice, amount }] to pay specific invoices
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} AccountPayment
+ */
+const recordPayment = async ({
+  customer: customerId,
+  amount,
+  method,
+  reference,
+  notes,
+  allocations,
+  performedBy
+}, session = null) => {
+  const received = roundCurrency(amount);
+
+  const customer = await Customer.findById(customerId).session(session);
+
+  if (!customer) {
+    throw accountError(404, 'Customer not found');
+  }
+
+  const openInvoices = await Invoice.find({
+    customer: customer._id,
+    status: { $in: ['Open', 'Partially Paid'] }
+  })
+    .sort({ issueDate: 1 })
+    .session(session);
+
+  const outstanding = roundCurrency(openInvoices.reduce((sum, invoice) => sum + invoice.balance, 0));
+
+  if (received > outstanding) {
+    throw accountError(400, `Payment is more than the ${outstanding.toFixed(2)} owing on the account`);
+  }
+
+  // Work out how much goes on each invoice
+  let plan;
+
+  if (allocations && allocations.length > 0) {
+    plan = allocations.map(allocation => {
+      const invoice = openInvoices.find(inv => inv._id.toString() === String(allocation.invoice));
+
+      if (!invoice) {
+        throw accountError(400, 'Payments can only be put towards the customer\'s unpaid invoices');
+      }
+
+      const allocated = roundCurrency(parseFloat(allocation.amount));
+
+      if (!(allocated > 0) || allocated > invoice.balance) {
+        throw accountError(400, `Amount for invoice ${invoice.invoiceNumber} must be between 0.01 and ${invoice.balance.toFixed(2)}`);
+      }
+
+      return { invoice, amount: allocated };
+    });
+
+    const allocatedTotal = roundCurrency(plan.reduce((sum, item) => sum + item.amount, 0));
+
+    if (allocatedTotal !== received) {
+      throw accountError(400, 'Invoice amounts must add up to the payment amount');
+    }
+  } else {
+    plan = [];
+    let remaining = received;
+
+    for (const invoice of openInvoices) {
+      if (remaining <= 0) break;
+
+      const allocated = roundCurrency(Math.min(invoice.balance, remaining));
+      plan.push({ invoice, amount: allocated });
+      remaining = roundCurrency(remaining - allocated);
+    }
+  }
+
+  const payment = new AccountPayment({
+    customer: customer._id,
+    amount: received,
+    method,
+    reference,
+    notes,
+    allocations: plan.map(({ invoice, amount: allocated }) => ({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: allocated
+    })),
+    receivedBy: performedBy
+  });
+
+  await payment.save({ session });
+
+  for (const { invoice, amount: allocated } of plan) {
+    invoice.applyPayment(payment, allocated, payment.date);
+    await invoice.save({ session });
+  }
+
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer._id },
+    { $inc: { 'commercialDetails.accountBalance': -received }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  await tidyBalance(updated, session);
+
+  return payment;
+};
+
+/**
+ * Unpaid invoice amounts grouped by how long ago they were raised:
+ * current (under 30 days), 30, 60 and 90+ days.
+ *
+ * @param {Array} invoices - The customer's invoices
+ * @param {Date} [asOf] - Date to age the balances at
+ * @returns {Object} { current, days30, days60, days90, total }
+ */
+const ageInvoices = (invoices, asOf = new Date()) => {
+  const aged = { current: 0, days30: 0, days60: 0, days90: 0, total: 0 };
+
+  for (const invoice of invoices) {
+    const balance = invoice.getBalanceAt(asOf);
+
+    if (balance <= 0) continue;
+
+    const age = Math.floor((asOf - invoice.issueDate) / DAY_MS);
+
+    if (age >= 90) {
+      aged.days90 += balance;
+    } else if (age >= 60) {
+      aged.days60 += balance;
+    } else if (age >= 30) {
+      aged.days30 += balance;
+    } else {
+      aged.current += balance;
+    }
+
+    aged.total += balance;
+  }
+
+  Object.keys(aged).forEach(bucket => {
+    aged[bucket] = roundCurrency(aged[bucket]);
+  });
+
+  return aged;
+};
+
+/**
+ * Current aged balances for a customer's account.
+ */
+const getAgedBalances = async (customerId) => {
+  const invoices = await Invoice.find({
+    customer: customerId,
+    status: { $in: ['Open', 'Partially Paid'] }
+  });
+
+  return ageInvoices(invoices);
+};
+
+/**
+ * Build a monthly statement: the balance brought forward, the invoices and
+ * payments in the month with a running balance, and the closing balance
+ * aged as at the end of the month.
+ *
+ * @param {String|ObjectId} customerId - Customer ID
+ * @param {Number} year - e.g. 2024
+ * @param {Number} month - 1 to 12
+ * @returns {Promise<Object>} Statement
+ */
+const buildStatement = async (customerId, year, month) => {
+  const customer = await Customer.findById(customerId)
+    .select('name email phone address commercialDetails');
+
+  if (!customer) {
+    throw accountError(404, 'Customer not found');
+  }
+
+  const periodStart = new Date(year, month - 1, 1);
+  const periodEnd = new Date(year, month, 1);
+  const statementDate = new Date(Math.min(periodEnd.getTime() - 1, Date.now()));
+
+  const [invoices, payments] = await Promise.all([
+    Invoice.find({ customer: customer._id, issueDate: { $lt: periodEnd } }).sort({ issueDate: 1 }),
+    AccountPayment.find({
+      customer: customer._id,
+      date: { $gte: periodStart, $lt: periodEnd }
+    }).sort({ date: 1 })
+  ]);
+
+  const openingBalance = roundCurrency(
+    invoices.reduce((sum, invoice) => sum + invoice.getBalanceAt(new Date(periodStart.getTime() - 1)), 0)
+  );
+
+  const entries = [
+    ...invoices
+      .filter(invoice => invoice.issueDate >= periodStart)
+      .map(invoice => ({
+        date: invoice.issueDate,
+        type: 'Invoice',
+        reference: invoice.invoiceNumber,
+        details: invoice.saleNumber ? `Sale ${invoice.saleNumber}` : '',
+        dueDate: invoice.dueDate,
+        debit: invoice.amount,
+        credit: 0
+      })),
+    ...payments.map(payment => ({
+      date: payment.date,
+      type: 'Payment',
+      reference: payment.paymentNumber,
+      details: [payment.method, payment.reference].filter(Boolean).join(' '),
+      debit: 0,
+      credit: payment.amount
+    }))
+  ].sort((a, b) => a.date - b.date);
+
+  let balance = openingBalance;
+  const transactions = entries.map(entry => {
+    balance = roundCurrency(balance + entry.debit - entry.credit);
+    return { ...entry, balance };
+  });
+
+  return {
+    customer,
+    period: { year, month, start: periodStart, end: periodEnd },
+    statementDate,
+    openingBalance,
+    transactions,
+    closingBalance: balance,
+    aged: ageInvoices(invoices, statementDate)
+  };
+};
+
+module.exports = {
+  chargeAccount,
+  recordPayment,
+  ageInvoices,
+  getAgedBalances,
+  buildStatement
+};
@@ -0,0 +1,141 @@
+// services/eftpos/simulatorAdapter.js
+
+/**
+ * Local EFTPOS terminal simulator
+ *
+ * Walks each request through the prompts a real terminal shows, one step
+ * every `stepMs`, so the POS polling and every error path can be tried
+ * without a terminal. The outcome comes from eftpos.simulator.outcome, or
+ * from the cents of the amount so a cashier can pick one at the register:
+ *
+ *   .51  declined
+ *   .52  timed out (the card is never presented)
+ *   .53  partially approved for eftpos.simulator.partialPercent of the amount
+ *   .54  signature required
+ *
+ * Any other amount uses the configured outcome, which defaults to approve.
+ */
+
+const OUTCOMES = ['approve', 'decline', 'timeout', 'partial', 'signature'];
+
+const OUTCOME_BY_CENTS = {
+  51: 'decline',
+  52: 'timeout',
+  53: 'partial',
+  54: 'signature'
+};
+
+class SimulatorAdapter {
+  constructor(settings) {
+    const simulator = settings.simulator || {};
+
+    this.name = 'simulator';
+    this.outcome = OUTCOMES.includes(simulator.outcome) ? simulator.outcome : 'approve';
+    this.stepMs = parseInt(simulator.stepMs) || 1500;
+    this.partialPercent = parseFloat(simulator.partialPercent) || 50;
+    this.cardType = simulator.cardType || 'VISA';
+    this.lastFourDigits = simulator.lastFourDigits || '4242';
+    this.requests = new Map();
+    this.sequence = 0;
+  }
+
+  getOutcome(amount) {
+    const cents = Math.round(amount * 100) % 100;
+    return OUTCOME_BY_CENTS[cents] || this.outcome;
+  }
+
+  async start({ type, amount, reference }) {
+    this.sequence += 1;
+
+    const providerReference = `SIM-${Date.now()}-${this.sequence}`;
+    const outcome = this.getOutcome(amount);
+
+    this.requests.set(providerReference, {
+      type,
+      amount,
+      reference,
+      // Refunds and voids are keyed in by the cashier, so there is no signature
+      outcome: type !== 'Purchase' && outcome === 'signature' ? 'approve' : outcome,
+      startedAt: Date.now(),
+      signature: null,
+      cancelled: false
+    });
+
+    return providerReference;
+  }
+
+  getRequest(providerReference) {
+    const request = this.requests.get(providerReference);
+
+    if (!request) {
+      throw new Error(`Simulator has no request ${providerReference}`);
+    }
+
+    return request;
+  }
+
+  approve(request, providerReference, amount) {
+    return {
+      state: 'Approved',
+      transactionId: providerReference.replace('SIM-', 'TXN-'),
+      authCode: providerReference.slice(-6).padStart(6, '0'),
+      cardType: this.cardType,
+      lastFourDigits: this.lastFourDigits,
+      amount,
+      responseText: amount < request.amount ? 'Partially approved' : 'Approved'
+    };
+  }
+
+  async getStatus(providerReference) {
+    const request = this.getRequest(providerReference);
+    const step = Math.floor((Date.now() - request.startedAt) / this.stepMs);
+
+    if (request.cancelled) {
+      return { state: 'Cancelled', responseText: 'Cancelled at the POS' };
+    }
+
+    if (step < 1 || request.outcome === 'timeout') {
+      return { state: 'Pending', prompt: 'Present Card', displayText: 'PRESENT/INSERT CARD' };
+    }
+
+    if (step < 2) {
+      return { state: 'Pending', prompt: 'Processing', displayText: 'PROCESSING' };
+    }
+
+    switch (request.outcome) {
+      case 'decline':
+        return { state: 'Declined', responseText: 'Declined - insufficient funds' };
+      case 'partial':
+        return this.approve(
+          request,
+          providerReference,
+          Math.round(request.amount * this.partialPercent) / 100
+        );
+      case 'signature':
+        if (request.signature === null) {
+          return { state: 'Pending', prompt: 'Signature Required', displayText: 'SIGNATURE OK?' };
+        }
+
+        return request.signature
+          ? this.approve(request, providerReference, request.amount)
+          : { state: 'Declined', responseText: 'Signature declined' };
+      default:
+        return this.approve(request, providerReference, request.amount);
+    }
+  }
+
+  async confirmSignature(providerReference, accepted) {
+    this.getRequest(providerReference).signature = accepted;
+  }
+
+  // Like a terminal, a request that has already finished can't be cancelled
+  async cancel(providerReference) {
+    const status = await this.getStatus(providerReference);
+
+    if (status.state === 'Pending') {
+      this.getRequest(providerReference).cancelled = true;
+    }
+  }
+}
+
+module.exports = SimulatorAdapter;
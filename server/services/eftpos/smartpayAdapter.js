@@ -0,0 +1,98 @@
+// services/eftpos/smartpayAdapter.js
+const axios = require('axios');
+
+/**
+ * Smartpay terminals through Smartpay's SmartConnect cloud API at
+ * eftpos.apiUrl. Requests are sent in async mode and polled through the
+ * URL SmartConnect returns. The terminal is paired to the register ID
+ * eftpos.terminalId. Signatures are checked and cancels pressed on the
+ * terminal itself.
+ */
+
+const TRANSACTION_TYPES = {
+  Purchase: 'Card.Purchase',
+  Refund: 'Card.Refund'
+};
+
+const PROMPTS = [
+  [/SIGNATURE/, 'Signature Required'],
+  [/PIN/, 'Enter PIN'],
+  [/PRESENT|INSERT|SWIPE|TAP/, 'Present Card'],
+  [/REMOVE/, 'Remove Card']
+];
+
+class SmartpayAdapter {
+  constructor(settings) {
+    this.name = 'smartpay';
+    this.settings = settings;
+  }
+
+  async start({ type, amount, reference }) {
+    if (!TRANSACTION_TYPES[type]) {
+      throw new Error(`Smartpay terminals cannot ${type.toLowerCase()} a transaction; refund it instead`);
+    }
+
+    const { apiUrl, terminalId, merchantId, timeout } = this.settings;
+    const params = new URLSearchParams({
+      POSRegisterID: terminalId,
+      POSBusinessName: merchantId,
+      POSVendorName: 'Plant Nursery IMS'
+    });
+
+    const res = await axios.post(
+      `${apiUrl}/Transaction?${params}`,
+      new URLSearchParams({
+        TransactionMode: 'ASYNC',
+        TransactionType: TRANSACTION_TYPES[type],
+        amount: Math.round(amount * 100).toString(),
+        PosReference: reference
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout }
+    );
+
+    return res.data.PollingUrl;
+  }
+
+  async getStatus(providerReference) {
+    const res = await axios.get(providerReference, { timeout: this.settings.timeout });
+    const data = res.data.data || {};
+
+    if (res.data.transactionStatus !== 'COMPLETED') {
+      const displayText = (data.DisplayMessage || '').toUpperCase();
+      const match = PROMPTS.find(([pattern]) => pattern.test(displayText));
+
+      return {
+        state: 'Pending',
+        prompt: match ? match[1] : 'Processing',
+        displayText: data.DisplayMessage
+      };
+    }
+
+    if (data.TransactionResult !== 'OK-ACCEPTED') {
+      return {
+        state: data.Result === 'CANCELLED' ? 'Cancelled' : 'Declined',
+        responseText: data.TransactionResult
+      };
+    }
+
+    return {
+      state: 'Approved',
+      transactionId: data.RequestId,
+      authCode: data.AuthId,
+      cardType: data.CardType,
+      lastFourDigits: (data.CardPan || '').slice(-4),
+      amount: parseInt(data.AmountTotal) / 100,
+      responseText: data.TransactionResult
+    };
+  }
+
+  async confirmSignature() {
+    throw new Error('Check the signature on the Smartpay terminal');
+  }
+
+  async cancel() {
+    throw new Error('Press cancel on the Smartpay terminal');
+  }
+}
+
+module.exports = SmartpayAdapter;
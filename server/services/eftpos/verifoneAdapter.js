@@ -0,0 +1,93 @@
+// services/eftpos/verifoneAdapter.js
+const axios = require('axios');
+
+/**
+ * Verifone terminals through the Verifone cloud terminal API at
+ * eftpos.apiUrl. Amounts are sent in cents.
+ */
+
+const PROMPTS = {
+  PRESENT_CARD: 'Present Card',
+  ENTER_PIN: 'Enter PIN',
+  SIGNATURE_VERIFICATION: 'Signature Required',
+  REMOVE_CARD: 'Remove Card'
+};
+
+const STATES = {
+  APPROVED: 'Approved',
+  PARTIALLY_APPROVED: 'Approved',
+  DECLINED: 'Declined',
+  CANCELLED: 'Cancelled',
+  FAILED: 'Failed'
+};
+
+const TRANSACTION_TYPES = {
+  Purchase: 'SALE',
+  Refund: 'REFUND',
+  Void: 'VOID'
+};
+
+class VerifoneAdapter {
+  constructor(settings) {
+    this.name = 'verifone';
+    this.settings = settings;
+    this.client = axios.create({
+      baseURL: settings.apiUrl,
+      timeout: settings.timeout,
+      headers: { Authorization: `Bearer ${settings.apiKey}` }
+    });
+  }
+
+  async start({ type, amount, reference, originalTransactionId }) {
+    const res = await this.client.post(`/terminals/${this.settings.terminalId}/transactions`, {
+      merchantId: this.settings.merchantId,
+      type: TRANSACTION_TYPES[type],
+      amount: Math.round(amount * 100),
+      currency: this.settings.currency,
+      reference,
+      originalTransactionId
+    });
+
+    return res.data.id;
+  }
+
+  async getStatus(providerReference) {
+    const res = await this.client.get(`/transactions/${providerReference}`);
+    const transaction = res.data;
+
+    if (!STATES[transaction.status]) {
+      return {
+        state: 'Pending',
+        prompt: PROMPTS[transaction.prompt] || 'Processing',
+        displayText: transaction.display
+      };
+    }
+
+    if (STATES[transaction.status] !== 'Approved') {
+      return {
+        state: STATES[transaction.status],
+        responseText: transaction.message
+      };
+    }
+
+    return {
+      state: 'Approved',
+      transactionId: transaction.id,
+      authCode: transaction.authCode,
+      cardType: transaction.card?.brand,
+      lastFourDigits: transaction.card?.last4,
+      amount: transaction.approvedAmount / 100,
+      responseText: transaction.message
+    };
+  }
+
+  async confirmSignature(providerReference, accepted) {
+    await this.client.post(`/transactions/${providerReference}/signature`, { accepted });
+  }
+
+  async cancel(providerReference) {
+    await this.client.post(`/transactions/${providerReference}/cancel`);
+  }
+}
+
+module.exports = VerifoneAdapter;
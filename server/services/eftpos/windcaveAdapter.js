@@ -0,0 +1,120 @@
+// services/eftpos/windcaveAdapter.js
+const axios = require('axios');
+
+/**
+ * Windcave terminals through the Windcave HIT (host-based integration)
+ * gateway. Each call is an XML document posted to eftpos.apiUrl; the
+ * terminal is the HIT station eftpos.terminalId.
+ */
+
+// Text on the terminal screen mapped to the prompt the POS shows
+const PROMPTS = [
+  [/SIGNATURE/, 'Signature Required'],
+  [/PIN/, 'Enter PIN'],
+  [/PRESENT|INSERT|SWIPE|TAP/, 'Present Card'],
+  [/REMOVE/, 'Remove Card']
+];
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Read one element's text from a HIT response
+const readTag = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return match ? match[1].trim() : '';
+};
+
+class WindcaveAdapter {
+  constructor(settings) {
+    this.name = 'windcave';
+    this.settings = settings;
+  }
+
+  async send(fields) {
+    const { merchantId, apiKey, apiUrl, terminalId, timeout } = this.settings;
+    const body = Object.entries({ Station: terminalId, ...fields })
+      .map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`)
+      .join('');
+
+    const res = await axios.post(
+      apiUrl,
+      `<Scr action="doScrHIT" user="${escapeXml(merchantId)}" key="${escapeXml(apiKey)}">${body}</Scr>`,
+      { headers: { 'Content-Type': 'application/xml' }, timeout, responseType: 'text' }
+    );
+
+    return res.data;
+  }
+
+  // HIT identifies a request by the TxnRef the POS gave it
+  async start({ type, amount, reference, originalTransactionId }) {
+    await this.send({
+      TxnType: type,
+      Amount: amount.toFixed(2),
+      Cur: this.settings.currency,
+      TxnRef: reference,
+      MRef: reference,
+      ...(originalTransactionId ? { DpsTxnRef: originalTransactionId } : {})
+    });
+
+    return reference;
+  }
+
+  async getStatus(providerReference) {
+    const xml = await this.send({ TxnType: 'Status', TxnRef: providerReference });
+    const displayText = [readTag(xml, 'DL1'), readTag(xml, 'DL2')].filter(Boolean).join(' ');
+
+    if (readTag(xml, 'Complete') !== '1') {
+      const match = PROMPTS.find(([pattern]) => pattern.test(displayText.toUpperCase()));
+
+      return {
+        state: 'Pending',
+        prompt: match ? match[1] : 'Processing',
+        displayText
+      };
+    }
+
+    const responseText = readTag(xml, 'DS') || displayText;
+
+    if (readTag(xml, 'AP') !== '1') {
+      return {
+        state: /CANCEL/i.test(responseText) ? 'Cancelled' : 'Declined',
+        responseText
+      };
+    }
+
+    return {
+      state: 'Approved',
+      transactionId: readTag(xml, 'DpsTxnRef'),
+      authCode: readTag(xml, 'AC'),
+      cardType: readTag(xml, 'CT'),
+      lastFourDigits: readTag(xml, 'CN').slice(-4),
+      amount: parseFloat(readTag(xml, 'AmtA')),
+      responseText
+    };
+  }
+
+  // The terminal shows YES/NO buttons for the signature check
+  async confirmSignature(providerReference, accepted) {
+    await this.send({
+      TxnType: 'UI',
+      UiType: 'Bn',
+      Name: accepted ? 'B1' : 'B2',
+      Val: accepted ? 'YES' : 'NO',
+      TxnRef: providerReference
+    });
+  }
+
+  async cancel(providerReference) {
+    await this.send({
+      TxnType: 'UI',
+      UiType: 'Bn',
+      Name: 'B1',
+      Val: 'CANCEL',
+      TxnRef: providerReference
+    });
+  }
+}
+
+module.exports = WindcaveAdapter;
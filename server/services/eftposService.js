@@ -1,77 +1,243 @@
 // services/eftposService.js
+const config = require('config');
+const SimulatorAdapter = require('./eftpos/simulatorAdapter');
+const WindcaveAdapter = require('./eftpos/windcaveAdapter');
+const VerifoneAdapter = require('./eftpos/verifoneAdapter');
+const SmartpayAdapter = require('./eftpos/smartpayAdapter');
 
 /**
- * EFTPOS Integration Service (Mock implementation)
- * 
- * This is a simplified mock implementation that doesn't require the config module
- * It will simulate successful payment operations without external dependencies
+ * EFTPOS Integration Service
+ *
+ * Talks to the card terminal through the adapter for eftpos.provider. Every
+ * adapter offers the same calls:
+ *
+ *   start({ type, amount, reference, originalTransactionId }) - send a
+ *     Purchase, Refund or Void to the terminal, resolving with the
+ *     provider's reference for it
+ *   getStatus(providerReference) - { state, prompt, displayText, ... } where
+ *     state is Pending, Approved, Declined, Cancelled or Failed
+ *   confirmSignature(providerReference, accepted)
+ *   cancel(providerReference)
+ *
+ * Card payments are polled by the POS so it can show the terminal's
+ * prompts. Refunds and voids are waited on here.
  */
 
+const ADAPTERS = {
+  simulator: SimulatorAdapter,
+  mock: SimulatorAdapter,
+  windcave: WindcaveAdapter,
+  verifone: VerifoneAdapter,
+  smartpay: SmartpayAdapter
+};
+
+// Error carrying an HTTP status for the route to return
+const eftposError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 class EftposService {
   constructor() {
-    this.provider = 'mock';
-    this.terminal = 'TERMINAL01';
-    this.merchantId = 'MERCHANT01';
+    this.adapter = null;
+  }
+
+  // Set up the adapter on first use, like the other services reading config
+  setup() {
+    if (!this.adapter) {
+      const settings = config.get('eftpos');
+      const Adapter = ADAPTERS[settings.provider];
+
+      if (!Adapter) {
+        throw new Error(`Unknown EFTPOS provider '${settings.provider}'`);
+      }
+
+      this.timeout = parseInt(settings.timeout);
+      this.pollInterval = parseInt(settings.pollInterval) || 1000;
+      this.adapter = new Adapter({ ...settings, timeout: this.timeout });
+    }
+
+    return this.adapter;
+  }
+
+  // Name of the provider payments are sent to
+  getProvider() {
+    return this.setup().name;
   }
 
   /**
-   * Process payment through the EFTPOS terminal (mock implementation)
+   * Make one call to the terminal, giving up after eftpos.timeout
    */
-  async processPayment(paymentData) {
+  async call(method, ...args) {
+    const adapter = this.setup();
+    let timer;
+
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(eftposError(504, 'EFTPOS terminal did not respond in time')),
+        this.timeout
+      );
+    });
+
     try {
-      console.log(`[MOCK] Processing EFTPOS payment of $${paymentData.amount.toFixed(2)}`);
-      
-      // Simulate processing delay
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Always return successful result for mock implementation
+      return await Promise.race([adapter[method](...args), timedOut]);
+    } catch (err) {
+      if (err.status) {
+        throw err;
+      }
+
+      throw eftposError(502, `EFTPOS terminal error: ${err.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Turn an adapter status into the fields kept on an EftposTransaction.
+   * An approval for less than was asked for is a partial approval.
+   */
+  describe(status, amount) {
+    if (status.state === 'Pending') {
+      return {
+        status: 'Pending',
+        prompt: status.prompt || 'Processing',
+        displayText: status.displayText
+      };
+    }
+
+    if (status.state !== 'Approved') {
       return {
-        success: true,
-        transactionId: `TXN-${Date.now()}`,
-        authCode: 'AUTH123',
-        cardType: 'VISA',
-        lastFourDigits: '4242',
-        responseText: 'Payment approved',
-        amount: paymentData.amount,
-        reference: paymentData.reference
+        status: status.state,
+        prompt: null,
+        responseText: status.responseText || status.state
       };
-    } catch (error) {
-      console.error('EFTPOS payment error:', error);
-      throw new Error(`EFTPOS payment failed: ${error.message}`);
+    }
+
+    const approvedAmount = Math.round(status.amount * 100) / 100;
+
+    return {
+      status: approvedAmount < amount ? 'Partially Approved' : 'Approved',
+      prompt: null,
+      transactionId: status.transactionId,
+      authCode: status.authCode,
+      cardType: status.cardType,
+      lastFourDigits: status.lastFourDigits,
+      approvedAmount,
+      responseText: status.responseText || 'Approved'
+    };
+  }
+
+  /**
+   * Send a card payment to the terminal
+   *
+   * @param {Object} payment - { amount, reference }
+   * @returns {Promise<String>} The provider's reference for polling
+   */
+  async startPayment({ amount, reference }) {
+    return this.call('start', { type: 'Purchase', amount, reference });
+  }
+
+  /**
+   * Check a payment on the terminal. A payment the customer has not finished by
+   * eftpos.timeout after it started is cancelled and marked Timed Out.
+   *
+   * @param {Object} transaction - EftposTransaction
+   * @returns {Promise<Object>} Fields to update on the transaction
+   */
+  async checkPayment(transaction) {
+    let status = await this.call('getStatus', transaction.providerReference);
+
+    if (status.state === 'Pending' && Date.now() - transaction.startedAt >= this.timeout) {
+      try {
+        await this.call('cancel', transaction.providerReference);
+        status = await this.call('getStatus', transaction.providerReference);
+      } catch (err) {
+        console.error('Error cancelling timed out EFTPOS payment:', err.message);
+      }
+
+      // The card may have gone through just before the cancel
+      if (['Pending', 'Cancelled'].includes(status.state)) {
+        status = { state: 'Timed Out', responseText: 'No response from the terminal in time' };
+      }
+    }
+
+    return this.describe(status, transaction.amount);
+  }
+
+  async confirmSignature(transaction, accepted) {
+    await this.call('confirmSignature', transaction.providerReference, accepted);
+  }
+
+  async cancelPayment(transaction) {
+    await this.call('cancel', transaction.providerReference);
+  }
+
+  /**
+   * Send a request and wait for the terminal to finish it
+   */
+  async runToCompletion(request) {
+    const startedAt = Date.now();
+    const providerReference = await this.call('start', request);
+
+    for (;;) {
+      const status = await this.call('getStatus', providerReference);
+
+      if (status.state !== 'Pending') {
+        return status;
+      }
+
+      if (Date.now() - startedAt >= this.timeout) {
+        await this.call('cancel', providerReference).catch(() => {});
+        return { state: 'Timed Out', responseText: 'No response from the terminal in time' };
+      }
+
+      await sleep(this.pollInterval);
     }
   }
-  
+
   /**
-   * Void/cancel the last transaction (mock implementation)
+   * Void a card payment taken today, before it settles
    */
-  async voidTransaction(transactionId) {
-    console.log(`[MOCK] Voiding transaction: ${transactionId}`);
-    
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
+  async voidTransaction(transactionId, amount, reference) {
+    const status = await this.runToCompletion({
+      type: 'Void',
+      amount,
+      reference: reference || `VOID-${transactionId}`,
+      originalTransactionId: transactionId
+    });
+
     return {
-      success: true,
-      responseText: 'Transaction voided successfully'
+      success: status.state === 'Approved',
+      transactionId: status.transactionId,
+      responseText: status.state === 'Approved'
+        ? 'Transaction voided successfully'
+        : status.responseText || `Void ${status.state.toLowerCase()}`
     };
   }
-  
+
   /**
-   * Refund a transaction (mock implementation)
+   * Refund some or all of a card payment
    */
   async refundTransaction(transactionId, amount, reference) {
-    console.log(`[MOCK] Refunding $${amount.toFixed(2)} from transaction: ${transactionId}`);
-    
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
+    const status = await this.runToCompletion({
+      type: 'Refund',
+      amount,
+      reference,
+      originalTransactionId: transactionId
+    });
+
     return {
-      success: true,
-      transactionId: `REFUND-${Date.now()}`,
-      responseText: 'Refund processed successfully',
-      amount: amount
+      success: status.state === 'Approved',
+      transactionId: status.transactionId,
+      responseText: status.state === 'Approved'
+        ? 'Refund processed successfully'
+        : status.responseText || `Refund ${status.state.toLowerCase()}`,
+      amount: status.state === 'Approved' ? status.amount : 0
     };
   }
 }
 
-module.exports = new EftposService();
\ No newline at end of file
+module.exports = new EftposService();
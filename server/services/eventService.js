@@ -0,0 +1,183 @@
+// services/eventService.js
+const config = require('config');
+const InventoryMovement = require('../models/InventoryMovement');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const StockCount = require('../models/StockCount');
+const User = require('../models/User');
+const inventoryService = require('./inventoryService');
+
+// Screens connected to the event stream
+const clients = new Set();
+
+// Change streams are reopened this long after they fail
+const RETRY_MS = 10000;
+
+let heartbeat = null;
+
+// Send one Server-Sent Event to a client
+const send = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Push an event to every connected screen.
+ *
+ * @param {String} type - Event name, e.g. 'stock:changed'
+ * @param {Object} data - Sent as JSON
+ */
+const publish = (type, data) => {
+  clients.forEach(client => send(client.res, type, data));
+};
+
+/**
+ * Keep a response open as an event stream until the client goes away.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform stops compressing proxies from holding events back
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = { res };
+  clients.add(client);
+
+  // Comments keep idle connections from being closed by proxies
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      clients.forEach(({ res: stream }) => stream.write(': heartbeat\n\n'));
+    }, config.get('events.heartbeatSeconds') * 1000);
+    heartbeat.unref();
+  }
+
+  req.on('close', () => {
+    clients.delete(client);
+
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+};
+
+// A product at or under its minimum is low on stock
+const isLow = (product, stock) => stock <= product.minimumStock;
+
+const publishMovement = async (movement) => {
+  const product = await Product.findById(movement.product)
+    .select('name barcode category currentStock minimumStock')
+    .lean();
+
+  if (!product) {
+    return;
+  }
+
+  const sellable = await inventoryService.getSellableStock([product]);
+  const performedBy = await User.findById(movement.performedBy).select('name').lean();
+  const wasLow = isLow(product, movement.previousStock);
+  const nowLow = isLow(product, movement.newStock);
+
+  const data = {
+    product: { ...product, sellableStock: sellable[product._id.toString()] },
+    movement: {
+      _id: movement._id,
+      movementType: movement.movementType,
+      quantity: movement.quantity,
+      stockChange: movement.stockChange,
+      previousStock: movement.previousStock,
+      newStock: movement.newStock,
+      batchNumber: movement.batchNumber,
+      reference: movement.reference,
+      notes: movement.notes,
+      lossReason: movement.lossReason,
+      location: movement.location,
+      fromLocation: movement.fromLocation,
+      toLocation: movement.toLocation,
+      performedBy,
+      timestamp: movement.timestamp
+    },
+    wasLow,
+    isLow: nowLow
+  };
+
+  publish('stock:changed', data);
+
+  if (nowLow && !wasLow) {
+    publish('stock:low', { product: data.product });
+  }
+};
+
+const publishSale = (sale) => {
+  publish('sale:created', {
+    _id: sale._id,
+    saleNumber: sale.saleNumber,
+    registerNumber: sale.registerNumber,
+    status: sale.status,
+    items: sale.items.map(item => ({ name: item.name, quantity: item.quantity })),
+    total: sale.total,
+    createdAt: sale.createdAt
+  });
+};
+
+const publishStockCount = (count) => {
+  publish('stockcount:completed', {
+    _id: count._id,
+    countNumber: count.countNumber,
+    category: count.category,
+    location: count.location,
+    varianceUnits: count.varianceUnits,
+    varianceCost: count.varianceCost,
+    approvedAt: count.approvedAt
+  });
+};
+
+// Follow one collection, reopening the stream if it fails
+const watch = (Model, pipeline, options, handler) => {
+  const stream = Model.watch(pipeline, options);
+
+  stream.on('change', change => {
+    Promise.resolve(handler(change.fullDocument)).catch(err => {
+      console.error(`Error publishing ${Model.modelName} change:`, err);
+    });
+  });
+
+  stream.on('error', err => {
+    console.error(`${Model.modelName} change stream failed, retrying:`, err.message);
+    stream.close().catch(() => {});
+    setTimeout(() => watch(Model, pipeline, options, handler), RETRY_MS).unref();
+  });
+};
+
+/**
+ * Start publishing stock, sale and stock count changes. Changes are read
+ * from MongoDB change streams, so only committed changes are sent and
+ * changes made through any server instance reach every screen. Change
+ * streams need MongoDB to run as a replica set.
+ */
+const watchChanges = () => {
+  watch(InventoryMovement, [{ $match: { operationType: 'insert' } }], {}, publishMovement);
+
+  watch(Sale, [{ $match: { operationType: 'insert' } }], {}, publishSale);
+
+  watch(StockCount, [{
+    $match: {
+      operationType: 'update',
+      'updateDescription.updatedFields.status': 'Approved'
+    }
+  }], { fullDocument: 'updateLookup' }, publishStockCount);
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  watchChanges
+};
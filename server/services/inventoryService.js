@@ -0,0 +1,768 @@
+// services/inventoryService.js
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const Batch = require('../models/Batch');
+const Location = require('../models/Location');
+const StockLevel = require('../models/StockLevel');
+
+// How each movement type may change stock. Directional types move stock one
+// way only; signed types carry their own direction in stockChange. Transfers
+// leave total stock alone and go through transferStock.
+const MOVEMENT_RULES = {
+  Received: { direction: 1 },
+  Returned: { direction: 1 },
+  Produced: { direction: 1 },
+  Sold: { direction: -1 },
+  Consumed: { direction: -1 },
+  // Returns that cannot be resold are written off as they come back in
+  Damaged: { direction: -1, allowNoChange: true },
+  Adjustment: { signed: true, allowNoChange: true },
+  StockCount: { signed: true }
+};
+
+// Error carrying an HTTP status so routes can pass it straight to the client
+const inventoryError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Units of a product not held in any batch: stock from before batches were
+ * tracked, and stock added without naming a batch.
+ *
+ * @param {Object} product - Product document
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Number>}
+ */
+const getUntrackedStock = async (product, session = null) => {
+  const [totals] = await Batch.aggregate([
+    { $match: { product: product._id, quantity: { $gt: 0 } } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+
+  return Math.max(0, product.currentStock - (totals ? totals.quantity : 0));
+};
+
+// Take units out of one batch, refusing to go below zero
+const drawFromBatch = async (batch, units, session) => {
+  const updated = await Batch.findOneAndUpdate(
+    { _id: batch._id, quantity: { $gte: units } },
+    { $inc: { quantity: -units }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw inventoryError(400, `Only ${batch.quantity} left in batch ${batch.batchNumber}`);
+  }
+
+  return updated;
+};
+
+// Location IDs are passed as 24 character hex strings, anything else is a name
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Find the location stock moves at. Accepts a Location document, ID or
+ * name. With none given, stock moves at the sales location.
+ *
+ * @param {Object|String} [location]
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object|null>} Location, or null while no sales location is set up
+ */
+const resolveLocation = async (location, session = null) => {
+  if (!location) {
+    return Location.findOne({ isSalesLocation: true, isActive: true }).session(session);
+  }
+
+  if (location instanceof Location) {
+    return location;
+  }
+
+  const found = OBJECT_ID_PATTERN.test(location.toString())
+    ? await Location.findById(location).session(session)
+    : await Location.findOne({ name: location }).session(session);
+
+  if (!found) {
+    throw inventoryError(404, `Location not found: ${location}`);
+  }
+
+  if (!found.isActive) {
+    throw inventoryError(400, `${found.name} is no longer in use`);
+  }
+
+  return found;
+};
+
+// Units of a product held across all locations
+const getLocatedStock = async (productId, session = null) => {
+  const [totals] = await StockLevel.aggregate([
+    { $match: { product: productId } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+
+  return totals ? totals.quantity : 0;
+};
+
+/**
+ * Units of a product not assigned to any location: stock from before
+ * locations were set up.
+ *
+ * @param {Object} product - Product document
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Number>}
+ */
+const getUnlocatedStock = async (product, session = null) => {
+  return Math.max(0, product.currentStock - await getLocatedStock(product._id, session));
+};
+
+/**
+ * Units of each product the POS can sell: stock at the sales location plus
+ * stock not yet assigned to a location. With no sales location set up all
+ * stock can be sold.
+ *
+ * @param {Array} products - Product documents
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} Units keyed by product ID
+ */
+const getSellableStock = async (products, session = null) => {
+  const salesLocation = await resolveLocation(null, session);
+  const located = {};
+  const atSalesLocation = {};
+
+  if (salesLocation) {
+    const levels = await StockLevel.find({ product: { $in: products.map(product => product._id) } })
+      .session(session);
+
+    levels.forEach(level => {
+      const key = level.product.toString();
+      located[key] = (located[key] || 0) + level.quantity;
+
+      if (level.location.equals(salesLocation._id)) {
+        atSalesLocation[key] = level.quantity;
+      }
+    });
+  }
+
+  const sellable = {};
+
+  products.forEach(product => {
+    const key = product._id.toString();
+
+    sellable[key] = salesLocation
+      ? (atSalesLocation[key] || 0) + Math.max(0, product.currentStock - (located[key] || 0))
+      : product.currentStock;
+  });
+
+  return sellable;
+};
+
+/**
+ * Apply a stock change at one location. Removals that the location cannot
+ * cover are made up from unlocated stock, so stock from before locations
+ * were set up can still be sold.
+ */
+const changeLocationStock = async (product, location, change, previousStock, session) => {
+  if (!location || change === 0) {
+    return;
+  }
+
+  if (change > 0) {
+    await StockLevel.updateOne(
+      { product: product._id, location: location._id },
+      { $inc: { quantity: change }, $set: { updatedAt: Date.now() } },
+      { upsert: true, session }
+    );
+    return;
+  }
+
+  const units = -change;
+
+  const level = await StockLevel.findOneAndUpdate(
+    { product: product._id, location: location._id, quantity: { $gte: units } },
+    { $inc: { quantity: -units }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (level) {
+    return;
+  }
+
+  const current = await StockLevel.findOne({ product: product._id, location: location._id }).session(session);
+  const available = current ? current.quantity : 0;
+  const unlocated = Math.max(0, previousStock - await getLocatedStock(product._id, session));
+
+  if (available + unlocated < units) {
+    throw inventoryError(
+      400,
+      `Insufficient stock for ${product.name} at ${location.name}. Available: ${available + unlocated}`
+    );
+  }
+
+  if (available > 0) {
+    await StockLevel.updateOne(
+      { _id: current._id, quantity: available },
+      { $inc: { quantity: -available }, $set: { updatedAt: Date.now() } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Split a stock change across batches. Additions go into the named batch
+ * or a new one. Removals come out of the named batch, or oldest first:
+ * untracked stock is treated as the oldest, then batches by potting date.
+ *
+ * @returns {Promise<Array>} [{ batch, change }] with batch null for untracked units
+ */
+const allocateBatches = async (product, change, previousStock, {
+  batch: batchId,
+  newBatch,
+  performedBy
+}, session) => {
+  if (change >= 0) {
+    if (newBatch && change > 0) {
+      const batch = new Batch({
+        ...newBatch,
+        product: product._id,
+        initialQuantity: change,
+        quantity: change,
+        createdBy: performedBy
+      });
+
+      await batch.save({ session });
+
+      return [{ batch, change }];
+    }
+
+    if (batchId) {
+      const batch = await Batch.findOneAndUpdate(
+        { _id: batchId, product: product._id },
+        { $inc: { quantity: change }, $set: { updatedAt: Date.now() } },
+        { new: true, session }
+      );
+
+      if (!batch) {
+        throw inventoryError(404, `Batch not found for ${product.name}`);
+      }
+
+      return [{ batch, change }];
+    }
+
+    return [{ batch: null, change }];
+  }
+
+  const units = -change;
+
+  if (batchId) {
+    const batch = await Batch.findOne({ _id: batchId, product: product._id }).session(session);
+
+    if (!batch) {
+      throw inventoryError(404, `Batch not found for ${product.name}`);
+    }
+
+    return [{ batch: await drawFromBatch(batch, units, session), change }];
+  }
+
+  const batches = await Batch.find({ product: product._id, quantity: { $gt: 0 } })
+    .sort({ pottingDate: 1, createdAt: 1 })
+    .session(session);
+
+  const batchStock = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  const portions = [];
+  let remaining = units;
+
+  const untracked = Math.min(remaining, Math.max(0, previousStock - batchStock));
+
+  if (untracked > 0) {
+    portions.push({ batch: null, change: -untracked });
+    remaining -= untracked;
+  }
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(batch.quantity, remaining);
+    portions.push({ batch: await drawFromBatch(batch, take, session), change: -take });
+    remaining -= take;
+  }
+
+  // Batches can only fall short if stock was changed outside this service
+  if (remaining > 0) {
+    portions.push({ batch: null, change: -remaining });
+  }
+
+  return portions;
+};
+
+/**
+ * Work out the signed stock change for a movement, enforcing the rules for
+ * its type so every movement can be replayed to rebuild stock.
+ *
+ * @returns {Number} Signed change to currentStock
+ */
+const checkStockChange = (movementType, quantity, stockChange) => {
+  if (movementType === 'Transferred') {
+    throw inventoryError(400, 'Stock is moved between locations with a transfer');
+  }
+
+  const rule = MOVEMENT_RULES[movementType];
+
+  if (!rule) {
+    throw inventoryError(400, `Invalid movement type: ${movementType}`);
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw inventoryError(400, 'Quantity must be a whole number of at least 1');
+  }
+
+  if (stockChange === undefined || stockChange === null) {
+    if (rule.signed) {
+      throw inventoryError(400, `${movementType} needs a signed stock change`);
+    }
+
+    return rule.direction * quantity;
+  }
+
+  if (!Number.isInteger(stockChange)) {
+    throw inventoryError(400, 'Stock change must be a whole number');
+  }
+
+  if (stockChange === 0) {
+    if (!rule.allowNoChange) {
+      throw inventoryError(400, `${movementType} must change stock`);
+    }
+
+    return 0;
+  }
+
+  if (Math.abs(stockChange) !== quantity) {
+    throw inventoryError(400, 'Stock change must match the quantity moved');
+  }
+
+  if (!rule.signed && Math.sign(stockChange) !== rule.direction) {
+    throw inventoryError(400, `${movementType} can only ${rule.direction > 0 ? 'add' : 'remove'} stock`);
+  }
+
+  return stockChange;
+};
+
+/**
+ * Change a product's stock and record the matching inventory movement.
+ *
+ * Stock is updated with a conditional $inc, so concurrent removals cannot
+ * take a product below zero. When the units come from more than one batch
+ * a movement is recorded for each.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.product - Product ID
+ * @param {String} options.movementType - InventoryMovement type
+ * @param {Number} options.quantity - Units moved, a whole number above zero
+ * @param {Number} [options.stockChange] - Signed change to currentStock. Defaults from the
+ *   movement type; required for 'Adjustment' and 'StockCount', which can go either way
+ * @param {String|ObjectId} [options.batch] - Batch the units come from or go into
+ * @param {Object} [options.newBatch] - Details of a new batch to put added units in
+ *   ({ pottingDate, source, purchaseOrder, reference, potSize, location, unitCost, notes })
+ * @param {String} [options.reference] - Sale number, PO number, etc.
+ * @param {String} [options.notes]
+ * @param {String} [options.lossReason] - Why stock was written off, required for 'Damaged'
+ * @param {String} [options.photo] - Photo of the loss, a URL or data URL
+ * @param {Object|String} [options.location] - Location ID or name, defaults to the sales location
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<{product: Object, movement: Object, movements: Array}>}
+ */
+const recordMovement = async ({
+  product: productId,
+  movementType,
+  quantity,
+  stockChange,
+  batch,
+  newBatch,
+  reference,
+  notes,
+  lossReason,
+  photo,
+  location,
+  performedBy
+}, session = null) => {
+  const change = checkStockChange(movementType, quantity, stockChange);
+
+  if (movementType === 'Damaged' && !lossReason) {
+    throw inventoryError(400, 'A loss reason is required to write off stock');
+  }
+
+  if (lossReason && !InventoryMovement.LOSS_REASONS.includes(lossReason)) {
+    throw inventoryError(400, `Invalid loss reason: ${lossReason}`);
+  }
+
+  const stockLocation = await resolveLocation(location, session);
+
+  const filter = { _id: productId };
+  if (change < 0) {
+    filter.currentStock = { $gte: -change };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { currentStock: change }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (!product) {
+    const current = await Product.findById(productId).session(session);
+
+    if (!current) {
+      throw inventoryError(404, `Product not found: ${productId}`);
+    }
+
+    throw inventoryError(
+      400,
+      `Insufficient stock for ${current.name}. Available: ${current.currentStock}`
+    );
+  }
+
+  const previousStock = product.currentStock - change;
+
+  await changeLocationStock(product, stockLocation, change, previousStock, session);
+
+  // New batches are put away where the stock is received
+  const batchDetails = newBatch && stockLocation
+    ? { ...newBatch, location: stockLocation.name }
+    : newBatch;
+
+  const portions = await allocateBatches(product, change, previousStock, {
+    batch,
+    newBatch: batchDetails,
+    performedBy
+  }, session);
+
+  const movements = [];
+  let stock = previousStock;
+
+  for (const portion of portions) {
+    const units = portions.length === 1 ? quantity : Math.abs(portion.change);
+    const movement = new InventoryMovement({
+      product: product._id,
+      barcode: product.barcode,
+      movementType,
+      quantity: units,
+      previousStock: stock,
+      newStock: stock + portion.change,
+      stockChange: portion.change,
+      batch: portion.batch ? portion.batch._id : undefined,
+      batchNumber: portion.batch ? portion.batch.batchNumber : undefined,
+      reference,
+      notes,
+      lossReason,
+      photo: photo || undefined,
+      costValue: parseFloat((units * (product.costPrice || 0)).toFixed(2)),
+      location: stockLocation ? stockLocation.name : undefined,
+      fromLocation: stockLocation && change < 0 ? stockLocation._id : undefined,
+      toLocation: stockLocation && change >= 0 ? stockLocation._id : undefined,
+      performedBy
+    });
+
+    await movement.save({ session });
+
+    movements.push(movement);
+    stock += portion.change;
+  }
+
+  return { product, movement: movements[0], movements };
+};
+
+/**
+ * Move units of a product from one location to another. Total stock is
+ * unchanged, so a single 'Transferred' movement records both ends.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.product - Product ID
+ * @param {Number} options.quantity - Units moved
+ * @param {Object|String} options.fromLocation - Location ID or name
+ * @param {Object|String} options.toLocation - Location ID or name
+ * @param {String|ObjectId} [options.batch] - Batch being moved, its location is updated
+ * @param {String} [options.reference]
+ * @param {String} [options.notes]
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<{product: Object, movement: Object}>}
+ */
+const transferStock = async ({
+  product: productId,
+  quantity,
+  fromLocation,
+  toLocation,
+  batch,
+  reference,
+  notes,
+  performedBy
+}, session = null) => {
+  if (!fromLocation || !toLocation) {
+    throw inventoryError(400, 'A transfer needs a location to move from and one to move to');
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw inventoryError(400, 'Quantity must be a whole number of at least 1');
+  }
+
+  const from = await resolveLocation(fromLocation, session);
+  const to = await resolveLocation(toLocation, session);
+
+  if (from._id.equals(to._id)) {
+    throw inventoryError(400, 'Choose two different locations');
+  }
+
+  const product = await Product.findById(productId).session(session);
+
+  if (!product) {
+    throw inventoryError(404, `Product not found: ${productId}`);
+  }
+
+  await changeLocationStock(product, from, -quantity, product.currentStock, session);
+  await changeLocationStock(product, to, quantity, product.currentStock, session);
+
+  let movedBatch = null;
+
+  if (batch) {
+    movedBatch = await Batch.findOneAndUpdate(
+      { _id: batch, product: product._id },
+      { $set: { location: to.name, updatedAt: Date.now() } },
+      { new: true, session }
+    );
+
+    if (!movedBatch) {
+      throw inventoryError(404, `Batch not found for ${product.name}`);
+    }
+  }
+
+  const movement = new InventoryMovement({
+    product: product._id,
+    barcode: product.barcode,
+    movementType: 'Transferred',
+    quantity,
+    previousStock: product.currentStock,
+    newStock: product.currentStock,
+    stockChange: 0,
+    reference,
+    notes,
+    batch: movedBatch ? movedBatch._id : undefined,
+    batchNumber: movedBatch ? movedBatch.batchNumber : undefined,
+    location: `${from.name} → ${to.name}`,
+    fromLocation: from._id,
+    toLocation: to._id,
+    performedBy
+  });
+
+  await movement.save({ session });
+
+  return { product, movement };
+};
+
+/**
+ * Put a product's unlocated stock at a location, e.g. when locations are
+ * first set up. Total stock is unchanged.
+ *
+ * @param {Object} product - Product document
+ * @param {Object|String} location - Location ID or name
+ * @param {String|ObjectId} performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object|null>} The movement, or null if all stock already has a location
+ */
+const assignUnlocatedStock = async (product, location, performedBy, session = null) => {
+  const stockLocation = await resolveLocation(location, session);
+  const unlocated = await getUnlocatedStock(product, session);
+
+  if (unlocated === 0) {
+    return null;
+  }
+
+  await changeLocationStock(product, stockLocation, unlocated, product.currentStock, session);
+
+  const movement = new InventoryMovement({
+    product: product._id,
+    barcode: product.barcode,
+    movementType: 'Adjustment',
+    quantity: unlocated,
+    previousStock: product.currentStock,
+    newStock: product.currentStock,
+    stockChange: 0,
+    notes: 'Existing stock assigned to location',
+    location: stockLocation.name,
+    toLocation: stockLocation._id,
+    performedBy
+  });
+
+  await movement.save({ session });
+
+  return movement;
+};
+
+// Units per product from a collection holding stock against products
+const sumByProduct = async (Model, match, session) => {
+  const totals = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+
+  const units = {};
+  totals.forEach(total => {
+    units[total._id.toString()] = total.quantity;
+  });
+
+  return units;
+};
+
+/**
+ * Replay the movement ledger of each product and compare it with the stock
+ * on record. A product's ledger starts from the stock before its first
+ * movement, so stock from before movements were kept is not counted as
+ * drift. Location and batch totals are checked against stock as well.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.products] - Product IDs, defaults to every product
+ * @param {String} [options.category]
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Array>} [{ product, currentStock, ledgerStock, drift, movementCount,
+ *   lastMovementAt, locatedStock, batchStock, issues }]
+ */
+const checkStockIntegrity = async ({ products: productIds, category } = {}, session = null) => {
+  const filter = {};
+
+  if (productIds) {
+    filter._id = { $in: productIds };
+  }
+
+  if (category) {
+    filter.category = category;
+  }
+
+  const products = await Product.find(filter)
+    .select('name barcode category currentStock')
+    .sort({ name: 1 })
+    .session(session)
+    .lean();
+
+  const ids = products.map(product => product._id);
+
+  const ledgers = await InventoryMovement.aggregate([
+    { $match: { product: { $in: ids } } },
+    { $sort: { product: 1, timestamp: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$product',
+        openingStock: { $first: '$previousStock' },
+        // Movements from before stockChange was kept fall back to their stock figures
+        netChange: {
+          $sum: { $ifNull: ['$stockChange', { $subtract: ['$newStock', '$previousStock'] }] }
+        },
+        movementCount: { $sum: 1 },
+        lastMovementAt: { $last: '$timestamp' }
+      }
+    }
+  ]).allowDiskUse(true).session(session);
+
+  const ledgerByProduct = {};
+  ledgers.forEach(ledger => {
+    ledgerByProduct[ledger._id.toString()] = ledger;
+  });
+
+  const located = await sumByProduct(StockLevel, { product: { $in: ids } }, session);
+  const batched = await sumByProduct(Batch, { product: { $in: ids }, quantity: { $gt: 0 } }, session);
+
+  return products.map(product => {
+    const key = product._id.toString();
+    const ledger = ledgerByProduct[key];
+    const ledgerStock = ledger ? ledger.openingStock + ledger.netChange : null;
+    const drift = ledger ? product.currentStock - ledgerStock : 0;
+    const locatedStock = located[key] || 0;
+    const batchStock = batched[key] || 0;
+    const issues = [];
+
+    if (drift !== 0) {
+      issues.push(`Stock is ${product.currentStock} but movements add up to ${ledgerStock}`);
+    }
+
+    if (!ledger && product.currentStock !== 0) {
+      issues.push(`${product.currentStock} in stock with no movements recorded`);
+    }
+
+    if (locatedStock > product.currentStock) {
+      issues.push(`Locations hold ${locatedStock} but stock is ${product.currentStock}`);
+    }
+
+    if (batchStock > product.currentStock) {
+      issues.push(`Batches hold ${batchStock} but stock is ${product.currentStock}`);
+    }
+
+    return {
+      product: {
+        _id: product._id,
+        name: product.name,
+        barcode: product.barcode,
+        category: product.category
+      },
+      currentStock: product.currentStock,
+      ledgerStock,
+      drift,
+      movementCount: ledger ? ledger.movementCount : 0,
+      lastMovementAt: ledger ? ledger.lastMovementAt : null,
+      locatedStock,
+      batchStock,
+      issues
+    };
+  });
+};
+
+/**
+ * Set currentStock back to what the movement ledger adds up to for products
+ * that have drifted. Products with no movements, or whose ledger would leave
+ * them below zero, are skipped.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.products] - Product IDs, defaults to every product
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<{rebuilt: Array, skipped: Array}>}
+ */
+const rebuildStock = async ({ products: productIds } = {}, session = null) => {
+  const results = await checkStockIntegrity({ products: productIds }, session);
+  const rebuilt = [];
+  const skipped = [];
+
+  for (const result of results) {
+    if (result.drift === 0) continue;
+
+    if (result.ledgerStock < 0) {
+      skipped.push({ ...result, reason: 'Movements add up to less than zero' });
+      continue;
+    }
+
+    // Only rebuild from the stock that was checked, in case it has moved since
+    const update = await Product.updateOne(
+      { _id: result.product._id, currentStock: result.currentStock },
+      { $set: { currentStock: result.ledgerStock, updatedAt: Date.now() } },
+      { session }
+    );
+
+    if (update.modifiedCount === 0) {
+      skipped.push({ ...result, reason: 'Stock changed while rebuilding' });
+      continue;
+    }
+
+    rebuilt.push({ ...result, previousStock: result.currentStock, currentStock: result.ledgerStock });
+  }
+
+  return { rebuilt, skipped };
+};
+
+module.exports = {
+  recordMovement,
+  checkStockIntegrity,
+  rebuildStock,
+  transferStock,
+  assignUnlocatedStock,
+  resolveLocation,
+  getSellableStock,
+  getUntrackedStock,
+  getUnlocatedStock
+};
@@ -0,0 +1,364 @@
+// services/loyaltyService.js
+const Customer = require('../models/Customer');
+const LoyaltySettings = require('../models/LoyaltySettings');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Product = require('../models/Product');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status so routes can pass it straight to the client
+const loyaltyError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Use up points from the oldest unspent earnings first, so the points
+ * left over are always the ones that expire last.
+ */
+const consumeEarnings = async (customerId, points, session = null) => {
+  let remaining = points;
+
+  const earnings = await LoyaltyTransaction.find({
+    customer: customerId,
+    remainingPoints: { $gt: 0 }
+  })
+    .sort({ timestamp: 1 })
+    .session(session);
+
+  for (const earning of earnings) {
+    if (remaining <= 0) break;
+
+    const used = Math.min(earning.remainingPoints, remaining);
+    earning.remainingPoints -= used;
+    remaining -= used;
+    await earning.save({ session });
+  }
+};
+
+/**
+ * Apply a signed change to a customer's points balance and write it to
+ * the ledger.
+ *
+ * The balance is updated with a conditional $inc, so two redemptions at
+ * once cannot take it below zero. Positive changes are recorded as
+ * earnings that later spending draws down.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.customer - Customer ID
+ * @param {String} options.transactionType - Earn, Redeem, Clawback, Expire or Adjustment
+ * @param {Number} options.points - Signed whole number of points
+ * @param {Object} [options.sale] - Sale the points relate to
+ * @param {Date} [options.expiresAt] - When earned points expire
+ * @param {String} [options.notes]
+ * @param {String|ObjectId} [options.performedBy] - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<{customer: Object, transaction: Object}>}
+ */
+const recordTransaction = async ({
+  customer: customerId,
+  transactionType,
+  points,
+  sale,
+  expiresAt,
+  notes,
+  performedBy
+}, session = null) => {
+  const filter = { _id: customerId };
+  if (points < 0) {
+    filter.loyaltyPoints = { $gte: -points };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { loyaltyPoints: points }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const current = await Customer.findById(customerId).session(session);
+
+    if (!current) {
+      throw loyaltyError(404, 'Customer not found');
+    }
+
+    throw loyaltyError(400, `Insufficient loyalty points. Available: ${current.loyaltyPoints}`);
+  }
+
+  // Expiry zeroes the earnings it covers itself
+  if (points < 0 && transactionType !== 'Expire') {
+    await consumeEarnings(customer._id, -points, session);
+  }
+
+  const transaction = new LoyaltyTransaction({
+    customer: customer._id,
+    transactionType,
+    points,
+    previousBalance: customer.loyaltyPoints - points,
+    newBalance: customer.loyaltyPoints,
+    sale: sale ? sale._id : undefined,
+    reference: sale ? sale.saleNumber : undefined,
+    remainingPoints: points > 0 ? points : 0,
+    expiresAt,
+    notes,
+    performedBy
+  });
+
+  await transaction.save({ session });
+
+  return { customer, transaction };
+};
+
+/**
+ * Expire any of a customer's earnings that have passed their expiry date.
+ * Run before points are shown or spent rather than on a schedule.
+ *
+ * @returns {Promise<Number>} Points expired
+ */
+const expirePoints = async (customerId, session = null) => {
+  const expired = await LoyaltyTransaction.find({
+    customer: customerId,
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $lte: new Date() }
+  }).session(session);
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const customer = await Customer.findById(customerId).session(session);
+  const points = Math.min(
+    expired.reduce((sum, earning) => sum + earning.remainingPoints, 0),
+    customer.loyaltyPoints
+  );
+
+  for (const earning of expired) {
+    earning.remainingPoints = 0;
+    await earning.save({ session });
+  }
+
+  if (points > 0) {
+    await recordTransaction({
+      customer: customerId,
+      transactionType: 'Expire',
+      points: -points,
+      notes: `${expired.length} earning(s) expired`
+    }, session);
+  }
+
+  return points;
+};
+
+/**
+ * Work out the points a completed sale earns. Each product line earns at
+ * its category's rate on the amount after discounts and before tax.
+ * Gift cards earn nothing, and neither does the share of the sale paid
+ * for with points.
+ */
+const calculatePointsEarned = async (sale, settings, session = null) => {
+  const productIds = sale.items.filter(item => item.product).map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('category')
+    .session(session);
+  const categories = new Map(products.map(product => [product._id.toString(), product.category]));
+
+  let points = 0;
+
+  for (const item of sale.items) {
+    if (!item.product) continue;
+
+    const net = item.subtotal - item.discountAmount * item.quantity;
+    points += net * settings.getEarnRate(categories.get(item.product.toString()));
+  }
+
+  const paidWithPoints = sale.payments
+    .filter(payment => payment.method === 'Loyalty Points')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  if (paidWithPoints > 0 && sale.total > 0) {
+    points *= Math.max(0, 1 - paidWithPoints / sale.total);
+  }
+
+  return Math.floor(points);
+};
+
+/**
+ * Credit the points earned on a completed sale to its customer.
+ *
+ * @param {Object} sale - Completed Sale document with a customer
+ * @param {Object} settings - LoyaltySettings document
+ * @param {String|ObjectId} performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const earnPoints = async (sale, settings, performedBy, session = null) => {
+  const points = await calculatePointsEarned(sale, settings, session);
+
+  if (points <= 0) {
+    return null;
+  }
+
+  let expiresAt;
+  if (settings.pointsExpiryMonths > 0) {
+    expiresAt = new Date();
+    expiresAt.setMonth(expiresAt.getMonth() + settings.pointsExpiryMonths);
+  }
+
+  return recordTransaction({
+    customer: sale.customer,
+    transactionType: 'Earn',
+    points,
+    sale,
+    expiresAt,
+    performedBy
+  }, session);
+};
+
+/**
+ * Spend points as a tender on a sale.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.customer - Customer ID
+ * @param {Number} options.amount - Dollar amount of the tender
+ * @param {Object} options.sale - Sale the points are spent on
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const redeemPoints = async ({ customer, amount, sale, performedBy }, session = null) => {
+  if (!customer) {
+    throw loyaltyError(400, 'A customer is required to pay with loyalty points');
+  }
+
+  const settings = await LoyaltySettings.getSettings(session);
+  const points = Math.round(amount / settings.pointValue);
+
+  if (Math.abs(roundCurrency(points * settings.pointValue) - amount) >= 0.01) {
+    throw loyaltyError(400, `Loyalty points are redeemed in steps of ${settings.pointValue.toFixed(2)}`);
+  }
+
+  if (points < settings.minimumRedemption) {
+    throw loyaltyError(400, `At least ${settings.minimumRedemption} points must be redeemed at once`);
+  }
+
+  await expirePoints(customer, session);
+
+  return recordTransaction({
+    customer,
+    transactionType: 'Redeem',
+    points: -points,
+    sale,
+    performedBy
+  }, session);
+};
+
+/**
+ * Take back the points earned on a sale in proportion to a refund.
+ * Points the customer has already spent cannot be recovered, so the
+ * clawback stops at the current balance.
+ *
+ * @param {Object} options
+ * @param {Object} options.sale - Refunded Sale document
+ * @param {Number} options.amount - Amount refunded
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const clawbackPoints = async ({ sale, amount, performedBy }, session = null) => {
+  if (!sale.customer || !(sale.total > 0)) {
+    return null;
+  }
+
+  const history = await LoyaltyTransaction.find({
+    sale: sale._id,
+    transactionType: { $in: ['Earn', 'Clawback'] }
+  }).session(session);
+
+  const earned = history
+    .filter(txn => txn.transactionType === 'Earn')
+    .reduce((sum, txn) => sum + txn.points, 0);
+  const clawedBack = -history
+    .filter(txn => txn.transactionType === 'Clawback')
+    .reduce((sum, txn) => sum + txn.points, 0);
+
+  const customer = await Customer.findById(sale.customer).session(session);
+
+  if (!customer) {
+    return null;
+  }
+
+  const points = Math.min(
+    Math.round(earned * Math.min(1, amount / sale.total)),
+    earned - clawedBack,
+    customer.loyaltyPoints
+  );
+
+  if (points <= 0) {
+    return null;
+  }
+
+  return recordTransaction({
+    customer: customer._id,
+    transactionType: 'Clawback',
+    points: -points,
+    sale,
+    notes: `Refund of ${roundCurrency(amount).toFixed(2)}`,
+    performedBy
+  }, session);
+};
+
+/**
+ * Give back the points spent on a sale when it is voided.
+ *
+ * @param {Object} options
+ * @param {Object} options.sale - Voided Sale document
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const restorePoints = async ({ sale, performedBy }, session = null) => {
+  const redemptions = await LoyaltyTransaction.find({
+    sale: sale._id,
+    transactionType: 'Redeem'
+  }).session(session);
+
+  const points = -redemptions.reduce((sum, txn) => sum + txn.points, 0);
+
+  if (!sale.customer || points <= 0) {
+    return null;
+  }
+
+  return recordTransaction({
+    customer: sale.customer,
+    transactionType: 'Adjustment',
+    points,
+    sale,
+    notes: 'Points returned from voided sale',
+    performedBy
+  }, session);
+};
+
+/**
+ * Manually correct a customer's points balance.
+ */
+const adjustPoints = async ({ customer, points, notes, performedBy }, session = null) => {
+  if (!Number.isInteger(points) || points === 0) {
+    throw loyaltyError(400, 'Points adjustment must be a whole number other than zero');
+  }
+
+  return recordTransaction({
+    customer,
+    transactionType: 'Adjustment',
+    points,
+    notes,
+    performedBy
+  }, session);
+};
+
+module.exports = {
+  recordTransaction,
+  expirePoints,
+  calculatePointsEarned,
+  earnPoints,
+  redeemPoints,
+  clawbackPoints,
+  restorePoints,
+  adjustPoints
+};
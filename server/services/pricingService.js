@@ -0,0 +1,287 @@
+// services/pricingService.js
+const config = require('config');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const Promotion = require('../models/Promotion');
+const LoyaltySettings = require('../models/LoyaltySettings');
+const storedValueService = require('./storedValueService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status so routes can pass it straight to the client
+const pricingError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Promotions running at a given moment. The season is filtered in the
+ * query; days of the week and happy hour windows are checked per promotion.
+ *
+ * @param {Date} [at] - Moment to check, defaults to now
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Array>} Promotion documents
+ */
+const getRunningPromotions = async (at = new Date(), session = null) => {
+  const promotions = await Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: at } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: at } }] }
+    ]
+  }).session(session);
+
+  return promotions.filter(promotion => promotion.isRunningAt(at));
+};
+
+/**
+ * Work out what a promotion takes off each qualifying line.
+ *
+ * Multi Buy and Buy X Get Y are mix and match: units of every qualifying
+ * line are pooled, dearest first, so a bundle or free unit can span lines.
+ * The cheapest units in each group are the free ones.
+ *
+ * @param {Object} promotion - Promotion document
+ * @param {Array} lines - [{ product, price, quantity }]
+ * @returns {Array} Discount for each line, in the same order
+ */
+const evaluatePromotion = (promotion, lines) => {
+  const discounts = lines.map(() => 0);
+  const qualifying = lines
+    .map((line, index) => ({ ...line, index }))
+    .filter(line => promotion.appliesTo(line.product));
+
+  switch (promotion.type) {
+    case 'Percent Off':
+      qualifying.forEach(line => {
+        discounts[line.index] = line.price * (promotion.percentOff / 100) * line.quantity;
+      });
+      break;
+
+    case 'Fixed Price':
+      qualifying.forEach(line => {
+        discounts[line.index] = Math.max(0, line.price - promotion.fixedPrice) * line.quantity;
+      });
+      break;
+
+    case 'Multi Buy':
+    case 'Buy X Get Y': {
+      const units = [];
+
+      qualifying.forEach(line => {
+        for (let i = 0; i < line.quantity; i++) {
+          units.push({ index: line.index, price: line.price });
+        }
+      });
+
+      units.sort((a, b) => b.price - a.price);
+
+      const groupSize = promotion.type === 'Multi Buy'
+        ? promotion.bundleQuantity
+        : promotion.buyQuantity + promotion.getQuantity;
+
+      for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+        const group = units.slice(start, start + groupSize);
+
+        if (promotion.type === 'Multi Buy') {
+          // Spread the bundle saving across its units by price
+          const value = group.reduce((sum, unit) => sum + unit.price, 0);
+          const saving = value - promotion.bundlePrice;
+
+          if (saving > 0) {
+            group.forEach(unit => {
+              discounts[unit.index] += saving * (unit.price / value);
+            });
+          }
+        } else {
+          group.slice(promotion.buyQuantity).forEach(unit => {
+            discounts[unit.index] += unit.price;
+          });
+        }
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return discounts.map(roundCurrency);
+};
+
+/**
+ * Price the lines of a sale from the product records rather than trusting
+ * the client.
+ *
+ * Each product line gets the single best discount on offer: the customer's
+ * membership or trade discount, the best running promotion, or a manual
+ * discount keyed in by the cashier. Discounts never stack. Gift cards are
+ * sold at face value with no tax.
+ *
+ * @param {Object} options
+ * @param {Array} options.items - [{ product, quantity, manualDiscount: { percent, reason } }]
+ *   or [{ giftCard: { cardNumber, amount } }]
+ * @param {String|ObjectId} [options.customer] - Customer ID
+ * @param {Date} [options.at] - Moment to price at, for promotions
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} { items, approvalRequired } where approvalRequired
+ *   is true if a manual discount given is over the cashier's limit
+ */
+const priceItems = async ({ items, customer, at = new Date() }, session = null) => {
+  // Customers are attached by lookup at the POS, so make sure the account exists
+  let customerDiscount = 0;
+  let customerDiscountReason = '';
+
+  if (customer) {
+    const customerDoc = await Customer.findById(customer).session(session);
+
+    if (!customerDoc || !customerDoc.isActive) {
+      throw pricingError(400, 'Customer not found');
+    }
+
+    // Members get their tier's discount and trade customers their agreed
+    // discount, whichever is better
+    const loyaltySettings = await LoyaltySettings.getSettings(session);
+    const tierDiscount = loyaltySettings.getTierDiscount(customerDoc.membershipLevel);
+    const tradeDiscount = customerDoc.isCommercial ? customerDoc.commercialDetails.discount || 0 : 0;
+
+    customerDiscount = Math.max(tierDiscount, tradeDiscount);
+    customerDiscountReason = tradeDiscount >= tierDiscount
+      ? 'Trade discount'
+      : `${customerDoc.membershipLevel} member discount`;
+  }
+
+  const manualDiscountLimit = config.get('pos.manualDiscountLimit');
+  let approvalRequired = false;
+
+  // Load the products first so promotions can see the whole cart
+  const lines = [];
+
+  for (const item of items) {
+    if (item.giftCard) {
+      lines.push({ item });
+      continue;
+    }
+
+    if (!item.product) {
+      throw pricingError(400, 'Product ID is required for each item');
+    }
+
+    const product = await Product.findById(item.product).session(session);
+
+    if (!product) {
+      throw pricingError(400, `Product not found: ${item.product}`);
+    }
+
+    if (!product.isActive) {
+      throw pricingError(400, `${product.name} is no longer available for sale`);
+    }
+
+    lines.push({
+      item,
+      product,
+      price: product.sellingPrice,
+      quantity: parseInt(item.quantity)
+    });
+  }
+
+  const productLines = lines.filter(line => line.product);
+  const promotions = productLines.length > 0 ? await getRunningPromotions(at, session) : [];
+  const promotionDiscounts = promotions.map(promotion => evaluatePromotion(promotion, productLines));
+
+  const saleItems = [];
+
+  for (const line of lines) {
+    if (line.item.giftCard) {
+      const amount = roundCurrency(parseFloat(line.item.giftCard.amount));
+      const cardNumber = line.item.giftCard.cardNumber || await storedValueService.generateCardNumber();
+
+      saleItems.push({
+        giftCardNumber: cardNumber,
+        barcode: cardNumber,
+        name: 'Gift Card',
+        quantity: 1,
+        pricePerUnit: amount,
+        discountPercent: 0,
+        discountAmount: 0,
+        taxRate: 0,
+        taxAmount: 0,
+        subtotal: amount,
+        total: amount
+      });
+      continue;
+    }
+
+    const { product, price, quantity } = line;
+    const subtotal = roundCurrency(price * quantity);
+    const productIndex = productLines.indexOf(line);
+
+    // Candidate discounts for the whole line
+    let best = {
+      amount: roundCurrency(price * (customerDiscount / 100)) * quantity,
+      reason: customerDiscount > 0 ? customerDiscountReason : ''
+    };
+
+    promotions.forEach((promotion, i) => {
+      const amount = promotionDiscounts[i][productIndex];
+
+      if (amount > best.amount) {
+        best = { amount, reason: promotion.name, promotion: promotion._id };
+      }
+    });
+
+    const manualPercent = parseFloat(line.item.manualDiscount?.percent) || 0;
+
+    if (manualPercent < 0 || manualPercent > 100) {
+      throw pricingError(400, 'Manual discount must be between 0 and 100 percent');
+    }
+
+    const manualAmount = roundCurrency(price * (manualPercent / 100)) * quantity;
+
+    // A manual discount over the limit only needs approving if it is the
+    // one given, not when a promotion or the customer's discount beats it
+    if (manualAmount > best.amount) {
+      best = {
+        amount: manualAmount,
+        reason: line.item.manualDiscount.reason || 'Manual discount',
+        manual: true
+      };
+
+      if (manualPercent > manualDiscountLimit) {
+        approvalRequired = true;
+      }
+    }
+
+    const lineDiscount = roundCurrency(Math.min(best.amount, subtotal));
+    const discounted = roundCurrency(subtotal - lineDiscount);
+    const taxAmount = roundCurrency(discounted * (product.taxRate / 100));
+
+    saleItems.push({
+      product: product._id,
+      barcode: product.barcode,
+      name: product.name,
+      quantity,
+      pricePerUnit: price,
+      discountPercent: subtotal > 0 ? roundCurrency((lineDiscount / subtotal) * 100) : 0,
+      // Per unit, kept to four places so bundle savings spread over several
+      // units still add back up to the line discount in cents
+      discountAmount: Math.round((lineDiscount / quantity) * 10000) / 10000,
+      discountReason: best.reason || undefined,
+      promotion: best.promotion,
+      manualDiscount: best.manual ? manualPercent : undefined,
+      taxRate: product.taxRate,
+      taxAmount,
+      subtotal,
+      total: roundCurrency(discounted + taxAmount)
+    });
+  }
+
+  return { items: saleItems, approvalRequired };
+};
+
+module.exports = {
+  getRunningPromotions,
+  evaluatePromotion,
+  priceItems
+};
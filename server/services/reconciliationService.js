@@ -0,0 +1,442 @@
+// services/reconciliationService.js
+const crypto = require('crypto');
+const config = require('config');
+const Sale = require('../models/Sale');
+const SettlementImport = require('../models/SettlementImport');
+const SettlementLine = require('../models/SettlementLine');
+
+const DEFAULTS = {
+  matchWindowMinutes: 10
+};
+
+const getSettings = () => ({
+  ...DEFAULTS,
+  ...(config.has('reconciliation') ? config.get('reconciliation') : {})
+});
+
+// Error carrying an HTTP status, thrown to abort a transaction
+const reconciliationError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Column names used by the providers' settlement files, compared with
+// case, spaces and punctuation removed
+const COLUMNS = {
+  transactionId: ['transactionid', 'txnid', 'txnref', 'dpstxnref', 'requestid', 'reference'],
+  amount: ['amount', 'settledamount', 'settlementamount', 'amounttotal', 'amt'],
+  dateTime: ['datetime', 'timestamp', 'transactiondatetime', 'transactiontime', 'settledat'],
+  date: ['date', 'transactiondate', 'txndate'],
+  time: ['time', 'txntime'],
+  type: ['type', 'transactiontype', 'txntype'],
+  cardType: ['cardtype', 'scheme', 'cardscheme', 'ct'],
+  cardNumber: ['cardnumber', 'maskedpan', 'pan', 'cardpan', 'lastfour', 'lastfourdigits'],
+  authCode: ['authcode', 'authid', 'authorisationcode', 'authorizationcode', 'ac']
+};
+
+const normaliseHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields with commas,
+ * doubled quotes and line breaks.
+ *
+ * @param {String} text - CSV file contents
+ * @returns {Array<Array<String>>} Rows, blank lines dropped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// '$1,234.50' or '(12.00)' as a number, brackets meaning negative
+const parseAmount = (value) => {
+  const text = value.trim();
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+
+  return isNaN(amount) ? null : roundCurrency(negative ? -amount : amount);
+};
+
+// Settlement files from NZ and Australian providers write dates day first,
+// e.g. '19/10/2026 14:05', which Date can't read by itself
+const parseDateTime = (value) => {
+  const dayFirst = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(.*)$/);
+
+  if (dayFirst) {
+    const [, day, month, year, time] = dayFirst;
+    return new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${time.trim() || '00:00'}`);
+  }
+
+  return new Date(value);
+};
+
+/**
+ * Read the lines of a settlement file. Refunds come out negative, whether
+ * the file signs them or marks them in a type column.
+ *
+ * @param {String} csv - File contents, with a header row
+ * @returns {Array<Object>} { lineNumber, transactionId, amount, transactionTime, ... }
+ */
+const readSettlementLines = (csv) => {
+  const [header, ...rows] = parseCsv(csv.replace(/^\uFEFF/, ''));
+
+  if (!header || rows.length === 0) {
+    throw reconciliationError(400, 'The settlement file has no transactions');
+  }
+
+  const headers = header.map(normaliseHeader);
+  const column = {};
+
+  Object.entries(COLUMNS).forEach(([key, names]) => {
+    const index = headers.findIndex(name => names.includes(name));
+    if (index >= 0) {
+      column[key] = index;
+    }
+  });
+
+  if (column.amount === undefined) {
+    throw reconciliationError(400, 'The settlement file has no amount column');
+  }
+
+  if (column.dateTime === undefined && column.date === undefined) {
+    throw reconciliationError(400, 'The settlement file has no date column');
+  }
+
+  return rows.map((fields, index) => {
+    const lineNumber = index + 2;
+    const value = key => (column[key] !== undefined ? (fields[column[key]] || '').trim() : '');
+
+    let amount = parseAmount(value('amount'));
+
+    if (amount === null) {
+      throw reconciliationError(400, `Line ${lineNumber}: amount '${value('amount')}' is not a number`);
+    }
+
+    if (/refund/i.test(value('type')) && amount > 0) {
+      amount = -amount;
+    }
+
+    const when = value('dateTime') || [value('date'), value('time')].filter(Boolean).join(' ');
+    const transactionTime = parseDateTime(when);
+
+    if (isNaN(transactionTime.getTime())) {
+      throw reconciliationError(400, `Line ${lineNumber}: '${when}' is not a date`);
+    }
+
+    return {
+      lineNumber,
+      transactionId: value('transactionId') || undefined,
+      amount,
+      transactionTime,
+      cardType: value('cardType') || undefined,
+      lastFourDigits: value('cardNumber').replace(/\D/g, '').slice(-4) || undefined,
+      authCode: value('authCode') || undefined
+    };
+  });
+};
+
+/**
+ * Card payments and card refunds recorded on sales, with refunds negative
+ * so they line up with the settlement file.
+ */
+const getCardRecords = (sales) => {
+  const records = [];
+
+  sales.forEach(sale => {
+    sale.payments
+      .filter(payment => Sale.CARD_METHODS.includes(payment.method))
+      .forEach(payment => records.push({
+        _id: payment._id,
+        sale,
+        transactionId: payment.transactionId,
+        amount: roundCurrency(payment.amount),
+        time: payment.processedAt || sale.createdAt,
+        lastFourDigits: payment.lastFourDigits
+      }));
+
+    sale.refunds
+      .filter(refund => refund.refundTransactionId)
+      .forEach(refund => records.push({
+        _id: refund._id,
+        sale,
+        transactionId: refund.refundTransactionId,
+        amount: -roundCurrency(refund.amount),
+        time: refund.date,
+        lastFourDigits: undefined
+      }));
+  });
+
+  return records;
+};
+
+/**
+ * Import a settlement file and match each line to a card payment or refund.
+ *
+ * Lines are matched on transaction ID first. Lines without a known ID are
+ * matched to a payment for the same amount taken within
+ * reconciliation.matchWindowMinutes, and on the same card when both sides
+ * have its last four digits. Card payments taken on the settlement day that
+ * no line settles are added as Not Settled. Matching a payment that an
+ * earlier file left Not Settled resolves that exception.
+ *
+ * @param {Object} settlement - { fileName, csv, settlementDate, provider, importedBy }
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} The saved SettlementImport
+ */
+const importSettlement = async ({ fileName, csv, settlementDate, provider, importedBy }, session = null) => {
+  const fileHash = crypto.createHash('sha256').update(csv).digest('hex');
+
+  const existing = await SettlementImport.findOne({ fileHash }).session(session);
+
+  if (existing) {
+    throw reconciliationError(400, `This file was already imported as ${existing.fileName}`);
+  }
+
+  const lines = readSettlementLines(csv);
+  const windowMs = getSettings().matchWindowMinutes * 60000;
+
+  const dayStart = new Date(settlementDate);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  const times = lines.map(line => line.transactionTime.getTime());
+  const from = new Date(Math.min(dayStart.getTime(), ...times) - windowMs);
+  const to = new Date(Math.max(dayEnd.getTime(), ...times) + windowMs);
+  const transactionIds = [...new Set(lines.map(line => line.transactionId).filter(Boolean))];
+
+  // Sales with a payment or refund the file names, or taken around its lines
+  const sales = await Sale.find({
+    $or: [
+      { 'payments.transactionId': { $in: transactionIds } },
+      { 'refunds.refundTransactionId': { $in: transactionIds } },
+      { 'payments.processedAt': { $gte: from, $lt: to } },
+      { createdAt: { $gte: from, $lt: to }, 'payments.method': { $in: Sale.CARD_METHODS } },
+      { 'refunds.date': { $gte: from, $lt: to } }
+    ]
+  }).select('saleNumber status createdAt payments refunds').session(session);
+
+  const records = getCardRecords(sales);
+  const recordsById = new Map(records.filter(r => r.transactionId).map(r => [r.transactionId, r]));
+  const fileIds = new Set(transactionIds);
+
+  // Payments settled by earlier files, and transaction IDs they contained
+  const earlierLines = await SettlementLine.find({
+    $or: [
+      { record: { $in: records.map(r => r._id) } },
+      { transactionId: { $in: transactionIds } }
+    ]
+  }).session(session);
+
+  const settled = new Set(earlierLines
+    .filter(line => line.record && ['Matched', 'Amount Mismatch'].includes(line.match))
+    .map(line => line.record.toString()));
+  const seenIds = new Set(earlierLines
+    .filter(line => line.transactionId && line.match !== 'Not Settled')
+    .map(line => line.transactionId));
+
+  const settlementImport = new SettlementImport({
+    fileName,
+    fileHash,
+    provider,
+    settlementDate: dayStart,
+    lineCount: lines.length,
+    settledTotal: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+    importedBy
+  });
+
+  const claim = (record) => settled.add(record._id.toString());
+  const isClaimed = (record) => settled.has(record._id.toString());
+
+  const results = lines.map(line => {
+    const result = { ...line, settlementImport: settlementImport._id };
+
+    if (line.transactionId && seenIds.has(line.transactionId)) {
+      return { ...result, match: 'Duplicate', status: 'Open', details: 'Transaction ID was already settled' };
+    }
+
+    if (line.transactionId) {
+      seenIds.add(line.transactionId);
+    }
+
+    let record = line.transactionId && recordsById.get(line.transactionId);
+    let matchedBy = 'Transaction ID';
+
+    // A voided sale's card payment was reversed and should never settle
+    if (record && record.sale.status === 'Voided') {
+      return {
+        ...result,
+        match: 'Unmatched',
+        status: 'Open',
+        sale: record.sale._id,
+        saleNumber: record.sale.saleNumber,
+        record: record._id,
+        recordedAmount: record.amount,
+        details: `Sale ${record.sale.saleNumber} was voided`
+      };
+    }
+
+    if (record && isClaimed(record)) {
+      return {
+        ...result,
+        match: 'Duplicate',
+        status: 'Open',
+        sale: record.sale._id,
+        saleNumber: record.sale.saleNumber,
+        record: record._id,
+        recordedAmount: record.amount,
+        details: 'The sale payment was already settled'
+      };
+    }
+
+    // No known ID: the closest unsettled payment for the same amount and card,
+    // leaving payments other lines in the file name by ID for those lines
+    if (!record) {
+      const candidates = records.filter(r => (
+        !isClaimed(r) &&
+        r.sale.status !== 'Voided' &&
+        !(r.transactionId && fileIds.has(r.transactionId)) &&
+        r.amount === line.amount &&
+        Math.abs(r.time - line.transactionTime) <= windowMs &&
+        !(r.lastFourDigits && line.lastFourDigits && r.lastFourDigits !== line.lastFourDigits)
+      ));
+
+      candidates.sort((a, b) => (
+        Math.abs(a.time - line.transactionTime) - Math.abs(b.time - line.transactionTime)
+      ));
+
+      record = candidates[0];
+      matchedBy = 'Amount and Time';
+    }
+
+    if (!record) {
+      return { ...result, match: 'Unmatched', status: 'Open', details: 'No card payment or refund on any sale' };
+    }
+
+    claim(record);
+
+    const matched = {
+      ...result,
+      matchedBy,
+      sale: record.sale._id,
+      saleNumber: record.sale.saleNumber,
+      record: record._id,
+      recordedAmount: record.amount
+    };
+
+    if (record.amount !== line.amount) {
+      return {
+        ...matched,
+        match: 'Amount Mismatch',
+        status: 'Open',
+        details: `Settled ${line.amount.toFixed(2)} but the sale recorded ${record.amount.toFixed(2)}`
+      };
+    }
+
+    return { ...matched, match: 'Matched' };
+  });
+
+  // Payments and refunds made on the day that nothing settled
+  records
+    .filter(record => (
+      record.time >= dayStart &&
+      record.time < dayEnd &&
+      record.sale.status !== 'Voided' &&
+      !isClaimed(record)
+    ))
+    .forEach(record => results.push({
+      settlementImport: settlementImport._id,
+      transactionId: record.transactionId,
+      amount: record.amount,
+      transactionTime: record.time,
+      lastFourDigits: record.lastFourDigits,
+      match: 'Not Settled',
+      status: 'Open',
+      sale: record.sale._id,
+      saleNumber: record.sale.saleNumber,
+      record: record._id,
+      recordedAmount: record.amount,
+      details: 'Taken at the POS but missing from the settlement file'
+    }));
+
+  const count = match => results.filter(result => result.match === match).length;
+
+  settlementImport.counts = {
+    matched: count('Matched'),
+    unmatched: count('Unmatched'),
+    duplicate: count('Duplicate'),
+    amountMismatch: count('Amount Mismatch'),
+    notSettled: count('Not Settled')
+  };
+
+  await settlementImport.save({ session });
+  await SettlementLine.insertMany(results, { session });
+
+  // Payments an earlier file missed that turned up in this one
+  const lateRecords = results
+    .filter(result => result.record && ['Matched', 'Amount Mismatch'].includes(result.match))
+    .map(result => result.record);
+
+  await SettlementLine.updateMany(
+    { record: { $in: lateRecords }, match: 'Not Settled', status: 'Open' },
+    {
+      $set: {
+        status: 'Resolved',
+        note: `Settled in ${fileName}`,
+        resolvedBy: importedBy,
+        resolvedAt: Date.now()
+      }
+    },
+    { session }
+  );
+
+  return settlementImport;
+};
+
+module.exports = {
+  parseCsv,
+  readSettlementLines,
+  importSettlement
+};
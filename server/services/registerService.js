@@ -0,0 +1,135 @@
+// services/registerService.js
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Sales that have been paid for in full, including ones since refunded
+const PAID_STATUSES = ['Completed', 'Refunded', 'Partially Refunded'];
+
+/**
+ * Totals for a register session, used for the expected cash at close and
+ * for the Z report.
+ *
+ * Expected cash is the opening float plus cash taken on sales (payments are
+ * recorded as tendered, so change given is taken back off), plus paid in,
+ * less paid out and cash refunds. Every tender taken counts, including part
+ * payments on sales still awaiting the balance; only voided sales are left
+ * out, because their money has been handed back. Refunds are the returns
+ * given at the register plus card refunds made straight against a sale.
+ *
+ * @param {Object} registerSession - RegisterSession document
+ * @returns {Promise<Object>} Report totals
+ */
+const buildReport = async (registerSession) => {
+  const [sales, returns, refundedSales] = await Promise.all([
+    Sale.find({ registerSession: registerSession._id }).populate('voidApprovedBy', 'name'),
+    Return.find({ registerSession: registerSession._id }),
+    Sale.find({ 'refunds.registerSession': registerSession._id })
+  ]);
+
+  const completedSales = sales.filter(sale => PAID_STATUSES.includes(sale.status));
+  const voidedSales = sales.filter(sale => sale.status === 'Voided');
+  const tenderedSales = sales.filter(sale => sale.status !== 'Voided');
+
+  // Payments by method
+  const paymentsByMethod = {};
+  let cashTendered = 0;
+  let changeGiven = 0;
+
+  tenderedSales.forEach(sale => {
+    sale.payments.filter(payment => !payment.voidedAt).forEach(payment => {
+      if (!paymentsByMethod[payment.method]) {
+        paymentsByMethod[payment.method] = { method: payment.method, count: 0, amount: 0 };
+      }
+
+      paymentsByMethod[payment.method].count++;
+      paymentsByMethod[payment.method].amount += payment.amount;
+
+      if (payment.method === 'Cash') {
+        cashTendered += payment.amount;
+      }
+    });
+
+    changeGiven += sale.changeDue || 0;
+  });
+
+  // Refunds by method: returns, and card refunds given against a sale
+  // without a return, which have no Return of their own
+  const sessionId = String(registerSession._id);
+  const refunds = [
+    ...returns.map(ret => ({ method: ret.refundMethod, amount: ret.total })),
+    ...refundedSales.flatMap(sale => sale.refunds
+      .filter(refund => !refund.return && String(refund.registerSession) === sessionId)
+      .map(refund => ({ method: refund.method, amount: refund.amount })))
+  ];
+  const refundsByMethod = {};
+
+  refunds.forEach(refund => {
+    if (!refundsByMethod[refund.method]) {
+      refundsByMethod[refund.method] = { method: refund.method, count: 0, amount: 0 };
+    }
+
+    refundsByMethod[refund.method].count++;
+    refundsByMethod[refund.method].amount += refund.amount;
+  });
+
+  const cashRefunds = refundsByMethod.Cash ? refundsByMethod.Cash.amount : 0;
+
+  // Paid in and out
+  const paidIn = registerSession.cashMovements
+    .filter(m => m.type === 'Paid In')
+    .reduce((sum, m) => sum + m.amount, 0);
+  const paidOut = registerSession.cashMovements
+    .filter(m => m.type === 'Paid Out')
+    .reduce((sum, m) => sum + m.amount, 0);
+
+  const openingFloat = registerSession.openingFloat ? registerSession.openingFloat.total : 0;
+  const expectedCash = roundCurrency(
+    openingFloat + cashTendered - changeGiven + paidIn - paidOut - cashRefunds
+  );
+
+  const roundTotals = rows => Object.values(rows).map(row => ({
+    ...row,
+    amount: roundCurrency(row.amount)
+  }));
+
+  return {
+    sales: {
+      count: completedSales.length,
+      subtotal: roundCurrency(completedSales.reduce((sum, sale) => sum + sale.subtotal, 0)),
+      taxTotal: roundCurrency(completedSales.reduce((sum, sale) => sum + sale.taxTotal, 0)),
+      discountTotal: roundCurrency(completedSales.reduce((sum, sale) => sum + sale.discountTotal, 0)),
+      total: roundCurrency(completedSales.reduce((sum, sale) => sum + sale.total, 0))
+    },
+    payments: roundTotals(paymentsByMethod),
+    refunds: {
+      count: refunds.length,
+      total: roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0)),
+      byMethod: roundTotals(refundsByMethod)
+    },
+    voids: {
+      count: voidedSales.length,
+      total: roundCurrency(voidedSales.reduce((sum, sale) => sum + sale.total, 0)),
+      sales: voidedSales.map(sale => ({
+        saleNumber: sale.saleNumber,
+        total: sale.total,
+        reason: sale.voidReason,
+        approvedBy: sale.voidApprovedBy ? sale.voidApprovedBy.name : undefined
+      }))
+    },
+    cash: {
+      openingFloat,
+      cashTendered: roundCurrency(cashTendered),
+      changeGiven: roundCurrency(changeGiven),
+      paidIn: roundCurrency(paidIn),
+      paidOut: roundCurrency(paidOut),
+      cashRefunds: roundCurrency(cashRefunds),
+      expectedCash
+    }
+  };
+};
+
+module.exports = {
+  buildReport
+};
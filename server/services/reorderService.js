@@ -0,0 +1,261 @@
+// services/reorderService.js
+const config = require('config');
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const InventoryMovement = require('../models/InventoryMovement');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const DEFAULTS = {
+  lookbackDays: 56,
+  safetyFactor: 1.5,
+  reviewDays: 14
+};
+
+const getSettings = () => ({
+  ...DEFAULTS,
+  ...(config.has('reorder') ? config.get('reorder') : {})
+});
+
+// Sum units per product into a plain { productId: quantity } map
+const toQuantityMap = (rows) => {
+  const map = {};
+  rows.forEach(row => {
+    if (row._id) {
+      map[row._id.toString()] = row.quantity;
+    }
+  });
+  return map;
+};
+
+/**
+ * Work out average daily sales per product over the lookback window.
+ *
+ * Sales made through the POS are recorded both as Sale items and as Sold
+ * movements, while older or manual sales may only exist as one of the two.
+ * Taking the larger of the two totals per product covers both without
+ * counting the same sale twice. Stock put back by a void is taken off the
+ * movement total, as voided sales are left out of the sale total.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.productIds] - Limit to these products
+ * @param {Number} [options.lookbackDays]
+ * @returns {Promise<Object>} Map of productId to units sold per day
+ */
+const getSalesVelocity = async ({ productIds, lookbackDays } = {}) => {
+  const days = lookbackDays || getSettings().lookbackDays;
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const saleMatch = {
+    createdAt: { $gte: since },
+    status: { $ne: 'Voided' }
+  };
+  const movementMatch = {
+    timestamp: { $gte: since },
+    $or: [
+      { movementType: 'Sold' },
+      { movementType: 'Returned', reference: /^VOID-/ }
+    ]
+  };
+
+  if (productIds) {
+    saleMatch['items.product'] = { $in: productIds };
+    movementMatch.product = { $in: productIds };
+  }
+
+  const [saleRows, movementRows] = await Promise.all([
+    Sale.aggregate([
+      { $match: saleMatch },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.product', quantity: { $sum: '$items.quantity' } } }
+    ]),
+    InventoryMovement.aggregate([
+      { $match: movementMatch },
+      {
+        $group: {
+          _id: '$product',
+          quantity: {
+            $sum: { $cond: [{ $eq: ['$movementType', 'Sold'] }, '$quantity', { $multiply: ['$quantity', -1] }] }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const soldInSales = toQuantityMap(saleRows);
+  const soldInMovements = toQuantityMap(movementRows);
+  const velocity = {};
+
+  new Set([...Object.keys(soldInSales), ...Object.keys(soldInMovements)]).forEach(productId => {
+    const sold = Math.max(soldInSales[productId] || 0, soldInMovements[productId] || 0);
+    velocity[productId] = sold / days;
+  });
+
+  return velocity;
+};
+
+/**
+ * Units already ordered from suppliers but not yet delivered, per product.
+ *
+ * @returns {Promise<Object>} Map of productId to outstanding quantity
+ */
+const getQuantityOnOrder = async () => {
+  const openOrders = await PurchaseOrder.find({
+    status: { $in: ['Sent', 'Partially Received'] }
+  });
+
+  const onOrder = {};
+
+  openOrders.forEach(order => {
+    order.lines.forEach(line => {
+      const productId = line.product.toString();
+      onOrder[productId] = (onOrder[productId] || 0) + line.quantityShort;
+    });
+  });
+
+  return onOrder;
+};
+
+/**
+ * Reorder point and suggested order quantity for one product.
+ *
+ * The reorder point covers expected sales over the supplier lead time,
+ * scaled by the safety factor, and is never below the product's minimumStock.
+ * An order tops stock up to the reorder point plus reviewDays of sales.
+ *
+ * @param {Object} product - Product document
+ * @param {Object} options
+ * @param {Number} options.averageDailySales
+ * @param {Number} options.leadTime - Supplier lead time in days
+ * @param {Number} [options.onOrder] - Units already on open purchase orders
+ * @returns {Object}
+ */
+const calculateReorder = (product, { averageDailySales, leadTime, onOrder = 0 }) => {
+  const { safetyFactor, reviewDays } = getSettings();
+
+  const leadTimeDemand = averageDailySales * leadTime;
+  const reorderPoint = Math.max(Math.ceil(leadTimeDemand * safetyFactor), product.minimumStock);
+  const targetStock = reorderPoint + Math.ceil(averageDailySales * reviewDays);
+  const available = product.currentStock + onOrder;
+
+  return {
+    averageDailySales: Math.round(averageDailySales * 100) / 100,
+    leadTime,
+    reorderPoint,
+    onOrder,
+    daysOfSupply: averageDailySales > 0
+      ? Math.floor(product.currentStock / averageDailySales)
+      : null,
+    needsReorder: available <= reorderPoint,
+    suggestedQuantity: available <= reorderPoint ? Math.max(targetStock - available, 1) : 0
+  };
+};
+
+/**
+ * Reorder suggestions for active products, grouped by supplier.
+ *
+ * A product's supplier is its own `supplier` field, falling back to any
+ * supplier that lists it in `productsSupplied`. Products with no supplier
+ * are grouped under a null supplier so they are not silently missed.
+ *
+ * @param {Object} [filters]
+ * @param {String} [filters.supplier] - Supplier ID
+ * @param {String} [filters.category]
+ * @returns {Promise<Array>} Supplier groups with their suggested lines
+ */
+const getReorderSuggestions = async ({ supplier, category } = {}) => {
+  const productQuery = { isActive: true };
+
+  if (category) {
+    productQuery.category = category;
+  }
+
+  const [products, suppliers, velocity, onOrder] = await Promise.all([
+    Product.find(productQuery),
+    Supplier.find({ isActive: true }),
+    getSalesVelocity(),
+    getQuantityOnOrder()
+  ]);
+
+  const suppliersById = {};
+  const supplierByProduct = {};
+
+  suppliers.forEach(s => {
+    suppliersById[s._id.toString()] = s;
+    s.productsSupplied.forEach(productId => {
+      supplierByProduct[productId.toString()] = supplierByProduct[productId.toString()] || s;
+    });
+  });
+
+  const groups = {};
+
+  products.forEach(product => {
+    const productId = product._id.toString();
+    const productSupplier = (product.supplier && suppliersById[product.supplier.toString()]) ||
+      supplierByProduct[productId] ||
+      null;
+
+    if (supplier && (!productSupplier || productSupplier._id.toString() !== supplier)) {
+      return;
+    }
+
+    const reorder = calculateReorder(product, {
+      averageDailySales: velocity[productId] || 0,
+      leadTime: productSupplier ? productSupplier.leadTime : 0,
+      onOrder: onOrder[productId] || 0
+    });
+
+    if (!reorder.needsReorder) {
+      return;
+    }
+
+    const key = productSupplier ? productSupplier._id.toString() : 'none';
+
+    if (!groups[key]) {
+      groups[key] = {
+        supplier: productSupplier
+          ? {
+            _id: productSupplier._id,
+            name: productSupplier.name,
+            leadTime: productSupplier.leadTime,
+            paymentTerms: productSupplier.paymentTerms
+          }
+          : null,
+        products: [],
+        estimatedCost: 0
+      };
+    }
+
+    groups[key].products.push({
+      product: product._id,
+      name: product.name,
+      barcode: product.barcode,
+      category: product.category,
+      currentStock: product.currentStock,
+      minimumStock: product.minimumStock,
+      unitCost: product.costPrice,
+      ...reorder
+    });
+    groups[key].estimatedCost += reorder.suggestedQuantity * product.costPrice;
+  });
+
+  return Object.values(groups)
+    .map(group => ({
+      ...group,
+      estimatedCost: Math.round(group.estimatedCost * 100) / 100
+    }))
+    .sort((a, b) => {
+      // Products without a supplier go last
+      if (!a.supplier) return 1;
+      if (!b.supplier) return -1;
+      return a.supplier.name.localeCompare(b.supplier.name);
+    });
+};
+
+module.exports = {
+  getSalesVelocity,
+  getQuantityOnOrder,
+  calculateReorder,
+  getReorderSuggestions
+};
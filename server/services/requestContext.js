@@ -0,0 +1,26 @@
+// services/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that keeps the current request available to code that
+ * has no access to req, such as mongoose hooks.
+ */
+const middleware = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * Get the user making the current request
+ * @returns {Object|null} req.user as set by the auth middleware
+ */
+const getCurrentUser = () => {
+  const store = storage.getStore();
+  return store && store.req.user ? store.req.user : null;
+};
+
+module.exports = {
+  middleware,
+  getCurrentUser
+};
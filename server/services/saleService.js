@@ -0,0 +1,226 @@
+// services/saleService.js
+const Customer = require('../models/Customer');
+const LoyaltySettings = require('../models/LoyaltySettings');
+const InventoryMovement = require('../models/InventoryMovement');
+const StoredValue = require('../models/StoredValue');
+const Location = require('../models/Location');
+const storedValueService = require('./storedValueService');
+const loyaltyService = require('./loyaltyService');
+const accountService = require('./accountService');
+const inventoryService = require('./inventoryService');
+
+// Tenders drawn from a gift card or store credit balance
+const STORED_VALUE_METHODS = ['Gift Card', 'Store Credit'];
+
+/**
+ * Take a tender off the balance it is drawn from, if any: a gift card,
+ * the customer's store credit or their loyalty points, or charge it to
+ * their trade account. Called once the sale has been saved so the ledger
+ * or invoice can reference its number.
+ *
+ * @param {Object} sale - Saved Sale document
+ * @param {Object} payment - Tender added to the sale
+ * @param {String|ObjectId} performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const redeemTender = async (sale, payment, performedBy, session = null) => {
+  if (STORED_VALUE_METHODS.includes(payment.method)) {
+    await storedValueService.redeem({
+      method: payment.method,
+      cardNumber: payment.reference,
+      customer: sale.customer,
+      amount: payment.amount,
+      reference: sale.saleNumber,
+      performedBy
+    }, session);
+  } else if (payment.method === 'Loyalty Points') {
+    await loyaltyService.redeemPoints({
+      customer: sale.customer,
+      amount: payment.amount,
+      sale,
+      performedBy
+    }, session);
+  } else if (payment.method === 'On Account') {
+    const invoice = await accountService.chargeAccount({
+      customer: sale.customer,
+      amount: payment.amount,
+      sale,
+      performedBy
+    }, session);
+    
+    payment.reference = invoice.invoiceNumber;
+    await sale.save({ session });
+  }
+};
+
+/**
+ * Work that happens once a sale is fully paid, whichever tender completed
+ * it: load any gift cards sold, update the customer's purchase stats and
+ * credit the loyalty points earned.
+ *
+ * @param {Object} sale - Completed Sale document
+ * @param {String|ObjectId} performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const completeSale = async (sale, performedBy, session = null) => {
+  await storedValueService.loadSaleGiftCards(sale, performedBy, session);
+
+  if (sale.customer) {
+    const customer = await Customer.findById(sale.customer).session(session);
+
+    if (customer) {
+      const settings = await LoyaltySettings.getSettings(session);
+      
+      await customer.updatePurchaseStats(sale, settings, session);
+      await loyaltyService.earnPoints(sale, settings, performedBy, session);
+    }
+  }
+};
+
+// Where a void puts back stock a sale took from a location: the same place,
+// or the sales location if that one has since been closed. Null if neither
+// can take it.
+const getVoidLocation = async (locationId, session = null) => {
+  const location = await Location.findById(locationId).session(session);
+
+  if (location && location.isActive) {
+    return location;
+  }
+
+  return inventoryService.resolveLocation(null, session);
+};
+
+/**
+ * Check a sale can be voided, returning an error message if not. Run
+ * before any card is voided on the terminal, so a void never stops half
+ * way once money has gone back to the customer.
+ *
+ * @param {Object} sale - Sale document
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<String|null>}
+ */
+const getVoidError = async (sale, session = null) => {
+  const saleError = sale.validateVoid();
+
+  if (saleError) {
+    return saleError;
+  }
+
+  // Value loaded onto gift cards sold on the sale must still be on them
+  if (sale.status === 'Completed') {
+    for (const item of sale.items) {
+      if (!item.giftCardNumber) continue;
+
+      const card = await StoredValue.findOne({ type: 'Gift Card', cardNumber: item.giftCardNumber })
+        .session(session);
+
+      if (card && card.balance < item.total) {
+        return `Gift card ${item.giftCardNumber} has already been spent and cannot be voided`;
+      }
+    }
+  }
+
+  // Somewhere has to be open to take the stock back
+  const soldMovements = await InventoryMovement.find({
+    movementType: 'Sold',
+    reference: sale.saleNumber,
+    fromLocation: { $exists: true }
+  }).session(session);
+
+  for (const sold of soldMovements) {
+    if (!(await getVoidLocation(sold.fromLocation, session))) {
+      return 'The location this sale took stock from is closed and there is no sales location to return it to';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Void a sale once its card payments have been voided on the terminal.
+ * Gift card, store credit and loyalty point tenders go back where they
+ * came from. For a completed sale the gift cards it loaded, the points it
+ * earned and the customer's purchase stats are taken back. Stock goes back
+ * to where the sale took it from with a Returned movement per line, or to
+ * the sales location if that place has since been closed.
+ *
+ * @param {Object} sale - Sale document loaded in the session
+ * @param {Object} options
+ * @param {String} options.reason - Why the sale was voided
+ * @param {String|ObjectId} options.approvedBy - Manager who entered their PIN
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const voidSale = async (sale, { reason, approvedBy, performedBy }, session = null) => {
+  const wasCompleted = sale.status === 'Completed';
+
+  sale.status = 'Voided';
+  sale.voidReason = reason;
+  sale.voidedAt = new Date();
+  sale.voidedBy = performedBy;
+  sale.voidApprovedBy = approvedBy;
+
+  await sale.save({ session });
+
+  for (const payment of sale.payments) {
+    if (STORED_VALUE_METHODS.includes(payment.method)) {
+      await storedValueService.restore({
+        method: payment.method,
+        cardNumber: payment.reference,
+        customer: sale.customer,
+        amount: payment.amount,
+        reference: sale.saleNumber,
+        notes: 'Sale voided',
+        performedBy
+      }, session);
+    }
+  }
+
+  if (sale.payments.some(payment => payment.method === 'Loyalty Points')) {
+    await loyaltyService.restorePoints({ sale, performedBy }, session);
+  }
+
+  if (wasCompleted) {
+    await storedValueService.unloadSaleGiftCards(sale, performedBy, session);
+
+    if (sale.customer) {
+      await loyaltyService.clawbackPoints({ sale, amount: sale.total, performedBy }, session);
+
+      await Customer.updateOne(
+        { _id: sale.customer },
+        { $inc: { totalSpent: -sale.total }, $pull: { purchaseHistory: sale._id } },
+        { session }
+      );
+    }
+  }
+
+  // Each line can have been taken from several batches, with a movement for each
+  const soldMovements = await InventoryMovement.find({
+    movementType: 'Sold',
+    reference: sale.saleNumber
+  }).session(session);
+
+  for (const sold of soldMovements) {
+    const location = sold.fromLocation
+      ? await getVoidLocation(sold.fromLocation, session)
+      : undefined;
+
+    await inventoryService.recordMovement({
+      product: sold.product,
+      movementType: 'Returned',
+      quantity: sold.quantity,
+      batch: sold.batch,
+      location,
+      reference: `VOID-${sale.saleNumber}`,
+      notes: reason,
+      performedBy
+    }, session);
+  }
+};
+
+module.exports = {
+  redeemTender,
+  completeSale,
+  getVoidError,
+  voidSale
+};
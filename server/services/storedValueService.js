@@ -0,0 +1,367 @@
+// services/storedValueService.js
+const StoredValue = require('../models/StoredValue');
+const StoredValueTransaction = require('../models/StoredValueTransaction');
+const Customer = require('../models/Customer');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status so routes can pass it straight to the client
+const storedValueError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Generate a gift card number in the nursery's internal barcode range:
+ * 298 prefix, 12 random digits and a check digit, weighted the same way
+ * as product barcodes.
+ *
+ * @returns {Promise<String>} Unused card number
+ */
+const generateCardNumber = async () => {
+  for (;;) {
+    let digits = '298';
+    for (let i = 0; i < 12; i++) {
+      digits += Math.floor(Math.random() * 10);
+    }
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      sum += parseInt(digits[i], 10) * (i % 2 === 0 ? 3 : 1);
+    }
+    const cardNumber = `${digits}${(10 - (sum % 10)) % 10}`;
+
+    if (!(await StoredValue.exists({ cardNumber }))) {
+      return cardNumber;
+    }
+  }
+};
+
+/**
+ * Apply a signed change to an account balance and write it to the ledger.
+ *
+ * The balance is updated with a conditional $inc, so two redemptions at
+ * once cannot take a card below zero. Store credit balances are mirrored
+ * onto the customer record.
+ *
+ * @param {Object} options
+ * @param {String|ObjectId} options.account - StoredValue ID
+ * @param {String} options.transactionType - Issue, Top Up, Redeem, Refund or Adjustment
+ * @param {Number} options.amount - Signed change to the balance
+ * @param {String} [options.reference] - Sale or return number
+ * @param {String} [options.notes]
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<{account: Object, transaction: Object}>}
+ */
+const recordTransaction = async ({
+  account: accountId,
+  transactionType,
+  amount,
+  reference,
+  notes,
+  performedBy
+}, session = null) => {
+  const change = roundCurrency(amount);
+
+  const filter = { _id: accountId, status: 'Active' };
+  if (change < 0) {
+    filter.balance = { $gte: -change };
+  }
+
+  const account = await StoredValue.findOneAndUpdate(
+    filter,
+    { $inc: { balance: change }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (!account) {
+    const current = await StoredValue.findById(accountId).session(session);
+
+    if (!current) {
+      throw storedValueError(404, 'Account not found');
+    }
+
+    if (current.status !== 'Active') {
+      throw storedValueError(400, current.cardNumber
+        ? `Gift card ${current.cardNumber} has been cancelled`
+        : 'Store credit account has been cancelled');
+    }
+
+    throw storedValueError(
+      400,
+      `Insufficient ${current.type.toLowerCase()} balance. Available: ${current.balance.toFixed(2)}`
+    );
+  }
+
+  // Keep the increment's floating point drift out of the stored balance
+  const balance = roundCurrency(account.balance);
+  if (balance !== account.balance) {
+    account.balance = balance;
+    await StoredValue.updateOne({ _id: account._id }, { $set: { balance } }, { session });
+  }
+
+  const transaction = new StoredValueTransaction({
+    account: account._id,
+    transactionType,
+    amount: change,
+    previousBalance: roundCurrency(account.balance - change),
+    newBalance: account.balance,
+    reference,
+    notes,
+    performedBy
+  });
+
+  await transaction.save({ session });
+
+  if (account.type === 'Store Credit') {
+    await Customer.updateOne(
+      { _id: account.customer },
+      { $set: { storeCredit: account.balance } },
+      { session }
+    );
+  }
+
+  return { account, transaction };
+};
+
+/**
+ * Find an active gift card by its scanned number.
+ */
+const findGiftCard = async (cardNumber, session = null) => {
+  const card = await StoredValue.findOne({ type: 'Gift Card', cardNumber }).session(session);
+
+  if (!card) {
+    throw storedValueError(404, `Gift card ${cardNumber} not found`);
+  }
+
+  return card;
+};
+
+/**
+ * A customer's store credit account, created on first use.
+ */
+const getStoreCreditAccount = async (customerId, performedBy, session = null) => {
+  let account = await StoredValue.findOne({ type: 'Store Credit', customer: customerId }).session(session);
+
+  if (!account) {
+    const customer = await Customer.findById(customerId).session(session);
+
+    if (!customer) {
+      throw storedValueError(404, 'Customer not found');
+    }
+
+    account = new StoredValue({ type: 'Store Credit', customer: customer._id });
+    await account.save({ session });
+
+    // Bring across any credit recorded before the ledger existed
+    if (customer.storeCredit > 0) {
+      account.balance = roundCurrency(customer.storeCredit);
+      await account.save({ session });
+
+      await new StoredValueTransaction({
+        account: account._id,
+        transactionType: 'Adjustment',
+        amount: account.balance,
+        previousBalance: 0,
+        newBalance: account.balance,
+        notes: 'Opening balance',
+        performedBy
+      }).save({ session });
+    }
+  }
+
+  return account;
+};
+
+/**
+ * Issue a new gift card with an opening balance.
+ *
+ * @param {Object} options
+ * @param {String} [options.cardNumber] - Pre-printed card number, generated if not given
+ * @param {Number} options.amount - Opening balance
+ * @param {String|ObjectId} [options.customer]
+ * @param {String} [options.reference]
+ * @param {String} [options.notes]
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const issueGiftCard = async ({ cardNumber, amount, customer, reference, notes, performedBy }, session = null) => {
+  if (cardNumber && await StoredValue.exists({ cardNumber }).session(session)) {
+    throw storedValueError(400, `Gift card ${cardNumber} has already been issued`);
+  }
+
+  const card = new StoredValue({
+    type: 'Gift Card',
+    cardNumber: cardNumber || await generateCardNumber(),
+    customer,
+    issuedBy: performedBy
+  });
+
+  await card.save({ session });
+
+  return recordTransaction({
+    account: card._id,
+    transactionType: 'Issue',
+    amount,
+    reference,
+    notes,
+    performedBy
+  }, session);
+};
+
+/**
+ * Issue a gift card, or top up the card if the number is already in use.
+ * Used when a gift card is sold as a POS line.
+ */
+const loadGiftCard = async ({ cardNumber, amount, customer, reference, performedBy }, session = null) => {
+  const existing = cardNumber
+    ? await StoredValue.findOne({ type: 'Gift Card', cardNumber }).session(session)
+    : null;
+
+  if (!existing) {
+    return issueGiftCard({ cardNumber, amount, customer, reference, performedBy }, session);
+  }
+
+  return recordTransaction({
+    account: existing._id,
+    transactionType: 'Top Up',
+    amount,
+    reference,
+    performedBy
+  }, session);
+};
+
+/**
+ * Take a payment from a gift card or a customer's store credit.
+ *
+ * @param {Object} options
+ * @param {String} options.method - 'Gift Card' or 'Store Credit'
+ * @param {String} [options.cardNumber] - Required for gift cards
+ * @param {String|ObjectId} [options.customer] - Required for store credit
+ * @param {Number} options.amount - Positive amount to redeem
+ * @param {String} [options.reference]
+ * @param {String|ObjectId} options.performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const redeem = async ({ method, cardNumber, customer, amount, reference, performedBy }, session = null) => {
+  let account;
+
+  if (method === 'Gift Card') {
+    if (!cardNumber) {
+      throw storedValueError(400, 'A gift card number is required');
+    }
+    account = await findGiftCard(cardNumber, session);
+  } else {
+    if (!customer) {
+      throw storedValueError(400, 'A customer is required to pay with store credit');
+    }
+    account = await getStoreCreditAccount(customer, performedBy, session);
+  }
+
+  return recordTransaction({
+    account: account._id,
+    transactionType: 'Redeem',
+    amount: -amount,
+    reference,
+    performedBy
+  }, session);
+};
+
+/**
+ * Put a payment taken from a gift card or store credit back on the balance
+ * it came from, when the sale is voided. Takes the same options as redeem.
+ */
+const restore = async ({ method, cardNumber, customer, amount, reference, notes, performedBy }, session = null) => {
+  const account = method === 'Gift Card'
+    ? await findGiftCard(cardNumber, session)
+    : await getStoreCreditAccount(customer, performedBy, session);
+
+  return recordTransaction({
+    account: account._id,
+    transactionType: 'Refund',
+    amount,
+    reference,
+    notes,
+    performedBy
+  }, session);
+};
+
+/**
+ * Put a refund onto a customer's store credit account.
+ */
+const creditCustomer = async ({ customer, amount, reference, notes, performedBy }, session = null) => {
+  const account = await getStoreCreditAccount(customer, performedBy, session);
+
+  return recordTransaction({
+    account: account._id,
+    transactionType: 'Refund',
+    amount,
+    reference,
+    notes,
+    performedBy
+  }, session);
+};
+
+/**
+ * Load the gift cards sold on a sale. Called once the sale is fully paid,
+ * so an abandoned sale never puts value on a card.
+ *
+ * @param {Object} sale - Completed Sale document
+ * @param {String|ObjectId} performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const loadSaleGiftCards = async (sale, performedBy, session = null) => {
+  for (const item of sale.items) {
+    if (item.giftCardNumber) {
+      await loadGiftCard({
+        cardNumber: item.giftCardNumber,
+        amount: item.total,
+        customer: sale.customer,
+        reference: sale.saleNumber,
+        performedBy
+      }, session);
+    }
+  }
+};
+
+/**
+ * Take back the value loaded onto gift cards sold on a voided sale. Fails
+ * if a card has already been spent, since the value can no longer be
+ * recovered.
+ *
+ * @param {Object} sale - Sale being voided
+ * @param {String|ObjectId} performedBy - User ID
+ * @param {ClientSession} [session] - Transaction session
+ */
+const unloadSaleGiftCards = async (sale, performedBy, session = null) => {
+  for (const item of sale.items) {
+    if (item.giftCardNumber) {
+      const card = await findGiftCard(item.giftCardNumber, session);
+
+      await recordTransaction({
+        account: card._id,
+        transactionType: 'Adjustment',
+        amount: -item.total,
+        reference: sale.saleNumber,
+        notes: 'Sale voided',
+        performedBy
+      }, session);
+    }
+  }
+};
+
+module.exports = {
+  generateCardNumber,
+  recordTransaction,
+  findGiftCard,
+  getStoreCreditAccount,
+  issueGiftCard,
+  loadGiftCard,
+  redeem,
+  restore,
+  creditCustomer,
+  loadSaleGiftCards,
+  unloadSaleGiftCards
+};
@@ -0,0 +1,139 @@
+// services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+const getSecret = () => process.env.JWT_SECRET || config.get('jwtSecret');
+
+/**
+ * Sign a session token for a user
+ * @param {Object} user - User document or token payload user
+ * @returns {String} Signed JWT
+ */
+const signToken = (user) => {
+  const payload = {
+    user: {
+      id: user.id,
+      name: user.name,
+      role: user.role
+    }
+  };
+
+  return jwt.sign(payload, getSecret(), { expiresIn: config.get('jwtExpiration') });
+};
+
+/**
+ * Verify a session token
+ * @param {String} token
+ * @returns {Object} Decoded payload, throws if invalid or expired
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  // Manager override tokens must not be usable as a login
+  if (!decoded.user) {
+    throw new jwt.JsonWebTokenError('Not a session token');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived token recording that a user approved an action,
+ * e.g. a manager entering their PIN for a discount over the cashier's limit.
+ * Each token has its own ID so it can only be spent once.
+ * @param {Object} user - User document of the approver
+ * @param {String} permission - Permission the approval is for
+ * @returns {String} Signed JWT
+ */
+const signOverrideToken = (user, permission) => {
+  const payload = {
+    override: {
+      id: user.id,
+      name: user.name,
+      permission
+    }
+  };
+
+  return jwt.sign(payload, getSecret(), {
+    expiresIn: config.get('pos.overrideExpiration'),
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Verify an override token was issued for a permission
+ * @param {String} token
+ * @param {String} permission
+ * @returns {Object} Approver { id, name, permission, jti, expiresAt }, throws
+ *   if invalid or expired
+ */
+const verifyOverrideToken = (token, permission) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  if (!decoded.override || decoded.override.permission !== permission || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Override is not for this action');
+  }
+
+  return {
+    ...decoded.override,
+    jti: decoded.jti,
+    expiresAt: new Date(decoded.exp * 1000)
+  };
+};
+
+/**
+ * Sign a short-lived ticket for opening the event stream. Browsers cannot
+ * send headers with an EventSource, so the ticket goes in the URL instead
+ * of the session token.
+ * @param {Object} user - Token payload user
+ * @returns {String} Signed JWT
+ */
+const signStreamToken = (user) => {
+  const payload = {
+    stream: {
+      id: user.id,
+      name: user.name,
+      role: user.role
+    }
+  };
+
+  return jwt.sign(payload, getSecret(), { expiresIn: config.get('events.ticketExpiration') });
+};
+
+/**
+ * Verify an event stream ticket
+ * @param {String} token
+ * @returns {Object} User { id, name, role }, throws if invalid or expired
+ */
+const verifyStreamToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  if (!decoded.stream) {
+    throw new jwt.JsonWebTokenError('Not an event stream ticket');
+  }
+
+  return decoded.stream;
+};
+
+/**
+ * Whether a token is past half its lifetime and should be replaced.
+ * Refreshing on activity keeps a working cashier signed in for the whole
+ * shift while idle sessions still expire.
+ * @param {Object} decoded - Decoded token payload with iat and exp
+ * @returns {Boolean}
+ */
+const shouldRefresh = (decoded) => {
+  const now = Math.floor(Date.now() / 1000);
+  return now > decoded.iat + (decoded.exp - decoded.iat) / 2;
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  shouldRefresh,
+  signOverrideToken,
+  verifyOverrideToken,
+  signStreamToken,
+  verifyStreamToken
+};
@@ -0,0 +1,33 @@
+// test/helpers.js
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Tests run from the server folder, the config sits beside it at the root
+process.env.NODE_CONFIG_DIR = process.env.NODE_CONFIG_DIR || path.join(__dirname, '..', '..', 'config');
+
+/**
+ * Stand-in for a Mongoose query that resolves to a result, with the
+ * chainable methods the services call on queries. Lets a model's statics
+ * be mocked without a database.
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Thenable query
+ */
+const query = (result) => {
+  const chain = {
+    session: () => chain,
+    sort: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+
+  return chain;
+};
+
+// A fresh ObjectId
+const id = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  query,
+  id
+};
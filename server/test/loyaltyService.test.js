@@ -0,0 +1,86 @@
+// test/loyaltyService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, id } = require('./helpers');
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const LoyaltySettings = require('../models/LoyaltySettings');
+const loyaltyService = require('../services/loyaltyService');
+
+// Default rules: 1 point a dollar, points worth 0.05, at least 100 redeemed
+const settings = new LoyaltySettings({
+  categoryRates: [{ category: 'Trees', pointsPerDollar: 2 }]
+});
+
+describe('LoyaltySettings', () => {
+  it('earns at the category rate where one is set', () => {
+    assert.strictEqual(settings.getEarnRate('Trees'), 2);
+    assert.strictEqual(settings.getEarnRate('Pots'), 1);
+  });
+
+  it('puts a customer in the highest tier their spend has reached', () => {
+    assert.strictEqual(settings.getTierForSpend(0).level, 'Regular');
+    assert.strictEqual(settings.getTierForSpend(2499.99).level, 'Silver');
+    assert.strictEqual(settings.getTierForSpend(5000).level, 'Platinum');
+  });
+});
+
+describe('loyaltyService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('calculatePointsEarned', () => {
+    const tree = id();
+
+    beforeEach(() => {
+      mock.method(Product, 'find', () => query([{ _id: tree, category: 'Trees' }]));
+    });
+
+    // Two discounted trees and a gift card
+    const sale = (payments) => new Sale({
+      items: [
+        { product: tree, barcode: 'T-1', name: 'Totara', quantity: 2, pricePerUnit: 50, discountAmount: 5, taxRate: 0, taxAmount: 0, subtotal: 100, total: 90 },
+        { giftCardNumber: '2980000000001', barcode: '2980000000001', name: 'Gift Card', quantity: 1, pricePerUnit: 50, taxRate: 0, taxAmount: 0, subtotal: 50, total: 50 }
+      ],
+      payments,
+      total: 140
+    });
+
+    it('earns on the discounted amount at the category rate, not on gift cards', async () => {
+      // (100 - 5 x 2) x 2 points a dollar
+      const points = await loyaltyService.calculatePointsEarned(sale([{ method: 'Cash', amount: 140 }]), settings);
+
+      assert.strictEqual(points, 180);
+    });
+
+    it('earns nothing on the share paid with points', async () => {
+      const points = await loyaltyService.calculatePointsEarned(sale([
+        { method: 'Cash', amount: 105 },
+        { method: 'Loyalty Points', amount: 35 }
+      ]), settings);
+
+      assert.strictEqual(points, 135);
+    });
+  });
+
+  describe('redeemPoints', () => {
+    beforeEach(() => {
+      mock.method(LoyaltySettings, 'getSettings', async () => settings);
+    });
+
+    it('only redeems whole points', async () => {
+      await assert.rejects(
+        loyaltyService.redeemPoints({ customer: id(), amount: 10.02 }),
+        { status: 400, message: 'Loyalty points are redeemed in steps of 0.05' }
+      );
+    });
+
+    it('holds to the minimum redemption', async () => {
+      await assert.rejects(
+        loyaltyService.redeemPoints({ customer: id(), amount: 2 }),
+        { status: 400, message: 'At least 100 points must be redeemed at once' }
+      );
+    });
+  });
+});
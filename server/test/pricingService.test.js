@@ -0,0 +1,59 @@
+// test/pricingService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, id } = require('./helpers');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const pricingService = require('../services/pricingService');
+
+const product = {
+  _id: id(),
+  name: 'Kowhai',
+  barcode: '9400000000011',
+  category: 'Trees',
+  sellingPrice: 40,
+  taxRate: 15,
+  isActive: true
+};
+
+// 30% off the product, running all the time
+const promotion = new Promotion({
+  name: 'Native tree sale',
+  type: 'Percent Off',
+  percentOff: 30,
+  products: [product._id]
+});
+
+// Price one of the product with a manual discount over the 10% limit
+const priceWithManual = (percent) => pricingService.priceItems({
+  items: [{ product: product._id, quantity: 1, manualDiscount: { percent, reason: 'Damaged pot' } }]
+});
+
+describe('pricingService priceItems manual discounts', () => {
+  beforeEach(() => {
+    mock.method(Product, 'findById', () => query(product));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('needs approval when the manual discount over the limit is given', async () => {
+    mock.method(Promotion, 'find', () => query([]));
+
+    const { items: [line], approvalRequired } = await priceWithManual(20);
+
+    assert.strictEqual(approvalRequired, true);
+    assert.strictEqual(line.manualDiscount, 20);
+    assert.strictEqual(line.discountReason, 'Damaged pot');
+  });
+
+  it('needs no approval when a promotion beats the manual discount', async () => {
+    mock.method(Promotion, 'find', () => query([promotion]));
+
+    const { items: [line], approvalRequired } = await priceWithManual(20);
+
+    assert.strictEqual(approvalRequired, false);
+    assert.strictEqual(line.manualDiscount, undefined);
+    assert.strictEqual(line.discountReason, 'Native tree sale');
+    assert.strictEqual(line.discountPercent, 30);
+  });
+});
@@ -0,0 +1,98 @@
+// test/registerService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, id } = require('./helpers');
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+const registerService = require('../services/registerService');
+
+const registerSession = {
+  _id: id(),
+  openingFloat: { total: 200 },
+  cashMovements: [
+    { type: 'Paid In', amount: 20 },
+    { type: 'Paid Out', amount: 15 }
+  ]
+};
+
+const sale = (fields) => new Sale({
+  saleNumber: `S-${id()}`,
+  registerNumber: 'POS-1',
+  registerSession: registerSession._id,
+  cashier: id(),
+  subtotal: 50,
+  taxTotal: 0,
+  total: 50,
+  ...fields
+});
+
+// Load the session's sales and returns, and sales from other sessions
+// refunded at this one
+const report = ({ sales = [], returns = [], refundedSales = [] }) => {
+  mock.method(Sale, 'find', filter => query(filter.registerSession ? sales : refundedSales));
+  mock.method(Return, 'find', () => query(returns));
+
+  return registerService.buildReport(registerSession);
+};
+
+describe('registerService buildReport', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts cash taken on a sale still awaiting the balance', async () => {
+    const { cash, payments, sales } = await report({
+      sales: [
+        sale({ payments: [{ method: 'Cash', amount: 60 }], amountTendered: 60, changeDue: 10 }),
+        sale({ status: 'Pending Payment', payments: [{ method: 'Cash', amount: 30 }] })
+      ]
+    });
+
+    assert.strictEqual(cash.cashTendered, 90);
+    assert.strictEqual(cash.expectedCash, 200 + 90 - 10 + 20 - 15);
+    assert.deepStrictEqual(payments, [{ method: 'Cash', count: 2, amount: 90 }]);
+    assert.strictEqual(sales.count, 1);
+  });
+
+  it('leaves out voided sales and card payments voided on the terminal', async () => {
+    const voided = sale({
+      status: 'Voided',
+      payments: [{ method: 'Cash', amount: 50 }]
+    });
+    const pending = sale({
+      status: 'Pending Payment',
+      payments: [{ method: 'EFTPOS', amount: 25, transactionId: 'T-1', voidedAt: new Date() }]
+    });
+
+    const { cash, payments, voids } = await report({ sales: [voided, pending] });
+
+    assert.strictEqual(cash.cashTendered, 0);
+    assert.deepStrictEqual(payments, []);
+    assert.strictEqual(voids.count, 1);
+  });
+
+  it('includes card refunds given at this register without a return', async () => {
+    const otherSession = id();
+    const refunded = sale({
+      registerSession: otherSession,
+      status: 'Partially Refunded',
+      payments: [{ method: 'EFTPOS', amount: 50, transactionId: 'T-2' }],
+      refunds: [
+        { amount: 12.5, method: 'EFTPOS', originalTransactionId: 'T-2', registerSession: registerSession._id },
+        { amount: 5, method: 'EFTPOS', originalTransactionId: 'T-2', registerSession: otherSession },
+        { amount: 8, method: 'Cash', return: id(), registerSession: registerSession._id }
+      ]
+    });
+
+    const { refunds, cash } = await report({
+      returns: [new Return({ refundMethod: 'Cash', total: 8 })],
+      refundedSales: [refunded]
+    });
+
+    assert.strictEqual(refunds.count, 2);
+    assert.strictEqual(refunds.total, 20.5);
+    assert.deepStrictEqual(refunds.byMethod, [
+      { method: 'Cash', count: 1, amount: 8 },
+      { method: 'EFTPOS', count: 1, amount: 12.5 }
+    ]);
+    assert.strictEqual(cash.cashRefunds, 8);
+  });
+});
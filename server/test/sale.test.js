@@ -0,0 +1,220 @@
+// test/sale.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { id } = require('./helpers');
+const Sale = require('../models/Sale');
+
+// A sale paid half by card and half in cash
+const splitSale = (fields = {}) => new Sale({
+  saleNumber: 'S-1001',
+  status: 'Completed',
+  registerNumber: 'POS-1',
+  total: 80,
+  payments: [
+    { method: 'EFTPOS', amount: 40, transactionId: 'T-1' },
+    { method: 'Cash', amount: 40 }
+  ],
+  ...fields
+});
+
+describe('Sale card refunds', () => {
+  describe('getRefundableCardPayments', () => {
+    it('lists card payments less what has been refunded to them', () => {
+      const sale = splitSale({
+        refunds: [{ amount: 15.5, method: 'EFTPOS', originalTransactionId: 'T-1' }]
+      });
+
+      const [card, ...others] = sale.getRefundableCardPayments();
+
+      assert.strictEqual(others.length, 0);
+      assert.strictEqual(card.transactionId, 'T-1');
+      assert.strictEqual(card.refundable, 24.5);
+    });
+
+    it('leaves out a card payment already voided on the terminal', () => {
+      const sale = splitSale();
+      sale.payments[0].voidedAt = new Date();
+
+      assert.deepStrictEqual(sale.getRefundableCardPayments(), []);
+    });
+
+    it('lists nothing on a voided sale', () => {
+      assert.deepStrictEqual(splitSale({ status: 'Voided' }).getRefundableCardPayments(), []);
+    });
+  });
+
+  describe('validateCardRefund', () => {
+    it('allows up to what is left on the card', () => {
+      const sale = splitSale({
+        refunds: [{ amount: 10, method: 'EFTPOS', originalTransactionId: 'T-1' }]
+      });
+
+      assert.strictEqual(sale.validateCardRefund('T-1', 30), null);
+      assert.strictEqual(sale.validateCardRefund('T-1', 30.01), 'Only 30.00 can be refunded to this card');
+    });
+
+    it('refuses a payment voided on the terminal', () => {
+      const sale = splitSale();
+      sale.payments[0].voidedAt = new Date();
+
+      assert.strictEqual(
+        sale.validateCardRefund('T-1', 5),
+        'This EFTPOS payment was voided on the terminal and cannot be refunded'
+      );
+    });
+
+    it('refuses any refund on a voided sale', () => {
+      assert.strictEqual(
+        splitSale({ status: 'Voided' }).validateCardRefund('T-1', 5),
+        'Sale has been voided, so its payments have already been returned'
+      );
+    });
+
+    it('refuses a transaction that is not on the sale', () => {
+      assert.strictEqual(splitSale().validateCardRefund('T-9', 5), 'Transaction not found for this sale');
+    });
+  });
+});
+
+describe('Sale settleRefunds', () => {
+  it('stays partly refunded while the refunds fall short of the sale', () => {
+    const sale = splitSale({
+      refunds: [{ amount: 40, method: 'EFTPOS', originalTransactionId: 'T-1' }]
+    });
+
+    // The whole card tender back is still only half the sale
+    assert.strictEqual(sale.settleRefunds(), 'Partially Refunded');
+  });
+
+  it('is refunded once the refunds add up to the sale', () => {
+    const sale = splitSale({
+      refunds: [
+        { amount: 25.1, method: 'EFTPOS', originalTransactionId: 'T-1' },
+        { amount: 14.9, method: 'EFTPOS', originalTransactionId: 'T-1' },
+        { amount: 40, method: 'Cash' }
+      ]
+    });
+
+    assert.strictEqual(sale.settleRefunds(), 'Refunded');
+    assert.strictEqual(sale.status, 'Refunded');
+  });
+});
+
+describe('Sale validateReturnRefund', () => {
+  // Half charged to a trade account, half paid in cash
+  const accountSale = (fields = {}) => splitSale({
+    payments: [
+      { method: 'On Account', amount: 40, reference: 'INV-1' },
+      { method: 'Cash', amount: 40 }
+    ],
+    ...fields
+  });
+
+  it('refunds up to the share paid in other tenders', () => {
+    assert.strictEqual(accountSale().validateReturnRefund(40), null);
+  });
+
+  it('will not hand back an account charge as money', () => {
+    assert.strictEqual(
+      accountSale().validateReturnRefund(40.01),
+      'On Account tenders on this sale cannot be refunded by a return. Only 40.00 can be refunded.'
+    );
+  });
+
+  it('counts what has been refunded already', () => {
+    const sale = splitSale({
+      payments: [
+        { method: 'Loyalty Points', amount: 10 },
+        { method: 'Cash', amount: 70 }
+      ],
+      refunds: [{ amount: 65, method: 'Cash' }]
+    });
+
+    assert.match(sale.validateReturnRefund(6), /Loyalty Points .* Only 5\.00 can be refunded/);
+  });
+
+  it('leaves sales paid only in money alone', () => {
+    assert.strictEqual(splitSale().validateReturnRefund(80), null);
+  });
+});
+
+describe('Sale validateVoid', () => {
+  // Rung up today and paid in cash
+  const todaysSale = (fields = {}) => splitSale({
+    payments: [{ method: 'Cash', amount: 80 }],
+    createdAt: new Date(),
+    ...fields
+  });
+
+  it('lets a sale made today be voided, paid or not', () => {
+    assert.strictEqual(todaysSale().validateVoid(), null);
+    assert.strictEqual(todaysSale({ status: 'Pending Payment' }).validateVoid(), null);
+  });
+
+  it('sends sales from earlier days to returns', () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    assert.strictEqual(
+      todaysSale({ createdAt: yesterday }).validateVoid(),
+      'Only sales made today can be voided. Process a return instead.'
+    );
+  });
+
+  it('refuses a sale with refunds against it', () => {
+    const sale = todaysSale({ refunds: [{ amount: 10, method: 'Cash' }] });
+
+    assert.strictEqual(sale.validateVoid(), 'Sale has refunds against it. Process a return instead.');
+  });
+
+  it('refuses a sale charged to an account', () => {
+    const sale = todaysSale({ payments: [{ method: 'On Account', amount: 80, reference: 'INV-1' }] });
+
+    assert.strictEqual(
+      sale.validateVoid(),
+      'Sales charged to an account cannot be voided. Credit the account instead.'
+    );
+  });
+
+  it('refuses a card payment with nothing to void on the terminal', () => {
+    const sale = todaysSale({ payments: [{ method: 'EFTPOS', amount: 80 }] });
+
+    assert.strictEqual(sale.validateVoid(), 'The EFTPOS payment has no terminal transaction to void');
+  });
+
+  it('retries a void once a card payment has already been voided on the terminal', () => {
+    const sale = todaysSale({ payments: [{ method: 'EFTPOS', amount: 80, voidedAt: new Date() }] });
+
+    assert.strictEqual(sale.validateVoid(), null);
+  });
+});
+
+describe('Sale getReturnableLines', () => {
+  const fern = id();
+  const flax = id();
+
+  // The same fern rung up on two lines, a flax and a gift card
+  const mixedSale = () => splitSale({
+    items: [
+      { product: fern, barcode: 'F-1', name: 'Fern', quantity: 2, pricePerUnit: 10, taxRate: 0, taxAmount: 0, subtotal: 20, total: 20 },
+      { product: flax, barcode: 'X-1', name: 'Flax', quantity: 1, pricePerUnit: 20, taxRate: 0, taxAmount: 0, subtotal: 20, total: 20 },
+      { product: fern, barcode: 'F-1', name: 'Fern', quantity: 3, pricePerUnit: 10, taxRate: 0, taxAmount: 0, subtotal: 30, total: 30 },
+      { giftCardNumber: '2980000000001', barcode: '2980000000001', name: 'Gift Card', quantity: 1, pricePerUnit: 10, taxRate: 0, taxAmount: 0, subtotal: 10, total: 10 }
+    ]
+  });
+
+  it('lists every product line as returnable when nothing has come back', () => {
+    const lines = mixedSale().getReturnableLines();
+
+    assert.deepStrictEqual(lines.map(line => line.returnable), [2, 1, 3]);
+  });
+
+  it('uses up returns of a product line by line', () => {
+    const lines = mixedSale().getReturnableLines({ [fern.toString()]: 3 });
+
+    assert.deepStrictEqual(lines.map(line => [line.name, line.returned, line.returnable]), [
+      ['Fern', 2, 0],
+      ['Flax', 0, 1],
+      ['Fern', 1, 2]
+    ]);
+  });
+});
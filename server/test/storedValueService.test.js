@@ -0,0 +1,81 @@
+// test/storedValueService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, id } = require('./helpers');
+const StoredValue = require('../models/StoredValue');
+const storedValueService = require('../services/storedValueService');
+
+// Check digit weighted 3-1-3-1 from the left, as on product barcodes
+const hasValidCheckDigit = (number) => {
+  const digits = number.slice(0, -1).split('').map(Number);
+  const sum = digits.reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(number.slice(-1));
+};
+
+describe('storedValueService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('generateCardNumber', () => {
+    it('numbers cards in the 298 range with a valid check digit', async () => {
+      mock.method(StoredValue, 'exists', () => query(null));
+
+      for (let i = 0; i < 20; i++) {
+        const cardNumber = await storedValueService.generateCardNumber();
+
+        assert.match(cardNumber, /^298\d{13}$/);
+        assert.ok(hasValidCheckDigit(cardNumber), `${cardNumber} has a bad check digit`);
+      }
+    });
+
+    it('tries again when the number is already in use', async () => {
+      let lookups = 0;
+      mock.method(StoredValue, 'exists', () => query(++lookups < 3 ? { _id: id() } : null));
+
+      await storedValueService.generateCardNumber();
+
+      assert.strictEqual(lookups, 3);
+    });
+  });
+
+  describe('redeem', () => {
+    it('needs a card number to pay with a gift card', async () => {
+      await assert.rejects(
+        storedValueService.redeem({ method: 'Gift Card', amount: 5 }),
+        { status: 400, message: 'A gift card number is required' }
+      );
+    });
+
+    it('needs a customer to pay with store credit', async () => {
+      await assert.rejects(
+        storedValueService.redeem({ method: 'Store Credit', amount: 5 }),
+        { status: 400, message: 'A customer is required to pay with store credit' }
+      );
+    });
+  });
+
+  describe('recordTransaction', () => {
+    const card = { _id: id(), type: 'Gift Card', cardNumber: '2980000000001', status: 'Active' };
+
+    it('refuses to take a card below zero', async () => {
+      mock.method(StoredValue, 'findOneAndUpdate', () => query(null));
+      mock.method(StoredValue, 'findById', () => query({ ...card, balance: 10 }));
+
+      await assert.rejects(
+        storedValueService.recordTransaction({ account: card._id, transactionType: 'Redeem', amount: -20 }),
+        { status: 400, message: 'Insufficient gift card balance. Available: 10.00' }
+      );
+    });
+
+    it('refuses a cancelled card', async () => {
+      mock.method(StoredValue, 'findOneAndUpdate', () => query(null));
+      mock.method(StoredValue, 'findById', () => query({ ...card, status: 'Cancelled', balance: 50 }));
+
+      await assert.rejects(
+        storedValueService.recordTransaction({ account: card._id, transactionType: 'Redeem', amount: -5 }),
+        { status: 400, message: 'Gift card 2980000000001 has been cancelled' }
+      );
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// test/tokenService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { id } = require('./helpers');
+const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+
+describe('tokenService override tokens', () => {
+  const manager = { id: id().toString(), name: 'Manager', role: 'manager' };
+
+  it('names the approver and the action approved', () => {
+    const token = tokenService.signOverrideToken(manager, 'sales:void');
+    const override = tokenService.verifyOverrideToken(token, 'sales:void');
+
+    assert.strictEqual(override.id, manager.id);
+    assert.strictEqual(override.name, 'Manager');
+    assert.strictEqual(override.permission, 'sales:void');
+    assert.ok(override.expiresAt > new Date());
+  });
+
+  it('gives each approval its own ID so it can only be spent once', () => {
+    const first = tokenService.verifyOverrideToken(tokenService.signOverrideToken(manager, 'sales:void'), 'sales:void');
+    const second = tokenService.verifyOverrideToken(tokenService.signOverrideToken(manager, 'sales:void'), 'sales:void');
+
+    assert.ok(first.jti);
+    assert.notStrictEqual(first.jti, second.jti);
+  });
+
+  it('refuses an approval given for another action', () => {
+    const token = tokenService.signOverrideToken(manager, 'discounts:override');
+
+    assert.throws(
+      () => tokenService.verifyOverrideToken(token, 'sales:void'),
+      { name: 'JsonWebTokenError', message: 'Override is not for this action' }
+    );
+  });
+
+  it('cannot be used to sign in', () => {
+    const token = tokenService.signOverrideToken(manager, 'sales:void');
+
+    assert.throws(() => tokenService.verifyToken(token), jwt.JsonWebTokenError);
+  });
+});